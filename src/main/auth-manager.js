@@ -9,7 +9,12 @@ const config = require('../config');
 const store = new Store();
 
 class AuthManager {
-  static setupHandlers() {
+  /**
+   * @param {MediaLibraryStore} mediaLibraryStore - Cleared on logout
+   */
+  static setupHandlers(mediaLibraryStore) {
+    AuthManager.mediaLibraryStore = mediaLibraryStore;
+
     ipcMain.handle('auth:login', this.handleEmailLogin);
     ipcMain.handle('auth:google-login', this.handleGoogleLogin);
     ipcMain.handle('auth:logout', this.handleLogout);
@@ -124,6 +129,11 @@ class AuthManager {
     store.delete('token');
     store.delete('kolbo_token');
     store.delete('kolbo_access_token');
+
+    // The offline Media Library belongs to the account that's signing out
+    if (AuthManager.mediaLibraryStore) {
+      AuthManager.mediaLibraryStore.clear();
+    }
     return { success: true };
   }
 
@@ -0,0 +1,851 @@
+// Kolbo Studio - Cache Service
+// One content-addressed cache for media files and thumbnails, shared by the Media Library,
+// drag-and-drop, Premiere import and file downloads
+
+const { app, dialog, shell } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const FileManager = require('./file-manager');
+const DownloadEngine = require('./download-engine');
+
+// Index format version (bump when the entry layout changes)
+const INDEX_VERSION = 1;
+
+// Delay before a changed index is written, so bursts of downloads and lookups write once
+const INDEX_SAVE_DELAY = 1000;
+
+// Least recently used media is evicted once the cache grows past either limit
+const MAX_CACHE_SIZE = 5 * 1024 * 1024 * 1024; // 5GB
+const MAX_CACHE_ITEMS = 500;
+
+// Leading hex characters of the content hash used as a file's folder (media) or name (thumbnails)
+const HASH_PREFIX_LENGTH = 16;
+
+// Download assumed when the server doesn't say how big a file is
+const ESTIMATED_DOWNLOAD_SIZE = 100 * 1024 * 1024;
+
+// Partial downloads older than this aren't resumed after a restart
+const PARTIAL_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// Files that are locked by another app (often an NLE on Windows) rather than missing
+const LOCKED_ERROR_CODES = ['EPERM', 'EBUSY', 'EACCES'];
+
+class CacheService {
+  constructor() {
+    this.cachePath = path.join(app.getPath('userData'), 'MediaCache');
+    this.thumbnailCachePath = path.join(app.getPath('userData'), 'ThumbnailCache');
+    this.incomingPath = path.join(this.cachePath, '.incoming'); // Downloads in progress (.part files, resumed after a restart)
+    this.indexPath = path.join(app.getPath('userData'), 'media-cache-index.json');
+
+    // kind -> Map(key -> { hash, fileName, relativePath, size, type, url, cachedAt, lastAccessed, pinned, pinReason, pinnedAt })
+    // key is the media id (or 'url:<sha1>' / 'file:<path>' for downloads and files without one)
+    this.entries = {
+      media: new Map(),
+      thumbnail: new Map()
+    };
+    this.downloads = new Map(); // 'kind:key' -> Promise, so concurrent requests share one download
+    this.downloadEngine = new DownloadEngine();
+    this.saveTimer = null;
+
+    this.ensureFolders();
+    this.loadIndex();
+  }
+
+  ensureFolders() {
+    [this.cachePath, this.thumbnailCachePath, this.incomingPath].forEach(folder => {
+      if (!fs.existsSync(folder)) {
+        fs.mkdirSync(folder, { recursive: true });
+        console.log('[CacheService] Created folder:', folder);
+      }
+    });
+  }
+
+  getRoot(kind) {
+    return kind === 'thumbnail' ? this.thumbnailCachePath : this.cachePath;
+  }
+
+  // ============================================================================
+  // INDEX PERSISTENCE
+  // ============================================================================
+
+  /**
+   * Load the index and reconcile it with the files on disk
+   * Entries whose file is gone are dropped, files without an entry (written before a crash
+   * or by older versions) are adopted, and downloads interrupted by a quit are removed
+   */
+  loadIndex() {
+    let data = null;
+    try {
+      if (fs.existsSync(this.indexPath)) {
+        data = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('[CacheService] Index unreadable, rebuilding from the cache folders:', error.message);
+    }
+
+    if (data && data.version === INDEX_VERSION) {
+      for (const kind of Object.keys(this.entries)) {
+        Object.entries(data[kind] || {}).forEach(([key, entry]) => {
+          if (entry && entry.relativePath) {
+            this.entries[kind].set(key, entry);
+          }
+        });
+      }
+    }
+
+    const dropped = this.dropMissingEntries();
+    const adopted = this.adoptUntrackedFiles();
+    this.removeIncomplete();
+
+    console.log(`[CacheService] Index loaded: ${this.entries.media.size} media, ${this.entries.thumbnail.size} thumbnails` +
+      (dropped || adopted ? ` (${dropped} missing dropped, ${adopted} untracked adopted)` : ''));
+
+    if (dropped || adopted || !data) {
+      this.saveIndexNow();
+    }
+  }
+
+  dropMissingEntries() {
+    let dropped = 0;
+    for (const kind of Object.keys(this.entries)) {
+      for (const [key, entry] of this.entries[kind]) {
+        if (!fs.existsSync(path.join(this.getRoot(kind), entry.relativePath))) {
+          this.entries[kind].delete(key);
+          dropped++;
+        }
+      }
+    }
+    return dropped;
+  }
+
+  /**
+   * Add entries for cached files the index doesn't know about
+   * Media: files in hash folders (hash known) or loose files from the old flat layout (no hash)
+   * Files from the old layout keep the media id their name gave them ('kolbo-<id>.<ext>' or
+   * '<id>.<ext>' for media, 'thumb-<id>.<ext>' for thumbnails), so cached items stay found
+   */
+  adoptUntrackedFiles() {
+    let adopted = 0;
+
+    const adopt = (kind, key, relativePath, hash) => {
+      try {
+        const stats = fs.statSync(path.join(this.getRoot(kind), relativePath));
+        if (!stats.isFile()) return;
+        this.entries[kind].set(key, {
+          hash,
+          fileName: path.basename(relativePath),
+          relativePath,
+          size: stats.size,
+          type: null,
+          url: null,
+          cachedAt: stats.mtime.getTime(),
+          lastAccessed: stats.mtime.getTime()
+        });
+        adopted++;
+      } catch (error) {
+        if (LOCKED_ERROR_CODES.includes(error.code)) {
+          console.warn(`[CacheService] Skipping inaccessible file: ${relativePath} (${error.code})`);
+        } else {
+          console.error(`[CacheService] Error reading ${relativePath}:`, error.message);
+        }
+      }
+    };
+
+    for (const kind of Object.keys(this.entries)) {
+      const root = this.getRoot(kind);
+      const tracked = new Set(Array.from(this.entries[kind].values()).map(entry => entry.relativePath));
+      let names = [];
+      try {
+        names = fs.readdirSync(root, { withFileTypes: true });
+      } catch (error) {
+        console.error(`[CacheService] Can't read ${root}:`, error.message);
+        continue;
+      }
+
+      for (const dirent of names) {
+        if (dirent.name === path.basename(this.incomingPath)) continue;
+
+        if (dirent.isDirectory() && kind === 'media') {
+          const hashFolder = dirent.name;
+          let fileNames = [];
+          try {
+            fileNames = fs.readdirSync(path.join(root, hashFolder));
+          } catch (error) {
+            console.error(`[CacheService] Can't read ${path.join(root, hashFolder)}:`, error.message);
+            continue;
+          }
+
+          fileNames.forEach(fileName => {
+            const relativePath = path.join(hashFolder, fileName);
+            if (!tracked.has(relativePath)) {
+              adopt(kind, `file:${relativePath}`, relativePath, hashFolder);
+            }
+          });
+        } else if (dirent.isFile() && !tracked.has(dirent.name)) {
+          const legacyId = dirent.name.match(kind === 'thumbnail' ? /^thumb-(.+)\.[^.]+$/ : /^(?:kolbo-)?(.+)\.[^.]+$/);
+          const key = legacyId && !this.entries[kind].has(legacyId[1])
+            ? legacyId[1]
+            : `file:${dirent.name}`;
+          adopt(kind, key, dirent.name, null);
+        }
+      }
+    }
+
+    return adopted;
+  }
+
+  /**
+   * Remove partial downloads too old to resume (recent ones continue when requested again)
+   */
+  removeIncomplete() {
+    try {
+      fs.readdirSync(this.incomingPath).forEach(name => {
+        const filePath = path.join(this.incomingPath, name);
+        if (Date.now() - fs.statSync(filePath).mtimeMs > PARTIAL_MAX_AGE) {
+          fs.rmSync(filePath, { force: true });
+        }
+      });
+    } catch (error) {
+      console.warn('[CacheService] Could not clean incomplete downloads:', error.message);
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveIndexNow();
+    }, INDEX_SAVE_DELAY);
+  }
+
+  /**
+   * Write the index atomically: a crash leaves either the old or the new index, never half of one
+   */
+  saveIndexNow() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    const data = { version: INDEX_VERSION };
+    for (const kind of Object.keys(this.entries)) {
+      data[kind] = Object.fromEntries(this.entries[kind]);
+    }
+
+    const tempPath = `${this.indexPath}.tmp`;
+    try {
+      const fd = fs.openSync(tempPath, 'w');
+      try {
+        fs.writeSync(fd, JSON.stringify(data));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tempPath, this.indexPath);
+    } catch (error) {
+      console.error('[CacheService] Failed to save index:', error.message);
+    }
+  }
+
+  // ============================================================================
+  // LOOKUPS
+  // ============================================================================
+
+  /**
+   * Get the local path of a cached item
+   * @param {string} kind - 'media' or 'thumbnail'
+   * @param {string} id - Media id
+   * @returns {string|null} File path, or null when not cached
+   */
+  getCachedPath(kind, id) {
+    const entry = this.entries[kind].get(String(id));
+    if (!entry) return null;
+
+    const filePath = path.join(this.getRoot(kind), entry.relativePath);
+    try {
+      fs.accessSync(filePath, fs.constants.R_OK);
+    } catch (error) {
+      if (LOCKED_ERROR_CODES.includes(error.code)) {
+        // Locked by another app - the drag handler retries before using it
+        console.warn(`[CacheService] File temporarily locked: ${filePath} (${error.code})`);
+        return filePath;
+      }
+      console.warn(`[CacheService] Cached file no longer exists: ${filePath}`);
+      this.entries[kind].delete(String(id));
+      this.scheduleSave();
+      return null;
+    }
+
+    entry.lastAccessed = Date.now();
+    this.scheduleSave();
+    return filePath;
+  }
+
+  /**
+   * Get the local path of a cached item without counting it as a use
+   * For listings: the LRU order and the index are left alone, and a missing file isn't dropped
+   * @param {string} kind - 'media' or 'thumbnail'
+   * @param {string} id - Media id
+   * @returns {string|null} File path, or null when not cached
+   */
+  peekCachedPath(kind, id) {
+    const entry = this.entries[kind].get(String(id));
+    if (!entry) return null;
+
+    const filePath = path.join(this.getRoot(kind), entry.relativePath);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  /**
+   * Find a cached media file by its file name (for callers that don't know the media id)
+   * @param {string} fileName - File name
+   * @returns {string|null} File path
+   */
+  findByFileName(fileName) {
+    for (const entry of this.entries.media.values()) {
+      if (entry.fileName === fileName) {
+        const filePath = path.join(this.cachePath, entry.relativePath);
+        if (fs.existsSync(filePath)) return filePath;
+      }
+    }
+    return null;
+  }
+
+  // ============================================================================
+  // DOWNLOADS
+  // ============================================================================
+
+  /**
+   * Return a cached item, downloading it first if needed
+   * @param {string} kind - 'media' or 'thumbnail'
+   * @param {Object} item - { id, url, fileName, type } (id optional, the URL identifies it instead)
+   * @param {Function} onProgress - Download progress (see DownloadEngine.download)
+   * @param {string} pinReason - Pin the media for this reason (files the user asked for, which
+   *   eviction must not delete); pinned before eviction runs for the download
+   * @returns {Promise<Object>} { filePath, cached } - cached is false when it was just downloaded
+   */
+  async ensureCached(kind, item, onProgress = null, pinReason = null) {
+    if (!item || !item.url) {
+      throw new Error('No download URL');
+    }
+
+    const key = this.getKey(item);
+    const pin = kind === 'media' && pinReason ? pinReason : null;
+    const cachedPath = this.getCachedPath(kind, key);
+    if (cachedPath) {
+      if (pin) this.setPinned([key], true, pin);
+      return { filePath: cachedPath, cached: true };
+    }
+
+    const downloadKey = `${kind}:${key}`;
+    if (this.downloads.has(downloadKey)) {
+      console.log(`[CacheService] Already downloading ${downloadKey}`);
+      const filePath = await this.downloads.get(downloadKey);
+      if (pin) this.setPinned([key], true, pin);
+      return { filePath, cached: false };
+    }
+
+    const download = this.downloadToCache(kind, key, item, onProgress, pin)
+      .finally(() => this.downloads.delete(downloadKey));
+    this.downloads.set(downloadKey, download);
+
+    return { filePath: await download, cached: false };
+  }
+
+  getKey(item) {
+    if (item.id !== undefined && item.id !== null && item.id !== '') {
+      return String(item.id);
+    }
+    return `url:${crypto.createHash('sha1').update(item.url.split('?')[0]).digest('hex')}`;
+  }
+
+  /**
+   * Download into .incoming, then move the file to its content-addressed place
+   * Media: <hash>/<file name> (NLEs show the real name); thumbnails: <hash>.<ext>
+   * The rename is atomic, so a cached path always holds a complete file
+   * The part file is named after the item, so an interrupted download resumes on the next request
+   */
+  async downloadToCache(kind, key, item, onProgress, pinReason = null) {
+    const fileName = this.getSafeFileName(kind, item);
+
+    if (kind === 'media') {
+      const spaceCheck = await FileManager.hasEnoughDiskSpace(ESTIMATED_DOWNLOAD_SIZE, this.cachePath);
+      if (!spaceCheck.hasSpace) {
+        dialog.showErrorBox(
+          'Insufficient Disk Space',
+          `Cannot download ${fileName}.\n\n${spaceCheck.message}\n\nPlease free up disk space and try again, or clear cached files in Settings.`
+        );
+        const error = new Error(spaceCheck.message);
+        error.code = 'ENOSPC';
+        throw error;
+      }
+      if (spaceCheck.message) {
+        console.warn('[CacheService]', spaceCheck.message);
+      }
+    }
+
+    const downloadName = crypto.createHash('sha1').update(`${kind}:${key}`).digest('hex');
+    const downloadPath = path.join(this.incomingPath, `${downloadName}.download`);
+    console.log(`[CacheService] Downloading ${kind} ${key}: ${fileName}`);
+
+    let size;
+    try {
+      ({ size } = await this.downloadEngine.download(item.url, downloadPath, {
+        partPath: path.join(this.incomingPath, `${downloadName}.part`),
+        onProgress
+      }));
+    } catch (error) {
+      if (error.code === 'ENOSPC') {
+        dialog.showErrorBox(
+          'Disk Full',
+          `Your disk is full. Cannot download ${fileName}.\n\nPlease free up disk space and try again, or clear cached files in Settings.`
+        );
+      }
+      throw error;
+    }
+
+    const hash = await this.hashFile(downloadPath);
+
+    const prefix = hash.slice(0, HASH_PREFIX_LENGTH);
+    const relativePath = kind === 'media'
+      ? path.join(prefix, fileName)
+      : `${prefix}${path.extname(fileName)}`;
+    const filePath = path.join(this.getRoot(kind), relativePath);
+
+    if (fs.existsSync(filePath)) {
+      // Same content under the same name is already cached (another id, or a re-upload)
+      this.removeFile(downloadPath);
+    } else {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.renameSync(downloadPath, filePath);
+    }
+
+    const now = Date.now();
+    const entry = {
+      hash,
+      fileName,
+      relativePath,
+      size,
+      type: item.type || null,
+      url: item.url,
+      cachedAt: now,
+      lastAccessed: now
+    };
+    if (pinReason) {
+      this.applyPin(entry, true, pinReason);
+    }
+    this.entries[kind].set(key, entry);
+    this.scheduleSave();
+
+    console.log(`[CacheService] Cached ${fileName} (${(size / 1024 / 1024).toFixed(2)} MB)`);
+
+    if (kind === 'media') {
+      this.evictIfNeeded();
+    }
+    return filePath;
+  }
+
+  /**
+   * File name to store an item under (no folders, no characters Windows rejects)
+   */
+  getSafeFileName(kind, item) {
+    if (kind === 'thumbnail') {
+      const urlExt = item.url.match(/\.(jpg|jpeg|png|webp|gif)(\?|$)/i);
+      return `thumb-${this.getKey(item)}.${urlExt ? urlExt[1].toLowerCase() : 'jpg'}`.replace(/[<>:"/\\|?*]/g, '_');
+    }
+    const name = path.basename(String(item.fileName || '')).replace(/[<>:"/\\|?*\x00-\x1f]/g, '_').trim();
+    return name && name !== '.' && name !== '..' ? name : `media_${this.getKey(item).replace(/[^\w-]/g, '_')}`;
+  }
+
+  /**
+   * sha256 of a file's contents (hex)
+   */
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Download several items, continuing past failures
+   * @returns {Promise<Object>} { successful, total }
+   */
+  async preload(kind, items) {
+    console.log(`[CacheService] Preloading ${items.length} ${kind} item(s)...`);
+
+    const results = await Promise.allSettled(items
+      .filter(item => item && item.url)
+      .map(item => this.ensureCached(kind, item)));
+    const successful = results.filter(result => result.status === 'fulfilled').length;
+
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.warn(`[CacheService] Preload failed: ${result.reason.message}`));
+    console.log(`[CacheService] Preloaded ${successful}/${items.length} ${kind} item(s)`);
+
+    return { successful, total: items.length };
+  }
+
+  // ============================================================================
+  // REMOVAL AND EVICTION
+  // ============================================================================
+
+  /**
+   * Remove an entry, deleting its file unless another entry shares the same content
+   * @returns {boolean} Whether the file was deleted
+   */
+  removeEntry(kind, key) {
+    const entry = this.entries[kind].get(key);
+    if (!entry) return false;
+
+    this.entries[kind].delete(key);
+    this.scheduleSave();
+
+    const shared = Array.from(this.entries[kind].values()).some(other => other.relativePath === entry.relativePath);
+    if (shared) return false;
+
+    const filePath = path.join(this.getRoot(kind), entry.relativePath);
+    if (!this.removeFile(filePath)) {
+      // Keep tracking a file we couldn't delete (locked by an editor) so it isn't orphaned
+      this.entries[kind].set(key, entry);
+      return false;
+    }
+
+    // Drop the hash folder once its last file is gone
+    const folder = path.dirname(filePath);
+    if (folder !== this.getRoot(kind)) {
+      try {
+        fs.rmdirSync(folder);
+      } catch (error) {
+        // Not empty - other names for the same content
+      }
+    }
+    return true;
+  }
+
+  removeFile(filePath) {
+    try {
+      fs.rmSync(filePath, { force: true });
+      return true;
+    } catch (error) {
+      console.warn(`[CacheService] Could not delete ${filePath}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Evict least recently used media until the cache is within MAX_CACHE_SIZE and MAX_CACHE_ITEMS
+   * Pinned media is skipped, even when that leaves the cache over its limits
+   */
+  evictIfNeeded() {
+    const entries = this.entries.media;
+    let totalSize = this.getTotalSize('media');
+    if (entries.size <= MAX_CACHE_ITEMS && totalSize <= MAX_CACHE_SIZE) return;
+
+    console.log(`[CacheService] Cache holds ${entries.size} items (${(totalSize / 1024 ** 3).toFixed(2)} GB), evicting...`);
+
+    const oldestFirst = Array.from(entries.entries()).sort((a, b) => a[1].lastAccessed - b[1].lastAccessed);
+    for (const [key, entry] of oldestFirst) {
+      if (entries.size <= MAX_CACHE_ITEMS && totalSize <= MAX_CACHE_SIZE) break;
+      if (entry.pinned) continue;
+      if (this.removeEntry('media', key)) {
+        totalSize -= entry.size || 0;
+        console.log(`[CacheService] Evicted ${entry.fileName}`);
+      }
+    }
+  }
+
+  /**
+   * Delete every unpinned item of a kind
+   * @returns {Object} { success, deletedFiles, keptPinned }
+   */
+  clear(kind) {
+    let deletedFiles = 0;
+    let keptPinned = 0;
+    for (const [key, entry] of Array.from(this.entries[kind].entries())) {
+      if (entry.pinned) {
+        keptPinned++;
+      } else if (this.removeEntry(kind, key)) {
+        deletedFiles++;
+      }
+    }
+    this.saveIndexNow();
+
+    console.log(`[CacheService] Cleared ${kind} cache: ${deletedFiles} files deleted, ${keptPinned} pinned kept`);
+    return { success: true, deletedFiles, keptPinned };
+  }
+
+  // ============================================================================
+  // PINNING
+  // ============================================================================
+
+  /**
+   * Pin or unpin cached media
+   * Pinned files are referenced by editing projects, so they're never evicted or cleared
+   * @param {Array<string>} ids - Media ids
+   * @param {boolean} pinned - Pin or unpin
+   * @param {string} reason - 'user', 'drag', 'premiere' or 'download'
+   * @returns {number} Number of cached items changed
+   */
+  setPinned(ids, pinned, reason = 'user') {
+    let changed = 0;
+    ids.forEach(id => {
+      const entry = this.entries.media.get(String(id));
+      if (entry && this.applyPin(entry, pinned, reason)) {
+        changed++;
+      }
+    });
+
+    if (changed > 0) {
+      console.log(`[CacheService] ${pinned ? 'Pinned' : 'Unpinned'} ${changed} item(s) (${reason})`);
+      this.saveIndexNow();
+    }
+    return changed;
+  }
+
+  /**
+   * Pin the cached media behind local file paths (paths outside the cache are ignored)
+   * @param {Array<string>} filePaths - Dragged or imported files
+   * @param {string} reason - 'drag' or 'premiere'
+   */
+  pinPaths(filePaths, reason) {
+    const relativePaths = new Set(filePaths.map(filePath => path.relative(this.cachePath, filePath)));
+    const ids = Array.from(this.entries.media.entries())
+      .filter(([, entry]) => relativePaths.has(entry.relativePath))
+      .map(([key]) => key);
+    return this.setPinned(ids, true, reason);
+  }
+
+  applyPin(entry, pinned, reason) {
+    if (Boolean(entry.pinned) === pinned) return false;
+
+    entry.pinned = pinned;
+    entry.pinReason = pinned ? reason : null;
+    entry.pinnedAt = pinned ? Date.now() : null;
+    return true;
+  }
+
+  /**
+   * Pinned media, most recently pinned first
+   * @returns {Array<Object>} { id, fileName, filePath, size, type, pinReason, pinnedAt }
+   */
+  getPinned() {
+    return Array.from(this.entries.media.entries())
+      .filter(([, entry]) => entry.pinned)
+      .map(([id, entry]) => ({
+        id,
+        fileName: entry.fileName,
+        filePath: path.join(this.cachePath, entry.relativePath),
+        size: entry.size || 0,
+        type: entry.type,
+        pinReason: entry.pinReason,
+        pinnedAt: entry.pinnedAt
+      }))
+      .sort((a, b) => b.pinnedAt - a.pinnedAt);
+  }
+
+  // ============================================================================
+  // STATS
+  // ============================================================================
+
+  /**
+   * Bytes on disk for a kind (content shared by several entries counts once)
+   * @param {string} kind - 'media' or 'thumbnail'
+   * @param {boolean|null} pinned - Only count pinned (true) or evictable (false) files
+   */
+  getTotalSize(kind, pinned = null) {
+    const files = new Map(); // relativePath -> { size, pinned }
+    this.entries[kind].forEach(entry => {
+      const file = files.get(entry.relativePath) || { size: entry.size || 0, pinned: false };
+      file.pinned = file.pinned || Boolean(entry.pinned);
+      files.set(entry.relativePath, file);
+    });
+    return Array.from(files.values())
+      .filter(file => pinned === null || file.pinned === pinned)
+      .reduce((total, file) => total + file.size, 0);
+  }
+
+  getStats() {
+    const totalSize = this.getTotalSize('media');
+    const pinnedSize = this.getTotalSize('media', true);
+    const evictableSize = totalSize - pinnedSize;
+    const thumbnailSize = this.getTotalSize('thumbnail');
+
+    return {
+      itemCount: this.entries.media.size,
+      totalSize,
+      totalSizeMB: (totalSize / 1024 / 1024).toFixed(2),
+      pinnedCount: Array.from(this.entries.media.values()).filter(entry => entry.pinned).length,
+      pinnedSize,
+      pinnedSizeMB: (pinnedSize / 1024 / 1024).toFixed(2),
+      evictableSize,
+      evictableSizeMB: (evictableSize / 1024 / 1024).toFixed(2),
+      maxItems: MAX_CACHE_ITEMS,
+      maxSize: MAX_CACHE_SIZE,
+      thumbnailCount: this.entries.thumbnail.size,
+      thumbnailSize,
+      thumbnailSizeMB: (thumbnailSize / 1024 / 1024).toFixed(2)
+    };
+  }
+
+  getSize() {
+    const bytes = this.getTotalSize('media');
+    const gb = (bytes / (1024 ** 3)).toFixed(2);
+    const mb = (bytes / (1024 ** 2)).toFixed(2);
+    return {
+      bytes,
+      mb: parseFloat(mb),
+      gb: parseFloat(gb),
+      formatted: bytes > 1024 ** 3 ? `${gb} GB` : `${mb} MB`
+    };
+  }
+
+  // ============================================================================
+  // IPC
+  // ============================================================================
+
+  /**
+   * Register the cache:* and file:download handlers
+   * @param {Object} ipcMain - Electron ipcMain
+   */
+  setupHandlers(ipcMain) {
+    ipcMain.handle('cache:get-size', () => this.getSize());
+
+    ipcMain.handle('cache:clear', () => {
+      try {
+        return this.clear('media');
+      } catch (error) {
+        console.error('[CacheService] Clear cache error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('cache:is-cached', (event, { fileName }) => {
+      const filePath = this.findByFileName(fileName);
+      return { cached: filePath !== null, filePath };
+    });
+
+    // PERFORMANCE FIX: Batch check multiple files at once (reduces IPC overhead)
+    ipcMain.handle('cache:batch-is-cached', (event, fileNames) => {
+      if (!Array.isArray(fileNames)) {
+        console.error('[CacheService] batch-is-cached expects array, got:', typeof fileNames);
+        return [];
+      }
+      return fileNames.map(fileName => {
+        const filePath = this.findByFileName(fileName);
+        return { fileName, cached: filePath !== null, filePath };
+      });
+    });
+
+    ipcMain.handle('cache:open-folder', async () => {
+      try {
+        this.ensureFolders();
+        const result = await shell.openPath(this.cachePath);
+        if (result) {
+          // result is an error string if it failed
+          console.error('[CacheService] Failed to open cache folder:', result);
+          return { success: false, error: result };
+        }
+        return { success: true, path: this.cachePath };
+      } catch (error) {
+        console.error('[CacheService] Error opening cache folder:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('cache:get-file-path', (event, mediaId) => {
+      try {
+        const filePath = this.getCachedPath('media', mediaId);
+        const entry = this.entries.media.get(String(mediaId));
+        return { success: true, cached: filePath !== null, filePath, pinned: Boolean(filePath && entry.pinned) };
+      } catch (error) {
+        console.error('[CacheService] Error getting file path:', error);
+        return { success: false, cached: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('cache:preload', async (event, items) => {
+      try {
+        return { success: true, ...(await this.preload('media', items)) };
+      } catch (error) {
+        console.error('[CacheService] Error preloading:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('cache:get-stats', () => {
+      try {
+        return { success: true, ...this.getStats() };
+      } catch (error) {
+        console.error('[CacheService] Error getting stats:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('cache:set-pinned', (event, { mediaIds, pinned }) => {
+      try {
+        const changed = this.setPinned(Array.isArray(mediaIds) ? mediaIds : [mediaIds], Boolean(pinned));
+        return { success: true, changed };
+      } catch (error) {
+        console.error('[CacheService] Error pinning:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('cache:get-pinned', () => {
+      try {
+        return { success: true, items: this.getPinned() };
+      } catch (error) {
+        console.error('[CacheService] Error getting pinned items:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('cache:get-thumbnail-path', (event, mediaId) => {
+      try {
+        const filePath = this.getCachedPath('thumbnail', mediaId);
+        return { success: true, cached: filePath !== null, filePath };
+      } catch (error) {
+        console.error('[CacheService] Error getting thumbnail path:', error);
+        return { success: false, cached: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('cache:preload-thumbnails', async (event, items) => {
+      try {
+        const thumbnails = (items || []).map(item => ({ id: item.id, url: item.thumbnailUrl }));
+        return { success: true, ...(await this.preload('thumbnail', thumbnails)) };
+      } catch (error) {
+        console.error('[CacheService] Error preloading thumbnails:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('cache:clear-thumbnails', () => {
+      try {
+        return this.clear('thumbnail');
+      } catch (error) {
+        console.error('[CacheService] Error clearing thumbnails:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Download a file into the cache (id optional) - rejects when the download fails
+    // The user asked for the file, so it's pinned rather than left to eviction
+    ipcMain.handle('file:download', async (event, { url, fileName, id, type }) => {
+      const onProgress = DownloadEngine.sendProgressTo(event.sender, { url, fileName });
+      const { filePath } = await this.ensureCached('media', { id, url, fileName, type }, onProgress, 'download');
+      return { success: true, filePath };
+    });
+
+    console.log('[CacheService] IPC handlers registered');
+    console.log('[CacheService] Cache directory:', this.cachePath);
+  }
+}
+
+module.exports = CacheService;
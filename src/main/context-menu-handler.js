@@ -4,13 +4,19 @@
 const { Menu, clipboard, nativeImage, shell, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const https = require('https');
-const http = require('http');
+const DownloadEngine = require('./download-engine');
 
 class ContextMenuHandler {
-  constructor(mainWindow, store) {
+  /**
+   * @param {BrowserWindow} mainWindow
+   * @param {Object} store - electron-store instance
+   * @param {DownloadManager} downloadManager - Saves the user asked for are queued in the download manager
+   */
+  constructor(mainWindow, store, downloadManager) {
     this.mainWindow = mainWindow;
     this.store = store;
+    this.downloadManager = downloadManager;
+    this.downloadEngine = new DownloadEngine();
   }
 
   /**
@@ -391,20 +397,12 @@ class ContextMenuHandler {
       }
 
       // Make filename unique if exists
-      let savePath = path.join(downloadFolder, fileName);
-      let counter = 1;
-      const ext = path.extname(fileName);
-      const base = path.basename(fileName, ext);
-
-      while (fs.existsSync(savePath)) {
-        savePath = path.join(downloadFolder, `${base} (${counter})${ext}`);
-        counter++;
-      }
+      const savePath = this.downloadManager.getUniquePath(downloadFolder, fileName);
 
       console.log('[Context Menu] Saving to:', savePath);
 
       // Download the file
-      await this.downloadFileToPath(url, savePath);
+      await this.downloadFileToPath(url, savePath, true);
 
       // Show notification
       this.mainWindow.webContents.send('download-complete', {
@@ -417,6 +415,15 @@ class ContextMenuHandler {
       return { success: true, path: savePath };
 
     } catch (error) {
+      if (error.code === 'ABORTED') {
+        console.log('[Context Menu] Download canceled');
+        return { success: false, canceled: true };
+      }
+      if (error.code === 'PAUSED') {
+        console.log('[Context Menu] Download paused, it continues from Downloads when resumed');
+        return { success: false, paused: true };
+      }
+
       console.error('[Context Menu] Download failed:', error);
 
       this.mainWindow.webContents.send('download-failed', {
@@ -429,46 +436,20 @@ class ContextMenuHandler {
   }
 
   /**
-   * Download file to specific path
+   * Download file to specific path (resumable)
+   * Saves the user sees go through the download manager queue and send progress events
    */
-  downloadFileToPath(url, outputPath) {
-    return new Promise((resolve, reject) => {
-      const file = fs.createWriteStream(outputPath);
-      const protocol = url.startsWith('https') ? https : http;
-
-      const request = protocol.get(url, (response) => {
-        // Handle redirects
-        if (response.statusCode === 301 || response.statusCode === 302) {
-          const redirectUrl = response.headers.location;
-          file.close();
-          fs.unlinkSync(outputPath);
-          return this.downloadFileToPath(redirectUrl, outputPath).then(resolve).catch(reject);
-        }
-
-        if (response.statusCode === 200) {
-          response.pipe(file);
-          file.on('finish', () => {
-            file.close();
-            resolve();
-          });
-        } else {
-          file.close();
-          fs.unlinkSync(outputPath);
-          reject(new Error(`HTTP ${response.statusCode}`));
-        }
-      });
-
-      request.on('error', (err) => {
-        file.close();
-        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-        reject(err);
-      });
+  async downloadFileToPath(url, outputPath, reportProgress = false) {
+    if (!reportProgress) {
+      await this.downloadEngine.download(url, outputPath);
+      return;
+    }
 
-      file.on('error', (err) => {
-        file.close();
-        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-        reject(err);
-      });
+    await this.downloadManager.enqueue({
+      url,
+      filePath: outputPath,
+      source: 'context-menu',
+      onProgress: DownloadEngine.sendProgressTo(this.mainWindow.webContents, { url, fileName: path.basename(outputPath) })
     });
   }
 
@@ -0,0 +1,184 @@
+// Kolbo Studio - Conversion Preset Store
+// User-defined Format Factory presets, persisted and shareable as JSON files
+
+const Store = require('electron-store');
+const fs = require('fs');
+
+// Identifies preset files exported by Kolbo Studio
+const EXPORT_FORMAT = 'kolbo-format-factory-presets';
+const EXPORT_VERSION = 1;
+
+// Output types a preset can target (matches FFmpegHandler's FORMAT_MAPPINGS)
+const OUTPUT_TYPES = ['video', 'audio', 'image', 'sequence', 'animation', 'contactsheet'];
+
+class ConversionPresetStore {
+  constructor() {
+    this.store = new Store({ name: 'format-factory-presets' });
+  }
+
+  /**
+   * Get all saved presets, oldest first
+   * @returns {Array} Presets
+   */
+  getPresets() {
+    return this.store.get('presets', []);
+  }
+
+  /**
+   * Create or update a preset
+   * A preset with the same id (or, for new presets, the same name) is replaced
+   * @param {Object} preset - { id?, name, outputType, outputFormat, basePreset, settings, trim }
+   * @returns {Object} The saved preset
+   */
+  savePreset(preset) {
+    const sanitized = this.sanitizePreset(preset);
+    const presets = this.getPresets();
+    const now = new Date().toISOString();
+
+    const index = presets.findIndex(p =>
+      (preset.id && p.id === preset.id) || p.name.toLowerCase() === sanitized.name.toLowerCase()
+    );
+
+    if (index !== -1) {
+      sanitized.id = presets[index].id;
+      sanitized.createdAt = presets[index].createdAt;
+      sanitized.updatedAt = now;
+      presets[index] = sanitized;
+    } else {
+      sanitized.id = `custom-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+      sanitized.createdAt = now;
+      sanitized.updatedAt = now;
+      presets.push(sanitized);
+    }
+
+    this.store.set('presets', presets);
+    console.log('[Preset Store] Saved preset:', sanitized.name);
+    return sanitized;
+  }
+
+  /**
+   * Delete a preset
+   * @param {string} presetId - Preset ID
+   * @returns {boolean} True if the preset existed
+   */
+  deletePreset(presetId) {
+    const presets = this.getPresets();
+    const remaining = presets.filter(p => p.id !== presetId);
+    if (remaining.length === presets.length) {
+      return false;
+    }
+
+    this.store.set('presets', remaining);
+    console.log('[Preset Store] Deleted preset:', presetId);
+    return true;
+  }
+
+  /**
+   * Write presets to a JSON file
+   * @param {string} filePath - Destination file
+   * @param {Array} presetIds - Presets to export (all when empty)
+   * @returns {number} Number of exported presets
+   */
+  exportPresets(filePath, presetIds = null) {
+    const presets = this.getPresets().filter(p => !presetIds || presetIds.length === 0 || presetIds.includes(p.id));
+
+    const data = {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      presets: presets.map(({ id, createdAt, updatedAt, ...preset }) => preset)
+    };
+
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+    console.log(`[Preset Store] Exported ${presets.length} preset(s) to:`, filePath);
+    return presets.length;
+  }
+
+  /**
+   * Import presets from a JSON file exported by exportPresets
+   * Presets with the same name as an existing one replace it, so a team can re-import updated specs
+   * A watermark logo that doesn't exist on this machine is dropped, keeping the rest of the preset
+   * @param {string} filePath - File to import
+   * @returns {Object} { imported, skipped, missingLogos }
+   */
+  importPresets(filePath) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read preset file: ${error.message}`);
+    }
+
+    if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.presets)) {
+      throw new Error('Not a Kolbo Format Factory preset file');
+    }
+    if (data.version > EXPORT_VERSION) {
+      throw new Error('Preset file was created by a newer version of Kolbo Studio');
+    }
+
+    let imported = 0;
+    let skipped = 0;
+    let missingLogos = 0;
+    data.presets.forEach(preset => {
+      try {
+        const watermark = preset && preset.settings && preset.settings.watermark;
+        if (watermark && watermark.imagePath && !fs.existsSync(watermark.imagePath)) {
+          console.warn('[Preset Store] Watermark logo not found, dropping it from preset:', watermark.imagePath);
+          preset = { ...preset, settings: { ...preset.settings, watermark: null } };
+          missingLogos++;
+        }
+
+        // Imported presets never keep ids from another machine
+        this.savePreset({ ...preset, id: null });
+        imported++;
+      } catch (error) {
+        console.warn('[Preset Store] Skipping invalid preset:', error.message);
+        skipped++;
+      }
+    });
+
+    console.log(`[Preset Store] Imported ${imported} preset(s), skipped ${skipped}, ${missingLogos} without their watermark logo`);
+    return { imported, skipped, missingLogos };
+  }
+
+  /**
+   * Validate a preset and keep only known fields
+   * @param {Object} preset - Preset from the renderer or an imported file
+   * @returns {Object} Sanitized preset
+   */
+  sanitizePreset(preset) {
+    if (!preset || typeof preset !== 'object') {
+      throw new Error('Invalid preset');
+    }
+
+    const name = typeof preset.name === 'string' ? preset.name.trim() : '';
+    if (!name) {
+      throw new Error('Preset name is required');
+    }
+    if (!OUTPUT_TYPES.includes(preset.outputType)) {
+      throw new Error(`Unknown output type: ${preset.outputType}`);
+    }
+    if (typeof preset.outputFormat !== 'string' || !preset.outputFormat) {
+      throw new Error('Preset output format is required');
+    }
+    if (!preset.settings || typeof preset.settings !== 'object') {
+      throw new Error('Preset settings are required');
+    }
+
+    const trim = preset.trim && Number.isFinite(preset.trim.start) && Number.isFinite(preset.trim.end) &&
+      preset.trim.end > preset.trim.start && preset.trim.start >= 0
+      ? { start: preset.trim.start, end: preset.trim.end }
+      : null;
+
+    return {
+      name: name.slice(0, 80),
+      outputType: preset.outputType,
+      outputFormat: preset.outputFormat.toLowerCase(),
+      basePreset: typeof preset.basePreset === 'string' ? preset.basePreset : 'source',
+      settings: JSON.parse(JSON.stringify(preset.settings)),
+      trim
+    };
+  }
+}
+
+module.exports = ConversionPresetStore;
@@ -0,0 +1,179 @@
+// Kolbo Studio - Conversion Queue Store
+// Persists the Format Factory queue so pending jobs survive app restarts
+
+const Store = require('electron-store');
+const fs = require('fs');
+
+// Job fields that are safe to persist (the renderer's File object is not serializable)
+const PERSISTED_FIELDS = [
+  'id',
+  'fileName',
+  'filePath',
+  'fileSize',
+  'fileType',
+  'outputFormat',
+  'outputType',
+  'preset',
+  'status',
+  'progress',
+  'settings',
+  'trimStart',
+  'trimEnd',
+  'hasTrim',
+  'segments',
+  'crossfade',
+  'merge',
+  'reframe',
+  'sequence',
+  'outputFolder',
+  'watchId',
+  'outputPath',
+  'error'
+];
+
+/**
+ * Copy the persisted fields of a job
+ * @param {Object} job - Job from the renderer or a watch folder
+ * @returns {Object} Serializable job
+ */
+function pickPersistedFields(job) {
+  const persisted = {};
+  PERSISTED_FIELDS.forEach(field => {
+    if (job[field] !== undefined) {
+      persisted[field] = job[field];
+    }
+  });
+  return persisted;
+}
+
+class ConversionQueueStore {
+  constructor() {
+    this.store = new Store({ name: 'format-factory-queue' });
+  }
+
+  /**
+   * Get all persisted jobs in queue order
+   * @returns {Array} Persisted jobs
+   */
+  getJobs() {
+    return this.store.get('jobs', []);
+  }
+
+  /**
+   * Replace the persisted queue with the renderer's current queue
+   * Keeps main-process bookkeeping (partial output paths) for jobs that are still running
+   * @param {Array} jobs - Jobs from the renderer
+   */
+  saveJobs(jobs) {
+    const existing = new Map(this.getJobs().map(job => [job.id, job]));
+
+    const sanitized = (jobs || [])
+      .filter(job => job && job.id && job.filePath)
+      .map(job => {
+        const persisted = pickPersistedFields(job);
+
+        const previous = existing.get(job.id);
+        if (previous && previous.partialOutputPath && persisted.status === 'processing') {
+          persisted.partialOutputPath = previous.partialOutputPath;
+        }
+
+        return persisted;
+      });
+
+    this.store.set('jobs', sanitized);
+  }
+
+  /**
+   * Append a job queued by the main process (watch folders) before the renderer has seen it
+   * @param {Object} job - Job configuration
+   */
+  addJob(job) {
+    const jobs = this.getJobs().filter(j => j.id !== job.id);
+    jobs.push(pickPersistedFields(job));
+    this.store.set('jobs', jobs);
+  }
+
+  /**
+   * Update a single persisted job
+   * @param {string} jobId - Job ID
+   * @param {Object} changes - Fields to merge into the job
+   */
+  updateJob(jobId, changes) {
+    const jobs = this.getJobs();
+    const job = jobs.find(j => j.id === jobId);
+    if (!job) {
+      return;
+    }
+
+    Object.assign(job, changes);
+    this.store.set('jobs', jobs);
+  }
+
+  /**
+   * Record that FFmpeg started writing a job's output
+   * @param {string} jobId - Job ID
+   * @param {string} outputPath - File FFmpeg is writing to
+   */
+  markProcessing(jobId, outputPath) {
+    this.updateJob(jobId, { status: 'processing', partialOutputPath: outputPath });
+  }
+
+  /**
+   * Record a finished job ('completed' or 'failed')
+   * @param {string} jobId - Job ID
+   * @param {string} status - Final status
+   * @param {Object} details - outputPath on success, error on failure
+   */
+  markFinished(jobId, status, details = {}) {
+    this.updateJob(jobId, {
+      status,
+      progress: status === 'completed' ? 100 : 0,
+      partialOutputPath: undefined,
+      ...details
+    });
+  }
+
+  /**
+   * Re-queue jobs that were interrupted mid-conversion (app quit or crash)
+   * and remove the incomplete files they left behind
+   * @returns {number} Number of recovered jobs
+   */
+  recoverInterruptedJobs() {
+    const jobs = this.getJobs();
+    let recovered = 0;
+
+    jobs.forEach(job => {
+      // 'queued' jobs were waiting for a free worker when the app quit
+      if (job.status !== 'processing' && job.status !== 'queued') {
+        return;
+      }
+
+      if (job.partialOutputPath) {
+        try {
+          if (fs.existsSync(job.partialOutputPath)) {
+            // Image sequence exports leave a folder of frames
+            fs.rmSync(job.partialOutputPath, { recursive: true, force: true });
+            console.log('[Queue Store] Removed partial output:', job.partialOutputPath);
+          }
+        } catch (error) {
+          console.error('[Queue Store] Failed to remove partial output:', error.message);
+        }
+      }
+
+      job.status = 'pending';
+      job.progress = 0;
+      delete job.partialOutputPath;
+      delete job.outputPath;
+      recovered++;
+    });
+
+    if (recovered > 0) {
+      this.store.set('jobs', jobs);
+      console.log(`[Queue Store] Re-queued ${recovered} interrupted job(s)`);
+    }
+
+    return recovered;
+  }
+}
+
+module.exports = ConversionQueueStore;
@@ -0,0 +1,274 @@
+// Kolbo Studio - Conversion Scheduler
+// Runs Format Factory jobs through FFmpegHandler with a bounded number of parallel workers
+
+const os = require('os');
+
+// Upper bound for the concurrency setting - each FFmpeg process is already multi-threaded
+const MAX_CONCURRENCY = 16;
+
+class ConversionScheduler {
+  constructor(ffmpegHandler, mainWindow, store) {
+    this.ffmpegHandler = ffmpegHandler;
+    this.mainWindow = mainWindow;
+    this.store = store;
+    this.pending = []; // { job, priority, order }
+    this.running = new Map(); // jobId -> progress (0-100)
+    this.paused = false;
+    this.orderCounter = 0;
+
+    // Aggregate counters for the current batch (reset when the queue drains)
+    this.batch = { total: 0, completed: 0, failed: 0 };
+
+    this.concurrency = this.store.get('ff_concurrency') || ConversionScheduler.getDefaultConcurrency();
+
+    // Called as (job, outputPath, error) when a job finishes (used by watch folders)
+    this.onJobFinished = null;
+
+    // Per-job progress feeds the aggregate progress event
+    this.ffmpegHandler.onProgress = (jobId, progress) => {
+      if (this.running.has(jobId)) {
+        this.running.set(jobId, progress);
+        this.sendQueueProgress();
+      }
+    };
+  }
+
+  /**
+   * Default worker count based on CPU cores
+   * FFmpeg encoders use several threads each, so run roughly one job per 4 cores
+   * @returns {number} Default concurrency
+   */
+  static getDefaultConcurrency() {
+    const cores = os.cpus().length || 1;
+    return Math.max(1, Math.min(4, Math.floor(cores / 4)));
+  }
+
+  /**
+   * Add jobs to the queue and start as many as the concurrency limit allows
+   * @param {Array} jobs - Serializable job objects (may include a numeric priority)
+   * @returns {number} Number of jobs added
+   */
+  enqueue(jobs) {
+    let added = 0;
+
+    (jobs || []).forEach(job => {
+      if (!job || !job.id) return;
+      if (this.running.has(job.id) || this.pending.some(entry => entry.job.id === job.id)) {
+        console.log('[Scheduler] Job already queued:', job.id);
+        return;
+      }
+
+      this.pending.push({ job, priority: job.priority || 0, order: this.orderCounter++ });
+      this.batch.total++;
+      added++;
+    });
+
+    console.log(`[Scheduler] Enqueued ${added} job(s), ${this.pending.length} pending, ${this.running.size} running`);
+
+    this.sendQueueProgress();
+    this.dispatch();
+    return added;
+  }
+
+  /**
+   * Start pending jobs until the worker limit is reached
+   * Higher priority first, then in the order they were queued
+   */
+  dispatch() {
+    while (!this.paused && this.running.size < this.concurrency && this.pending.length > 0) {
+      this.pending.sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
+      const { job } = this.pending.shift();
+      this.runJob(job);
+    }
+
+    if (this.running.size === 0 && this.pending.length === 0 && this.batch.total > 0) {
+      console.log('[Scheduler] Queue drained:', this.batch);
+      this.sendQueueProgress();
+      this.batch = { total: 0, completed: 0, failed: 0 };
+    }
+  }
+
+  /**
+   * Run a single job and free its worker slot when done
+   * @param {Object} job - Job configuration
+   */
+  async runJob(job) {
+    this.running.set(job.id, 0);
+    console.log(`[Scheduler] Starting job ${job.id} (${this.running.size}/${this.concurrency} workers)`);
+
+    let outputPath = null;
+    let failure = null;
+    let requeued = false;
+    try {
+      outputPath = await this.ffmpegHandler.convertFile(job);
+      this.batch.completed++;
+    } catch (error) {
+      if (error.requeued) {
+        // Stopped by pause on Windows - back to the front of the queue, restarted on resume
+        console.log(`[Scheduler] Job ${job.id} stopped by pause, re-queued`);
+        this.pending.push({ job, priority: job.priority || 0, order: -this.orderCounter++ });
+        requeued = true;
+      } else {
+        // FFmpegHandler already reported the error via ff:error
+        console.error(`[Scheduler] Job ${job.id} failed:`, error.message);
+        this.batch.failed++;
+        failure = error;
+      }
+    } finally {
+      if (this.onJobFinished && !requeued) {
+        this.onJobFinished(job, outputPath, failure);
+      }
+      this.running.delete(job.id);
+      this.sendQueueProgress();
+      this.dispatch();
+    }
+  }
+
+  /**
+   * Change a queued job's priority
+   * @param {string} jobId - Job ID
+   * @param {number} priority - Higher runs first
+   * @returns {boolean} True if the job was still pending
+   */
+  setPriority(jobId, priority) {
+    const entry = this.pending.find(e => e.job.id === jobId);
+    if (!entry) return false;
+
+    entry.priority = priority || 0;
+    console.log(`[Scheduler] Priority for ${jobId} set to ${entry.priority}`);
+    return true;
+  }
+
+  /**
+   * Pause the whole queue
+   * Running FFmpeg processes are suspended; Windows can't suspend a process, so there running
+   * jobs are stopped and re-queued, and start over when the queue resumes
+   */
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+
+    this.running.forEach((progress, jobId) => {
+      if (process.platform === 'win32') {
+        this.ffmpegHandler.stopForRestart(jobId);
+      } else {
+        this.ffmpegHandler.signalJob(jobId, 'SIGSTOP');
+      }
+    });
+
+    console.log('[Scheduler] Queue paused');
+    this.sendQueueProgress();
+  }
+
+  /**
+   * Resume a paused queue
+   */
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+
+    if (process.platform !== 'win32') {
+      this.running.forEach((progress, jobId) => {
+        this.ffmpegHandler.signalJob(jobId, 'SIGCONT');
+      });
+    }
+
+    console.log('[Scheduler] Queue resumed');
+    this.sendQueueProgress();
+    this.dispatch();
+  }
+
+  /**
+   * Cancel a single job (queued or running)
+   * @param {string} jobId - Job ID
+   * @returns {boolean} True if the job was found
+   */
+  cancelJob(jobId) {
+    const index = this.pending.findIndex(e => e.job.id === jobId);
+    if (index !== -1) {
+      this.pending.splice(index, 1);
+      this.batch.total--;
+      this.sendQueueProgress();
+      this.dispatch();
+      return true;
+    }
+
+    return this.ffmpegHandler.cancelJob(jobId);
+  }
+
+  /**
+   * Drop all queued jobs and stop running ones
+   */
+  cancelAll() {
+    console.log(`[Scheduler] Cancelling ${this.pending.length} queued and ${this.running.size} running job(s)`);
+    this.pending = [];
+    this.paused = false;
+
+    this.ffmpegHandler.cancelAll();
+    this.sendQueueProgress();
+  }
+
+  /**
+   * Stop everything because the app is quitting
+   * Queued and running jobs stay in the persisted queue and are restored on next launch
+   */
+  shutdown() {
+    this.pending = [];
+    this.ffmpegHandler.shutdown();
+  }
+
+  /**
+   * Change the number of parallel workers
+   * @param {number} concurrency - Worker count (null restores the CPU-based default)
+   * @returns {number} Effective concurrency
+   */
+  setConcurrency(concurrency) {
+    if (concurrency) {
+      this.concurrency = Math.max(1, Math.min(MAX_CONCURRENCY, parseInt(concurrency, 10) || 1));
+      this.store.set('ff_concurrency', this.concurrency);
+    } else {
+      this.concurrency = ConversionScheduler.getDefaultConcurrency();
+      this.store.delete('ff_concurrency');
+    }
+
+    console.log('[Scheduler] Concurrency set to:', this.concurrency);
+    this.dispatch();
+    return this.concurrency;
+  }
+
+  /**
+   * Snapshot of the queue for the renderer
+   * @returns {Object} Queue state with aggregate progress (0-100)
+   */
+  getState() {
+    const { total, completed, failed } = this.batch;
+    let runningProgress = 0;
+    this.running.forEach(progress => { runningProgress += progress; });
+
+    const progress = total > 0
+      ? ((completed + failed) * 100 + runningProgress) / total
+      : 0;
+
+    return {
+      total,
+      completed,
+      failed,
+      running: this.running.size,
+      pending: this.pending.length,
+      paused: this.paused,
+      concurrency: this.concurrency,
+      progress: Math.min(Math.max(progress, 0), 100)
+    };
+  }
+
+  /**
+   * Send aggregate progress to the renderer
+   */
+  sendQueueProgress() {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send('ff:queue-progress', this.getState());
+    }
+  }
+}
+
+module.exports = ConversionScheduler;
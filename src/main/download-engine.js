@@ -0,0 +1,397 @@
+// Kolbo Studio - Download Engine
+// Resumable HTTP downloads shared by the media cache, batch downloads and context menu saves:
+// data goes to a .part file, interrupted downloads continue with Range requests (also after a restart),
+// failures are retried with exponential backoff and progress reports speed and ETA
+
+const fs = require('fs');
+const https = require('https');
+const http = require('http');
+
+const REDIRECT_CODES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 5;
+
+// HTTP statuses worth retrying - any other error status fails right away
+const RETRYABLE_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+
+const DEFAULT_OPTIONS = {
+  retries: 6, // Consecutive failed attempts allowed (an attempt that received data resets the count)
+  initialRetryDelay: 1000,
+  maxRetryDelay: 30000,
+  idleTimeout: 60000, // No data for this long counts as a dropped connection
+  progressInterval: 500
+};
+
+// Speed is averaged over the last few seconds so the ETA reacts to a slowdown
+const SPEED_WINDOW = 5000;
+
+class DownloadEngine {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Download a URL to a file, continuing a partial download of the same URL if one exists
+   * @param {string} url - File URL
+   * @param {string} outputPath - Final path (only written once the download is complete)
+   * @param {Object} options
+   * @param {string} options.partPath - Partial file (defaults to outputPath + '.part')
+   * @param {Function} options.onProgress - Called with { status, receivedBytes, totalBytes, percent, bytesPerSecond, etaSeconds }
+   * @param {AbortSignal} options.signal - Stops the download and keeps the partial file for a later resume
+   * @returns {Promise<Object>} { filePath, size, resumed }
+   */
+  async download(url, outputPath, { partPath = `${outputPath}.part`, onProgress = null, signal = null } = {}) {
+    const metaPath = `${partPath}.json`;
+    const progress = this.createProgressTracker(onProgress);
+    let failures = 0;
+    let resumed = false;
+
+    while (true) {
+      this.throwIfAborted(signal);
+
+      const startBytes = this.getResumeOffset(partPath, metaPath, url);
+      if (startBytes > 0) {
+        console.log(`[DownloadEngine] Resuming at ${(startBytes / 1024 / 1024).toFixed(2)} MB: ${outputPath}`);
+        resumed = true;
+      }
+
+      try {
+        const { size } = await this.attempt(url, partPath, metaPath, startBytes, progress, signal);
+
+        fs.renameSync(partPath, outputPath);
+        this.removeFile(metaPath);
+        progress.report('complete', size);
+        return { filePath: outputPath, size, resumed };
+      } catch (error) {
+        if (error.code === 'ABORTED') {
+          throw error;
+        }
+        if (!error.retryable) {
+          // Resuming can't fix this (missing file, disk full) - start clean next time
+          this.removeFile(partPath);
+          this.removeFile(metaPath);
+          throw error;
+        }
+
+        // A connection that delivered data before dropping starts a fresh retry count
+        failures = this.getFileSize(partPath) > startBytes ? 1 : failures + 1;
+        if (failures > this.options.retries) {
+          console.error(`[DownloadEngine] Giving up after ${this.options.retries} retries: ${error.message}`);
+          throw error;
+        }
+
+        const delay = Math.min(this.options.initialRetryDelay * 2 ** (failures - 1), this.options.maxRetryDelay) * (0.8 + Math.random() * 0.4);
+        console.warn(`[DownloadEngine] ${error.message} - retry ${failures}/${this.options.retries} in ${(delay / 1000).toFixed(1)}s`);
+        progress.report('retrying', this.getFileSize(partPath));
+        await this.wait(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * One request: follows redirects, appends to the part file and resolves once the file is closed
+   * Rejects with error.retryable set for failures a new attempt may fix
+   */
+  attempt(url, partPath, metaPath, startBytes, progress, signal) {
+    return new Promise((resolve, reject) => {
+      const meta = startBytes > 0 ? this.readMeta(metaPath) : null;
+      let request = null;
+      let response = null;
+      let file = null;
+      let failure = null; // Set when the response fails while the part file is still open
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        if (signal) signal.removeEventListener('abort', onAbort);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      // Once data is being written, errors close the file first so the next attempt sees its final size
+      const fail = (error) => {
+        if (!file) {
+          finish(error);
+          return;
+        }
+        if (failure) return;
+        failure = error;
+        response.unpipe(file);
+        response.destroy();
+        file.end();
+      };
+
+      const onAbort = () => {
+        const error = this.createError('Download canceled', 'ABORTED');
+        if (request) request.destroy();
+        fail(error);
+      };
+      if (signal) signal.addEventListener('abort', onAbort);
+
+      const get = (currentUrl, redirects) => {
+        const headers = {};
+        if (startBytes > 0) {
+          headers.Range = `bytes=${startBytes}-`;
+          // Without a match the server sends the whole (changed) file instead of the range
+          const validator = meta.etag || meta.lastModified;
+          if (validator) headers['If-Range'] = validator;
+        }
+
+        const protocol = currentUrl.startsWith('https') ? https : http;
+        request = protocol.get(currentUrl, { headers }, (res) => {
+          response = res;
+          const { statusCode } = response;
+
+          if (REDIRECT_CODES.includes(statusCode) && response.headers.location) {
+            response.resume();
+            if (redirects >= MAX_REDIRECTS) {
+              finish(this.createError('Too many redirects'));
+              return;
+            }
+            get(new URL(response.headers.location, currentUrl).toString(), redirects + 1);
+            return;
+          }
+
+          if (statusCode === 416 && startBytes > 0) {
+            // Range starts past the end: the part file is either already complete or stale
+            response.resume();
+            if (meta.totalBytes === startBytes) {
+              finish(null, { size: startBytes });
+            } else {
+              this.removeFile(partPath);
+              finish(this.createError('Partial download no longer matches the file', null, true));
+            }
+            return;
+          }
+
+          if (statusCode !== 200 && statusCode !== 206) {
+            response.resume();
+            finish(this.createError(`HTTP ${statusCode}`, null, RETRYABLE_STATUS_CODES.includes(statusCode)));
+            return;
+          }
+
+          let offset = 0;
+          let totalBytes = null;
+          if (statusCode === 206) {
+            const range = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(response.headers['content-range'] || '');
+            totalBytes = range && range[2] !== '*' ? Number(range[2]) : null;
+            if (!range || Number(range[1]) !== startBytes || (meta && meta.totalBytes && totalBytes && totalBytes !== meta.totalBytes)) {
+              response.resume();
+              this.removeFile(partPath);
+              finish(this.createError('Server returned a different range, restarting', null, true));
+              return;
+            }
+            offset = startBytes;
+          } else {
+            const length = parseInt(response.headers['content-length'], 10);
+            totalBytes = Number.isFinite(length) ? length : null;
+          }
+
+          this.writeMeta(metaPath, {
+            url: this.getResumeKey(url),
+            etag: response.headers.etag || null,
+            lastModified: response.headers['last-modified'] || null,
+            totalBytes
+          });
+
+          let receivedBytes = offset;
+          progress.start(offset, totalBytes);
+
+          file = fs.createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' });
+          file.on('error', (error) => {
+            // Disk errors (ENOSPC, EACCES) aren't fixed by retrying
+            failure = failure || error;
+            response.destroy();
+          });
+          file.on('close', () => {
+            if (failure) {
+              finish(failure);
+            } else if (totalBytes !== null && receivedBytes !== totalBytes) {
+              finish(this.createError(`Download incomplete (${receivedBytes} of ${totalBytes} bytes)`, null, true));
+            } else {
+              finish(null, { size: receivedBytes });
+            }
+          });
+
+          response.on('data', (chunk) => {
+            receivedBytes += chunk.length;
+            progress.update(receivedBytes);
+          });
+          response.on('aborted', () => fail(this.createError('Connection lost', 'ECONNRESET', true)));
+          response.on('error', (error) => fail(this.createError(error.message, error.code, true)));
+
+          response.pipe(file);
+        });
+
+        request.on('error', (error) => {
+          fail(error.code === 'ABORTED' ? error : this.createError(error.message, error.code, true));
+        });
+        request.setTimeout(this.options.idleTimeout, () => {
+          request.destroy(this.createError('Connection timed out', 'ETIMEDOUT', true));
+        });
+      };
+
+      get(url, 0);
+    });
+  }
+
+  /**
+   * Progress callback that forwards to a renderer as 'download:progress' events
+   * @param {Object} webContents - Renderer to notify
+   * @param {Object} details - Fields identifying the download in each event (fileName, url, ...)
+   * @returns {Function} onProgress callback for download()
+   */
+  static sendProgressTo(webContents, details) {
+    return (progress) => {
+      if (!webContents.isDestroyed()) {
+        webContents.send('download:progress', { ...details, ...progress });
+      }
+    };
+  }
+
+  /**
+   * Bytes already downloaded for this URL (0 when there's nothing to resume)
+   */
+  getResumeOffset(partPath, metaPath, url) {
+    const size = this.getFileSize(partPath);
+    const meta = size > 0 ? this.readMeta(metaPath) : null;
+
+    if (meta && meta.url === this.getResumeKey(url)) {
+      return size;
+    }
+    if (size > 0) {
+      console.log('[DownloadEngine] Discarding partial download of a different file:', partPath);
+    }
+    this.removeFile(partPath);
+    this.removeFile(metaPath);
+    return 0;
+  }
+
+  /**
+   * URL without its query string (signed URLs get new signatures for the same file)
+   */
+  getResumeKey(url) {
+    return url.split('?')[0];
+  }
+
+  readMeta(metaPath) {
+    try {
+      return JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  writeMeta(metaPath, meta) {
+    try {
+      fs.writeFileSync(metaPath, JSON.stringify(meta));
+    } catch (error) {
+      console.warn('[DownloadEngine] Could not save resume info:', error.message);
+    }
+  }
+
+  getFileSize(filePath) {
+    try {
+      return fs.statSync(filePath).size;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  removeFile(filePath) {
+    try {
+      fs.rmSync(filePath, { force: true });
+    } catch (error) {
+      console.warn(`[DownloadEngine] Could not delete ${filePath}:`, error.message);
+    }
+  }
+
+  createError(message, code = null, retryable = false) {
+    const error = new Error(message);
+    if (code) error.code = code;
+    error.retryable = retryable;
+    return error;
+  }
+
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw this.createError('Download canceled', 'ABORTED');
+    }
+  }
+
+  /**
+   * Wait before a retry (cut short when the download is canceled)
+   */
+  wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.createError('Download canceled', 'ABORTED'));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Throttled progress reporting with speed averaged over SPEED_WINDOW
+   */
+  createProgressTracker(onProgress) {
+    let totalBytes = null;
+    let samples = []; // { time, bytes }
+    let lastReport = 0;
+
+    const report = (status, receivedBytes) => {
+      if (!onProgress) return;
+
+      const now = Date.now();
+      const first = samples[0];
+      const elapsed = first ? (now - first.time) / 1000 : 0;
+      const bytesPerSecond = status === 'downloading' && elapsed > 0 ? Math.round((receivedBytes - first.bytes) / elapsed) : 0;
+
+      try {
+        onProgress({
+          status,
+          receivedBytes,
+          totalBytes,
+          percent: totalBytes ? Math.min(100, Math.round((receivedBytes / totalBytes) * 100)) : null,
+          bytesPerSecond,
+          etaSeconds: totalBytes && bytesPerSecond > 0 ? Math.round((totalBytes - receivedBytes) / bytesPerSecond) : null
+        });
+      } catch (error) {
+        console.warn('[DownloadEngine] Progress callback failed:', error.message);
+      }
+    };
+
+    return {
+      start: (receivedBytes, total) => {
+        totalBytes = total;
+        samples = [{ time: Date.now(), bytes: receivedBytes }];
+        report('downloading', receivedBytes);
+      },
+      update: (receivedBytes) => {
+        const now = Date.now();
+        if (now - lastReport < this.options.progressInterval) return;
+        lastReport = now;
+
+        samples.push({ time: now, bytes: receivedBytes });
+        while (samples.length > 2 && now - samples[0].time > SPEED_WINDOW) {
+          samples.shift();
+        }
+        report('downloading', receivedBytes);
+      },
+      report
+    };
+  }
+}
+
+module.exports = DownloadEngine;
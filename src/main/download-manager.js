@@ -0,0 +1,556 @@
+// Kolbo Studio - Download Manager
+// Queue and history for every user-visible download: Media Library batch downloads, context menu saves
+// and files downloaded inside the webapp. Queued downloads run through the DownloadEngine with bounded
+// concurrency and can be paused, resumed, canceled and retried; webapp downloads are Chromium
+// DownloadItems, tracked and controlled through the same interface.
+
+const { shell, session } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const DownloadEngine = require('./download-engine');
+
+const HISTORY_KEY = 'downloadHistory';
+const MAX_HISTORY_ITEMS = 500;
+const HISTORY_SAVE_DELAY = 1000;
+
+// Queued downloads running at once (webapp downloads are managed by Chromium and not counted)
+const MAX_CONCURRENT_DOWNLOADS = 3;
+
+// Statuses a download can't leave without a user action
+const FINISHED_STATUSES = ['completed', 'failed', 'canceled'];
+
+class DownloadManager {
+  /**
+   * @param {Object} store - electron-store instance (history is kept under 'downloadHistory')
+   * @param {Object} options
+   * @param {Function} options.getWindow - Returns the window that receives 'downloads:*' events
+   * @param {Function} options.onSummaryChanged - Called with getSummary() when the active count or total progress changes
+   */
+  constructor(store, { getWindow, onSummaryChanged = null }) {
+    this.store = store;
+    this.getWindow = getWindow;
+    this.onSummaryChanged = onSummaryChanged;
+    this.engine = new DownloadEngine();
+
+    this.items = new Map(); // id -> item (persisted)
+    this.jobs = new Map(); // id -> { controller, stopReason, waiters, onProgress } for queued downloads
+    this.webappItems = new Map(); // id -> Chromium DownloadItem
+    this.savedStatuses = new Map(); // id -> status when the history was last scheduled for saving
+    this.saveTimer = null;
+
+    this.loadHistory();
+  }
+
+  // ============================================================================
+  // HISTORY
+  // ============================================================================
+
+  /**
+   * Load the history; queued downloads cut off by a quit come back paused (their .part file resumes them)
+   */
+  loadHistory() {
+    const history = this.store.get(HISTORY_KEY, []);
+
+    history.forEach(item => {
+      if (!FINISHED_STATUSES.includes(item.status)) {
+        if (item.source === 'webapp') {
+          item.status = 'failed';
+          item.error = 'Interrupted when the app closed';
+        } else {
+          item.status = 'paused';
+        }
+        item.bytesPerSecond = 0;
+        item.etaSeconds = null;
+      }
+      this.items.set(item.id, item);
+    });
+
+    console.log(`[DownloadManager] Loaded ${this.items.size} download(s) from history`);
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.saveHistoryNow(), HISTORY_SAVE_DELAY);
+  }
+
+  saveHistoryNow() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    // Newest first; the oldest finished downloads fall off the end
+    const items = Array.from(this.items.values()).sort((a, b) => b.createdAt - a.createdAt);
+    const kept = items.filter((item, index) => index < MAX_HISTORY_ITEMS || !FINISHED_STATUSES.includes(item.status));
+    items.filter(item => !kept.includes(item)).forEach(item => {
+      this.items.delete(item.id);
+      this.savedStatuses.delete(item.id);
+    });
+
+    this.store.set(HISTORY_KEY, kept);
+  }
+
+  // ============================================================================
+  // QUEUED DOWNLOADS
+  // ============================================================================
+
+  /**
+   * Add a download to the queue
+   * @param {Object} download
+   * @param {string} download.url - File URL
+   * @param {string} download.filePath - Destination (see getUniquePath)
+   * @param {string} download.source - 'library' or 'context-menu'
+   * @param {Function} download.onProgress - Extra progress callback (see DownloadEngine.download)
+   * @returns {Promise<Object>} Resolves with the item once completed, rejects when it fails or is canceled,
+   *   and when it's paused (error code 'PAUSED' - the download itself carries on once resumed)
+   */
+  enqueue({ url, filePath, source, onProgress = null }) {
+    const item = {
+      id: crypto.randomUUID(),
+      url,
+      fileName: path.basename(filePath),
+      filePath,
+      source,
+      status: 'queued',
+      receivedBytes: 0,
+      totalBytes: null,
+      bytesPerSecond: 0,
+      etaSeconds: null,
+      error: null,
+      createdAt: Date.now(),
+      finishedAt: null
+    };
+    this.items.set(item.id, item);
+
+    const completion = this.createJob(item, onProgress);
+    console.log(`[DownloadManager] Queued ${item.fileName} (${source})`);
+
+    this.notify(item);
+    this.processQueue();
+    return completion;
+  }
+
+  createJob(item, onProgress) {
+    const previous = this.jobs.get(item.id);
+    const job = {
+      controller: null,
+      stopReason: null,
+      onProgress: onProgress || (previous ? previous.onProgress : null),
+      waiters: previous ? previous.waiters : []
+    };
+    this.jobs.set(item.id, job);
+
+    return new Promise((resolve, reject) => job.waiters.push({ resolve, reject }));
+  }
+
+  /**
+   * Start queued downloads, oldest first, up to MAX_CONCURRENT_DOWNLOADS
+   */
+  processQueue() {
+    const running = Array.from(this.items.values()).filter(item => item.status === 'downloading' && item.source !== 'webapp').length;
+    const queued = Array.from(this.items.values())
+      .filter(item => item.status === 'queued')
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    queued.slice(0, Math.max(0, MAX_CONCURRENT_DOWNLOADS - running)).forEach(item => this.run(item));
+  }
+
+  async run(item) {
+    const job = this.jobs.get(item.id);
+    job.controller = new AbortController();
+    job.stopReason = null;
+
+    item.status = 'downloading';
+    item.error = null;
+    this.notify(item);
+
+    try {
+      fs.mkdirSync(path.dirname(item.filePath), { recursive: true });
+
+      await this.engine.download(item.url, item.filePath, {
+        signal: job.controller.signal,
+        onProgress: (progress) => {
+          item.receivedBytes = progress.receivedBytes;
+          item.totalBytes = progress.totalBytes;
+          item.bytesPerSecond = progress.bytesPerSecond;
+          item.etaSeconds = progress.etaSeconds;
+          this.notify(item);
+          if (job.onProgress) job.onProgress(progress);
+        }
+      });
+
+      item.status = 'completed';
+      item.receivedBytes = item.totalBytes || item.receivedBytes;
+      this.finish(item, job);
+    } catch (error) {
+      if (error.code === 'ABORTED' && job.stopReason === 'pause') {
+        item.status = 'paused';
+        item.bytesPerSecond = 0;
+        item.etaSeconds = null;
+        this.notify(item);
+        this.settlePaused(job);
+      } else {
+        item.status = error.code === 'ABORTED' ? 'canceled' : 'failed';
+        item.error = error.code === 'ABORTED' ? null : error.message;
+        this.finish(item, job, error);
+      }
+    }
+
+    this.processQueue();
+  }
+
+  finish(item, job, error = null) {
+    item.finishedAt = Date.now();
+    item.bytesPerSecond = 0;
+    item.etaSeconds = null;
+    console.log(`[DownloadManager] ${item.fileName}: ${item.status}${item.error ? ` (${item.error})` : ''}`);
+
+    // The engine keeps partial files for resuming - a canceled download won't be resumed
+    if (item.status === 'canceled') {
+      this.engine.removeFile(`${item.filePath}.part`);
+      this.engine.removeFile(`${item.filePath}.part.json`);
+    }
+
+    this.notify(item);
+    this.saveHistoryNow();
+
+    job.waiters.splice(0).forEach(waiter => (error ? waiter.reject(error) : waiter.resolve(item)));
+    this.jobs.delete(item.id);
+  }
+
+  /**
+   * Release whoever waits on a paused download, so a batch doesn't wait on the user to resume it
+   * The job stays, keeping its progress callback for when the download is resumed
+   */
+  settlePaused(job) {
+    job.waiters.splice(0).forEach(waiter => waiter.reject(this.engine.createError('Download paused', 'PAUSED')));
+  }
+
+  /**
+   * Destination in a folder that isn't taken by an existing file or another active download
+   * A .part file from an earlier attempt doesn't count, so the same name resumes it
+   */
+  getUniquePath(folder, fileName) {
+    const ext = path.extname(fileName);
+    const base = path.basename(fileName, ext);
+    const activePaths = new Set(Array.from(this.items.values())
+      .filter(item => !FINISHED_STATUSES.includes(item.status))
+      .map(item => item.filePath));
+
+    let filePath = path.join(folder, fileName);
+    let counter = 1;
+    while (fs.existsSync(filePath) || activePaths.has(filePath)) {
+      filePath = path.join(folder, `${base} (${counter})${ext}`);
+      counter++;
+    }
+    return filePath;
+  }
+
+  // ============================================================================
+  // WEBAPP DOWNLOADS (Chromium DownloadItems)
+  // ============================================================================
+
+  /**
+   * Track a download started inside the webapp (after its save path is set)
+   * @param {Object} downloadItem - Electron DownloadItem
+   * @param {string} filePath - Save path
+   */
+  trackDownloadItem(downloadItem, filePath) {
+    const item = {
+      id: crypto.randomUUID(),
+      url: downloadItem.getURL(),
+      fileName: path.basename(filePath),
+      filePath,
+      source: 'webapp',
+      status: 'downloading',
+      receivedBytes: 0,
+      totalBytes: downloadItem.getTotalBytes() || null,
+      bytesPerSecond: 0,
+      etaSeconds: null,
+      error: null,
+      createdAt: Date.now(),
+      finishedAt: null
+    };
+    this.items.set(item.id, item);
+    this.webappItems.set(item.id, downloadItem);
+
+    // Chromium doesn't report speed, so average it between updates
+    let lastSample = { time: Date.now(), bytes: 0 };
+
+    downloadItem.on('updated', (event, state) => {
+      const now = Date.now();
+      const receivedBytes = downloadItem.getReceivedBytes();
+      if (now - lastSample.time >= 1000) {
+        item.bytesPerSecond = Math.round((receivedBytes - lastSample.bytes) / ((now - lastSample.time) / 1000));
+        lastSample = { time: now, bytes: receivedBytes };
+      }
+
+      item.receivedBytes = receivedBytes;
+      item.totalBytes = downloadItem.getTotalBytes() || null;
+      item.etaSeconds = item.totalBytes && item.bytesPerSecond > 0
+        ? Math.round((item.totalBytes - receivedBytes) / item.bytesPerSecond)
+        : null;
+
+      if (state === 'interrupted') {
+        item.status = 'paused'; // Chromium can usually resume an interrupted download
+      } else {
+        item.status = downloadItem.isPaused() ? 'paused' : 'downloading';
+      }
+      this.notify(item);
+    });
+
+    downloadItem.once('done', (event, state) => {
+      this.webappItems.delete(item.id);
+      item.status = state === 'completed' ? 'completed' : (state === 'cancelled' ? 'canceled' : 'failed');
+      item.error = state === 'interrupted' ? 'Download interrupted' : null;
+      item.receivedBytes = downloadItem.getReceivedBytes();
+      item.finishedAt = Date.now();
+      item.bytesPerSecond = 0;
+      item.etaSeconds = null;
+
+      this.notify(item);
+      this.saveHistoryNow();
+    });
+
+    this.notify(item);
+    return item;
+  }
+
+  // ============================================================================
+  // ACTIONS
+  // ============================================================================
+
+  pause(id) {
+    const item = this.getItem(id);
+
+    if (item.source === 'webapp') {
+      const downloadItem = this.webappItems.get(id);
+      if (!downloadItem) throw new Error('Download is no longer active');
+      downloadItem.pause();
+    } else if (item.status === 'downloading') {
+      const job = this.jobs.get(id);
+      job.stopReason = 'pause';
+      job.controller.abort();
+    } else if (item.status === 'queued') {
+      item.status = 'paused';
+      this.notify(item);
+      this.settlePaused(this.jobs.get(id));
+    }
+  }
+
+  resume(id) {
+    const item = this.getItem(id);
+    if (item.status !== 'paused') return;
+
+    if (item.source === 'webapp') {
+      const downloadItem = this.webappItems.get(id);
+      if (!downloadItem || !downloadItem.canResume()) throw new Error("This download can't be resumed - retry it instead");
+      downloadItem.resume();
+      return;
+    }
+
+    // Downloads paused before a restart have no job yet
+    if (!this.jobs.has(id)) {
+      this.createJob(item, null).catch(() => {});
+    }
+    item.status = 'queued';
+    this.notify(item);
+    this.processQueue();
+  }
+
+  /**
+   * Cancel a download and delete its partial file
+   */
+  cancel(id) {
+    const item = this.getItem(id);
+
+    if (item.source === 'webapp') {
+      const downloadItem = this.webappItems.get(id);
+      if (downloadItem) downloadItem.cancel();
+      return;
+    }
+
+    const job = this.jobs.get(id);
+    if (item.status === 'downloading') {
+      job.stopReason = 'cancel';
+      job.controller.abort();
+    } else if (item.status === 'queued' || item.status === 'paused') {
+      item.status = 'canceled';
+      this.finish(item, job || { waiters: [] }, this.engine.createError('Download canceled', 'ABORTED'));
+    }
+  }
+
+  /**
+   * Start a failed or canceled download again (a queued download resumes from its partial file)
+   */
+  retry(id) {
+    const item = this.getItem(id);
+    if (!FINISHED_STATUSES.includes(item.status) || item.status === 'completed') return;
+
+    if (item.source === 'webapp') {
+      // Starts a new webapp download (tracked as a new item by will-download)
+      session.defaultSession.downloadURL(item.url);
+      this.remove(id);
+      return;
+    }
+
+    item.status = 'queued';
+    item.error = null;
+    item.finishedAt = null;
+    this.createJob(item, null).catch(() => {});
+    this.notify(item);
+    this.processQueue();
+  }
+
+  /**
+   * Remove a finished download from the history (the downloaded file is kept)
+   */
+  remove(id) {
+    const item = this.getItem(id);
+    if (!FINISHED_STATUSES.includes(item.status)) {
+      throw new Error('Cancel the download before removing it');
+    }
+    this.items.delete(id);
+    this.savedStatuses.delete(id);
+    this.saveHistoryNow();
+    this.sendToWindow('downloads:removed', { id });
+  }
+
+  clearHistory() {
+    const finished = Array.from(this.items.values()).filter(item => FINISHED_STATUSES.includes(item.status));
+    finished.forEach(item => this.items.delete(item.id));
+    this.saveHistoryNow();
+    return finished.length;
+  }
+
+  reveal(id) {
+    const item = this.getItem(id);
+    if (!fs.existsSync(item.filePath)) {
+      throw new Error('The file was moved or deleted');
+    }
+    shell.showItemInFolder(item.filePath);
+  }
+
+  getItem(id) {
+    const item = this.items.get(id);
+    if (!item) throw new Error('Download not found');
+    return item;
+  }
+
+  // ============================================================================
+  // STATE
+  // ============================================================================
+
+  /**
+   * Downloads newest first
+   */
+  list() {
+    return Array.from(this.items.values()).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Active/queued counts and combined progress of unfinished downloads
+   * @returns {Object} { active, queued, paused, receivedBytes, totalBytes, percent, bytesPerSecond }
+   */
+  getSummary() {
+    const unfinished = Array.from(this.items.values()).filter(item => !FINISHED_STATUSES.includes(item.status));
+    const active = unfinished.filter(item => item.status === 'downloading');
+    const sized = unfinished.filter(item => item.totalBytes);
+    const receivedBytes = sized.reduce((total, item) => total + item.receivedBytes, 0);
+    const totalBytes = sized.reduce((total, item) => total + item.totalBytes, 0);
+
+    return {
+      active: active.length,
+      queued: unfinished.filter(item => item.status === 'queued').length,
+      paused: unfinished.filter(item => item.status === 'paused').length,
+      receivedBytes,
+      totalBytes,
+      percent: totalBytes ? Math.round((receivedBytes / totalBytes) * 100) : null,
+      bytesPerSecond: active.reduce((total, item) => total + (item.bytesPerSecond || 0), 0)
+    };
+  }
+
+  /**
+   * Send an item update (and the summary) to the renderer
+   * The history is saved when the item's status changes, not on every progress update
+   */
+  notify(item) {
+    if (this.savedStatuses.get(item.id) !== item.status) {
+      this.savedStatuses.set(item.id, item.status);
+      this.scheduleSave();
+    }
+
+    const summary = this.getSummary();
+    this.sendToWindow('downloads:updated', { item, summary });
+    if (this.onSummaryChanged) this.onSummaryChanged(summary);
+  }
+
+  sendToWindow(channel, data) {
+    const window = this.getWindow();
+    if (window && !window.isDestroyed()) {
+      window.webContents.send(channel, data);
+    }
+  }
+
+  /**
+   * Stop queued downloads for quit (they come back paused on the next launch)
+   */
+  shutdown() {
+    this.jobs.forEach(job => {
+      if (job.controller) {
+        job.stopReason = 'pause';
+        job.controller.abort();
+      }
+    });
+    this.saveHistoryNow();
+  }
+
+  // ============================================================================
+  // IPC
+  // ============================================================================
+
+  /**
+   * Register the downloads:* handlers
+   * @param {Object} ipcMain - Electron ipcMain
+   */
+  setupHandlers(ipcMain) {
+    ipcMain.handle('downloads:list', () => {
+      return { success: true, items: this.list(), summary: this.getSummary() };
+    });
+
+    const actions = {
+      'downloads:pause': (id) => this.pause(id),
+      'downloads:resume': (id) => this.resume(id),
+      'downloads:cancel': (id) => this.cancel(id),
+      'downloads:retry': (id) => this.retry(id),
+      'downloads:remove': (id) => this.remove(id),
+      'downloads:reveal': (id) => this.reveal(id)
+    };
+
+    Object.entries(actions).forEach(([channel, action]) => {
+      ipcMain.handle(channel, (event, id) => {
+        try {
+          action(id);
+          return { success: true };
+        } catch (error) {
+          console.error(`[DownloadManager] ${channel} failed:`, error.message);
+          return { success: false, error: error.message };
+        }
+      });
+    });
+
+    ipcMain.handle('downloads:clear-history', () => {
+      try {
+        return { success: true, removed: this.clearHistory() };
+      } catch (error) {
+        console.error('[DownloadManager] Clear history failed:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    console.log('[DownloadManager] IPC handlers registered');
+  }
+}
+
+module.exports = DownloadManager;
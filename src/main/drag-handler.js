@@ -2,11 +2,16 @@
 // Handles OS-level drag-and-drop using Electron's startDrag() API
 
 const { ipcMain, nativeImage } = require('electron');
-const FileManager = require('./file-manager');
 const path = require('path');
+const DownloadEngine = require('./download-engine');
 
 class DragHandler {
-  static setupHandlers() {
+  /**
+   * @param {CacheService} cacheService - Files are dragged out of the media cache
+   */
+  static setupHandlers(cacheService) {
+    this.cacheService = cacheService;
+
     ipcMain.handle('drag:prepare', this.prepareForDrag.bind(this));
     ipcMain.handle('drag:start', this.startDrag.bind(this));
 
@@ -24,43 +29,25 @@ class DragHandler {
         try {
           console.log(`[DragHandler] Downloading: ${item.fileName}`);
 
-          // Download main file
-          const fileResult = await FileManager.downloadFile(event, {
-            url: item.url,
-            fileName: item.fileName
+          // Main file (reused from the cache when already downloaded)
+          const onProgress = DownloadEngine.sendProgressTo(event.sender, { url: item.url, fileName: item.fileName });
+          const fileResult = await this.cacheService.ensureCached('media', item, onProgress);
+
+          results.push({
+            success: true,
+            filePath: fileResult.filePath,
+            fileName: item.fileName,
+            id: item.id
           });
 
-          if (fileResult.success) {
-            results.push({
-              success: true,
-              filePath: fileResult.filePath,
-              fileName: item.fileName,
-              id: item.id
-            });
-
-            // Download thumbnail for drag icon (optional)
-            if (item.thumbnailUrl) {
-              try {
-                const thumbName = `thumb_${item.id}.png`;
-                const thumbResult = await FileManager.downloadFile(event, {
-                  url: item.thumbnailUrl,
-                  fileName: thumbName
-                });
-
-                if (thumbResult.success) {
-                  results[results.length - 1].thumbnailPath = thumbResult.filePath;
-                }
-              } catch (thumbError) {
-                console.log('[DragHandler] Thumbnail download failed (non-critical):', thumbError.message);
-              }
+          // Thumbnail for drag icon (optional)
+          if (item.thumbnailUrl) {
+            try {
+              const thumbResult = await this.cacheService.ensureCached('thumbnail', { id: item.id, url: item.thumbnailUrl });
+              results[results.length - 1].thumbnailPath = thumbResult.filePath;
+            } catch (thumbError) {
+              console.log('[DragHandler] Thumbnail download failed (non-critical):', thumbError.message);
             }
-          } else {
-            results.push({
-              success: false,
-              fileName: item.fileName,
-              id: item.id,
-              error: 'Download failed'
-            });
           }
         } catch (error) {
           console.error('[DragHandler] Download failed:', item.fileName, error);
@@ -99,6 +86,9 @@ class DragHandler {
   static startDrag(event, { filePaths, thumbnailPaths }) {
     try {
       console.log(`[DragHandler] startDrag called with ${filePaths.length} file(s)`);
+
+      // Dragged files become editor project references - keep them out of cache eviction
+      this.cacheService.pinPaths(filePaths, 'drag');
       console.log('[DragHandler] File paths:', filePaths);
       console.log('[DragHandler] Checking if files exist...');
 
@@ -5,6 +5,8 @@ const ffmpeg = require('fluent-ffmpeg');
 let ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const { execFile } = require('child_process');
 const GPUDetector = require('./gpu-detector');
 
 // Fix FFmpeg path when running from asar archive
@@ -30,7 +32,8 @@ const FORMAT_MAPPINGS = {
     'mov': 'mov',           // ✓ QuickTime / MOV
     'avi': 'avi',           // ✓ Audio Video Interleaved
     'mkv': 'matroska',      // ✓ Matroska container
-    'webm': 'webm'          // ✓ WebM
+    'webm': 'webm',         // ✓ WebM
+    'mxf': 'mxf'            // ✓ Material Exchange Format (Avid / broadcast)
   },
   // Audio formats: UI name -> FFmpeg format name (ALL VERIFIED ✓)
   audio: {
@@ -46,9 +49,220 @@ const FORMAT_MAPPINGS = {
     'png': 'image2',        // ✓ PNG via image2 sequence
     'webp': 'image2',       // ✓ WebP via image2 sequence
     'gif': 'image2'         // ✓ GIF via image2 sequence
+  },
+  // Image sequences (one file per frame): all use 'image2' with a numbered pattern (ALL VERIFIED ✓)
+  sequence: {
+    'png': 'image2',        // ✓ PNG frames
+    'jpg': 'image2',        // ✓ JPEG frames
+    'tiff': 'image2'        // ✓ TIFF frames
+  },
+  // Animations made from video clips (ALL VERIFIED ✓)
+  animation: {
+    'gif': 'gif',           // ✓ Animated GIF (two-pass palette)
+    'webp': 'webp'          // ✓ Animated WebP (libwebp)
+  },
+  // Contact sheets: frames sampled across a clip, tiled into one image (ALL VERIFIED ✓)
+  contactsheet: {
+    'jpg': 'image2',        // ✓ JPEG sheet
+    'png': 'image2'         // ✓ PNG sheet
+  }
+};
+
+// Video codec mappings, independent of the container (ALL VERIFIED ✓)
+// hardware: true -> encoder comes from GPUDetector (GPU when available, libx264/libx265 otherwise)
+// intra: true -> every frame is a keyframe, quality is fixed by the profile and preset bitrates are ignored
+// label/desc are shown in the Format Factory codec dropdown (sent over ff:get-codecs)
+const VIDEO_CODECS = {
+  'h264': { encoder: 'libx264', hardware: true,
+    label: 'H.264', desc: 'Plays everywhere' },
+  'h265': { encoder: 'libx265', hardware: true,
+    label: 'H.265 / HEVC', desc: 'Same quality as H.264 at about half the size' },
+  'vp9': { encoder: 'libvpx-vp9',
+    label: 'VP9', desc: 'Open web codec' },
+  'av1': { encoder: 'libaom-av1', // Experimental in bundled FFmpeg
+    label: 'AV1', desc: 'Smallest files, slow to encode' },
+  'prores_lt': { encoder: 'prores_ks', profile: '1', pixFmt: 'yuv422p10le', intra: true,
+    label: 'Apple ProRes 422 LT', desc: 'Editing, offline' },
+  'prores_hq': { encoder: 'prores_ks', profile: '3', pixFmt: 'yuv422p10le', intra: true,
+    label: 'Apple ProRes 422 HQ', desc: 'Mastering, finishing' },
+  'prores_4444': { encoder: 'prores_ks', profile: '4', pixFmt: 'yuva444p10le', intra: true,
+    label: 'Apple ProRes 4444', desc: 'Keeps alpha channel, VFX' },
+  'dnxhr_lb': { encoder: 'dnxhd', profile: 'dnxhr_lb', pixFmt: 'yuv422p', intra: true,
+    label: 'Avid DNxHR LB', desc: 'Low bandwidth proxies' },
+  'dnxhr_sq': { encoder: 'dnxhd', profile: 'dnxhr_sq', pixFmt: 'yuv422p', intra: true,
+    label: 'Avid DNxHR SQ', desc: 'Standard editing quality' },
+  'dnxhr_hq': { encoder: 'dnxhd', profile: 'dnxhr_hq', pixFmt: 'yuv422p', intra: true,
+    label: 'Avid DNxHR HQ', desc: 'High quality mastering' }
+};
+
+// 'Keep original codec' entry of the codec dropdown (stream copy, see COPY_SOURCES)
+const COPY_CODEC = {
+  label: 'Keep Original Codec',
+  desc: 'No re-encoding - presets and watermarks are ignored, cuts snap to keyframes',
+  copy: true
+};
+
+// Valid codecs per container; the first entry is the default
+// (ProRes in MXF is not supported by the bundled FFmpeg's MXF muxer)
+const CONTAINER_CODECS = {
+  'mp4': ['h264', 'h265'],
+  'mov': ['h264', 'h265', 'prores_lt', 'prores_hq', 'prores_4444', 'dnxhr_lb', 'dnxhr_sq', 'dnxhr_hq'],
+  'avi': ['h264'],
+  'mkv': ['h264', 'h265', 'vp9', 'av1'],
+  'webm': ['vp9', 'av1'],
+  'mxf': ['dnxhr_sq', 'dnxhr_lb', 'dnxhr_hq']
+};
+
+// 'Keep original codec' (settings.codec = 'copy'): source extensions each container can stream-copy
+const COPY_SOURCES = {
+  'mp4': ['mp4', 'm4v'],
+  'mov': ['mov', 'mp4', 'm4v'],
+  'avi': ['avi'],
+  'mkv': ['mkv'],
+  'webm': ['webm'],
+  'mxf': ['mxf']
+};
+
+// Source codecs where every frame is a keyframe, so stream copies can cut on any frame
+const INTRA_SOURCE_CODECS = ['prores', 'dnxhd', 'mjpeg', 'rawvideo', 'v210', 'cfhd', 'huffyuv', 'utvideo'];
+
+// Long-GOP source codecs whose partial GOPs can be re-encoded for frame-accurate cuts, with the
+// encoder profile matching each source profile FFmpeg reports (the copied GOPs in between must
+// decode with the same stream parameters)
+const EDGE_ENCODERS = {
+  'h264': {
+    encoder: 'libx264',
+    profiles: { 'Constrained Baseline': 'baseline', 'Baseline': 'baseline', 'Main': 'main', 'High': 'high',
+      'High 10': 'high10', 'High 4:2:2': 'high422', 'High 4:4:4 Predictive': 'high444' }
+  },
+  'hevc': {
+    encoder: 'libx265',
+    profiles: { 'Main': 'main', 'Main 10': 'main10' }
   }
 };
 
+// Seconds searched either side of a cut point when snapping it to a keyframe
+const KEYFRAME_SEARCH_WINDOW = 6;
+
+// Output types that can join several trim segments (or merged files) into one file
+const SEGMENT_OUTPUT_TYPES = ['video', 'audio', 'animation'];
+
+// Exact rates for the rounded NTSC frame rates FFmpeg prints
+const NTSC_FRAME_RATES = {
+  23.98: '24000/1001',
+  29.97: '30000/1001',
+  59.94: '60000/1001'
+};
+
+// Share of a joined job's progress taken by rendering the segments
+const JOIN_PROGRESS_SHARE = 40;
+
+// Pads odd frame sizes by a pixel - intermediate files use 4:2:0/4:2:2 chroma, which needs even sizes
+const EVEN_SIZE_FILTER = 'pad=ceil(iw/2)*2:ceil(ih/2)*2';
+
+// Fit-to-size encodes: share of the target left for container overhead and bitrate overshoot,
+// and the lowest video bitrate (kbps) still worth encoding at
+const TARGET_SIZE_OVERHEAD = 0.07;
+const MIN_TARGET_VIDEO_BITRATE = 100;
+
+// Speed factors allowed for retimed video (audio keeps its pitch through chained atempo filters)
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4;
+
+// Reversed clips are rendered in chunks: the reverse filter buffers every decoded frame, so a chunk
+// holds as many seconds as fit in this much memory at the source's frame size and rate
+const REVERSE_CHUNK_MEMORY = 1024 * 1024 * 1024;
+const MIN_REVERSE_CHUNK_SECONDS = 1;
+const MAX_REVERSE_CHUNK_SECONDS = 30;
+
+// Subtitle files that can be attached, and the codec each is muxed with in MKV
+const SUBTITLE_FILE_CODECS = {
+  'srt': 'srt',
+  'vtt': 'webvtt',
+  'ass': 'ass',
+  'ssa': 'ass'
+};
+
+// Containers that take a selectable subtitle track (null = keep the file's own format)
+const SUBTITLE_TRACK_CODECS = {
+  'mp4': 'mov_text',
+  'mov': 'mov_text',
+  'mkv': null
+};
+
+// Burned-in subtitle positions as alignments for force_style, which the bundled libass reads in
+// the legacy SSA layout (1-3 bottom, 5-7 top, 9-11 middle) even for ASS files
+const SUBTITLE_ALIGNMENTS = {
+  'bottom': 2,
+  'middle': 10,
+  'top': 6
+};
+
+// Blu-ray/DVD subtitles are pictures and can't be saved as SRT
+const PICTURE_SUBTITLE_CODECS = ['hdmv_pgs_subtitle', 'dvd_subtitle', 'dvb_subtitle', 'xsub'];
+
+// Color adjustment limits: exposure in stops, the rest as eq filter factors (1 = unchanged)
+const COLOR_LIMITS = {
+  exposure: [-3, 3],
+  contrast: [0.5, 2],
+  saturation: [0, 3],
+  gamma: [0.5, 2]
+};
+
+// Width of the before/after frames shown in the trimmer
+const COLOR_PREVIEW_WIDTH = 640;
+
+// Contact sheet grid and tile width limits (pixels)
+const CONTACT_SHEET_LIMITS = {
+  columns: [1, 10],
+  rows: [1, 20],
+  width: [120, 960]
+};
+// Share of a contact sheet job's progress taken by grabbing the frames (the rest is tiling)
+const CONTACT_SHEET_FRAME_SHARE = 90;
+
+// Formats a single frame can be saved as from the trimmer
+const FRAME_GRAB_FORMATS = ['png', 'jpg', 'tiff'];
+
+// The media inspector checks frame timing over at most this many seconds and packets
+const FRAME_TIMING_SECONDS = 30;
+const FRAME_TIMING_PACKETS = 900;
+// Intervals skipped at each end of the sample - muxers often misplace the first and last few timestamps
+const FRAME_TIMING_EDGE = 5;
+
+// Frame intervals further than this from the usual one mark a variable frame rate, once more than
+// VFR_FRAME_SHARE of the frames have them (a single dropped frame doesn't make a file VFR)
+const VFR_INTERVAL_TOLERANCE = 0.1;
+const VFR_FRAME_SHARE = 0.01;
+
+// Stream dispositions FFmpeg prints after a stream's details
+const STREAM_DISPOSITIONS = ['default', 'forced', 'attached pic', 'hearing impaired', 'visual impaired', 'comment', 'lyrics', 'karaoke', 'dub', 'original', 'clean effects'];
+
+// Channel counts of the layouts FFmpeg prints by name
+const CHANNEL_LAYOUTS = {
+  'mono': 1,
+  'stereo': 2,
+  '2.1': 3,
+  '3.0': 3,
+  'quad': 4,
+  '4.0': 4,
+  '4.1': 5,
+  '5.0': 5,
+  '5.0(side)': 5,
+  '5.1': 6,
+  '5.1(side)': 6,
+  '6.1': 7,
+  '7.1': 8
+};
+
+// Reframe target aspect ratios, width / height (must match REFRAME_ASPECTS in reframe-tool.js)
+const REFRAME_ASPECTS = {
+  '9:16': 9 / 16,
+  '1:1': 1,
+  '4:5': 4 / 5,
+  '16:9': 16 / 9
+};
+
 // Audio codec mappings (ALL VERIFIED ✓)
 const AUDIO_CODECS = {
   'mp3': 'libmp3lame',      // ✓ LAME MP3 encoder
@@ -57,24 +271,65 @@ const AUDIO_CODECS = {
   'flac': 'flac'            // ✓ FLAC encoder
 };
 
+// Loudness normalization targets (EBU R128 / ITU-R BS.1770 loudness in LUFS, true peak in dBTP)
+const LOUDNESS_TARGETS = {
+  'streaming': { I: -14, TP: -1, LRA: 11 },   // Spotify, YouTube, Apple Music
+  'podcast': { I: -16, TP: -1.5, LRA: 11 },   // Apple Podcasts and most podcast hosts
+  'broadcast': { I: -23, TP: -1, LRA: 20 }    // EBU R128 broadcast delivery
+};
+
+// Silence trimming: anything quieter than the threshold for longer than the duration counts as silence
+const SILENCE_THRESHOLD = '-50dB';
+const SILENCE_MIN_DURATION = 0.3;
+
+// Watermark placement as overlay/drawtext expressions
+// W/H = frame size, w/h = watermark size, M = margin in pixels
+const WATERMARK_POSITIONS = {
+  'top-left': { x: 'M', y: 'M' },
+  'top-right': { x: 'W-w-M', y: 'M' },
+  'bottom-left': { x: 'M', y: 'H-h-M' },
+  'bottom-right': { x: 'W-w-M', y: 'H-h-M' },
+  'center': { x: '(W-w)/2', y: '(H-h)/2' }
+};
+
+// drawtext font per platform (Windows/macOS builds have no usable fontconfig setup)
+const WATERMARK_FONTS = {
+  'win32': 'C:/Windows/Fonts/arialbd.ttf',
+  'darwin': '/System/Library/Fonts/Helvetica.ttc'
+};
+
 // Image codec mappings (ALL VERIFIED ✓)
 const IMAGE_CODECS = {
   'jpg': 'mjpeg',           // ✓ Motion JPEG for still images
   'jpeg': 'mjpeg',          // ✓ Motion JPEG for still images
   'png': 'png',             // ✓ PNG encoder
   'webp': 'libwebp',        // ✓ WebP encoder (libwebp)
-  'gif': 'gif'              // ✓ GIF encoder
+  'gif': 'gif',             // ✓ GIF encoder
+  'tiff': 'tiff'            // ✓ TIFF encoder (image sequences)
 };
 
+// Frame files recognised when scanning a folder for image sequences
+const SEQUENCE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'tif', 'tiff', 'bmp', 'webp', 'exr', 'dpx', 'tga'];
+
+// Default filename pattern for exported frames ({name} = source file name)
+const DEFAULT_SEQUENCE_PATTERN = '{name}_%05d';
+
 class FFmpegHandler {
-  constructor(mainWindow) {
+  constructor(mainWindow, queueStore = null) {
     this.mainWindow = mainWindow;
+    this.queueStore = queueStore; // Persists job state across restarts (optional)
     this.gpuDetector = new GPUDetector();
     this.activeJobs = new Map(); // jobId -> FFmpeg command
+    this.cancelledJobs = new Set(); // jobIds killed on purpose (not failures)
+    this.requeuedJobs = new Set(); // jobIds stopped to be run again from the start (queue paused on Windows)
     this.gpuInfo = null;
+    this.isShuttingDown = false;
+    this.onProgress = null; // Optional (jobId, percent) listener, used by the scheduler
+    this.progressRanges = new Map(); // jobId -> [start, end] share of the job the current stage reports into
+    this.hwAccelMode = 'auto'; // 'auto' | 'on' | 'off'
 
-    // Initialize GPU detection
-    this.initializeGPU();
+    // Initialize GPU detection (jobs wait for it before choosing an encoder)
+    this.gpuReady = this.initializeGPU();
   }
 
   /**
@@ -116,19 +371,144 @@ class FFmpegHandler {
     if (!formatMap || !formatMap[outputFormat]) {
       const error = new Error(`Unsupported ${outputType} format: ${outputFormat}`);
       console.error('[FFmpeg Handler]', error.message);
+      this.failJob(id, error);
+      throw error;
+    }
 
-      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-        this.mainWindow.webContents.send('ff:error', {
-          jobId: id,
-          error: error.message
-        });
+    // Validate the container can hold the requested video codec
+    const streamCopy = outputType === 'video' && settings.codec === 'copy';
+    const merge = Array.isArray(job.merge) && job.merge.length > 1 ? job.merge : null;
+    if (streamCopy) {
+      const sourceExtension = (merge || [{ filePath }])
+        .map(input => path.extname(input.filePath).slice(1).toLowerCase())
+        .find(extension => !(COPY_SOURCES[outputFormat] || []).includes(extension));
+      if (job.sequence || sourceExtension !== undefined) {
+        const error = new Error(`Can't keep the original codec: a .${sourceExtension || 'sequence'} source can't be stream-copied into a .${outputFormat} file`);
+        console.error('[FFmpeg Handler]', error.message);
+        this.failJob(id, error);
+        throw error;
+      }
+    } else if (outputType === 'video') {
+      const codecId = this.resolveVideoCodec(outputFormat, settings.codec);
+      if (!codecId) {
+        const error = new Error(`${settings.codec} video cannot be stored in a .${outputFormat} file`);
+        console.error('[FFmpeg Handler]', error.message);
+        this.failJob(id, error);
+        throw error;
+      }
+      if (settings.targetSize > 0 && VIDEO_CODECS[codecId].intra) {
+        const error = new Error(`${codecId} has a fixed bitrate and can't be fitted to a file size - pick H.264, H.265, VP9 or AV1`);
+        console.error('[FFmpeg Handler]', error.message);
+        this.failJob(id, error);
+        throw error;
       }
+    }
+
+    // Merged files must all be video (or audio) sources
+    if (merge && (job.sequence || !SEGMENT_OUTPUT_TYPES.includes(outputType))) {
+      const error = new Error(`Files can't be merged into ${job.sequence ? 'an image sequence job' : `${outputType} outputs`}`);
+      console.error('[FFmpeg Handler]', error.message);
+      this.failJob(id, error);
+      throw error;
+    }
+
+    // Contact sheets seek into the video file once per frame
+    if (outputType === 'contactsheet' && job.sequence) {
+      const error = new Error("Contact sheets can't be made from image sequence inputs");
+      console.error('[FFmpeg Handler]', error.message);
+      this.failJob(id, error);
+      throw error;
+    }
+
+    // Joined segments are re-encoded from the decoded source
+    const segments = Array.isArray(job.segments) && job.segments.length > 1 ? job.segments : null;
+    if (segments && (streamCopy || job.sequence || !SEGMENT_OUTPUT_TYPES.includes(outputType))) {
+      const error = new Error(streamCopy
+        ? "Can't keep the original codec when joining several trim segments - pick a codec to re-encode with"
+        : `Trim segments can't be joined for ${job.sequence ? 'image sequence inputs' : `${outputType} outputs`}`);
+      console.error('[FFmpeg Handler]', error.message);
+      this.failJob(id, error);
+      throw error;
+    }
+
+    // Reframing changes the picture, so it can't be combined with a stream copy
+    const reframe = job.reframe && REFRAME_ASPECTS[job.reframe.aspect] && ['video', 'animation'].includes(outputType)
+      ? job.reframe
+      : null;
+    if (reframe && (streamCopy || job.sequence)) {
+      const error = new Error(streamCopy
+        ? "Can't reframe while keeping the original codec - pick a codec to re-encode with"
+        : "Image sequence inputs can't be reframed");
+      console.error('[FFmpeg Handler]', error.message);
+      this.failJob(id, error);
+      throw error;
+    }
 
+    // Speed, reverse and frame-rate changes re-encode the video
+    const retime = outputType === 'video' && this.hasRetime(settings.retime) ? settings.retime : null;
+    if (retime && (streamCopy || job.sequence)) {
+      const error = new Error(streamCopy
+        ? "Can't change speed or frame rate while keeping the original codec - pick a codec to re-encode with"
+        : "Speed and frame rate can't be changed for image sequence inputs - set the sequence frame rate instead");
+      console.error('[FFmpeg Handler]', error.message);
+      this.failJob(id, error);
       throw error;
     }
 
-    // If extracting audio, check if source has audio stream
-    if (outputType === 'audio') {
+    // Subtitles are burned into the picture (re-encode) or muxed as a selectable track
+    const subtitles = outputType === 'video' && settings.subtitles && settings.subtitles.filePath ? settings.subtitles : null;
+    if (subtitles) {
+      const burn = subtitles.mode === 'burn';
+      let message = null;
+      if (!fs.existsSync(subtitles.filePath)) {
+        message = `Subtitle file not found: ${subtitles.filePath}`;
+      } else if (!SUBTITLE_FILE_CODECS[path.extname(subtitles.filePath).slice(1).toLowerCase()]) {
+        message = 'Subtitles must be an SRT, VTT or ASS file';
+      } else if (burn && streamCopy) {
+        message = "Can't burn in subtitles while keeping the original codec - pick a codec to re-encode with";
+      } else if (!burn && !(outputFormat in SUBTITLE_TRACK_CODECS)) {
+        message = `${outputFormat.toUpperCase()} can't hold a subtitle track - use MP4, MKV or MOV, or burn the subtitles in`;
+      } else if (retime && (retime.reverse || !burn)) {
+        message = retime.reverse
+          ? "Subtitles can't be added to reversed video"
+          : "Subtitle tracks don't follow speed or frame-rate changes - burn the subtitles in instead";
+      }
+
+      if (message) {
+        const error = new Error(message);
+        console.error('[FFmpeg Handler]', error.message);
+        this.failJob(id, error);
+        throw error;
+      }
+    }
+
+    // Color adjustments re-encode the picture; the LUT must be a readable .cube file
+    const color = ['video', 'image', 'sequence'].includes(outputType) && this.hasColor(settings.color) ? settings.color : null;
+    if (color) {
+      const message = streamCopy
+        ? "Can't apply color adjustments while keeping the original codec - pick a codec to re-encode with"
+        : this.getColorError(color);
+      if (message) {
+        const error = new Error(message);
+        console.error('[FFmpeg Handler]', error.message);
+        this.failJob(id, error);
+        throw error;
+      }
+    }
+
+    // Validate the watermark logo before starting FFmpeg
+    const watermark = settings.watermark;
+    if (watermark && watermark.type === 'image' && ['video', 'image', 'sequence'].includes(outputType)) {
+      if (!watermark.imagePath || !fs.existsSync(watermark.imagePath)) {
+        const error = new Error(`Watermark logo not found: ${watermark.imagePath || '(none selected)'}`);
+        console.error('[FFmpeg Handler]', error.message);
+        this.failJob(id, error);
+        throw error;
+      }
+    }
+
+    // If extracting audio, check if source has audio stream (merges check each of their files)
+    if (outputType === 'audio' && !merge) {
       try {
         const metadata = await this.probeFile(filePath);
         const hasAudio = metadata.streams.some(s => s.codec_type === 'audio');
@@ -136,14 +516,7 @@ class FFmpegHandler {
         if (!hasAudio) {
           const error = new Error('Source file has no audio stream to extract');
           console.error('[FFmpeg Handler] No audio stream found');
-
-          if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-            this.mainWindow.webContents.send('ff:error', {
-              jobId: id,
-              error: error.message
-            });
-          }
-
+          this.failJob(id, error);
           throw error;
         }
       } catch (probeError) {
@@ -157,235 +530,3135 @@ class FFmpegHandler {
       }
     }
 
-    // Determine output path
-    const outputPath = this.getOutputPath(filePath, outputFormat, outputFolder);
+    // Determine output path (image sequences write numbered frames into their own folder,
+    // merges are named after their first file)
+    let sourcePath = job.sequence ? this.getSequenceSourcePath(job.sequence) : filePath;
+    if (merge) {
+      const first = path.parse(merge[0].filePath);
+      sourcePath = path.join(first.dir, `${first.name}_merged${first.ext}`);
+    }
+    if (outputType === 'contactsheet') {
+      const source = path.parse(sourcePath);
+      sourcePath = path.join(source.dir, `${source.name}_contact_sheet${source.ext}`);
+    }
+    let outputPath;
+    let trackedOutput;
+    try {
+      if (outputType === 'sequence') {
+        trackedOutput = this.createSequenceFolder(sourcePath, outputFormat, outputFolder);
+        outputPath = path.join(trackedOutput, this.getSequenceFileName(sourcePath, outputFormat, settings.pattern));
+      } else {
+        outputPath = this.getOutputPath(sourcePath, outputFormat, outputFolder);
+        trackedOutput = outputPath;
+      }
+    } catch (error) {
+      this.failJob(id, error);
+      throw error;
+    }
     console.log('[FFmpeg Handler] Output path:', outputPath);
 
-    return new Promise((resolve, reject) => {
+    // Pick the video encoder (hardware when enabled and verified, otherwise CPU)
+    let encoder = null;
+    if (outputType === 'video' && !streamCopy) {
       try {
-        const command = ffmpeg(filePath);
-
-        // Apply trim settings if specified (MUST be set before codec settings)
-        if (trimStart !== undefined && trimEnd !== undefined) {
-          console.log(`[FFmpeg Handler] Applying trim: ${trimStart}s to ${trimEnd}s`);
-          // -ss: start time, -to: end time (both in seconds)
-          command.setStartTime(trimStart);
-          command.duration(trimEnd - trimStart);
+        // A job queued right after launch must not miss the hardware encoders still being detected
+        await this.gpuReady;
+        encoder = this.selectVideoEncoder(outputFormat, settings);
+      } catch (error) {
+        this.failJob(id, error);
+        throw error;
+      }
+    }
+
+    // Image sequence inputs have no container duration, so progress comes from the frame count
+    const totalFrames = job.sequence ? job.sequence.frameCount : null;
+
+    // Segments and merged files are joined into an intermediate file first, which is then
+    // converted like any other source. Intermediate files and shifted subtitles are temp files,
+    // removed however the job ends
+    let runJob = job;
+    const tempFiles = [];
+    try {
+      if (segments || merge) {
+        const joinedPath = merge ? await this.mergeInputs(job) : await this.joinSegments(job);
+        tempFiles.push(joinedPath);
+        runJob = { ...job, filePath: joinedPath, trimStart: undefined, trimEnd: undefined, segments: undefined, merge: undefined };
+        this.progressRanges.set(id, [JOIN_PROGRESS_SHARE, 100]);
+      }
+
+      // Reversed clips are rendered backwards into another intermediate file
+      if (retime && retime.reverse) {
+        const reversedPath = await this.reverseMedia(runJob);
+        tempFiles.push(reversedPath);
+        if (runJob.filePath !== filePath) {
+          this.removePartialOutput(runJob.filePath); // Free the disk space before encoding
         }
+        runJob = { ...runJob, filePath: reversedPath, trimStart: undefined, trimEnd: undefined, segments: undefined, merge: undefined };
+        const [stageStart] = this.progressRanges.get(id) || [0];
+        this.progressRanges.set(id, [stageStart + ((100 - stageStart) * JOIN_PROGRESS_SHARE) / 100, 100]);
+      }
+
+      // Reframe and retime filters need the frame size, frame rate and length of what is converted;
+      // reframe keyframes move onto the output timeline
+      let outputDuration = null;
+      if (reframe || retime) {
+        const info = await this.getVideoInfo(runJob.filePath);
+        const hasRunTrim = runJob.trimStart !== undefined && runJob.trimEnd !== undefined;
+        const sourceDuration = hasRunTrim ? runJob.trimEnd - runJob.trimStart : info.duration;
+        const resolvedSettings = { ...runJob.settings };
 
-        // Apply conversion settings based on type
-        if (outputType === 'video') {
-          this.applyVideoSettings(command, outputFormat, settings);
-          const ffmpegFormat = FORMAT_MAPPINGS.video[outputFormat] || outputFormat;
-          command.format(ffmpegFormat);
-        } else if (outputType === 'audio') {
-          this.applyAudioSettings(command, outputFormat, settings);
-          const ffmpegFormat = FORMAT_MAPPINGS.audio[outputFormat] || outputFormat;
-          command.format(ffmpegFormat);
-        } else if (outputType === 'image') {
-          this.applyImageSettings(command, outputFormat, settings);
-          const ffmpegFormat = FORMAT_MAPPINGS.image[outputFormat] || 'image2';
-          command.format(ffmpegFormat);
+        if (reframe) {
+          const sideways = Math.abs(info.rotation) % 180 === 90; // Phone videos are rotated on decode
+          let keyframes = this.getReframeKeyframes(job);
+          if (retime && retime.reverse) {
+            keyframes = keyframes.map(keyframe => ({ ...keyframe, time: Math.max(sourceDuration - keyframe.time, 0) })).reverse();
+          }
+          resolvedSettings.reframe = {
+            ...reframe,
+            width: sideways ? info.height : info.width,
+            height: sideways ? info.width : info.height,
+            keyframes
+          };
+        }
+        if (retime) {
+          resolvedSettings.retime = { ...retime, sourceFps: info.fps };
+          outputDuration = sourceDuration ? sourceDuration / this.getRetimeFactor(resolvedSettings.retime) : null;
         }
+        runJob = { ...runJob, settings: resolvedSettings };
+      }
 
-        // Set output path
-        command.output(outputPath);
+      // Tone mapping only applies to sources that really are HDR (PQ or HLG)
+      if (color && color.tonemap && !job.sequence) {
+        const info = await this.getMediaInfo(runJob.filePath);
+        runJob = { ...runJob, settings: { ...runJob.settings, color: { ...color, hdr: info.hdr } } };
+      }
 
-        // Track progress
-        command.on('start', (commandLine) => {
-          console.log('[FFmpeg Handler] Command:', commandLine);
-          this.activeJobs.set(id, command);
-        });
+      // Subtitles are timed to the source, so a trimmed job gets a copy shifted to the cut and
+      // joined segments get each segment's cues moved to where it plays (merged files are
+      // subtitled as the merged result)
+      if (subtitles) {
+        let ranges = null;
+        if (segments) {
+          ranges = segments;
+        } else if (!merge && job.trimStart !== undefined && job.trimEnd !== undefined) {
+          ranges = [{ start: job.trimStart, end: job.trimEnd }];
+        }
+        const prepared = {
+          ...subtitles,
+          sourcePath: subtitles.filePath,
+          filePath: ranges ? this.prepareSubtitles(id, subtitles.filePath, ranges, segments ? this.getSegmentCrossfade(job) : 0) : subtitles.filePath
+        };
+        if (prepared.filePath !== subtitles.filePath) {
+          tempFiles.push(prepared.filePath);
+        }
+        runJob = { ...runJob, settings: { ...runJob.settings, subtitles: prepared } };
+      }
 
-        command.on('progress', (progress) => {
-          const percent = progress.percent || 0;
-          console.log(`[FFmpeg Handler] Progress [${id}]: ${percent.toFixed(1)}%`);
-
-          // Send progress to renderer
-          if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-            this.mainWindow.webContents.send('ff:progress', {
-              jobId: id,
-              progress: Math.min(Math.max(percent, 0), 100),
-              timemark: progress.timemark
-            });
-          }
-        });
+      try {
+        if (outputType === 'animation') {
+          await this.runAnimation(runJob, outputPath, totalFrames);
+        } else if (outputType === 'contactsheet') {
+          await this.runContactSheet(runJob, outputPath);
+        } else if (streamCopy) {
+          await this.runSmartTrim(runJob, outputPath);
+        } else if (outputType === 'audio' && this.needsAudioAnalysis(runJob)) {
+          await this.runProcessedAudio(runJob, outputPath);
+        } else if (outputType === 'video' && settings.targetSize > 0) {
+          await this.runTargetSize(runJob, outputPath, encoder);
+        } else {
+          await this.runCommand(id, this.buildCommand(runJob, outputPath, encoder), trackedOutput, { totalFrames, duration: outputDuration });
+        }
+      } catch (error) {
+        // In auto mode a hardware encoder failure (driver crash, unsupported input) retries on the CPU
+        const canRetryOnCPU = encoder && this.gpuDetector.isHardwareEncoder(encoder) &&
+          this.hwAccelMode === 'auto' && !error.cancelled && !this.isShuttingDown;
+        if (!canRetryOnCPU) {
+          throw error;
+        }
+
+        const cpuEncoder = this.gpuDetector.getCPUEncoder(this.getCodecFamily(encoder));
+        console.warn(`[FFmpeg Handler] ${encoder} failed, retrying job ${id} with ${cpuEncoder}`);
+        await this.runCommand(id, this.buildCommand(runJob, outputPath, cpuEncoder), trackedOutput, { totalFrames, duration: outputDuration });
+      }
+    } catch (error) {
+      this.failJob(id, error);
+      throw error;
+    } finally {
+      this.progressRanges.delete(id);
+      tempFiles.forEach(tempFile => this.removePartialOutput(tempFile));
+    }
 
-        command.on('end', () => {
-          console.log('[FFmpeg Handler] Conversion complete:', id);
-          this.activeJobs.delete(id);
+    this.completeJob(id, trackedOutput);
+    return trackedOutput;
+  }
 
-          // Send completion to renderer
-          if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-            this.mainWindow.webContents.send('ff:complete', {
-              jobId: id,
-              outputPath
-            });
-          }
+  /**
+   * Build the FFmpeg command for a job
+   * @param {Object} job - Job configuration
+   * @param {string} outputPath - Output file path
+   * @param {string} encoder - Video encoder (video jobs only)
+   * @param {Object} passData - Results of an earlier pass: palettePath (GIF) or audioAnalysis (audio),
+   *   or twoPass (fit-to-size video: { pass, logFile, video, audio })
+   * @returns {Object} fluent-ffmpeg command
+   */
+  buildCommand(job, outputPath, encoder, { palettePath = null, audioAnalysis = null, twoPass = null } = {}) {
+    const { filePath, outputFormat, outputType, settings, trimStart, trimEnd } = job;
+    const command = job.sequence ? this.createSequenceInput(job.sequence) : ffmpeg(filePath);
 
-          resolve(outputPath);
-        });
+    // Apply trim settings if specified (MUST be set before codec settings)
+    this.applyTrim(command, job);
 
-        command.on('error', (error, stdout, stderr) => {
-          console.error('[FFmpeg Handler] Conversion error:', error.message);
-          console.error('[FFmpeg Handler] stderr:', stderr);
-          this.activeJobs.delete(id);
-
-          // Send error to renderer
-          if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-            this.mainWindow.webContents.send('ff:error', {
-              jobId: id,
-              error: error.message
-            });
+    // Apply conversion settings based on type
+    if (outputType === 'video') {
+      this.applyVideoSettings(command, outputFormat, settings, encoder, twoPass);
+      // Frames are usually RGB; x264/x265 would otherwise keep 4:4:4, which most players can't decode
+      if (job.sequence && (encoder === 'libx264' || encoder === 'libx265')) {
+        command.outputOptions(['-pix_fmt', 'yuv420p']);
+      }
+      if (twoPass && twoPass.pass === 1) {
+        // The first pass only collects video statistics
+        command.noAudio();
+        command.format('null');
+      } else {
+        if (settings.subtitles && settings.subtitles.mode !== 'burn') {
+          // A logo watermark is input 1 and already maps the streams
+          const logo = settings.watermark && settings.watermark.type === 'image' && settings.watermark.imagePath;
+          if (!logo) {
+            command.outputOptions(['-map', '0:v:0', '-map', '0:a?']);
           }
+          this.addSubtitleTrack(command, outputFormat, settings.subtitles, logo ? 2 : 1);
+        }
+        const ffmpegFormat = FORMAT_MAPPINGS.video[outputFormat] || outputFormat;
+        command.format(ffmpegFormat);
+      }
+    } else if (outputType === 'audio') {
+      // Without an analysis pass the clip length is the trim range (needed for fade-outs)
+      const hasTrim = trimStart !== undefined && trimEnd !== undefined;
+      const analysis = audioAnalysis || (hasTrim ? { duration: trimEnd - trimStart } : null);
+      this.applyAudioSettings(command, outputFormat, settings, analysis);
+      const ffmpegFormat = FORMAT_MAPPINGS.audio[outputFormat] || outputFormat;
+      command.format(ffmpegFormat);
+    } else if (outputType === 'image') {
+      this.applyImageSettings(command, outputFormat, settings);
+      const ffmpegFormat = FORMAT_MAPPINGS.image[outputFormat] || 'image2';
+      command.format(ffmpegFormat);
+    } else if (outputType === 'sequence') {
+      this.applySequenceSettings(command, outputFormat, settings);
+      command.format(FORMAT_MAPPINGS.sequence[outputFormat]);
+    } else if (outputType === 'animation') {
+      this.applyAnimationSettings(command, outputFormat, settings, palettePath);
+      command.format(FORMAT_MAPPINGS.animation[outputFormat]);
+    }
 
-          reject(error);
-        });
+    // Set output path
+    command.output(outputPath);
+    return command;
+  }
 
-        // Start conversion
-        command.run();
+  /**
+   * Apply the job's trim range to a command
+   * Animations and processed audio seek the input instead of the output: output seeking
+   * still runs the filters over the skipped part (the palette would be thrown away with it,
+   * and loudness/silence analysis would measure audio that isn't in the output)
+   * @param {Object} command - fluent-ffmpeg command
+   * @param {Object} job - Job configuration
+   */
+  applyTrim(command, job) {
+    const { trimStart, trimEnd } = job;
+    if (trimStart === undefined || trimEnd === undefined) {
+      return;
+    }
+
+    console.log(`[FFmpeg Handler] Applying trim: ${trimStart}s to ${trimEnd}s`);
+    // -ss: start time, -t: duration (both in seconds)
+    if (job.outputType === 'animation' || (job.outputType === 'audio' && this.hasAudioProcessing(job.settings))) {
+      command.seekInput(trimStart);
+    } else {
+      command.setStartTime(trimStart);
+    }
+    // A retimed clip plays longer or shorter than the range it was cut from
+    const retime = job.outputType === 'video' ? job.settings.retime : null;
+    command.duration((trimEnd - trimStart) / this.getRetimeFactor(retime));
+  }
+
+  /**
+   * Run an FFmpeg command for a job, tracking it so it can be cancelled
+   * Rejects with error.cancelled = true when the job was stopped on purpose
+   * (and error.requeued = true when it was stopped to be run again)
+   * @param {string} id - Job ID
+   * @param {Object} command - fluent-ffmpeg command
+   * @param {string} outputPath - File (or image sequence folder) the command writes, removed on failure
+   * @param {Object} options - Optional progress handling:
+   *   totalFrames - input frame count, used when FFmpeg can't report a percentage
+   *   duration - output length in seconds, for commands whose inputs are longer than what they read
+   *   progressStart/progressEnd - share of the job's progress this command covers (multi-pass jobs)
+   * @returns {Promise<string>} FFmpeg's stderr output (analysis passes parse it)
+   */
+  runCommand(id, command, outputPath, { totalFrames = null, duration = null, progressStart = 0, progressEnd = 100 } = {}) {
+    return new Promise((resolve, reject) => {
+      // Track progress
+      command.on('start', (commandLine) => {
+        console.log('[FFmpeg Handler] Command:', commandLine);
+        this.activeJobs.set(id, command);
+
+        // Remember what is being written so an interrupted job can be cleaned up on next launch
+        if (this.queueStore) {
+          this.queueStore.markProcessing(id, outputPath);
+        }
+      });
+
+      command.on('progress', (progress) => {
+        const passPercent = duration && progress.timemark
+          ? (progress.timemark.split(':').reduce((seconds, part) => seconds * 60 + parseFloat(part), 0) / duration) * 100
+          : progress.percent || (totalFrames && progress.frames ? (progress.frames / totalFrames) * 100 : 0);
+        const percent = progressStart + (Math.min(passPercent, 100) * (progressEnd - progressStart)) / 100;
+        console.log(`[FFmpeg Handler] Progress [${id}]: ${percent.toFixed(1)}%`);
+        this.reportProgress(id, percent, progress.timemark);
+      });
+
+      command.on('end', (stdout, stderr) => {
+        this.activeJobs.delete(id);
+        resolve(stderr || '');
+      });
+
+      command.on('error', (error, stdout, stderr) => {
+        console.error('[FFmpeg Handler] Conversion error:', error.message);
+        console.error('[FFmpeg Handler] stderr:', stderr);
+        this.activeJobs.delete(id);
+
+        error.cancelled = this.cancelledJobs.delete(id);
+        error.requeued = this.requeuedJobs.delete(id);
+
+        // Don't leave a truncated file behind (failed, cancelled or killed on quit)
+        this.removePartialOutput(outputPath);
 
-      } catch (error) {
-        console.error('[FFmpeg Handler] Setup error:', error);
         reject(error);
-      }
+      });
+
+      // Start conversion
+      command.run();
     });
   }
 
   /**
-   * Apply video conversion settings
+   * Record a finished job and notify the renderer
+   * @param {string} id - Job ID
+   * @param {string} outputPath - Output file path
    */
-  applyVideoSettings(command, outputFormat, settings) {
-    const { resolution, bitrate, framerate, codec, maxWidth, maxHeight } = settings;
+  completeJob(id, outputPath) {
+    console.log('[FFmpeg Handler] Conversion complete:', id);
 
-    // ALWAYS use CPU encoding for maximum compatibility
-    // The bundled FFmpeg is too old (2018) and has NVENC compatibility issues
-    console.log('[FFmpeg Handler] Using CPU encoder: libx264 (for compatibility)');
-    command.videoCodec('libx264');
-    command.outputOptions([
-      '-preset', 'medium',
-      '-crf', '23' // Balanced quality
-    ]);
+    if (this.queueStore) {
+      this.queueStore.markFinished(id, 'completed', { outputPath });
+    }
 
-    // Apply resolution based on preset
-    if (resolution === 'preset' && maxWidth && maxHeight) {
-      // Preset mode: scale to fit within maxWidth x maxHeight while maintaining aspect ratio
-      // Use FFmpeg's scale filter with force_original_aspect_ratio=decrease to prevent upscaling
-      console.log(`[FFmpeg Handler] Applying preset resolution: max ${maxWidth}x${maxHeight} (no upscaling)`);
-      command.outputOptions([
-        '-vf', `scale='min(${maxWidth},iw)':'min(${maxHeight},ih)':force_original_aspect_ratio=decrease`
-      ]);
-    } else if (resolution && resolution !== 'original' && resolution !== 'preset') {
-      // Legacy mode: direct resolution specification
-      command.size(resolution);
+    // Send completion to renderer
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send('ff:complete', {
+        jobId: id,
+        outputPath
+      });
     }
-    // If resolution is 'original' or not set, no scaling is applied
+  }
+
+  /**
+   * Record a failed (or cancelled) job and notify the renderer
+   * @param {string} id - Job ID
+   * @param {Error} error - Failure reason (error.cancelled when stopped by the user)
+   */
+  failJob(id, error) {
+    const cancelled = Boolean(error.cancelled);
+    const requeued = Boolean(error.requeued);
 
-    // Apply bitrate if specified
-    if (bitrate) {
-      console.log(`[FFmpeg Handler] Applying video bitrate: ${bitrate}`);
-      // fluent-ffmpeg's videoBitrate() expects a number (in kbps) or string with unit
-      // Our presets use '20M', '10M' etc. which need to be passed as-is using outputOptions
-      command.outputOptions(['-b:v', bitrate]);
+    // On quit, keep the job marked as processing so it is re-queued on next launch
+    if (this.queueStore && !this.isShuttingDown) {
+      if (cancelled || requeued) {
+        this.queueStore.updateJob(id, { status: 'pending', progress: 0, partialOutputPath: undefined });
+      } else {
+        this.queueStore.markFinished(id, 'failed', { error: error.message });
+      }
     }
 
-    // Apply framerate if specified
-    if (framerate) {
-      command.fps(framerate);
+    // Send error to renderer
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send('ff:error', {
+        jobId: id,
+        error: error.message,
+        cancelled,
+        requeued
+      });
     }
+  }
 
-    // Audio codec (copy if possible, otherwise re-encode)
-    command.audioCodec('aac');
-    command.audioBitrate('192k');
+  /**
+   * Set hardware acceleration mode
+   * @param {string} mode - 'auto' (GPU with CPU fallback), 'on' (GPU only) or 'off' (CPU only)
+   */
+  setHardwareAccelMode(mode) {
+    this.hwAccelMode = ['auto', 'on', 'off'].includes(mode) ? mode : 'auto';
+    console.log('[FFmpeg Handler] Hardware acceleration:', this.hwAccelMode);
   }
 
   /**
-   * Apply audio conversion settings
+   * Resolve the requested codec for a container ('auto' or missing -> container default)
+   * @param {string} outputFormat - Container (mp4, mov, ...)
+   * @param {string} codec - Requested codec id
+   * @returns {string|null} Codec id, or null if the container can't hold it
    */
-  applyAudioSettings(command, outputFormat, settings) {
-    const { audioBitrate, sampleRate, channels } = settings;
+  resolveVideoCodec(outputFormat, codec) {
+    const allowed = CONTAINER_CODECS[outputFormat] || ['h264'];
 
-    // Remove video stream
-    command.noVideo();
+    if (!codec || codec === 'auto') {
+      return allowed[0];
+    }
 
-    // Set audio codec based on output format using centralized mapping
-    const audioCodec = AUDIO_CODECS[outputFormat];
-    if (!audioCodec) {
-      throw new Error(`No codec mapping for audio format: ${outputFormat}`);
+    return allowed.includes(codec) ? codec : null;
+  }
+
+  /**
+   * Choose the video encoder for a job based on its codec and the hardware acceleration mode
+   * @param {string} outputFormat - Container
+   * @param {Object} settings - Job settings
+   * @returns {string} FFmpeg encoder name
+   */
+  selectVideoEncoder(outputFormat, settings = {}) {
+    const codecId = this.resolveVideoCodec(outputFormat, settings.codec);
+
+    // Codecs without hardware encoders (VP9, AV1, ProRes, DNxHR) always use their software encoder
+    if (!VIDEO_CODECS[codecId].hardware) {
+      return VIDEO_CODECS[codecId].encoder;
     }
-    command.audioCodec(audioCodec);
 
-    // Apply settings
-    // Skip bitrate for lossless formats (WAV, FLAC) or if null (source quality)
-    if (audioBitrate && audioCodec !== 'flac' && audioCodec !== 'pcm_s16le') {
-      console.log(`[FFmpeg Handler] Applying audio bitrate: ${audioBitrate}`);
-      command.audioBitrate(audioBitrate);
-    } else if (audioBitrate === null) {
-      console.log('[FFmpeg Handler] Using source audio bitrate (no re-encoding)');
-      // Don't set bitrate - FFmpeg will use source bitrate
+    const cpuEncoder = this.gpuDetector.getCPUEncoder(codecId);
+
+    // Fit-to-size needs two-pass rate control, which only the CPU encoders have
+    if (this.hwAccelMode === 'off' || settings.targetSize > 0) {
+      return cpuEncoder;
     }
 
-    if (sampleRate) {
-      command.audioFrequency(sampleRate);
+    const hardwareEncoder = this.gpuDetector.getBestEncoder(codecId);
+    if (this.gpuDetector.isHardwareEncoder(hardwareEncoder)) {
+      return hardwareEncoder;
     }
 
-    if (channels) {
-      command.audioChannels(channels);
+    if (this.hwAccelMode === 'on') {
+      throw new Error('Hardware acceleration is set to "on" but no working hardware encoder was found');
     }
+
+    return cpuEncoder;
   }
 
   /**
-   * Apply image conversion settings
+   * Get the codec family ('h264' or 'h265') of an encoder name
+   * @param {string} encoder - FFmpeg encoder name
+   * @returns {string}
    */
-  applyImageSettings(command, outputFormat, settings) {
-    const { quality, width, height, maxDimension } = settings;
+  getCodecFamily(encoder) {
+    return encoder.startsWith('hevc') || encoder === 'libx265' ? 'h265' : 'h264';
+  }
 
-    // Set codec based on output format using centralized mapping
-    const codec = IMAGE_CODECS[outputFormat];
-    if (!codec) {
-      throw new Error(`No codec mapping for image format: ${outputFormat}`);
+  /**
+   * Send job progress to the renderer and the optional progress listener
+   * @param {string} jobId - Job ID
+   * @param {number} percent - Progress 0-100
+   * @param {string} timemark - Current FFmpeg timemark (optional)
+   */
+  reportProgress(jobId, percent, timemark) {
+    // Later stages of a multi-stage job (e.g. converting joined segments) report into their share
+    const range = this.progressRanges.get(jobId);
+    if (range) {
+      percent = range[0] + ((percent || 0) * (range[1] - range[0])) / 100;
     }
-    command.videoCodec(codec);
+    const progress = Math.min(Math.max(percent || 0, 0), 100);
 
-    // Set quality for lossy formats
-    if (quality) {
-      if (outputFormat === 'jpg' || outputFormat === 'jpeg') {
-        // JPEG quality: 2-31 (lower is better quality)
-        const jpegQuality = Math.floor((100 - quality) / 100 * 29 + 2);
-        command.outputOptions(['-q:v', jpegQuality.toString()]);
-      } else if (outputFormat === 'webp') {
-        // WebP quality: 0-100 (higher is better)
-        command.outputOptions(['-quality', quality.toString()]);
-      } else if (outputFormat === 'png') {
-        // PNG uses compression level 0-9 (higher = smaller file, slower)
-        // Map quality 0-100 to compression 9-0 (inverted)
-        const pngCompression = Math.floor((100 - quality) / 100 * 9);
-        command.outputOptions(['-compression_level', pngCompression.toString()]);
-      }
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send('ff:progress', {
+        jobId,
+        progress,
+        timemark
+      });
     }
 
-    // Apply size based on preset or explicit dimensions
-    if (maxDimension && maxDimension > 0) {
-      // Preset mode: scale to fit within maxDimension (no upscaling)
-      console.log(`[FFmpeg Handler] Applying image preset: max ${maxDimension}px (no upscaling)`);
-      command.outputOptions([
-        '-vf', `scale='min(${maxDimension},iw)':'min(${maxDimension},ih)':force_original_aspect_ratio=decrease`
-      ]);
-    } else if (width && height) {
-      // Legacy mode: explicit dimensions
-      command.size(`${width}x${height}`);
+    if (this.onProgress) {
+      this.onProgress(jobId, progress);
     }
-    // If neither specified, maintain original size
   }
 
   /**
-   * Cancel a conversion job
-   * @param {string} jobId - Job ID to cancel
+   * Apply video conversion settings
+   * Video filters are collected into one chain so encoder-specific filters (e.g. VA-API upload) go last
+   * @param {Object} twoPass - Fit-to-size pass: { pass, logFile, video, audio } (optional)
+   */
+  applyVideoSettings(command, outputFormat, settings, encoder = 'libx264', twoPass = null) {
+    const { resolution, bitrate, framerate, maxWidth, maxHeight, crf } = settings;
+    const codecId = this.resolveVideoCodec(outputFormat, settings.codec);
+    const codec = VIDEO_CODECS[codecId];
+    // The grade comes first so it sees the source picture, not the watermark or subtitles drawn on it
+    const filters = settings.color ? this.getColorFilters(settings.color) : [];
+    // Reframing comes next so scaling and the watermark apply to the new frame, and so its keyframes
+    // are timed before any speed change
+    if (settings.reframe) {
+      filters.push(this.getReframeFilter(settings.reframe));
+    }
+    // Burned-in subtitles go onto the reframed picture, before any speed change so they keep in sync
+    if (settings.subtitles && settings.subtitles.mode === 'burn') {
+      filters.push(this.getSubtitleFilter(settings.subtitles));
+    }
+    if (settings.retime) {
+      filters.push(...this.getRetimeVideoFilters(settings.retime));
+    }
+
+    console.log(`[FFmpeg Handler] Using video codec: ${codecId} (${encoder})`);
+    let encoderOptions;
+    if (twoPass) {
+      encoderOptions = this.getTwoPassOptions(encoder, twoPass);
+    } else if (codec.hardware) {
+      encoderOptions = this.gpuDetector.getEncoderOptions(encoder, { quality: crf, bitrate });
+    } else {
+      encoderOptions = this.getSoftwareCodecOptions(codecId, { quality: crf, bitrate });
+    }
+    command.videoCodec(encoder);
+    if (encoderOptions.inputOptions.length > 0) {
+      command.inputOptions(encoderOptions.inputOptions);
+    }
+    // Rate control: CRF/constant quality, with preset bitrates applied as a ceiling
+    if (bitrate && !codec.intra && !twoPass) {
+      console.log(`[FFmpeg Handler] Applying video bitrate cap: ${bitrate}`);
+    }
+    command.outputOptions(encoderOptions.outputOptions);
+
+    // HEVC in MP4/MOV needs the hvc1 tag to play in QuickTime and on Apple devices
+    if (codecId === 'h265' && (outputFormat === 'mp4' || outputFormat === 'mov')) {
+      command.outputOptions(['-tag:v', 'hvc1']);
+    }
+
+    // Tone-mapped video is SDR now - don't let players read it as HDR
+    if (settings.color && settings.color.tonemap && settings.color.hdr) {
+      command.outputOptions(['-color_primaries', 'bt709', '-color_trc', 'bt709', '-colorspace', 'bt709']);
+    }
+
+    // Apply resolution based on preset
+    if (resolution === 'preset' && maxWidth && maxHeight) {
+      // Preset mode: scale to fit within maxWidth x maxHeight while maintaining aspect ratio
+      // Use FFmpeg's scale filter with force_original_aspect_ratio=decrease to prevent upscaling
+      console.log(`[FFmpeg Handler] Applying preset resolution: max ${maxWidth}x${maxHeight} (no upscaling)`);
+      filters.push(`scale='min(${maxWidth},iw)':'min(${maxHeight},ih)':force_original_aspect_ratio=decrease`);
+    } else if (resolution && resolution !== 'original' && resolution !== 'preset') {
+      // Legacy mode: direct resolution specification
+      filters.push(`scale=${resolution.replace('x', ':')}`);
+    }
+    // If resolution is 'original' or not set, no scaling is applied
+
+    // Apply framerate if specified
+    // A retimed clip gets a constant rate, with frames dropped or repeated - explicitly, because the
+    // null output of a first pass would otherwise pass frames through and break the pass 2 stats
+    const retimeRate = settings.retime ? this.getRetimeFrameRate(settings.retime) : null;
+    if (retimeRate) {
+      command.fps(retimeRate).outputOptions(['-vsync', 'cfr']);
+    } else if (framerate) {
+      command.fps(framerate);
+    }
+
+    // Hardware upload filters must come after all software filters (including the watermark)
+    this.applyVideoFilters(command, filters, settings.watermark, { postFilters: encoderOptions.filters, keepAudio: true });
+
+    this.applyContainerAudio(command, outputFormat, codecId, twoPass ? twoPass.audio : null);
+
+    const tempo = settings.retime ? this.getTempoFilters(this.getRetimeFactor(settings.retime)) : [];
+    if (tempo.length > 0 && !(twoPass && twoPass.pass === 1)) {
+      command.audioFilters(tempo);
+    }
+  }
+
+  /**
+   * Build a subtitles filter that burns a subtitle file into the picture
+   * Sizes are in ASS units (SRT/VTT files render on a 288-line canvas scaled to the frame), so
+   * captions look the same at any resolution; the style overrides the file's own
+   * @param {Object} subtitles - { filePath, style: { font, size, outline, position } }
+   * @returns {string} subtitles filter
+   */
+  getSubtitleFilter(subtitles) {
+    const style = subtitles.style || {};
+    const size = Math.min(Math.max(parseInt(style.size, 10) || 18, 8), 72);
+    const outline = Math.min(Math.max(parseFloat(style.outline), 0), 6);
+    const forceStyle = [
+      `FontName=${String(style.font || 'Arial').replace(/[,=]/g, '')}`,
+      `FontSize=${size}`,
+      'PrimaryColour=&H00FFFFFF',
+      'OutlineColour=&H00000000',
+      'BorderStyle=1',
+      `Outline=${Number.isFinite(outline) ? outline : 2}`,
+      'Shadow=0',
+      `Alignment=${SUBTITLE_ALIGNMENTS[style.position] || SUBTITLE_ALIGNMENTS.bottom}`,
+      'MarginV=16'
+    ].join(',');
+
+    console.log(`[FFmpeg Handler] Burning in subtitles: ${subtitles.sourcePath || subtitles.filePath} (${forceStyle})`);
+    return `subtitles=filename=${this.escapeFilterValue(subtitles.filePath)}:force_style=${this.escapeFilterValue(forceStyle)}`;
+  }
+
+  /**
+   * Mux a subtitle file as the first subtitle track of the output
+   * MP4 and MOV store timed text (styling is dropped); MKV keeps SRT, WebVTT or ASS as is
+   * @param {Object} command - fluent-ffmpeg command (output codec options already set)
+   * @param {string} outputFormat - Output container
+   * @param {Object} subtitles - { filePath, language: ISO 639-2 code (optional) }
+   * @param {number} inputIndex - Index the subtitle file gets among the command's inputs
+   */
+  addSubtitleTrack(command, outputFormat, subtitles, inputIndex) {
+    const codec = SUBTITLE_TRACK_CODECS[outputFormat] || SUBTITLE_FILE_CODECS[path.extname(subtitles.filePath).slice(1).toLowerCase()];
+
+    console.log(`[FFmpeg Handler] Adding subtitle track: ${subtitles.sourcePath || subtitles.filePath} (${codec})`);
+    command.input(subtitles.filePath);
+    command.outputOptions(['-map', `${inputIndex}:0`, '-c:s:0', codec, '-disposition:s:0', 'default']);
+
+    if (/^[a-z]{3}$/i.test(subtitles.language || '')) {
+      command.outputOptions(['-metadata:s:s:0', `language=${subtitles.language.toLowerCase()}`]);
+    }
+  }
+
+  /**
+   * Write a copy of a subtitle file shifted to the ranges the output plays, one after another
+   * (overlapping by the crossfade): cues outside every range are dropped, cues crossing a
+   * range's ends are clipped to it, and a cue in several ranges appears once for each
+   * @param {string} id - Job ID (names the copy)
+   * @param {string} sourcePath - SRT, VTT or ASS file
+   * @param {Array} ranges - [{ start, end }] in source time (seconds), in output order
+   * @param {number} crossfade - Overlap between consecutive ranges (seconds)
+   * @returns {string} Path of the copy in the temp folder (the caller removes it)
+   */
+  prepareSubtitles(id, sourcePath, ranges, crossfade = 0) {
+    const extension = path.extname(sourcePath).toLowerCase();
+    const ass = extension === '.ass' || extension === '.ssa';
+
+    const toSeconds = (time) => time.replace(',', '.').split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+    const toClock = (seconds, separator, digits) => {
+      const ms = Math.round(seconds * 1000);
+      const clock = [Math.floor(ms / 3600000), Math.floor(ms / 60000) % 60, Math.floor(ms / 1000) % 60]
+        .map((part, index) => index === 0 && ass ? String(part) : String(part).padStart(2, '0'))
+        .join(':');
+      return `${clock}${separator}${String(ms % 1000).padStart(3, '0').slice(0, digits)}`;
+    };
+    // Output-time offset of each range
+    let offset = 0;
+    const placed = ranges.map(range => {
+      const rangeOffset = offset;
+      offset += range.end - range.start - crossfade;
+      return { ...range, offset: rangeOffset };
+    });
+    // Shift a cue into a range; null when it falls outside
+    const shift = (from, to, range) => {
+      const length = range.end - range.start;
+      const cueStart = toSeconds(from) - range.start;
+      const cueEnd = toSeconds(to) - range.start;
+      return cueEnd <= 0 || cueStart >= length ? null : [range.offset + Math.max(cueStart, 0), range.offset + Math.min(cueEnd, length)];
+    };
+    // Cues are written range by range, in place of the first cue, so they stay in output order
+    const arrange = (items, isCue, render) => {
+      const first = items.findIndex(isCue);
+      if (first === -1) return items;
+      const cues = items.filter(isCue);
+      const shiftedCues = placed.flatMap(range => cues.map(cue => render(cue, range)).filter(cue => cue !== null));
+      const others = items.filter(item => !isCue(item));
+      return [...others.slice(0, first), ...shiftedCues, ...others.slice(first)];
+    };
+
+    const text = fs.readFileSync(sourcePath, 'utf8');
+    let shifted;
+    if (ass) {
+      const dialogue = /^(Dialogue:\s*[^,]*,)([\d:.]+),([\d:.]+),(.*)$/;
+      shifted = arrange(text.split(/\r?\n/), line => dialogue.test(line), (line, range) => {
+        const match = line.match(dialogue);
+        const cue = shift(match[2], match[3], range);
+        return cue ? `${match[1]}${toClock(cue[0], '.', 2)},${toClock(cue[1], '.', 2)},${match[4]}` : null;
+      }).join('\n');
+    } else {
+      // SRT and VTT cues are blocks with a "start --> end" timing line, numbered again in output order
+      const separator = extension === '.vtt' ? '.' : ',';
+      const timingLine = /^\s*([\d:.,]+)\s*-->\s*([\d:.,]+)(.*)$/;
+      let number = 0;
+      shifted = arrange(text.split(/\r?\n\s*\r?\n/), block => block.split(/\r?\n/).some(line => timingLine.test(line)), (block, range) => {
+        const lines = block.split(/\r?\n/);
+        const timing = lines.findIndex(line => timingLine.test(line));
+        const match = lines[timing].match(timingLine);
+        const cue = shift(match[1], match[2], range);
+        if (!cue) return null;
+        lines[timing] = `${toClock(cue[0], separator, 3)} --> ${toClock(cue[1], separator, 3)}${match[3]}`;
+        if (timing > 0 && /^\d+$/.test(lines[timing - 1].trim())) {
+          lines[timing - 1] = String(++number);
+        }
+        return lines.join('\n');
+      }).join('\n\n');
+    }
+
+    const copyPath = path.join(os.tmpdir(), `kolbo-subs-${id}${extension}`);
+    fs.writeFileSync(copyPath, shifted, 'utf8');
+    return copyPath;
+  }
+
+  /**
+   * List a file's subtitle streams
+   * Uses ffprobe when it's available, otherwise FFmpeg's input summary
+   * @param {string} filePath - Source file
+   * @returns {Promise<Array>} [{ index: position among the subtitle streams, codec, language, title }]
+   */
+  async getSubtitleStreams(filePath) {
+    try {
+      const metadata = await this.probeFile(filePath);
+      return metadata.streams
+        .filter(stream => stream.codec_type === 'subtitle')
+        .map((stream, index) => ({
+          index,
+          codec: stream.codec_name,
+          language: (stream.tags && stream.tags.language) || null,
+          title: (stream.tags && stream.tags.title) || null
+        }));
+    } catch (error) {
+      console.warn('[FFmpeg Handler] ffprobe unavailable, reading subtitle streams from FFmpeg:', error.message);
+      const { stderr } = await this.execFFmpeg(['-hide_banner', '-i', filePath], { allowFailure: true });
+      return [...stderr.matchAll(/Stream #0:\d+(?:\[\w+\])?(?:\((\w+)\))?: Subtitle: (\w+)/g)]
+        .map((match, index) => ({ index, codec: match[2], language: match[1] || null, title: null }));
+    }
+  }
+
+  /**
+   * Save a file's text subtitle streams as SRT files, named after their language
+   * @param {string} filePath - Source file
+   * @param {string} outputFolder - Folder for the SRT files (null = next to the source)
+   * @returns {Promise<Object>} { files: saved paths, skipped: codecs of picture-based streams }
+   */
+  async extractSubtitles(filePath, outputFolder = null) {
+    const streams = await this.getSubtitleStreams(filePath);
+    if (streams.length === 0) {
+      throw new Error('No subtitle tracks found in this file');
+    }
+
+    const files = [];
+    const skipped = [];
+    const labels = new Set();
+    const args = ['-hide_banner', '-y', '-i', filePath];
+    for (const stream of streams) {
+      if (PICTURE_SUBTITLE_CODECS.includes(stream.codec)) {
+        skipped.push(stream.codec);
+        continue;
+      }
+
+      // A second track in the same language is told apart by its number
+      let label = stream.language && stream.language !== 'und' ? stream.language : `track${stream.index + 1}`;
+      if (labels.has(label)) label = `${label}-track${stream.index + 1}`;
+      labels.add(label);
+
+      const outputPath = this.getOutputPath(filePath, `${label}.srt`, outputFolder);
+      args.push('-map', `0:s:${stream.index}`, '-c:s', 'srt', outputPath);
+      files.push(outputPath);
+    }
+    if (files.length === 0) {
+      return { files, skipped };
+    }
+
+    // One pass reads the file once for every track; long files take longer than execFFmpeg's usual limit
+    try {
+      await this.execFFmpeg(args, { timeout: 0 });
+    } catch (error) {
+      files.forEach(file => this.removePartialOutput(file));
+      throw error;
+    }
+
+    console.log(`[FFmpeg Handler] Extracted ${files.length} subtitle track(s) from ${filePath}`);
+    return { files, skipped };
+  }
+
+  /**
+   * Check whether color settings change anything
+   * @param {Object} color - { lutPath, exposure, contrast, saturation, gamma, tonemap } (optional)
+   * @returns {boolean}
+   */
+  hasColor(color) {
+    if (!color) return false;
+    return Boolean(color.lutPath || color.tonemap || parseFloat(color.exposure) ||
+      ['contrast', 'saturation', 'gamma'].some(key => color[key] !== undefined && color[key] !== null && parseFloat(color[key]) !== 1));
+  }
+
+  /**
+   * Check a job's LUT before FFmpeg reads it
+   * @param {Object} color - Color settings
+   * @returns {string|null} Error message, null when usable
+   */
+  getColorError(color) {
+    if (!color.lutPath) return null;
+    if (!fs.existsSync(color.lutPath)) {
+      return `LUT file not found: ${color.lutPath}`;
+    }
+    if (path.extname(color.lutPath).toLowerCase() !== '.cube') {
+      return 'LUTs must be .cube files';
+    }
+    return null;
+  }
+
+  /**
+   * Build the color filters: HDR tone mapping, exposure, the LUT, then contrast/saturation/gamma
+   * Exposure goes before the LUT, which expects a correctly exposed picture; the eq adjustments
+   * fine-tune the graded result
+   * @param {Object} color - { lutPath, exposure (stops), contrast, saturation, gamma, tonemap,
+   *   hdr: source transfer from getMediaInfo ('pq', 'hlg' or null) }
+   * @returns {Array} Filters
+   */
+  getColorFilters(color) {
+    const clamp = (key, fallback) => {
+      const value = parseFloat(color[key]);
+      const [min, max] = COLOR_LIMITS[key];
+      return Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+    };
+    const filters = [];
+
+    // Linearize, map the highlights into SDR range and convert to Rec.709 (SDR sources are left alone)
+    if (color.tonemap && color.hdr) {
+      const transfer = color.hdr === 'hlg' ? 'arib-std-b67' : 'smpte2084';
+      filters.push(
+        `zscale=tin=${transfer}:min=bt2020nc:pin=bt2020:t=linear:npl=100`,
+        'format=gbrpf32le',
+        'zscale=p=bt709',
+        'tonemap=hable:desat=0',
+        'zscale=t=bt709:m=bt709:r=tv',
+        'format=yuv420p'
+      );
+    }
+
+    // One stop doubles the light; the picture is gamma-encoded, so the gain is 2^(stops / 2.2)
+    const exposure = clamp('exposure', 0);
+    if (exposure !== 0) {
+      const gain = Math.pow(2, exposure / 2.2).toFixed(4);
+      filters.push(`colorchannelmixer=rr=${gain}:gg=${gain}:bb=${gain}`);
+    }
+
+    if (color.lutPath) {
+      filters.push(`lut3d=file=${this.escapeFilterValue(color.lutPath)}`);
+    }
+
+    const eq = ['contrast', 'saturation', 'gamma']
+      .map(key => [key, clamp(key, 1)])
+      .filter(([, value]) => value !== 1)
+      .map(([key, value]) => `${key}=${value}`);
+    if (eq.length > 0) {
+      filters.push(`eq=${eq.join(':')}`);
+    }
+
+    return filters;
+  }
+
+  /**
+   * Render one frame with and without the color settings, for a before/after comparison
+   * @param {string} filePath - Source video
+   * @param {number} time - Frame time (seconds)
+   * @param {Object} color - Color settings
+   * @returns {Promise<Object>} { before, after } JPEG data URLs
+   */
+  async previewColor(filePath, time, color) {
+    const message = this.getColorError(color);
+    if (message) {
+      throw new Error(message);
+    }
+
+    const info = await this.getMediaInfo(filePath);
+    const colorFilters = this.getColorFilters({ ...color, hdr: info.hdr });
+    const scale = `scale='min(${COLOR_PREVIEW_WIDTH},iw)':-2`;
+    const id = Date.now();
+    const frames = {};
+
+    for (const [name, filters] of [['before', [scale]], ['after', [...colorFilters, scale]]]) {
+      const framePath = path.join(os.tmpdir(), `kolbo-color-${id}-${name}.jpg`);
+      try {
+        await this.execFFmpeg(['-hide_banner', '-y', '-ss', String(Math.max(time || 0, 0)), '-i', filePath,
+          '-frames:v', '1', '-vf', filters.join(','), '-q:v', '3', framePath]);
+        frames[name] = `data:image/jpeg;base64,${fs.readFileSync(framePath).toString('base64')}`;
+      } finally {
+        this.removePartialOutput(framePath);
+      }
+    }
+
+    return frames;
+  }
+
+  /**
+   * Check whether retime settings change anything
+   * @param {Object} retime - { speed, reverse, frameRate, frameRateMode } (optional)
+   * @returns {boolean}
+   */
+  hasRetime(retime) {
+    return Boolean(retime && ((parseFloat(retime.speed) || 1) !== 1 || retime.reverse || retime.frameRate));
+  }
+
+  /**
+   * Exact frame rate for a rounded value (29.97 -> 30000/1001)
+   * @param {number} fps - Frames per second
+   * @returns {Object} { expression: for FFmpeg, value: number }
+   */
+  getFrameRate(fps) {
+    const exact = NTSC_FRAME_RATES[Math.round(fps * 100) / 100];
+    if (!exact) {
+      return { expression: String(fps), value: fps };
+    }
+    const [numerator, denominator] = exact.split('/').map(Number);
+    return { expression: exact, value: numerator / denominator };
+  }
+
+  /**
+   * How much faster the output plays than the source: the speed factor, times the conform ratio
+   * (a 24 fps clip conformed to 25 fps plays every frame, 25/24 faster)
+   * @param {Object} retime - { speed, frameRate, frameRateMode, sourceFps }
+   * @returns {number}
+   */
+  getRetimeFactor(retime) {
+    if (!retime) return 1;
+
+    const speed = Math.min(Math.max(parseFloat(retime.speed) || 1, MIN_SPEED), MAX_SPEED);
+    const conform = retime.frameRate && retime.frameRateMode === 'conform' && retime.sourceFps
+      ? this.getFrameRate(retime.frameRate).value / this.getFrameRate(retime.sourceFps).value
+      : 1;
+    return speed * conform;
+  }
+
+  /**
+   * Output frame rate of a retimed clip: the chosen rate, or the source's once the speed changes
+   * @param {Object} retime - { speed, frameRate, frameRateMode, sourceFps }
+   * @returns {string|null} Rate for FFmpeg, null to keep the source timing
+   */
+  getRetimeFrameRate(retime) {
+    if (retime.frameRate) {
+      return this.getFrameRate(parseFloat(retime.frameRate)).expression;
+    }
+    return this.getRetimeFactor(retime) !== 1 && retime.sourceFps ? this.getFrameRate(retime.sourceFps).expression : null;
+  }
+
+  /**
+   * Video filters for speed changes
+   * conform retimes every frame; interpolate adds motion-interpolated frames (smooth slow motion);
+   * anything else leaves the output rate to drop or repeat frames
+   * The fps filter isn't used: it pads sped-up clips to the source length with a frozen last frame
+   * @param {Object} retime - { speed, frameRate, frameRateMode, sourceFps }
+   * @returns {Array} Filters
+   */
+  getRetimeVideoFilters(retime) {
+    const factor = this.getRetimeFactor(retime);
+    const rate = this.getRetimeFrameRate(retime);
+    const filters = [];
+
+    if (factor !== 1) {
+      filters.push(`setpts=(PTS-STARTPTS)/${factor.toFixed(6)}`);
+    }
+    if (rate && retime.frameRateMode === 'interpolate') {
+      filters.push(`minterpolate=fps=${rate}:mi_mode=mci:mc_mode=aobmc:me_mode=bidir:vsbmc=1`);
+    }
+
+    if (filters.length > 0) {
+      console.log(`[FFmpeg Handler] Retiming: ${factor.toFixed(3)}x at ${rate || 'source'} fps (${retime.frameRateMode || 'resample'})`);
+    }
+    return filters;
+  }
+
+  /**
+   * Pitch-preserving tempo change; atempo takes 0.5-2 per filter, so larger changes are chained
+   * @param {number} factor - Playback speed factor
+   * @returns {Array} Filters (empty at 1x)
+   */
+  getTempoFilters(factor) {
+    const filters = [];
+    let remaining = factor;
+    while (remaining > 2) {
+      filters.push('atempo=2');
+      remaining /= 2;
+    }
+    while (remaining < 0.5) {
+      filters.push('atempo=0.5');
+      remaining /= 0.5;
+    }
+    if (Math.abs(remaining - 1) > 0.0001) {
+      filters.push(`atempo=${remaining.toFixed(6)}`);
+    }
+    return filters;
+  }
+
+  /**
+   * Apply a video filter chain, with the watermark drawn on top of the scaled frame
+   * A logo needs a second input, so a logo watermark turns the chain into a filter graph
+   * @param {Object} command - fluent-ffmpeg command
+   * @param {Array} filters - Filters to run before the watermark (scaling, frame selection)
+   * @param {Object} watermark - { type: 'image'|'text', imagePath, text, position, opacity, scale, margin } (optional)
+   * @param {Object} options - postFilters: filters after the watermark, keepAudio: map the source audio
+   */
+  applyVideoFilters(command, filters, watermark, { postFilters = [], keepAudio = false } = {}) {
+    const type = watermark && (watermark.type === 'image' ? watermark.imagePath : watermark.text) ? watermark.type : null;
+
+    if (type !== 'image') {
+      const chain = type === 'text' ? [...filters, this.getTextWatermarkFilter(watermark), ...postFilters] : [...filters, ...postFilters];
+      if (chain.length > 0) {
+        command.videoFilters(chain);
+      }
+      return;
+    }
+
+    // Logo: scaled relative to the output frame (scale2ref), faded by opacity, then overlaid
+    const { scale, opacity, x, y } = this.getWatermarkLayout(watermark);
+    const overlay = [`overlay=x='${x}':y='${y}'`, ...postFilters].join(',');
+
+    console.log(`[FFmpeg Handler] Watermark logo: ${watermark.imagePath} (${watermark.position || 'bottom-right'}, ${Math.round(scale * 100)}% width, opacity ${opacity})`);
+    command.input(watermark.imagePath);
+    command.complexFilter([
+      `[0:v]${filters.length > 0 ? filters.join(',') : 'null'}[base]`,
+      `[1:v]format=rgba,colorchannelmixer=aa=${opacity}[logo]`,
+      `[logo][base]scale2ref=w='main_w*${scale}':h='ow/a'[mark][frame]`,
+      `[frame][mark]${overlay}[outv]`
+    ], 'outv');
+
+    if (keepAudio) {
+      command.outputOptions(['-map', '0:a?']);
+    }
+  }
+
+  /**
+   * Build a drawtext filter for a text watermark
+   * Font size is relative to the frame height so the text looks the same at any resolution
+   * @param {Object} watermark - { text, position, opacity, scale, margin }
+   * @returns {string} drawtext filter
+   */
+  getTextWatermarkFilter(watermark) {
+    const { scale, opacity, x, y } = this.getWatermarkLayout(watermark, { frame: ['w', 'h'], mark: ['tw', 'th'] });
+    const options = [
+      `text=${this.escapeFilterValue(watermark.text)}`,
+      'expansion=none',
+      `fontsize='h*${(scale / 2).toFixed(3)}'`,
+      `fontcolor=white@${opacity}`,
+      `shadowcolor=black@${(opacity * 0.6).toFixed(2)}`,
+      'shadowx=2',
+      'shadowy=2',
+      `x='${x}'`,
+      `y='${y}'`
+    ];
+
+    const fontFile = WATERMARK_FONTS[process.platform];
+    if (fontFile && fs.existsSync(fontFile)) {
+      options.unshift(`fontfile=${this.escapeFilterValue(fontFile)}`);
+    }
+
+    console.log(`[FFmpeg Handler] Watermark text: "${watermark.text}" (${watermark.position || 'bottom-right'}, opacity ${opacity})`);
+    return `drawtext=${options.join(':')}`;
+  }
+
+  /**
+   * Resolve watermark size, opacity and position expressions
+   * @param {Object} watermark - { position, opacity (0-1), scale (fraction of frame width), margin (fraction of frame width) }
+   * @param {Object} names - Variable names for the frame and watermark size in the target filter
+   * @returns {Object} { scale, opacity, x, y }
+   */
+  getWatermarkLayout(watermark, { frame = ['W', 'H'], mark = ['w', 'h'] } = {}) {
+    const clamp = (value, min, max, fallback) => {
+      const number = parseFloat(value);
+      return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+    };
+    const scale = clamp(watermark.scale, 0.02, 1, 0.15);
+    const opacity = clamp(watermark.opacity, 0, 1, 0.8);
+    const margin = clamp(watermark.margin, 0, 0.25, 0.03);
+    const placement = WATERMARK_POSITIONS[watermark.position] || WATERMARK_POSITIONS['bottom-right'];
+
+    // Margin is relative to the frame width so it matches on both axes
+    const names = { W: frame[0], H: frame[1], w: mark[0], h: mark[1], M: `${frame[0]}*${margin}` };
+    const resolve = (expression) => expression.replace(/[WHwhM]/g, name => names[name]);
+
+    return { scale, opacity, x: resolve(placement.x), y: resolve(placement.y) };
+  }
+
+  /**
+   * Escape a value for use as a filter option inside a filter graph
+   * (one level for the option parser, one for the graph parser)
+   * @param {string} value - Raw value (text, file path)
+   * @returns {string} Escaped value
+   */
+  escapeFilterValue(value) {
+    const optionLevel = String(value).replace(/[\\':]/g, char => `\\${char}`);
+    return optionLevel.replace(/[\\'\[\],;]/g, char => `\\${char}`);
+  }
+
+  /**
+   * Rate control and profile flags for codecs that have no hardware encoder
+   * @param {string} codecId - Key of VIDEO_CODECS
+   * @param {Object} settings - { quality: CRF-scale value (x264 scale), bitrate }
+   * @returns {Object} { inputOptions, outputOptions, filters }
+   */
+  getSoftwareCodecOptions(codecId, { quality, bitrate } = {}) {
+    const codec = VIDEO_CODECS[codecId];
+    const result = { inputOptions: [], outputOptions: [], filters: [] };
+    const level = quality || 23;
+
+    if (codec.intra) {
+      // ProRes / DNxHR: quality is fixed by the profile, bitrate presets don't apply
+      result.outputOptions.push('-profile:v', codec.profile, '-pix_fmt', codec.pixFmt);
+      if (codec.encoder === 'prores_ks') {
+        result.outputOptions.push('-vendor', 'apl0');
+      }
+    } else if (codecId === 'vp9') {
+      // VP9 CRF runs 0-63; x264 CRF 23 ~ VP9 CRF 31. A bitrate turns it into constrained quality
+      const crf = Math.round(Math.min(level * 1.35, 63));
+      result.outputOptions.push('-crf', String(crf), '-b:v', bitrate || '0', '-row-mt', '1', '-pix_fmt', 'yuv420p');
+    } else if (codecId === 'av1') {
+      const crf = Math.round(Math.min(level * 1.3, 63));
+      result.outputOptions.push('-crf', String(crf), '-b:v', bitrate || '0', '-cpu-used', '6', '-pix_fmt', 'yuv420p');
+    }
+
+    return result;
+  }
+
+  /**
+   * Rate control for one pass of a two-pass (fit-to-size) encode
+   * @param {string} encoder - CPU encoder (libx264, libx265, libvpx-vp9, libaom-av1)
+   * @param {Object} twoPass - { pass: 1|2, logFile: stats file prefix, video: bitrate in kbps }
+   * @returns {Object} { inputOptions, outputOptions, filters }
+   */
+  getTwoPassOptions(encoder, { pass, logFile, video }) {
+    const result = { inputOptions: [], outputOptions: ['-b:v', `${video}k`], filters: [] };
+
+    if (encoder === 'libx265') {
+      // libx265 ignores -pass; its options are ':'-separated, so the stats path is escaped
+      const statsFile = `${logFile}.log`.replace(/\\/g, '/').replace(/:/g, '\\:');
+      result.outputOptions.push('-preset', 'medium', '-x265-params', `pass=${pass}:stats=${statsFile}`);
+      return result;
+    }
+
+    result.outputOptions.push('-pass', String(pass), '-passlogfile', logFile);
+    if (encoder === 'libx264') {
+      result.outputOptions.push('-preset', 'medium');
+    } else if (encoder === 'libvpx-vp9') {
+      result.outputOptions.push('-row-mt', '1', '-pix_fmt', 'yuv420p');
+    } else if (encoder === 'libaom-av1') {
+      result.outputOptions.push('-cpu-used', '6', '-pix_fmt', 'yuv420p');
+    }
+    return result;
+  }
+
+  /**
+   * Bitrate (kbps) of the compressed audio a container gets with its video
+   * @param {string} outputFormat - Container
+   * @returns {number}
+   */
+  getContainerAudioBitrate(outputFormat) {
+    return outputFormat === 'webm' ? 128 : 192;
+  }
+
+  /**
+   * Pick the audio codec that belongs with the container/video codec
+   * @param {Object} command - fluent-ffmpeg command
+   * @param {string} outputFormat - Container
+   * @param {string} codecId - Video codec id
+   * @param {number} audioBitrate - Compressed audio bitrate in kbps (default: the container's)
+   */
+  applyContainerAudio(command, outputFormat, codecId, audioBitrate = null) {
+    const bitrate = `${audioBitrate || this.getContainerAudioBitrate(outputFormat)}k`;
+
+    if (outputFormat === 'webm') {
+      // WebM only allows Opus/Vorbis audio
+      command.audioCodec('libopus');
+      command.audioBitrate(bitrate);
+    } else if (outputFormat === 'mxf') {
+      // MXF (Avid/broadcast) expects uncompressed 48 kHz audio
+      command.audioCodec('pcm_s16le');
+      command.audioFrequency(48000);
+    } else if (VIDEO_CODECS[codecId].intra) {
+      // Editing codecs in MOV get uncompressed audio to match
+      command.audioCodec('pcm_s16le');
+    } else {
+      command.audioCodec('aac');
+      command.audioBitrate(bitrate);
+    }
+  }
+
+  /**
+   * Apply audio conversion settings
+   * @param {Object} analysis - Loudness/silence/duration measured by analyzeAudio (optional)
+   */
+  applyAudioSettings(command, outputFormat, settings, analysis = null) {
+    const { audioBitrate, sampleRate, channels } = settings;
+    const processing = settings.processing || {};
+
+    // Remove video stream
+    command.noVideo();
+
+    // Set audio codec based on output format using centralized mapping
+    const audioCodec = AUDIO_CODECS[outputFormat];
+    if (!audioCodec) {
+      throw new Error(`No codec mapping for audio format: ${outputFormat}`);
+    }
+    command.audioCodec(audioCodec);
+
+    // Apply settings
+    // Skip bitrate for lossless formats (WAV, FLAC) or if null (source quality)
+    if (audioBitrate && audioCodec !== 'flac' && audioCodec !== 'pcm_s16le') {
+      console.log(`[FFmpeg Handler] Applying audio bitrate: ${audioBitrate}`);
+      command.audioBitrate(audioBitrate);
+    } else if (audioBitrate === null) {
+      console.log('[FFmpeg Handler] Using source audio bitrate (no re-encoding)');
+      // Don't set bitrate - FFmpeg will use source bitrate
+    }
+
+    if (sampleRate) {
+      command.audioFrequency(sampleRate);
+    }
+
+    if (processing.channelMode && processing.channelMode !== 'stereo') {
+      command.audioChannels(1);
+    } else if (channels) {
+      command.audioChannels(channels);
+    }
+
+    const filters = this.getAudioProcessingFilters(processing, analysis);
+    if (filters.length > 0) {
+      console.log('[FFmpeg Handler] Audio processing:', filters.join(','));
+      command.audioFilters(filters);
+    }
+  }
+
+  /**
+   * Check whether a job has any audio processing enabled
+   * @param {Object} settings - Job settings
+   * @returns {boolean}
+   */
+  hasAudioProcessing(settings = {}) {
+    const processing = settings.processing;
+    if (!processing) return false;
+
+    return Boolean(processing.loudness || processing.limiter || processing.trimSilence ||
+      processing.fadeIn > 0 || processing.fadeOut > 0 ||
+      (processing.channelMode && processing.channelMode !== 'stereo'));
+  }
+
+  /**
+   * Check whether an audio job needs an analysis pass before encoding
+   * (loudness measurement, silence detection, or the clip length for a fade-out)
+   * @param {Object} job - Job configuration
+   * @returns {boolean}
+   */
+  needsAudioAnalysis(job) {
+    const processing = (job.settings && job.settings.processing) || {};
+    const hasTrim = job.trimStart !== undefined && job.trimEnd !== undefined;
+
+    return Boolean(LOUDNESS_TARGETS[processing.loudness] || processing.trimSilence ||
+      (processing.fadeOut > 0 && !hasTrim));
+  }
+
+  /**
+   * Encode a video job in two passes at the bitrate that fits settings.targetSize (MB)
+   * Pass 1 only analyzes the video, pass 2 writes the file; each pass is half of the job's progress
+   * @param {Object} job - Job configuration
+   * @param {string} outputPath - Output file path
+   * @param {string} encoder - CPU video encoder
+   */
+  async runTargetSize(job, outputPath, encoder) {
+    const { id, settings, trimStart, trimEnd } = job;
+    const info = await this.getMediaInfo(job.filePath);
+    const hasTrim = trimStart !== undefined && trimEnd !== undefined;
+    // Speed changes and frame-rate conforming change how long the output plays
+    const duration = (hasTrim ? trimEnd - trimStart : info.duration) / this.getRetimeFactor(settings.retime);
+    if (!duration) {
+      throw new Error("Can't fit the video to a file size: its duration is unknown");
+    }
+
+    const rates = this.getTargetBitrates(settings.targetSize, duration, info.hasAudio ? this.getContainerAudioBitrate(job.outputFormat) : 0);
+    const logFile = path.join(os.tmpdir(), `kolbo-2pass-${id}`);
+    const nullOutput = process.platform === 'win32' ? 'NUL' : '/dev/null';
+
+    try {
+      console.log(`[FFmpeg Handler] Fit to ${settings.targetSize} MB, pass 1/2: video ${rates.video}k, audio ${rates.audio}k over ${duration.toFixed(1)}s`);
+      await this.runCommand(id, this.buildCommand(job, nullOutput, encoder, { twoPass: { pass: 1, logFile, ...rates } }),
+        outputPath, { duration, progressEnd: 50 });
+
+      console.log(`[FFmpeg Handler] Fit to ${settings.targetSize} MB, pass 2/2`);
+      await this.runCommand(id, this.buildCommand(job, outputPath, encoder, { twoPass: { pass: 2, logFile, ...rates } }),
+        outputPath, { duration, progressStart: 50 });
+    } finally {
+      this.removeTwoPassLogs(logFile);
+    }
+  }
+
+  /**
+   * Split a target file size into video and audio bitrates
+   * Audio keeps the container's bitrate unless it would take more than a fifth of the budget
+   * @param {number} targetSize - Target size in MB (1 MB = 1,000,000 bytes, what upload limits use)
+   * @param {number} duration - Output length in seconds
+   * @param {number} audioBitrate - Container audio bitrate in kbps (0 = no audio)
+   * @returns {Object} { video, audio } in kbps
+   */
+  getTargetBitrates(targetSize, duration, audioBitrate) {
+    const totalBitrate = (targetSize * 8000 * (1 - TARGET_SIZE_OVERHEAD)) / duration;
+    const audio = audioBitrate ? Math.min(audioBitrate, Math.max(48, Math.floor(totalBitrate / 5))) : 0;
+    const video = Math.floor(totalBitrate - audio);
+
+    if (video < MIN_TARGET_VIDEO_BITRATE) {
+      const minimumSize = Math.ceil(((MIN_TARGET_VIDEO_BITRATE + audio) * duration * 10) / (8000 * (1 - TARGET_SIZE_OVERHEAD))) / 10;
+      throw new Error(`${targetSize} MB is too small for ${Math.round(duration)}s of video - it needs at least ${minimumSize} MB`);
+    }
+    return { video, audio };
+  }
+
+  /**
+   * Remove the statistics files a two-pass encode leaves next to its log prefix
+   * @param {string} logFile - Stats file prefix passed to the encoder
+   */
+  removeTwoPassLogs(logFile) {
+    const prefix = path.basename(logFile);
+    try {
+      fs.readdirSync(path.dirname(logFile))
+        .filter(name => name.startsWith(prefix))
+        .forEach(name => fs.rmSync(path.join(path.dirname(logFile), name), { force: true }));
+    } catch (error) {
+      console.error('[FFmpeg Handler] Failed to remove two-pass logs:', error.message);
+    }
+  }
+
+  /**
+   * Analyze, then encode an audio job
+   * @param {Object} job - Job configuration
+   * @param {string} outputPath - Output file path
+   */
+  async runProcessedAudio(job, outputPath) {
+    console.log('[FFmpeg Handler] Audio pass 1/2: analyzing');
+    const audioAnalysis = await this.analyzeAudio(job);
+    console.log('[FFmpeg Handler] Audio analysis:', JSON.stringify(audioAnalysis));
+
+    console.log('[FFmpeg Handler] Audio pass 2/2: encoding');
+    await this.runCommand(job.id, this.buildCommand(job, outputPath, null, { audioAnalysis }), outputPath, { progressStart: 40 });
+  }
+
+  /**
+   * Measure loudness (loudnorm first pass), head/tail silence and duration in one decode
+   * @param {Object} job - Job configuration
+   * @returns {Promise<Object>} { duration, loudness, silence }
+   */
+  async analyzeAudio(job) {
+    const processing = job.settings.processing || {};
+    const target = LOUDNESS_TARGETS[processing.loudness];
+
+    // Keep every stderr line - silencedetect prints one per pause
+    const command = ffmpeg(job.filePath, { stdoutLines: 0 });
+    this.applyTrim(command, job);
+
+    const filters = [];
+    const channelFilter = this.getChannelFilter(processing.channelMode);
+    if (channelFilter) {
+      filters.push(channelFilter);
+    }
+    if (processing.trimSilence) {
+      filters.push(`silencedetect=noise=${SILENCE_THRESHOLD}:d=${SILENCE_MIN_DURATION}`);
+    }
+    if (target) {
+      filters.push(`loudnorm=I=${target.I}:TP=${target.TP}:LRA=${target.LRA}:print_format=json`);
+    }
+
+    command
+      .noVideo()
+      .audioFilters(filters.length > 0 ? filters : ['anull'])
+      .format('null')
+      .output('-');
+
+    const stderr = await this.runCommand(job.id, command, null, { progressEnd: 40 });
+    return this.parseAudioAnalysis(stderr);
+  }
+
+  /**
+   * Parse the analysis pass output
+   * @param {string} stderr - FFmpeg stderr
+   * @returns {Object} { duration, loudness (measured loudnorm values or null), silence { start, end } }
+   */
+  parseAudioAnalysis(stderr) {
+    const toSeconds = (timemark) => {
+      const [h, m, sec] = timemark.split(':').map(parseFloat);
+      return h * 3600 + m * 60 + sec;
+    };
+
+    // Length of the decoded audio = last progress timestamp
+    const times = stderr.match(/time=\s*(\d+:\d+:\d+(?:\.\d+)?)/g) || [];
+    const duration = times.length > 0 ? toSeconds(times[times.length - 1].replace(/time=\s*/, '')) : 0;
+
+    // loudnorm prints its measurement as a JSON block at the end
+    let loudness = null;
+    const jsonMatch = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/);
+    if (jsonMatch) {
+      try {
+        const measured = JSON.parse(jsonMatch[0]);
+        // A silent file measures -inf and can't be normalized
+        if (isFinite(parseFloat(measured.input_i))) {
+          loudness = measured;
+        }
+      } catch (error) {
+        console.error('[FFmpeg Handler] Failed to parse loudness measurement:', error.message);
+      }
+    }
+
+    // Head silence starts at 0; tail silence never ends (or ends at the end of the file)
+    const starts = (stderr.match(/silence_start: (-?[\d.]+)/g) || []).map(m => parseFloat(m.split(': ')[1]));
+    const ends = (stderr.match(/silence_end: ([\d.]+)/g) || []).map(m => parseFloat(m.split(': ')[1]));
+    let start = 0;
+    let end = duration;
+
+    if (starts.length > 0 && starts[0] <= 0.05 && ends.length > 0) {
+      start = ends[0];
+    }
+    const lastStart = starts[starts.length - 1];
+    if (starts.length > ends.length || (ends.length > 0 && ends[ends.length - 1] >= duration - 0.05)) {
+      if (lastStart !== undefined && lastStart > start) {
+        end = lastStart;
+      }
+    }
+
+    return { duration, loudness, silence: { start, end } };
+  }
+
+  /**
+   * Filter for the mono downmix options
+   * @param {string} channelMode - 'stereo' (unchanged), 'mono' (mix), 'left' or 'right'
+   * @returns {string|null} Filter, or null to keep the channels
+   */
+  getChannelFilter(channelMode) {
+    switch (channelMode) {
+      case 'mono':
+        return 'aformat=channel_layouts=mono';
+      case 'left':
+        return 'pan=mono|c0=FL';
+      case 'right':
+        return 'pan=mono|c0=FR';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Build the audio processing chain: channels -> silence trim -> loudness -> fades -> limiter
+   * @param {Object} processing - { loudness, limiter, trimSilence, fadeIn, fadeOut, channelMode }
+   * @param {Object} analysis - Result of analyzeAudio, or { duration } from the trim range
+   * @returns {Array} Audio filters
+   */
+  getAudioProcessingFilters(processing, analysis) {
+    const filters = [];
+    const target = LOUDNESS_TARGETS[processing.loudness];
+    let duration = analysis ? analysis.duration : 0;
+
+    const channelFilter = this.getChannelFilter(processing.channelMode);
+    if (channelFilter) {
+      filters.push(channelFilter);
+    }
+
+    if (processing.trimSilence && analysis && analysis.silence) {
+      const { start, end } = analysis.silence;
+      if (end > start && (start > 0 || end < duration)) {
+        filters.push(`atrim=start=${start.toFixed(3)}:end=${end.toFixed(3)}`, 'asetpts=PTS-STARTPTS');
+        duration = end - start;
+      }
+    }
+
+    if (target) {
+      const measured = analysis && analysis.loudness;
+      if (measured) {
+        // Second loudnorm pass: linear gain from the measurement keeps the dynamics intact
+        filters.push(`loudnorm=I=${target.I}:TP=${target.TP}:LRA=${target.LRA}` +
+          `:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}` +
+          `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}` +
+          `:offset=${measured.target_offset}:linear=true`);
+      } else {
+        console.warn('[FFmpeg Handler] No loudness measurement, skipping normalization');
+      }
+    }
+
+    if (processing.fadeIn > 0) {
+      filters.push(`afade=t=in:st=0:d=${processing.fadeIn}`);
+    }
+    if (processing.fadeOut > 0 && duration > 0) {
+      const fadeStart = Math.max(0, duration - processing.fadeOut);
+      filters.push(`afade=t=out:st=${fadeStart.toFixed(3)}:d=${processing.fadeOut}`);
+    }
+
+    if (processing.limiter) {
+      // Brick-wall at the loudness target's true peak (or -1 dBFS)
+      const ceiling = Math.pow(10, (target ? target.TP : -1) / 20);
+      filters.push(`alimiter=limit=${ceiling.toFixed(4)}:level=false`);
+    }
+
+    return filters;
+  }
+
+  /**
+   * Apply image conversion settings
+   */
+  applyImageSettings(command, outputFormat, settings, filters = []) {
+    const { quality, width, height, maxDimension } = settings;
+
+    // Color goes before scaling, after any frame skipping
+    if (settings.color) {
+      filters.push(...this.getColorFilters(settings.color));
+    }
+
+    // Set codec based on output format using centralized mapping
+    const codec = IMAGE_CODECS[outputFormat];
+    if (!codec) {
+      throw new Error(`No codec mapping for image format: ${outputFormat}`);
+    }
+    command.videoCodec(codec);
+
+    // Set quality for lossy formats
+    if (quality) {
+      if (outputFormat === 'jpg' || outputFormat === 'jpeg') {
+        // JPEG quality: 2-31 (lower is better quality)
+        const jpegQuality = Math.floor((100 - quality) / 100 * 29 + 2);
+        command.outputOptions(['-q:v', jpegQuality.toString()]);
+      } else if (outputFormat === 'webp') {
+        // WebP quality: 0-100 (higher is better)
+        command.outputOptions(['-quality', quality.toString()]);
+      } else if (outputFormat === 'png') {
+        // PNG uses compression level 0-9 (higher = smaller file, slower)
+        // Map quality 0-100 to compression 9-0 (inverted)
+        const pngCompression = Math.floor((100 - quality) / 100 * 9);
+        command.outputOptions(['-compression_level', pngCompression.toString()]);
+      }
+    }
+
+    // Apply size based on preset or explicit dimensions
+    if (maxDimension && maxDimension > 0) {
+      // Preset mode: scale to fit within maxDimension (no upscaling)
+      console.log(`[FFmpeg Handler] Applying image preset: max ${maxDimension}px (no upscaling)`);
+      filters.push(`scale='min(${maxDimension},iw)':'min(${maxDimension},ih)':force_original_aspect_ratio=decrease`);
+    } else if (width && height) {
+      // Legacy mode: explicit dimensions
+      filters.push(`scale=${width}:${height}`);
+    }
+    // If neither specified, maintain original size
+
+    this.applyVideoFilters(command, filters, settings.watermark);
+  }
+
+  /**
+   * Convert a clip to an animated GIF or WebP
+   * GIFs take two passes: the first builds an optimized 256-color palette for the clip,
+   * the second maps every frame onto it (far better than FFmpeg's generic GIF palette)
+   * @param {Object} job - Job configuration
+   * @param {string} outputPath - Output file path
+   * @param {number} totalFrames - Input frame count for image sequence inputs (optional)
+   */
+  async runAnimation(job, outputPath, totalFrames = null) {
+    if (job.outputFormat !== 'gif') {
+      await this.runCommand(job.id, this.buildCommand(job, outputPath), outputPath, { totalFrames });
+      return;
+    }
+
+    const palettePath = path.join(os.tmpdir(), `kolbo-palette-${job.id}.png`);
+
+    try {
+      const paletteCommand = job.sequence ? this.createSequenceInput(job.sequence) : ffmpeg(job.filePath);
+      this.applyTrim(paletteCommand, job);
+      paletteCommand
+        .noAudio()
+        .videoFilters(`${this.getAnimationFilters(job.settings)},palettegen=max_colors=${job.settings.colors || 256}:stats_mode=diff`)
+        .outputOptions(['-frames:v', '1'])
+        .output(palettePath);
+
+      console.log('[FFmpeg Handler] GIF pass 1/2: generating palette');
+      await this.runCommand(job.id, paletteCommand, palettePath, { totalFrames, progressEnd: 30 });
+
+      console.log('[FFmpeg Handler] GIF pass 2/2: encoding with palette');
+      await this.runCommand(job.id, this.buildCommand(job, outputPath, null, { palettePath }), outputPath, { totalFrames, progressStart: 30 });
+    } finally {
+      this.removePartialOutput(palettePath);
+    }
+  }
+
+  /**
+   * Sample frames evenly across a clip (or its trim range) and tile them into one image
+   * Each frame is seeked to on its own, so long videos aren't decoded end to end
+   * @param {Object} job - Job configuration (settings: { columns, rows, width, timecodes, quality })
+   * @param {string} outputPath - Output image path
+   */
+  async runContactSheet(job, outputPath) {
+    const { id, filePath, outputFormat, settings, trimStart, trimEnd } = job;
+    const clamp = (value, [min, max], fallback) => {
+      const number = parseInt(value, 10);
+      return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+    };
+    const columns = clamp(settings.columns, CONTACT_SHEET_LIMITS.columns, 4);
+    const rows = clamp(settings.rows, CONTACT_SHEET_LIMITS.rows, 4);
+    const width = Math.round(clamp(settings.width, CONTACT_SHEET_LIMITS.width, 320) / 2) * 2;
+
+    const info = await this.getVideoInfo(filePath);
+    const hasTrim = trimStart !== undefined && trimEnd !== undefined;
+    const start = hasTrim ? trimStart : 0;
+    const end = hasTrim ? Math.min(trimEnd, info.duration || trimEnd) : info.duration;
+    if (!(end > start)) {
+      throw new Error("Couldn't read the video's length");
+    }
+
+    // Frames are taken from the middle of equal slices, so the first and last aren't black fades
+    const count = columns * rows;
+    const step = (end - start) / count;
+    const framesFolder = path.join(os.tmpdir(), `kolbo-sheet-${id}`);
+    console.log(`[FFmpeg Handler] Contact sheet: ${columns}x${rows} frames, ${width}px wide, ${start.toFixed(2)}s - ${end.toFixed(2)}s`);
+
+    try {
+      fs.mkdirSync(framesFolder, { recursive: true });
+
+      // A frame FFmpeg can't decode is left out instead of failing the sheet (stopping the job still stops it)
+      let saved = 0;
+      for (let i = 0; i < count; i++) {
+        const time = start + step * (i + 0.5);
+        const framePath = path.join(framesFolder, `frame_${String(saved).padStart(3, '0')}.png`);
+        const filters = [`scale=${width}:-2`, 'setsar=1'];
+        if (settings.timecodes !== false) {
+          filters.push(this.getTimecodeFilter(time, step < 1));
+        }
+
+        const command = ffmpeg(filePath)
+          .seekInput(time)
+          .noAudio()
+          .videoFilters(filters)
+          .outputOptions(['-frames:v', '1'])
+          .output(framePath);
+        try {
+          await this.runCommand(id, command, outputPath, {
+            progressStart: (i * CONTACT_SHEET_FRAME_SHARE) / count,
+            progressEnd: ((i + 1) * CONTACT_SHEET_FRAME_SHARE) / count
+          });
+        } catch (error) {
+          if (error.cancelled || error.requeued || this.isShuttingDown) throw error;
+          console.warn(`[FFmpeg Handler] Skipping contact sheet frame at ${time.toFixed(2)}s:`, error.message);
+        }
+
+        if (fs.existsSync(framePath)) {
+          saved++;
+        }
+      }
+      if (saved === 0) {
+        throw new Error('No frames could be read from this video');
+      }
+
+      const sheet = ffmpeg(path.join(framesFolder, 'frame_%03d.png'))
+        .inputFormat('image2')
+        .videoFilters(`tile=${columns}x${rows}:margin=4:padding=4`)
+        .videoCodec(IMAGE_CODECS[outputFormat])
+        .outputOptions(['-frames:v', '1', '-update', '1'])
+        .format(FORMAT_MAPPINGS.contactsheet[outputFormat])
+        .output(outputPath);
+      if (outputFormat === 'jpg') {
+        sheet.outputOptions(['-q:v', String(Math.floor((100 - (settings.quality || 90)) / 100 * 29 + 2))]);
+      }
+      await this.runCommand(id, sheet, outputPath, { progressStart: CONTACT_SHEET_FRAME_SHARE });
+    } finally {
+      this.removePartialOutput(framesFolder);
+    }
+  }
+
+  /**
+   * Build a drawtext filter that stamps a source time in the frame's bottom-right corner
+   * @param {number} seconds - Source time
+   * @param {boolean} precise - Show hundredths (frames less than a second apart)
+   * @returns {string} drawtext filter
+   */
+  getTimecodeFilter(seconds, precise = false) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = precise ? (seconds % 60).toFixed(2).padStart(5, '0') : String(Math.floor(seconds % 60)).padStart(2, '0');
+    const options = [
+      `text=${this.escapeFilterValue(`${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${rest}`)}`,
+      'expansion=none',
+      "fontsize='max(h/10,10)'",
+      'fontcolor=white',
+      'box=1',
+      'boxcolor=black@0.6',
+      'boxborderw=4',
+      "x='w-tw-8'",
+      "y='h-th-8'"
+    ];
+
+    const fontFile = WATERMARK_FONTS[process.platform];
+    if (fontFile && fs.existsSync(fontFile)) {
+      options.unshift(`fontfile=${this.escapeFilterValue(fontFile)}`);
+    }
+
+    return `drawtext=${options.join(':')}`;
+  }
+
+  /**
+   * Save the frame at a given time at the source's full resolution
+   * @param {string} filePath - Source video
+   * @param {number} time - Frame time (seconds)
+   * @param {string} format - 'png', 'jpg' or 'tiff'
+   * @param {string} outputFolder - Folder for the image (null = next to the source)
+   * @returns {Promise<string>} Saved image path
+   */
+  async grabFrame(filePath, time, format, outputFolder = null) {
+    if (!FRAME_GRAB_FORMATS.includes(format)) {
+      throw new Error(`Frames can't be saved as ${format}`);
+    }
+
+    // Named after the source and the frame's time: clip_frame_00-01-23-480.png
+    const seconds = Math.max(parseFloat(time) || 0, 0);
+    const stamp = [Math.floor(seconds / 3600), Math.floor((seconds % 3600) / 60), Math.floor(seconds % 60)]
+      .map(part => String(part).padStart(2, '0'))
+      .concat(String(Math.round((seconds % 1) * 1000) % 1000).padStart(3, '0'))
+      .join('-');
+    const source = path.parse(filePath);
+    const outputPath = this.getOutputPath(path.join(source.dir, `${source.name}_frame_${stamp}${source.ext}`), format, outputFolder);
+
+    const quality = format === 'jpg' ? ['-q:v', '2'] : [];
+    await this.execFFmpeg(['-hide_banner', '-y', '-ss', String(seconds), '-i', filePath,
+      '-frames:v', '1', '-c:v', IMAGE_CODECS[format], ...quality, '-update', '1', outputPath]);
+    if (!fs.existsSync(outputPath)) {
+      throw new Error('No frame found at this time');
+    }
+
+    console.log(`[FFmpeg Handler] Saved frame at ${seconds.toFixed(3)}s to ${outputPath}`);
+    return outputPath;
+  }
+
+  /**
+   * Cut or remux a video without re-encoding it ('keep original codec')
+   * Stream copies can only start on a keyframe, so cut points snap to the nearest ones.
+   * With settings.frameAccurate, H.264/HEVC sources keep the exact range instead: only the
+   * partial GOPs at each edge are re-encoded and the rest is copied. Intra-only sources
+   * (ProRes, DNxHR...) cut on any frame, so they never need either
+   * @param {Object} job - Job configuration
+   * @param {string} outputPath - Output file path
+   */
+  async runSmartTrim(job, outputPath) {
+    const { id, filePath, outputFormat, settings, trimStart, trimEnd } = job;
+    const command = ffmpeg(filePath);
+    let cut = null;
+
+    if (trimStart === undefined || trimEnd === undefined) {
+      console.log('[FFmpeg Handler] Remuxing without re-encoding');
+    } else {
+      const info = await this.getVideoInfo(filePath);
+      const intra = INTRA_SOURCE_CODECS.includes(info.codec);
+
+      if (settings.frameAccurate && !intra && EDGE_ENCODERS[info.codec]) {
+        await this.runFrameAccurateTrim(job, outputPath, info);
+        return;
+      }
+      if (settings.frameAccurate && !intra) {
+        console.warn(`[FFmpeg Handler] Frame-accurate cuts aren't supported for ${info.codec}, snapping to keyframes`);
+      }
+
+      cut = await this.snapTrimPoints(filePath, trimStart, trimEnd, info);
+      if (cut.snapped && (cut.start !== trimStart || cut.end !== trimEnd)) {
+        this.reportTrimPoints(id, cut.start, cut.end);
+      }
+
+      console.log(`[FFmpeg Handler] Stream copying ${cut.start}s to ${cut.end}s`);
+      command.seekInput(cut.start).duration(cut.stopAt - cut.start);
+    }
+
+    // -copypriorss 0: FFmpeg seeks a little early on B-frame sources; drop what precedes the cut
+    command.outputOptions(['-map', '0:v', '-map', '0:a?', '-c', 'copy', '-copypriorss', '0', '-avoid_negative_ts', 'make_zero']);
+
+    // An added subtitle track goes ahead of the source's own; a snapped cut moves its timing too
+    const subtitles = settings.subtitles;
+    if (subtitles) {
+      const track = cut && cut.start !== trimStart
+        ? { ...subtitles, filePath: this.prepareSubtitles(id, subtitles.sourcePath, [{ start: cut.start, end: cut.stopAt }]) }
+        : subtitles;
+      this.addSubtitleTrack(command, outputFormat, track, 1);
+    }
+
+    command
+      .outputOptions(['-map', '0:s?'])
+      .format(FORMAT_MAPPINGS.video[outputFormat])
+      .output(outputPath);
+
+    await this.runCommand(id, command, outputPath);
+  }
+
+  /**
+   * Trim on exact frames while copying everything between the first and last keyframe
+   * in the range: [start, k1) and [k2, end) are re-encoded, [k1, k2) is copied, then the
+   * pieces are joined as MPEG-TS (keeps in-band headers) and muxed with the copied audio.
+   * With open GOPs, k2 is where the frames decoded after the last keyframe start showing
+   * @param {Object} job - Job configuration
+   * @param {string} outputPath - Output file path
+   * @param {Object} info - Source video info from getVideoInfo
+   */
+  async runFrameAccurateTrim(job, outputPath, info) {
+    const { id, filePath, outputFormat, trimStart, trimEnd } = job;
+
+    // Only the ends of the range need scanning - any keyframe in between is copied anyway
+    const windows = trimEnd - trimStart > KEYFRAME_SEARCH_WINDOW * 2
+      ? [[trimStart, trimStart + KEYFRAME_SEARCH_WINDOW], [trimEnd - KEYFRAME_SEARCH_WINDOW, trimEnd]]
+      : [[trimStart, trimEnd]];
+    const keyframes = [];
+    for (const [from, to] of windows) {
+      keyframes.push(...await this.findKeyframes(filePath, from, to, info.startTime));
+    }
+    const inRange = keyframes.filter(keyframe => keyframe.time >= trimStart && keyframe.leadTime < trimEnd)
+      .sort((a, b) => a.time - b.time);
+
+    // The copy must start on a keyframe without leading frames: in open GOPs those reference
+    // the GOP before it, which is re-encoded
+    const first = inRange.find(keyframe => keyframe.leadTime === keyframe.time);
+
+    const segments = [];
+    if (!first) {
+      console.warn('[FFmpeg Handler] No closed-GOP keyframe in the trim range, re-encoding all of it');
+      segments.push({ start: trimStart, end: trimEnd, copy: false });
+    } else {
+      const last = inRange[inRange.length - 1];
+      const copyMiddle = last.leadTime > first.time;
+      const tailStart = copyMiddle ? last.leadTime : first.time;
+
+      if (first.time > trimStart) segments.push({ start: trimStart, end: first.time, copy: false });
+      if (copyMiddle) segments.push({ start: first.time, end: last.leadTime, stopAt: last.decodeTime, copy: true });
+      if (trimEnd > tailStart) segments.push({ start: tailStart, end: trimEnd, copy: false });
+    }
+
+    // Edges that can't be encoded with the source's profile and color settings wouldn't join
+    // cleanly with the copied GOPs, so then the whole range is re-encoded
+    const edgeOptions = this.getEdgeEncodingOptions(info);
+    if (!edgeOptions && segments.some(segment => segment.copy)) {
+      console.warn(`[FFmpeg Handler] Can't match the source's ${info.codec} parameters (${info.profile || 'unknown profile'}), re-encoding the whole range`);
+      segments.splice(0, segments.length, { start: trimStart, end: trimEnd, copy: false });
+    }
+
+    const { encoder } = EDGE_ENCODERS[info.codec];
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), `kolbo-trim-${id}-`));
+    const total = trimEnd - trimStart;
+    let progress = 0;
+
+    try {
+      const parts = [];
+      for (const [index, segment] of segments.entries()) {
+        const partPath = path.join(tempDir, `part${index}.ts`);
+        const command = ffmpeg(filePath)
+          .seekInput(segment.start)
+          .duration((segment.copy ? segment.stopAt : segment.end) - segment.start)
+          .outputOptions(['-map', '0:v:0']);
+
+        if (segment.copy) {
+          command.videoCodec('copy').outputOptions(['-copypriorss', '0']);
+        } else {
+          // Near-lossless, with the source's profile, pixel format and colors so the seams don't show
+          command.videoCodec(encoder).outputOptions(['-crf', '16', '-preset', 'medium', '-pix_fmt', info.pixFmt, ...(edgeOptions || [])]);
+        }
+        command.format('mpegts').output(partPath);
+
+        const share = ((segment.end - segment.start) / total) * 90;
+        console.log(`[FFmpeg Handler] Smart trim: ${segment.copy ? 'copying' : 're-encoding'} ${segment.start}s to ${segment.end}s`);
+        await this.runCommand(id, command, partPath, { progressStart: progress, progressEnd: progress + share });
+        progress += share;
+        parts.push(partPath);
+      }
+
+      const listPath = path.join(tempDir, 'parts.txt');
+      fs.writeFileSync(listPath, parts.map(part => `file '${part.replace(/'/g, "'\\''")}'`).join('\n'), 'utf8');
+
+      const command = ffmpeg()
+        .input(listPath)
+        .inputOptions(['-f', 'concat', '-safe', '0'])
+        .input(filePath)
+        .seekInput(trimStart)
+        .duration(total)
+        .outputOptions(['-map', '0:v', '-map', '1:a?', '-c', 'copy', '-copypriorss', '0']);
+      if (job.settings.subtitles) {
+        this.addSubtitleTrack(command, outputFormat, job.settings.subtitles, 2);
+      }
+
+      // Same tag as re-encoded HEVC so QuickTime and Apple devices play the result
+      if (info.codec === 'hevc' && (outputFormat === 'mp4' || outputFormat === 'mov')) {
+        command.outputOptions(['-tag:v', 'hvc1']);
+      }
+      command.format(FORMAT_MAPPINGS.video[outputFormat]).output(outputPath);
+
+      await this.runCommand(id, command, outputPath, { progressStart: 90 });
+    } finally {
+      this.removePartialOutput(tempDir);
+    }
+  }
+
+  /**
+   * Encoder options that make re-encoded edges match a long-GOP source's stream parameters
+   * @param {Object} info - Source video info from getVideoInfo
+   * @returns {Array|null} Output options, or null when the source can't be matched
+   */
+  getEdgeEncodingOptions(info) {
+    const edge = EDGE_ENCODERS[info.codec];
+    const profile = edge && edge.profiles[info.profile];
+    // Interlaced edges would need field-matched encoding the copied GOPs may not share
+    if (!profile || !info.pixFmt || info.colors.interlaced) {
+      return null;
+    }
+
+    const options = ['-profile:v', profile];
+    if (info.colors.range) options.push('-color_range', info.colors.range);
+    if (info.colors.space) options.push('-colorspace', info.colors.space);
+    if (info.colors.primaries) options.push('-color_primaries', info.colors.primaries);
+    if (info.colors.trc) options.push('-color_trc', info.colors.trc);
+    return options;
+  }
+
+  /**
+   * Render a job's clip (its trim range, or the whole file) backwards into an intermediate file
+   * Each chunk is reversed on its own and the chunks are joined last to first, so memory use
+   * doesn't grow with the clip length
+   * @param {Object} job - Job configuration
+   * @returns {Promise<string>} Path of the reversed temp file (caller removes it)
+   */
+  async reverseMedia(job) {
+    const { id, trimStart, trimEnd } = job;
+    const info = await this.getVideoInfo(job.filePath);
+    const hasTrim = trimStart !== undefined && trimEnd !== undefined;
+    const start = hasTrim ? trimStart : 0;
+    const end = hasTrim ? trimEnd : info.duration;
+    if (!end) {
+      throw new Error("Can't reverse the video: its duration is unknown");
+    }
+
+    // A sliver left at the end goes into the last chunk
+    const chunkSeconds = this.getReverseChunkSeconds(info);
+    const chunks = [];
+    for (let from = start; end - from > 0.1; from += chunkSeconds) {
+      chunks.push([from, end - from < chunkSeconds + 0.1 ? end : from + chunkSeconds]);
+      if (chunks[chunks.length - 1][1] === end) break;
+    }
+    const evenSize = info.width % 2 || info.height % 2 ? [EVEN_SIZE_FILTER] : [];
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), `kolbo-reverse-${id}-`));
+    const reversedPath = path.join(os.tmpdir(), `kolbo-reverse-${id}.mkv`);
+    const total = end - start;
+    let done = 0;
+
+    console.log(`[FFmpeg Handler] Reversing ${total.toFixed(1)}s in ${chunks.length} chunks of ${chunkSeconds.toFixed(1)}s`);
+    try {
+      const parts = [];
+      for (const [index, [from, to]] of [...chunks].reverse().entries()) {
+        const partPath = path.join(tempDir, `part${index}.mkv`);
+        const command = ffmpeg(job.filePath)
+          .seekInput(from)
+          .duration(to - from)
+          .videoFilters([...evenSize, 'reverse'])
+          .outputOptions(['-map', '0:v:0', ...this.getIntermediateVideoOptions(info.pixFmt)]);
+        if (info.hasAudio) {
+          command.audioFilters('areverse').outputOptions(['-map', '0:a:0', '-c:a', 'flac']);
+        }
+        command.format('matroska').output(partPath);
+
+        await this.runCommand(id, command, partPath, {
+          duration: to - from,
+          progressStart: (done / total) * JOIN_PROGRESS_SHARE,
+          progressEnd: ((done + to - from) / total) * JOIN_PROGRESS_SHARE
+        });
+        done += to - from;
+        parts.push(partPath);
+      }
+
+      const listPath = path.join(tempDir, 'parts.txt');
+      fs.writeFileSync(listPath, parts.map(part => `file '${part.replace(/'/g, "'\\''")}'`).join('\n'), 'utf8');
+      const concat = ffmpeg()
+        .input(listPath)
+        .inputOptions(['-f', 'concat', '-safe', '0'])
+        .outputOptions(['-c', 'copy'])
+        .format('matroska')
+        .output(reversedPath);
+      await this.runCommand(id, concat, reversedPath, { progressStart: JOIN_PROGRESS_SHARE, progressEnd: JOIN_PROGRESS_SHARE });
+    } finally {
+      this.removePartialOutput(tempDir);
+    }
+
+    return reversedPath;
+  }
+
+  /**
+   * Length of the chunks reverseMedia renders, from the memory one chunk's decoded frames take
+   * @param {Object} info - Source info from getMediaInfo (width, height, fps, pixFmt)
+   * @returns {number} Seconds per chunk
+   */
+  getReverseChunkSeconds(info) {
+    const { chroma, highBitDepth, alpha } = this.getPixelLayout(info.pixFmt);
+    const samplesPerPixel = { '420': 1.5, '422': 2, '444': 3 }[chroma] + (alpha ? 1 : 0);
+    const frameBytes = (info.width || 1920) * (info.height || 1080) * samplesPerPixel * (highBitDepth ? 2 : 1);
+    const seconds = REVERSE_CHUNK_MEMORY / (frameBytes * (info.fps || 30));
+    return Math.min(Math.max(seconds, MIN_REVERSE_CHUNK_SECONDS), MAX_REVERSE_CHUNK_SECONDS);
+  }
+
+  /**
+   * Render a job's trim segments, in their listed order, into one intermediate file
+   * Each segment is its own seeked input, so segments moved ahead of earlier parts of the
+   * source don't have to be held in memory until their turn
+   * @param {Object} job - Job configuration (segments: [{ start, end }], crossfade: seconds)
+   * @returns {Promise<string>} Joined file in the temp folder (the caller removes it)
+   */
+  async joinSegments(job) {
+    const { id, filePath, outputType, segments } = job;
+    const info = await this.getMediaInfo(filePath);
+
+    const video = outputType !== 'audio' && info.hasVideo;
+    const audio = outputType !== 'animation' && info.hasAudio;
+    if (outputType !== 'audio' && !video) {
+      throw new Error('Source file has no video stream');
+    }
+    if (!video && !audio) {
+      throw new Error('Source file has no audio stream to extract');
+    }
+
+    const crossfade = this.getSegmentCrossfade(job);
+
+    const sources = segments.map(segment => ({ filePath, start: segment.start, duration: segment.end - segment.start, hasAudio: true }));
+    const joinedPath = path.join(os.tmpdir(), `kolbo-join-${id}.mkv`);
+    const videoFilter = video && (info.width % 2 || info.height % 2) ? EVEN_SIZE_FILTER : null;
+
+    console.log(`[FFmpeg Handler] Joining ${segments.length} segments (crossfade ${crossfade}s)`);
+    await this.runJoin(id, sources, joinedPath, { video, audio, crossfade, videoFilter, pixFmt: info.pixFmt });
+    return joinedPath;
+  }
+
+  /**
+   * Crossfade between a job's joined segments
+   * A crossfade can't be longer than half of the shortest segment
+   * @param {Object} job - Job configuration (segments, crossfade: seconds)
+   * @returns {number} Seconds
+   */
+  getSegmentCrossfade(job) {
+    const durations = job.segments.map(segment => segment.end - segment.start);
+    return Math.min(Math.max(Number(job.crossfade) || 0, 0), Math.min(...durations) / 2);
+  }
+
+  /**
+   * Join a merge job's files, in order, into one intermediate file
+   * Files that share codecs, frame size, frame rate and audio format (e.g. shots from the same
+   * generator) are joined with the concat demuxer without re-encoding. Anything else is scaled,
+   * padded and resampled to the first file's format (its size rounded up to even), with silence
+   * for files without audio
+   * @param {Object} job - Job configuration (merge: [{ filePath, fileName, trimStart, trimEnd }])
+   * @returns {Promise<string>} Merged file in the temp folder (the caller removes it)
+   */
+  async mergeInputs(job) {
+    const { id, outputType, settings, merge } = job;
+
+    // One at a time - each probe starts an FFmpeg process
+    const infos = [];
+    for (const input of merge) {
+      infos.push(await this.getMediaInfo(input.filePath));
+    }
+
+    // Files without audio get silence, but video outputs need a picture from every file
+    const video = outputType !== 'audio';
+    const audio = outputType !== 'animation' && infos.some(info => info.hasAudio);
+    const missing = video && merge.find((input, index) => !infos[index].hasVideo);
+    if (missing) {
+      throw new Error(`${missing.fileName || path.basename(missing.filePath)} has no video stream`);
+    }
+    if (!video && !audio) {
+      throw new Error('None of the files to merge has an audio stream');
+    }
+
+    const hasTrim = input => input.trimStart !== undefined && input.trimEnd !== undefined;
+    const sources = merge.map((input, index) => ({
+      filePath: input.filePath,
+      start: hasTrim(input) ? input.trimStart : null,
+      duration: hasTrim(input) ? input.trimEnd - input.trimStart : infos[index].duration,
+      hasAudio: infos[index].hasAudio
+    }));
+    const totalDuration = sources.reduce((sum, source) => sum + (source.duration || 0), 0);
+    const mergedPath = path.join(os.tmpdir(), `kolbo-merge-${id}.mkv`);
+
+    const first = infos[0];
+    const extension = path.extname(merge[0].filePath).toLowerCase();
+    const matching = !merge.some(hasTrim) && infos.every((info, index) =>
+      path.extname(merge[index].filePath).toLowerCase() === extension &&
+      ['codec', 'pixFmt', 'width', 'height', 'fps', 'hasAudio', 'audioCodec', 'sampleRate', 'channels'].every(key => info[key] === first[key]));
+
+    if (matching) {
+      const listPath = path.join(os.tmpdir(), `kolbo-merge-${id}.txt`);
+      fs.writeFileSync(listPath, merge.map(input => `file '${input.filePath.replace(/'/g, "'\\''")}'`).join('\n'), 'utf8');
+
+      try {
+        const command = ffmpeg()
+          .input(listPath)
+          .inputOptions(['-f', 'concat', '-safe', '0'])
+          .outputOptions(video ? ['-map', '0:v:0'] : [])
+          .outputOptions(audio ? ['-map', '0:a:0'] : [])
+          .outputOptions(['-c', 'copy'])
+          .format('matroska')
+          .output(mergedPath);
+
+        console.log(`[FFmpeg Handler] Merging ${merge.length} matching files without re-encoding`);
+        await this.runCommand(id, command, mergedPath, { duration: totalDuration, progressEnd: JOIN_PROGRESS_SHARE });
+      } finally {
+        this.removePartialOutput(listPath);
+      }
+      return mergedPath;
+    }
+
+    if (settings.codec === 'copy') {
+      throw new Error("Can't keep the original codec: the files differ in codec, frame size, frame rate or audio format, or are trimmed");
+    }
+
+    // Normalize to the first file: same frame size (letterboxed), frame rate, sample rate and stereo
+    const options = { video, audio, pixFmt: first.pixFmt };
+    const width = Math.ceil(first.width / 2) * 2;
+    const height = Math.ceil(first.height / 2) * 2;
+    if (video) {
+      const frameRate = NTSC_FRAME_RATES[first.fps] || first.fps || 25;
+      options.videoFilter = `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${frameRate}`;
+    }
+    if (audio) {
+      const sampleRate = (infos.find(info => info.hasAudio) || {}).sampleRate || 48000;
+      options.audioFilter = `aresample=${sampleRate},aformat=sample_fmts=fltp:channel_layouts=stereo`;
+      options.silentAudio = `anullsrc=r=${sampleRate}:cl=stereo`;
+    }
+
+    console.log(`[FFmpeg Handler] Merging ${merge.length} files, normalized to ${video ? `${width}x${height}` : 'the first file'}`);
+    await this.runJoin(id, sources, mergedPath, options);
+    return mergedPath;
+  }
+
+  /**
+   * Encode several inputs into one near-lossless intermediate file
+   * @param {string} id - Job ID
+   * @param {Array} sources - [{ filePath, start (null = from the beginning), duration, hasAudio }] in output order
+   * @param {string} outputPath - Intermediate file (Matroska)
+   * @param {Object} options - { video, audio, crossfade, videoFilter, audioFilter, silentAudio }, see getJoinFilters,
+   *   and pixFmt - the source's pixel format, kept by the intermediate file
+   */
+  async runJoin(id, sources, outputPath, options) {
+    const command = ffmpeg();
+    sources.forEach(source => {
+      command.input(source.filePath);
+      if (source.start !== null) {
+        command.seekInput(source.start).inputOptions(['-t', String(source.duration)]);
+      }
+    });
+
+    const { filters, outputs } = this.getJoinFilters(sources, options);
+    command.complexFilter(filters, outputs);
+
+    // The intermediate file is encoded again by the conversion, so keep it visually lossless
+    if (options.video) {
+      command.outputOptions(this.getIntermediateVideoOptions(options.pixFmt));
+    }
+    if (options.audio) {
+      command.outputOptions(['-c:a', 'flac']);
+    }
+    command.format('matroska').output(outputPath);
+
+    const crossfade = options.crossfade || 0;
+    const duration = sources.reduce((sum, source) => sum + (source.duration || 0), 0) - crossfade * (sources.length - 1);
+    await this.runCommand(id, command, outputPath, { duration: duration || null, progressEnd: JOIN_PROGRESS_SHARE });
+  }
+
+  /**
+   * Encoder options for near-lossless intermediate files (joins, merges and reversed chunks)
+   * H.264 in the source's chroma subsampling and bit depth; sources with an alpha channel use
+   * lossless FFV1, since H.264 would drop it
+   * @param {string} pixFmt - Source pixel format (null = 8-bit 4:2:0)
+   * @returns {Array} Output options
+   */
+  getIntermediateVideoOptions(pixFmt) {
+    const format = pixFmt || 'yuv420p';
+    const { chroma, highBitDepth, alpha } = this.getPixelLayout(format);
+
+    if (alpha) {
+      const alphaFormat = format.startsWith('yuva')
+        ? `yuva${chroma}p${highBitDepth ? '10le' : ''}`
+        : (highBitDepth ? 'gbrap10le' : 'bgra');
+      return ['-c:v', 'ffv1', '-pix_fmt', alphaFormat];
+    }
+    return ['-c:v', 'libx264', '-crf', '12', '-preset', 'veryfast', '-pix_fmt', `yuv${chroma}p${highBitDepth ? '10le' : ''}`];
+  }
+
+  /**
+   * Chroma subsampling, bit depth and alpha of a pixel format
+   * @param {string} pixFmt - FFmpeg pixel format (null = 8-bit 4:2:0)
+   * @returns {Object} { chroma: '420' | '422' | '444', highBitDepth, alpha }
+   */
+  getPixelLayout(pixFmt) {
+    const format = pixFmt || 'yuv420p';
+    let chroma = '420';
+    if (/444|^(gbr|rgb|bgr|argb|abgr|0rgb|0bgr)/.test(format)) {
+      chroma = '444';
+    } else if (/422|^(yuyv|uyvy|nv16|nv20|v210)/.test(format)) {
+      chroma = '422';
+    }
+
+    return {
+      chroma,
+      highBitDepth: /(9|10|12|14|16)(le|be)$/.test(format) || /^(v210|rgb48|bgr48|rgba64|bgra64)/.test(format),
+      alpha: /^(yuva|gbrap|rgba|bgra|argb|abgr|ya)/.test(format)
+    };
+  }
+
+  /**
+   * Build the filter graph that joins one input per source
+   * Without a crossfade the sources are concatenated. With one, each source fades in over the
+   * end of the one before it: audio uses acrossfade, video fades each source's alpha in and
+   * overlays it on the joined picture (the bundled FFmpeg has no xfade filter)
+   * @param {Array} sources - [{ duration, hasAudio }] in output order
+   * @param {Object} options - Streams to join and how:
+   *   video/audio - streams to join
+   *   crossfade - crossfade length in seconds (0 = hard cuts)
+   *   videoFilter/audioFilter - applied to each input first (e.g. to match sizes and sample rates)
+   *   silentAudio - source filter used for inputs without audio
+   * @returns {Object} { filters, outputs } for fluent-ffmpeg's complexFilter
+   */
+  getJoinFilters(sources, { video, audio, crossfade = 0, videoFilter = null, audioFilter = null, silentAudio = null }) {
+    const filters = [];
+    const outputs = [];
+    const round = value => Number(value.toFixed(6));
+    const durations = sources.map(source => source.duration);
+    const videoInput = index => `[${index}:v]${videoFilter ? `${videoFilter},` : ''}setpts=PTS-STARTPTS`;
+    const audioInput = index => sources[index].hasAudio === false
+      ? `${silentAudio},atrim=duration=${round(durations[index])}`
+      : `[${index}:a]${audioFilter ? `${audioFilter},` : ''}asetpts=PTS-STARTPTS`;
+
+    if (!crossfade) {
+      const inputs = sources.map((source, index) => {
+        if (video) filters.push(`${videoInput(index)}[v${index}]`);
+        if (audio) filters.push(`${audioInput(index)}[a${index}]`);
+        return `${video ? `[v${index}]` : ''}${audio ? `[a${index}]` : ''}`;
+      });
+      filters.push(`${inputs.join('')}concat=n=${sources.length}:v=${video ? 1 : 0}:a=${audio ? 1 : 0}${video ? '[v]' : ''}${audio ? '[a]' : ''}`);
+      if (video) outputs.push('v');
+      if (audio) outputs.push('a');
+      return { filters, outputs };
+    }
+
+    if (video) {
+      // The first source is held on its last frame for the whole output, as a base to overlay on
+      const total = durations.reduce((sum, duration) => sum + duration, 0) - crossfade * (durations.length - 1);
+      filters.push(`${videoInput(0)},tpad=stop_mode=clone:stop_duration=${round(total - durations[0])}[v0]`);
+
+      let offset = 0;
+      for (let index = 1; index < durations.length; index++) {
+        offset += durations[index - 1] - crossfade;
+        const output = index === durations.length - 1 ? 'v' : `v${index}x`;
+        filters.push(`${videoInput(index)},format=yuva420p,fade=t=in:st=0:d=${crossfade}:alpha=1,setpts=PTS+${round(offset)}/TB[v${index}]`);
+        filters.push(`[${index === 1 ? 'v0' : `v${index - 1}x`}][v${index}]overlay=eof_action=pass[${output}]`);
+      }
+      outputs.push('v');
+    }
+
+    if (audio) {
+      sources.forEach((source, index) => filters.push(`${audioInput(index)}[a${index}]`));
+      for (let index = 1; index < durations.length; index++) {
+        const output = index === durations.length - 1 ? 'a' : `a${index}x`;
+        filters.push(`[${index === 1 ? 'a0' : `a${index - 1}x`}][a${index}]acrossfade=d=${crossfade}[${output}]`);
+      }
+      outputs.push('a');
+    }
+
+    return { filters, outputs };
+  }
+
+  /**
+   * Move trim points to the nearest keyframes, where a stream copy can cut
+   * Intra-only sources are returned unchanged (every frame is a keyframe)
+   * @param {string} filePath - Source file
+   * @param {number} start - Requested start (seconds)
+   * @param {number} end - Requested end (seconds)
+   * @param {Object} info - Source video info (read when missing)
+   * @returns {Promise<Object>} { start, end, snapped, stopAt } - stopAt is where the copy stops:
+   *   FFmpeg ends stream copies on decode timestamps, and with B-frames the keyframe after the
+   *   cut decodes before the last frames shown ahead of it
+   */
+  async snapTrimPoints(filePath, start, end, info = null) {
+    info = info || await this.getVideoInfo(filePath);
+    if (INTRA_SOURCE_CODECS.includes(info.codec)) {
+      return { start, end, snapped: false, stopAt: end };
+    }
+
+    const nearest = (keyframes, time) => keyframes.reduce((best, keyframe) =>
+      Math.abs(keyframe.time - time) < Math.abs(best.time - time) ? keyframe : best, keyframes[0]);
+
+    const startKeyframes = await this.findKeyframes(filePath, start - KEYFRAME_SEARCH_WINDOW, start + KEYFRAME_SEARCH_WINDOW, info.startTime);
+    if (startKeyframes.length === 0) {
+      return { start, end, snapped: false, stopAt: end };
+    }
+    const snappedStart = nearest(startKeyframes, start).time;
+
+    // An end at the last frame stays there; otherwise the cut stops just before a keyframe
+    let snappedEnd = end;
+    let stopAt = end;
+    if (!info.duration || end < info.duration - 0.05) {
+      // A copy ending at a keyframe keeps every frame shown before its leading frames
+      const endKeyframes = (await this.findKeyframes(filePath, end - KEYFRAME_SEARCH_WINDOW, end + KEYFRAME_SEARCH_WINDOW, info.startTime))
+        .filter(keyframe => keyframe.leadTime > snappedStart)
+        .map(keyframe => ({ ...keyframe, time: keyframe.leadTime }));
+      const endKeyframe = endKeyframes.length > 0 ? nearest(endKeyframes, end) : null;
+      snappedEnd = endKeyframe ? endKeyframe.time : (info.duration || end);
+      stopAt = endKeyframe ? endKeyframe.decodeTime : snappedEnd;
+    }
+
+    console.log(`[FFmpeg Handler] Snapped trim ${start}s - ${end}s to keyframes ${snappedStart}s - ${snappedEnd}s`);
+    return { start: snappedStart, end: snappedEnd, snapped: true, stopAt };
+  }
+
+  /**
+   * List the video keyframes in a time range without decoding anything
+   * Packets are stream-copied into FFmpeg's framecrc muxer, which prints their timestamps
+   * and flags; packets without "F=" (or with the key bit set) are keyframes
+   * @param {string} filePath - Source file
+   * @param {number} from - Range start (seconds); the keyframe before it is included
+   * @param {number} to - Range end (seconds)
+   * @param {number} startTime - Source start time, subtracted from packet timestamps
+   * @returns {Promise<Array>} Keyframes in seconds: { time, decodeTime, leadTime } - leadTime is
+   *   the earliest frame decoded from the keyframe on (before `time` in open GOPs)
+   */
+  async findKeyframes(filePath, from, to, startTime = 0) {
+    const seekTo = Math.max(0, from);
+    const { stdout } = await this.execFFmpeg([
+      '-hide_banner', '-loglevel', 'error',
+      // One extra second so the leading frames of a keyframe near `to` are seen
+      '-ss', String(seekTo), '-t', String(Math.max(to - seekTo, 0) + 1),
+      '-i', filePath,
+      '-map', '0:v:0', '-c', 'copy', '-copyts',
+      '-f', 'framecrc', '-'
+    ]);
+
+    let timeBase = null;
+    const keyframes = [];
+    stdout.split('\n').forEach(line => {
+      const tb = line.match(/^#tb 0: (\d+)\/(\d+)/);
+      if (tb) {
+        timeBase = parseInt(tb[1], 10) / parseInt(tb[2], 10);
+        return;
+      }
+
+      const fields = line.split(',').map(field => field.trim());
+      if (!timeBase || fields.length < 6 || fields[0] !== '0') return;
+
+      // Rounded up to the microsecond so seeking to a keyframe never lands on the one before
+      const toSeconds = ts => Math.ceil((parseInt(ts, 10) * timeBase - startTime) * 1e6) / 1e6;
+      const time = toSeconds(fields[2]);
+      const flags = fields[6] && fields[6].startsWith('F=') ? parseInt(fields[6].slice(2), 16) : 1;
+      if (flags & 1) {
+        keyframes.push({ time, decodeTime: toSeconds(fields[1]), leadTime: time });
+      } else if (keyframes.length > 0) {
+        const last = keyframes[keyframes.length - 1];
+        last.leadTime = Math.min(last.leadTime, time);
+      }
+    });
+
+    return keyframes;
+  }
+
+  /**
+   * Read the streams and timing of a file from FFmpeg's input summary
+   * (works without ffprobe, which isn't bundled)
+   * @param {string} filePath - Source file
+   * @returns {Promise<Object>} { hasVideo, hasAudio, codec, pixFmt, width, height, fps, audioCodec,
+   *   sampleRate, channels, duration, startTime, rotation, hdr } - stream fields describe the first video
+   *   and audio streams (null without one); rotation is the display rotation FFmpeg applies on decode;
+   *   hdr is the video's HDR transfer, 'pq' or 'hlg' (null for SDR)
+   */
+  async getMediaInfo(filePath) {
+    // Without an output FFmpeg prints the summary and exits with an error - that's expected
+    const { stderr } = await this.execFFmpeg(['-hide_banner', '-i', filePath], { allowFailure: true });
+
+    const videoLine = (stderr.match(/Stream #0:\d+.*?: Video: .*/) || [''])[0];
+    const audioLine = (stderr.match(/Stream #0:\d+.*?: Audio: .*/) || [''])[0];
+    const video = videoLine.match(/Video: ([\w-]+)[^,]*, (\w+)/);
+    const profile = videoLine.match(/Video: [\w-]+ \(([^)/]+)\)/);
+    const colors = this.parseColorDetails((videoLine.match(/Video: [^,]+, \w+\(([^)]*)\)/) || [])[1]);
+    const size = videoLine.match(/, (\d+)x(\d+)/);
+    const fps = videoLine.match(/, ([\d.]+) fps/);
+    const audio = audioLine.match(/Audio: (\w+)[^,]*, (\d+) Hz, ([^,]+)/);
+    const duration = stderr.match(/Duration: (\d+):(\d+):([\d.]+)/);
+    const start = stderr.match(/start: (-?[\d.]+)/);
+    const rotation = stderr.match(/rotate\s*: (-?\d+)|rotation of (-?[\d.]+) degrees/);
+    let hdr = null;
+    if (/smpte2084/.test(videoLine)) {
+      hdr = 'pq';
+    } else if (/arib-std-b67/.test(videoLine)) {
+      hdr = 'hlg';
+    }
+
+    return {
+      hasVideo: Boolean(video),
+      hasAudio: Boolean(audio),
+      codec: video ? video[1] : null,
+      profile: profile ? profile[1].trim() : null,
+      pixFmt: video ? video[2] : null,
+      colors,
+      width: size ? parseInt(size[1], 10) : null,
+      height: size ? parseInt(size[2], 10) : null,
+      fps: fps ? parseFloat(fps[1]) : null,
+      audioCodec: audio ? audio[1] : null,
+      sampleRate: audio ? parseInt(audio[2], 10) : null,
+      channels: audio ? audio[3].trim() : null,
+      duration: duration ? parseInt(duration[1], 10) * 3600 + parseInt(duration[2], 10) * 60 + parseFloat(duration[3]) : null,
+      startTime: start ? parseFloat(start[1]) : 0,
+      rotation: rotation ? parseFloat(rotation[1] || rotation[2]) : 0,
+      hdr
+    };
+  }
+
+  /**
+   * Color and scan details FFmpeg prints after the pixel format: "tv, bt709/bt709/bt709, progressive"
+   * A single color name means space, primaries and transfer are all the same
+   * @param {string} details - Text inside the parentheses (may be missing)
+   * @returns {Object} { range, space, primaries, trc, interlaced } (null where unknown)
+   */
+  parseColorDetails(details) {
+    const parts = (details || '').split(',').map(part => part.trim()).filter(Boolean);
+    const known = (value) => (value && value !== 'unknown' ? value : null);
+    const range = parts.find(part => part === 'tv' || part === 'pc') || null;
+    const interlaced = parts.some(part => /first$/.test(part));
+    const color = parts.find(part => part !== range && part !== 'progressive' && !/first$/.test(part));
+    const [space, primaries = space, trc = space] = color ? color.split('/') : [];
+
+    return { range, space: known(space), primaries: known(primaries), trc: known(trc), interlaced };
+  }
+
+  /**
+   * Full technical details of a file for the media inspector
+   * Uses ffprobe when it's available, otherwise FFmpeg's input summary; HDR side data and the
+   * frame timing (variable frame rate detection) always come from FFmpeg
+   * @param {string} filePath - Local file or URL
+   * @returns {Promise<Object>} { source, file, container, timecode, streams, raw } - raw is the ffprobe
+   *   metadata or FFmpeg's summary text, for bug reports
+   */
+  async inspectMedia(filePath) {
+    const { stderr } = await this.execFFmpeg(['-hide_banner', '-i', filePath], { allowFailure: true });
+    if (!/Input #0/.test(stderr)) {
+      throw new Error(stderr.trim().split('\n').pop() || 'FFmpeg could not read this file');
+    }
+
+    let probe = null;
+    try {
+      probe = await this.probeFile(filePath);
+    } catch (error) {
+      console.warn('[FFmpeg Handler] ffprobe unavailable, inspecting with FFmpeg:', error.message);
+    }
+
+    const summary = this.parseInputSummary(stderr);
+    const report = probe ? this.describeProbe(probe, summary) : summary;
+
+    let size = null;
+    try {
+      size = fs.statSync(filePath).size;
+    } catch (error) {
+      // URLs have no local size; ffprobe may still report one
+      size = report.container.size || null;
+    }
+    report.file = { path: filePath, name: path.basename(filePath.split('?')[0]), size };
+    report.timecode = [report.container, ...report.streams].map(item => item.tags.timecode).find(Boolean) || null;
+
+    // Stills and cover art have no frame rate (FFmpeg prints its default time base)
+    report.streams
+      .filter(stream => stream.type === 'video' && (stream.attachedPicture || !(report.container.duration > 0)))
+      .forEach(stream => {
+        stream.frameRate = null;
+        stream.averageFrameRate = null;
+      });
+
+    // Stills have no timing to measure
+    const video = report.streams.find(stream => stream.type === 'video' && !stream.attachedPicture);
+    if (video && report.container.duration > 0) {
+      try {
+        video.frameTiming = await this.measureFrameTiming(filePath, report.streams.filter(stream => stream.type === 'video').indexOf(video));
+      } catch (error) {
+        console.warn('[FFmpeg Handler] Could not measure frame timing:', error.message);
+      }
+    }
+
+    return { source: probe ? 'ffprobe' : 'ffmpeg', ...report, raw: probe || stderr.trim() };
+  }
+
+  /**
+   * Parse FFmpeg's input summary (container, streams, metadata and HDR side data)
+   * @param {string} stderr - Output of ffmpeg -i
+   * @returns {Object} { container: { format, duration, startTime, bitrate, chapters, tags }, streams }
+   */
+  parseInputSummary(stderr) {
+    const container = { format: null, longName: null, duration: null, startTime: null, bitrate: null, size: null, chapters: 0, tags: {} };
+    const streams = [];
+    let tags = null; // Metadata block being read
+    let sideData = null; // Stream whose side data is being read
+
+    for (const line of stderr.split(/\r?\n/)) {
+      const input = line.match(/^Input #0, (.+?), from /);
+      const duration = line.match(/^\s+Duration: ([\d:.]+|N\/A)(?:, start: (-?[\d.]+))?, bitrate: (\d+|N\/A)/);
+      const stream = line.match(/^\s+Stream #0:(\d+)(?:\[\w+\])?(?:\((\w+)\))?: (\w+): (.*)$/);
+      const tag = line.match(/^\s+([^:]+?)\s*: (.*)$/);
+
+      if (input) {
+        container.format = input[1];
+      } else if (duration) {
+        const time = duration[1].match(/(\d+):(\d+):([\d.]+)/);
+        container.duration = time ? parseInt(time[1], 10) * 3600 + parseInt(time[2], 10) * 60 + parseFloat(time[3]) : null;
+        container.startTime = duration[2] !== undefined ? parseFloat(duration[2]) : null;
+        container.bitrate = duration[3] !== 'N/A' ? parseInt(duration[3], 10) * 1000 : null;
+        tags = null;
+      } else if (stream) {
+        streams.push(this.parseStreamLine(parseInt(stream[1], 10), stream[3].toLowerCase(), stream[4], stream[2]));
+        tags = null;
+        sideData = null;
+      } else if (/^\s+Chapter #/.test(line)) {
+        container.chapters++;
+        tags = null;
+      } else if (/^\s+Metadata:\s*$/.test(line)) {
+        // Chapter titles are skipped; the container's metadata comes before the first stream
+        tags = container.chapters > 0 && streams.length === 0 ? {} : (streams.length > 0 ? streams[streams.length - 1].tags : container.tags);
+        sideData = null;
+      } else if (/^\s+Side data:\s*$/.test(line)) {
+        sideData = streams[streams.length - 1] || null;
+        tags = null;
+      } else if (sideData && /Mastering Display Metadata/.test(line)) {
+        sideData.masteringDisplay = line.trim().replace(/^Mastering Display Metadata,\s*/, '');
+      } else if (sideData && /Content Light Level Metadata/.test(line)) {
+        sideData.contentLight = line.trim().replace(/^Content Light Level Metadata,\s*/, '');
+      } else if (sideData && /DOVI configuration record/.test(line)) {
+        sideData.dolbyVision = line.trim().replace(/^DOVI configuration record:\s*/, '');
+      } else if (tag && tags) {
+        tags[tag[1]] = tag[2].trim();
+      }
+    }
+
+    streams.forEach(item => {
+      item.hdr = this.getHdrFormat(item);
+    });
+    return { container, streams };
+  }
+
+  /**
+   * Parse one stream line of FFmpeg's input summary
+   * e.g. "h264 (High) (avc1 / 0x31637661), yuv420p(tv, bt709), 1920x1080 [SAR 1:1 DAR 16:9], 8000 kb/s,
+   * 25 fps, 25 tbr, 12800 tbn, 50 tbc (default)"
+   * @param {number} index - Stream index in the file
+   * @param {string} type - video, audio, subtitle, data or attachment
+   * @param {string} details - Text after the stream type
+   * @param {string} language - Language code (optional)
+   * @returns {Object} Stream details (null where FFmpeg doesn't say)
+   */
+  parseStreamLine(index, type, details, language = null) {
+    const dispositions = STREAM_DISPOSITIONS.filter(name => details.includes(`(${name})`));
+    const text = dispositions.reduce((rest, name) => rest.replace(`(${name})`, ''), details).trim();
+
+    // Split on commas outside brackets: "yuv420p(tv, bt709)" is one part
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+      if (char === '(' || char === '[') depth++;
+      if (char === ')' || char === ']') depth--;
+      if (char === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current.trim());
+
+    // The codec's profile is in brackets, its tag/fourcc too but with a slash
+    const codecPart = parts.shift();
+    const profile = (codecPart.match(/\(([^()]+)\)/g) || [])
+      .map(group => group.slice(1, -1))
+      .find(group => !group.includes('/')) || null;
+
+    const stream = {
+      index,
+      type,
+      codec: codecPart.split(/[\s(]/)[0],
+      codecLongName: null,
+      profile,
+      language: language && language !== 'und' ? language : null,
+      default: dispositions.includes('default'),
+      forced: dispositions.includes('forced'),
+      attachedPicture: dispositions.includes('attached pic'),
+      bitrate: null,
+      tags: {}
+    };
+
+    const unnamed = [];
+    parts.forEach(part => {
+      const kbps = part.match(/^(\d+) kb\/s/);
+      if (kbps) {
+        stream.bitrate = parseInt(kbps[1], 10) * 1000;
+      } else if (type === 'video' && /^\d+x\d+/.test(part)) {
+        const size = part.match(/^(\d+)x(\d+)(?: \[SAR (\S+) DAR (\S+)\])?/);
+        stream.width = parseInt(size[1], 10);
+        stream.height = parseInt(size[2], 10);
+        stream.sar = size[3] || null;
+        stream.dar = size[4] || null;
+      } else if (type === 'video' && / (fps|tbr)$/.test(part)) {
+        const [value, unit] = part.split(' ');
+        const rate = value.endsWith('k') ? parseFloat(value) * 1000 : parseFloat(value);
+        if (unit === 'fps') stream.averageFrameRate = rate;
+        if (unit === 'tbr') stream.frameRate = rate;
+      } else if (type === 'audio' && / Hz$/.test(part)) {
+        stream.sampleRate = parseInt(part, 10);
+      } else if (!/ (tbn|tbc)$/.test(part)) {
+        unnamed.push(part);
+      }
+    });
+
+    if (type === 'video') {
+      // Pixel format, with range, color space/primaries/transfer and field order in brackets
+      const format = (unnamed[0] || '').match(/^(\w+)(?:\((.*)\))?$/);
+      Object.assign(stream, {
+        pixFmt: format ? format[1] : null,
+        bitDepth: format ? this.getBitDepth(format[1]) : null,
+        colorRange: null,
+        colorSpace: null,
+        colorPrimaries: null,
+        colorTransfer: null,
+        fieldOrder: null
+      });
+      (format && format[2] ? format[2].split(',').map(value => value.trim()) : []).forEach(value => {
+        if (value === 'tv' || value === 'pc') {
+          stream.colorRange = value === 'tv' ? 'limited' : 'full';
+        } else if (['progressive', 'tt', 'bb', 'tb', 'bt', 'top first', 'bottom first'].includes(value)) {
+          stream.fieldOrder = value;
+        } else {
+          // One value when space, primaries and transfer match
+          const [space, primaries = space, transfer = space] = value.split('/');
+          Object.assign(stream, { colorSpace: space, colorPrimaries: primaries, colorTransfer: transfer });
+        }
+      });
+      stream.frameRate = stream.averageFrameRate || stream.frameRate || null;
+      stream.averageFrameRate = stream.averageFrameRate || null;
+    } else if (type === 'audio') {
+      const layout = unnamed[0] || null;
+      const count = layout ? layout.match(/^(\d+) channels/) : null;
+      Object.assign(stream, {
+        sampleRate: stream.sampleRate || null,
+        channelLayout: layout,
+        channels: count ? parseInt(count[1], 10) : (CHANNEL_LAYOUTS[layout] || null),
+        sampleFormat: unnamed[1] || null
+      });
+    }
+
+    return stream;
+  }
+
+  /**
+   * Turn ffprobe metadata into the inspector's shape
+   * @param {Object} probe - fluent-ffmpeg ffprobe metadata
+   * @param {Object} summary - parseInputSummary result (for HDR side data)
+   * @returns {Object} { container, streams }
+   */
+  describeProbe(probe, summary) {
+    const number = value => (value === undefined || value === null || value === '' || value === 'N/A' ? null : Number(value));
+    const rate = value => {
+      if (!value || value === '0/0' || value === 'N/A') return null;
+      const [numerator, denominator = 1] = String(value).split('/').map(Number);
+      return denominator ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+    };
+    const known = value => (value && value !== 'unknown' && value !== 'N/A' ? value : null);
+    const format = probe.format || {};
+
+    const container = {
+      format: format.format_name || null,
+      longName: format.format_long_name || null,
+      duration: number(format.duration),
+      startTime: number(format.start_time),
+      bitrate: number(format.bit_rate),
+      size: number(format.size),
+      chapters: (probe.chapters || []).length,
+      tags: { ...(format.tags || {}) }
+    };
+
+    const streams = (probe.streams || []).map(item => {
+      const disposition = item.disposition || {};
+      const tags = { ...(item.tags || {}) };
+      const stream = {
+        index: item.index,
+        type: item.codec_type,
+        codec: item.codec_name || null,
+        codecLongName: item.codec_long_name || null,
+        profile: known(item.profile),
+        language: tags.language && tags.language !== 'und' ? tags.language : null,
+        default: Boolean(disposition.default),
+        forced: Boolean(disposition.forced),
+        attachedPicture: Boolean(disposition.attached_pic),
+        bitrate: number(item.bit_rate),
+        tags
+      };
+
+      if (item.codec_type === 'video') {
+        Object.assign(stream, {
+          width: number(item.width),
+          height: number(item.height),
+          sar: known(item.sample_aspect_ratio),
+          dar: known(item.display_aspect_ratio),
+          pixFmt: item.pix_fmt || null,
+          bitDepth: number(item.bits_per_raw_sample) || (item.pix_fmt ? this.getBitDepth(item.pix_fmt) : null),
+          colorRange: item.color_range === 'tv' ? 'limited' : (item.color_range === 'pc' ? 'full' : null),
+          colorSpace: known(item.color_space),
+          colorPrimaries: known(item.color_primaries),
+          colorTransfer: known(item.color_transfer),
+          fieldOrder: known(item.field_order),
+          frameRate: rate(item.avg_frame_rate) || rate(item.r_frame_rate),
+          averageFrameRate: rate(item.avg_frame_rate)
+        });
+      } else if (item.codec_type === 'audio') {
+        Object.assign(stream, {
+          sampleRate: number(item.sample_rate),
+          channels: number(item.channels),
+          channelLayout: known(item.channel_layout),
+          sampleFormat: item.sample_fmt || null
+        });
+      }
+
+      // fluent-ffmpeg doesn't read side data sections - take them from FFmpeg's summary
+      const parsed = summary.streams.find(other => other.index === item.index) || {};
+      ['masteringDisplay', 'contentLight', 'dolbyVision'].forEach(key => {
+        if (parsed[key]) stream[key] = parsed[key];
+      });
+      stream.hdr = this.getHdrFormat(stream);
+      return stream;
+    });
+
+    return { container, streams };
+  }
+
+  /**
+   * Bits per color component of a pixel format (yuv420p10le -> 10)
+   * @param {string} pixFmt - FFmpeg pixel format
+   * @returns {number}
+   */
+  getBitDepth(pixFmt) {
+    const depth = pixFmt.match(/p(\d{2})(?:le|be)?$/) || pixFmt.match(/^(?:gray|ya)(\d{2})/) || pixFmt.match(/^p0(\d{2})/);
+    if (depth) return parseInt(depth[1], 10);
+    return /^(rgb|bgr)(48|a64)/.test(pixFmt) ? 16 : 8;
+  }
+
+  /**
+   * Name a video stream's HDR format from its transfer and side data
+   * @param {Object} stream - Inspector stream
+   * @returns {string|null} 'Dolby Vision', 'HDR10', 'PQ', 'HLG' or null for SDR
+   */
+  getHdrFormat(stream) {
+    if (stream.type !== 'video') return null;
+    if (stream.dolbyVision) return 'Dolby Vision';
+    if (stream.colorTransfer === 'smpte2084') return stream.masteringDisplay ? 'HDR10' : 'PQ';
+    if (stream.colorTransfer === 'arib-std-b67') return 'HLG';
+    return null;
+  }
+
+  /**
+   * Measure a video stream's frame intervals from its packet timestamps (no decoding)
+   * @param {string} filePath - Source file
+   * @param {number} videoIndex - Index among the file's video streams
+   * @returns {Promise<Object>} { variable, minFrameRate, maxFrameRate, averageFrameRate, sampledFrames }
+   */
+  async measureFrameTiming(filePath, videoIndex = 0) {
+    const { stdout } = await this.execFFmpeg(['-hide_banner', '-t', String(FRAME_TIMING_SECONDS), '-i', filePath,
+      '-map', `0:v:${videoIndex}`, '-c', 'copy', '-frames:v', String(FRAME_TIMING_PACKETS), '-f', 'framecrc', '-']);
+
+    const timeBase = stdout.match(/^#tb 0: (\d+)\/(\d+)/m);
+    const seconds = timeBase ? parseInt(timeBase[1], 10) / parseInt(timeBase[2], 10) : null;
+    // Packets come in decode order; frames are shown in timestamp order
+    const timestamps = stdout.split('\n')
+      .map(line => line.match(/^\d+,\s*-?\d+,\s*(-?\d+),/))
+      .filter(Boolean)
+      .map(match => parseInt(match[1], 10))
+      .sort((a, b) => a - b);
+    const allIntervals = timestamps.slice(1).map((time, i) => time - timestamps[i]).filter(interval => interval > 0);
+    if (!seconds || allIntervals.length < 2) {
+      return null;
+    }
+    const intervals = allIntervals.length > FRAME_TIMING_EDGE * 4
+      ? allIntervals.slice(FRAME_TIMING_EDGE, -FRAME_TIMING_EDGE)
+      : allIntervals;
+
+    const usual = [...intervals].sort((a, b) => a - b)[Math.floor(intervals.length / 2)];
+    const irregular = intervals.filter(interval => Math.abs(interval - usual) / usual > VFR_INTERVAL_TOLERANCE).length;
+    const toRate = interval => Math.round((1 / (interval * seconds)) * 1000) / 1000;
+
+    return {
+      variable: irregular > 1 && irregular / intervals.length > VFR_FRAME_SHARE,
+      minFrameRate: toRate(Math.max(...intervals)),
+      maxFrameRate: toRate(Math.min(...intervals)),
+      averageFrameRate: toRate((timestamps[timestamps.length - 1] - timestamps[0]) / allIntervals.length),
+      sampledFrames: timestamps.length
+    };
+  }
+
+  /**
+   * Read the first video stream's codec and timing
+   * @param {string} filePath - Source file
+   * @returns {Promise<Object>} Media info from getMediaInfo
+   */
+  async getVideoInfo(filePath) {
+    const info = await this.getMediaInfo(filePath);
+    if (!info.hasVideo) {
+      throw new Error('Source file has no video stream');
+    }
+    return info;
+  }
+
+  /**
+   * Run a short FFmpeg analysis outside the job queue
+   * @param {Array} args - FFmpeg arguments
+   * @param {Object} options - allowFailure: resolve even when FFmpeg exits with an error,
+   *   timeout: kill FFmpeg after this many milliseconds (0 = no limit)
+   * @returns {Promise<Object>} { stdout, stderr }
+   */
+  execFFmpeg(args, { allowFailure = false, timeout = 60000 } = {}) {
+    return new Promise((resolve, reject) => {
+      execFile(ffmpegPath, args, { timeout, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error && !allowFailure) {
+          reject(new Error((stderr || error.message).trim().split('\n').pop()));
+        } else {
+          resolve({ stdout: stdout || '', stderr: stderr || '' });
+        }
+      });
+    });
+  }
+
+  /**
+   * Store a job's snapped trim range and show it in the renderer
+   * @param {string} id - Job ID
+   * @param {number} trimStart - Actual start (seconds)
+   * @param {number} trimEnd - Actual end (seconds)
+   */
+  reportTrimPoints(id, trimStart, trimEnd) {
+    if (this.queueStore) {
+      this.queueStore.updateJob(id, { trimStart, trimEnd });
+    }
+
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send('ff:trim-snapped', { jobId: id, trimStart, trimEnd });
+    }
+  }
+
+  /**
+   * Frame rate and size filters shared by both animation passes
+   * @param {Object} settings - { fps, width } (width null = source width, never upscaled)
+   * @returns {string} Filter chain
+   */
+  getAnimationFilters(settings) {
+    const fps = parseFloat(settings.fps) || 15;
+    const filters = settings.reframe ? [this.getReframeFilter(settings.reframe), `fps=${fps}`] : [`fps=${fps}`];
+
+    if (settings.width) {
+      filters.push(`scale='min(${parseInt(settings.width, 10)},iw)':-1:flags=lanczos`);
+    }
+
+    return filters.join(',');
+  }
+
+  /**
+   * Move a job's reframe keyframes from source time onto the output timeline
+   * Input seeking restarts the timeline at the trim start; joined segments follow one another
+   * (overlapping by the crossfade). Each segment gets keyframes at its start and end, interpolated
+   * from the source keyframes, so the position holds across the cut; keyframes outside every
+   * segment are dropped. During a crossfade the incoming segment's position wins
+   * @param {Object} job - Job configuration with reframe.keyframes [{ time, x, y }] in source time
+   * @returns {Array} [{ time, x, y }] sorted by output time
+   */
+  getReframeKeyframes(job) {
+    const keyframes = job.reframe.keyframes && job.reframe.keyframes.length > 0
+      ? job.reframe.keyframes
+      : [{ time: 0, x: 0.5, y: 0.5 }];
+    const segments = Array.isArray(job.segments) && job.segments.length > 1
+      ? job.segments
+      : job.trimStart !== undefined && job.trimEnd !== undefined ? [{ start: job.trimStart, end: job.trimEnd }] : null;
+    const sorted = [...keyframes].sort((a, b) => a.time - b.time);
+    if (!segments) {
+      return sorted;
+    }
+
+    const crossfade = segments.length > 1 ? job.crossfade || 0 : 0;
+    const mapped = [];
+    let offset = 0;
+    segments.forEach((segment, index) => {
+      // The next segment takes over when its crossfade starts
+      const end = index < segments.length - 1 ? segment.end - crossfade : segment.end;
+      mapped.push({ ...this.interpolateKeyframe(sorted, segment.start), time: offset });
+      sorted
+        .filter(keyframe => keyframe.time > segment.start && keyframe.time < end)
+        .forEach(keyframe => mapped.push({ ...keyframe, time: offset + keyframe.time - segment.start }));
+      mapped.push({ ...this.interpolateKeyframe(sorted, end), time: offset + end - segment.start });
+      offset += segment.end - segment.start - crossfade;
+    });
+
+    // Stable sort - a segment's end and the next segment's start share a time, making the cut
+    return mapped.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Reframe position at a source time, interpolated the way getKeyframeExpression moves between
+   * keyframes (linear, holding the first and last position outside them)
+   * @param {Array} keyframes - [{ time, x, y }] sorted by time
+   * @param {number} time - Source time
+   * @returns {Object} { time, x, y }
+   */
+  interpolateKeyframe(keyframes, time) {
+    const nextIndex = keyframes.findIndex(keyframe => keyframe.time >= time);
+    if (nextIndex === 0) return { ...keyframes[0], time };
+    if (nextIndex === -1) return { ...keyframes[keyframes.length - 1], time };
+
+    const previous = keyframes[nextIndex - 1];
+    const next = keyframes[nextIndex];
+    const progress = (time - previous.time) / (next.time - previous.time);
+    return {
+      time,
+      x: previous.x + (next.x - previous.x) * progress,
+      y: previous.y + (next.y - previous.y) * progress
+    };
+  }
+
+  /**
+   * Build the filter that converts the frame to the reframe's aspect ratio
+   * crop: a window of the target shape, moved by keyframes; pad: the whole frame on black bars;
+   * blur: the whole frame over a blurred, zoomed copy of itself
+   * @param {Object} reframe - { aspect, mode, width, height, keyframes } (source size, output-time keyframes)
+   * @returns {string} Filter (chain)
+   */
+  getReframeFilter({ aspect, mode, width, height, keyframes }) {
+    const ratio = REFRAME_ASPECTS[aspect];
+    console.log(`[FFmpeg Handler] Reframing ${width}x${height} to ${aspect} (${mode})`);
+
+    // 4:2:0 video needs even sizes and offsets
+    if (mode !== 'pad' && mode !== 'blur') {
+      const cropWidth = Math.floor(Math.min(width, height * ratio) / 2) * 2;
+      const cropHeight = Math.floor(Math.min(height, width / ratio) / 2) * 2;
+      const x = this.getKeyframeExpression(keyframes, 'x', width - cropWidth);
+      const y = this.getKeyframeExpression(keyframes, 'y', height - cropHeight);
+      return `crop=${cropWidth}:${cropHeight}:x='${x}':y='${y}'`;
+    }
+
+    const frameWidth = Math.ceil(Math.max(width, height * ratio) / 2) * 2;
+    const frameHeight = Math.ceil(Math.max(height, width / ratio) / 2) * 2;
+    const left = Math.floor((frameWidth - width) / 4) * 2;
+    const top = Math.floor((frameHeight - height) / 4) * 2;
+
+    if (mode === 'pad') {
+      return `pad=${frameWidth}:${frameHeight}:${left}:${top}:black,setsar=1`;
+    }
+    return [
+      'split[rfback][rffront]',
+      `[rfback]scale=${frameWidth}:${frameHeight}:force_original_aspect_ratio=increase,crop=${frameWidth}:${frameHeight},boxblur=20:2[rfblur]`,
+      `[rfblur][rffront]overlay=${left}:${top},setsar=1`
+    ].join(';');
+  }
+
+  /**
+   * Piecewise-linear position expression for the crop window, evaluated per frame
+   * Holds the first position before the first keyframe and the last one after the last
+   * @param {Array} keyframes - [{ time, x, y }] in output time, x/y = 0-1 of the travel
+   * @param {string} axis - 'x' or 'y'
+   * @param {number} travel - Pixels the window can move along the axis
+   * @returns {string} FFmpeg expression
+   */
+  getKeyframeExpression(keyframes, axis, travel) {
+    if (travel <= 0) return '0';
+
+    const clamp = value => Math.min(Math.max(Number(value) || 0, 0), 1);
+    const points = keyframes.map(keyframe => [keyframe.time, Math.round(clamp(keyframe[axis]) * travel)]);
+
+    let expression = String(points[points.length - 1][1]);
+    for (let i = points.length - 2; i >= 0; i--) {
+      const [time, position] = points[i];
+      const [nextTime, nextPosition] = points[i + 1];
+      if (nextTime <= time) continue;
+      const slope = (nextPosition - position) / (nextTime - time);
+      expression = `if(lt(t,${nextTime.toFixed(3)}),${position}+(${slope.toFixed(4)})*(t-${time.toFixed(3)}),${expression})`;
+    }
+    return points.length > 1 ? `if(lt(t,${points[0][0].toFixed(3)}),${points[0][1]},${expression})` : expression;
+  }
+
+  /**
+   * Apply animated GIF/WebP settings
+   * Loop count is the number of plays (0 = forever); GIF stores it as extra repeats
+   */
+  applyAnimationSettings(command, outputFormat, settings, palettePath) {
+    const plays = Math.max(0, parseInt(settings.loop, 10) || 0);
+    const filters = this.getAnimationFilters(settings);
+
+    command.noAudio();
+
+    if (outputFormat === 'gif') {
+      const dither = settings.dither || 'sierra2_4a';
+      command.input(palettePath);
+      command.complexFilter(`[0:v]${filters}[clip];[clip][1:v]paletteuse=dither=${dither}:diff_mode=rectangle`);
+      command.outputOptions(['-loop', String(plays === 0 ? 0 : plays === 1 ? -1 : plays - 1)]);
+    } else {
+      command.videoCodec('libwebp');
+      command.videoFilters(filters);
+      command.outputOptions(['-lossless', '0', '-quality', String(settings.quality || 80), '-loop', String(plays)]);
+    }
+
+    console.log(`[FFmpeg Handler] Animation: ${outputFormat} ${filters}, plays: ${plays || 'forever'}`);
+  }
+
+  /**
+   * Apply image sequence export settings (video -> numbered frames)
+   * Uses the image settings for codec/quality/size, plus optional frame skipping
+   */
+  applySequenceSettings(command, outputFormat, settings) {
+    const everyNth = Math.max(1, parseInt(settings.everyNth, 10) || 1);
+    const filters = [];
+
+    // Drop frames before scaling so skipped frames cost nothing
+    if (everyNth > 1) {
+      console.log(`[FFmpeg Handler] Exporting every ${everyNth} frame(s)`);
+      filters.push(`select='not(mod(n,${everyNth}))'`);
+      command.outputOptions(['-vsync', 'vfr']);
+    }
+
+    this.applyImageSettings(command, outputFormat, settings, filters);
+  }
+
+  /**
+   * Create an FFmpeg command that reads a numbered image sequence
+   * @param {Object} sequence - { pattern, startNumber, framerate }
+   * @returns {Object} fluent-ffmpeg command
+   */
+  createSequenceInput(sequence) {
+    const framerate = parseFloat(sequence.framerate) || 25;
+
+    console.log(`[FFmpeg Handler] Reading image sequence: ${sequence.pattern} from ${sequence.startNumber} at ${framerate} fps`);
+    return ffmpeg()
+      .input(sequence.pattern)
+      .inputFormat('image2')
+      .inputOptions(['-framerate', String(framerate), '-start_number', String(sequence.startNumber || 0)]);
+  }
+
+  /**
+   * Path used to name outputs made from an image sequence (folder + sequence name)
+   * @param {Object} sequence - Sequence from detectImageSequences
+   * @returns {string} Pseudo file path with the sequence name as its base name
+   */
+  getSequenceSourcePath(sequence) {
+    return path.join(path.dirname(sequence.pattern), `${sequence.name}.sequence`);
+  }
+
+  /**
+   * Build the numbered filename for exported frames
+   * @param {string} inputPath - Source file path
+   * @param {string} outputFormat - Frame format (png, jpg, tiff)
+   * @param {string} pattern - User pattern like 'shot_%05d' ({name} = source name)
+   * @returns {string} File name pattern for the image2 muxer
+   */
+  getSequenceFileName(inputPath, outputFormat, pattern) {
+    const sourceName = path.parse(inputPath).name;
+    let name = (pattern || DEFAULT_SEQUENCE_PATTERN)
+      .replace(/\{name\}/g, sourceName)
+      .replace(/[\\/:*?"<>|]/g, '_')
+      .trim();
+
+    // Strip an extension the user may have typed - the format decides it
+    name = name.replace(/\.(png|jpe?g|tiff?)$/i, '');
+
+    // Exactly one frame number placeholder (%d or %0Nd); escape any other %
+    const placeholders = name.match(/%0?\d*d/g) || [];
+    if (placeholders.length !== 1) {
+      name = name.replace(/%0?\d*d/g, '') + '_%05d';
+    }
+    name = name.replace(/%(?!0?\d*d)/g, '%%');
+
+    return `${name}.${outputFormat}`;
+  }
+
+  /**
+   * Create an empty folder for exported frames next to the source (or in the output folder)
+   * @param {string} inputPath - Source file path
+   * @param {string} outputFormat - Frame format
+   * @param {string} outputFolder - Custom output folder (optional)
+   * @returns {string} Created folder path
+   */
+  createSequenceFolder(inputPath, outputFormat, outputFolder) {
+    const parsedPath = path.parse(inputPath);
+    const outputDir = outputFolder || parsedPath.dir;
+    const baseName = `${parsedPath.name}_${outputFormat}`;
+
+    let folderPath = path.join(outputDir, baseName);
+    let counter = 1;
+    while (fs.existsSync(folderPath)) {
+      folderPath = path.join(outputDir, `${baseName}_${counter}`);
+      counter++;
+    }
+
+    fs.mkdirSync(folderPath, { recursive: true });
+    return folderPath;
+  }
+
+  /**
+   * Find numbered image sequences in a folder (e.g. shot_00001.png ... shot_00240.png)
+   * FFmpeg stops reading at the first missing frame, so gaps are reported and only
+   * the frames before the first gap are counted
+   * @param {string} folderPath - Folder to scan
+   * @returns {Array} Sequences: { name, pattern, startNumber, endNumber, frameCount, missingFrames, totalSize, firstFrame, extension }
+   */
+  detectImageSequences(folderPath) {
+    const groups = new Map();
+
+    fs.readdirSync(folderPath, { withFileTypes: true }).forEach(entry => {
+      if (!entry.isFile()) return;
+
+      const match = entry.name.match(/^(.*?)(\d+)\.([a-z0-9]+)$/i);
+      if (!match || !SEQUENCE_EXTENSIONS.includes(match[3].toLowerCase())) return;
+
+      const [, prefix, digits, extension] = match;
+      const key = `${prefix}|${extension}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, { prefix, extension, frames: [] });
+      }
+      groups.get(key).frames.push({ number: parseInt(digits, 10), digits, file: entry.name });
+    });
+
+    const sequences = [];
+    groups.forEach(group => {
+      // Zero-padded numbers need a fixed width (%05d); unpadded ones use %d.
+      // A padded sequence may overflow its width (09999 -> 10000), which %05d still matches
+      const isPadded = frame => frame.digits.length > 1 && frame.digits.startsWith('0');
+      const paddedFrame = group.frames.find(isPadded);
+      const width = paddedFrame ? paddedFrame.digits.length : 0;
+      if (width) {
+        group.frames = group.frames.filter(frame =>
+          frame.digits.length === width || (frame.digits.length > width && !isPadded(frame)));
+      }
+
+      if (group.frames.length < 2) return;
+
+      const numberFormat = width ? `%0${width}d` : '%d';
+
+      group.frames.sort((a, b) => a.number - b.number);
+      const startNumber = group.frames[0].number;
+      let frameCount = 1;
+      while (frameCount < group.frames.length && group.frames[frameCount].number === startNumber + frameCount) {
+        frameCount++;
+      }
+      const lastNumber = group.frames[group.frames.length - 1].number;
+
+      let totalSize = 0;
+      group.frames.slice(0, frameCount).forEach(frame => {
+        try {
+          totalSize += fs.statSync(path.join(folderPath, frame.file)).size;
+        } catch (error) {
+          // Frame removed while scanning - size is informational only
+        }
+      });
+
+      sequences.push({
+        name: group.prefix.replace(/[\s._-]+$/, '') || path.basename(folderPath),
+        pattern: path.join(folderPath, `${group.prefix.replace(/%/g, '%%')}${numberFormat}.${group.extension}`),
+        startNumber,
+        endNumber: startNumber + frameCount - 1,
+        frameCount,
+        missingFrames: lastNumber - startNumber + 1 - group.frames.length,
+        totalSize,
+        firstFrame: path.join(folderPath, group.frames[0].file),
+        extension: group.extension.toLowerCase()
+      });
+    });
+
+    console.log(`[FFmpeg Handler] Found ${sequences.length} image sequence(s) in ${folderPath}`);
+    return sequences;
+  }
+
+  /**
+   * Cancel a conversion job
+   * @param {string} jobId - Job ID to cancel
    */
   cancelJob(jobId) {
     const command = this.activeJobs.get(jobId);
     if (command) {
       console.log('[FFmpeg Handler] Cancelling job:', jobId);
+      this.cancelledJobs.add(jobId);
       command.kill('SIGKILL');
       this.activeJobs.delete(jobId);
       return true;
@@ -399,11 +3672,76 @@ class FFmpegHandler {
   cancelAll() {
     console.log('[FFmpeg Handler] Cancelling all jobs');
     this.activeJobs.forEach((command, jobId) => {
+      this.cancelledJobs.add(jobId);
       command.kill('SIGKILL');
     });
     this.activeJobs.clear();
   }
 
+  /**
+   * Stop a running job so the scheduler can run it again from the start
+   * Used to pause the queue on Windows, where processes can't be suspended
+   * @param {string} jobId - Job ID
+   * @returns {boolean} True if the job was running
+   */
+  stopForRestart(jobId) {
+    const command = this.activeJobs.get(jobId);
+    if (!command) return false;
+
+    console.log('[FFmpeg Handler] Stopping job to restart later:', jobId);
+    this.cancelledJobs.add(jobId);
+    this.requeuedJobs.add(jobId);
+    command.kill('SIGKILL');
+    this.activeJobs.delete(jobId);
+    return true;
+  }
+
+  /**
+   * Send a signal to a running job's FFmpeg process (used to suspend/resume)
+   * @param {string} jobId - Job ID
+   * @param {string} signal - e.g. 'SIGSTOP' or 'SIGCONT'
+   * @returns {boolean} True if the job was running
+   */
+  signalJob(jobId, signal) {
+    const command = this.activeJobs.get(jobId);
+    if (!command) return false;
+
+    try {
+      command.kill(signal);
+      return true;
+    } catch (error) {
+      console.error(`[FFmpeg Handler] Failed to send ${signal} to job ${jobId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Stop all running jobs because the app is quitting
+   * Jobs stay marked as processing in the queue store and are re-queued on next launch
+   */
+  shutdown() {
+    this.isShuttingDown = true;
+    if (this.activeJobs.size > 0) {
+      console.log(`[FFmpeg Handler] Shutting down, stopping ${this.activeJobs.size} active job(s)`);
+    }
+    this.cancelAll();
+  }
+
+  /**
+   * Delete an incomplete output file (or image sequence folder)
+   * @param {string} outputPath - Output file or folder path
+   */
+  removePartialOutput(outputPath) {
+    try {
+      if (outputPath && fs.existsSync(outputPath)) {
+        fs.rmSync(outputPath, { recursive: true, force: true });
+        console.log('[FFmpeg Handler] Removed partial output:', outputPath);
+      }
+    } catch (error) {
+      console.error('[FFmpeg Handler] Failed to remove partial output:', error.message);
+    }
+  }
+
   /**
    * Get output file path
    * @param {string} inputPath - Input file path
@@ -445,6 +3783,24 @@ class FFmpegHandler {
     return this.gpuInfo || this.gpuDetector.getFallbackResult();
   }
 
+  /**
+   * Codec tables for the Format Factory codec dropdown
+   * @returns {Object} { videoCodecs: { id: { label, desc, intra, copy } }, containerCodecs, copySources }
+   */
+  getCodecs() {
+    const videoCodecs = {};
+    Object.entries(VIDEO_CODECS).forEach(([codecId, codec]) => {
+      videoCodecs[codecId] = { label: codec.label, desc: codec.desc, intra: !!codec.intra };
+    });
+    videoCodecs.copy = { ...COPY_CODEC };
+
+    return {
+      videoCodecs,
+      containerCodecs: CONTAINER_CODECS,
+      copySources: COPY_SOURCES
+    };
+  }
+
   /**
    * Get probe information about a file
    * @param {string} filePath - File path to probe
@@ -1,64 +1,29 @@
 // Kolbo Studio - File Manager
-// Handles file downloads to cache with 5GB limit and LRU eviction
+// Handles batch downloads, disk space checks and media API requests (with an offline fallback)
 
-const { ipcMain, app, dialog } = require('electron');
+const { ipcMain, dialog } = require('electron');
 const Store = require('electron-store');
 const config = require('../config');
-const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const http = require('http');
 const checkDiskSpace = require('check-disk-space').default;
+const DownloadEngine = require('./download-engine');
 
 const store = new Store(); // Shared store instance
-const CACHE_DIR = path.join(app.getPath('userData'), 'MediaCache');
-// Cache limit removed - users manage cache manually via Settings page
-// This prevents NLE project corruption from automatic file deletion
 
 class FileManager {
-  static setupHandlers() {
-    ipcMain.handle('file:download', this.downloadFile.bind(this));
+  /**
+   * @param {DownloadManager} downloadManager - Batch downloads are queued in the download manager
+   * @param {MediaLibraryStore} mediaLibraryStore - Media and projects responses are kept for offline use
+   */
+  static setupHandlers(downloadManager, mediaLibraryStore) {
+    this.downloadManager = downloadManager;
+    this.mediaLibraryStore = mediaLibraryStore;
+
     ipcMain.handle('file:batch-download', this.batchDownload.bind(this));
-    ipcMain.handle('cache:get-size', this.getCacheSize.bind(this));
-    ipcMain.handle('cache:clear', this.clearCache.bind(this));
-    ipcMain.handle('cache:is-cached', this.isFileCached.bind(this));
-    // PERFORMANCE FIX: Batch cache check to reduce IPC overhead
-    ipcMain.handle('cache:batch-is-cached', this.batchIsFileCached.bind(this));
     ipcMain.handle('media:get', this.getMedia.bind(this));
     ipcMain.handle('media:get-projects', this.getProjects.bind(this));
 
-    // Ensure cache directory exists
-    this.ensureCacheDir();
-
     console.log('[FileManager] IPC handlers registered');
-    console.log('[FileManager] Cache directory:', CACHE_DIR);
-  }
-
-  static isFileCached(event, { fileName }) {
-    const filePath = path.join(CACHE_DIR, fileName);
-    const exists = fs.existsSync(filePath);
-    return { cached: exists, filePath };
-  }
-
-  // PERFORMANCE FIX: Batch check multiple files at once (reduces IPC overhead)
-  static batchIsFileCached(event, fileNames) {
-    if (!Array.isArray(fileNames)) {
-      console.error('[FileManager] batchIsFileCached expects array, got:', typeof fileNames);
-      return [];
-    }
-
-    return fileNames.map(fileName => {
-      const filePath = path.join(CACHE_DIR, fileName);
-      const exists = fs.existsSync(filePath);
-      return { fileName, cached: exists, filePath };
-    });
-  }
-
-  static ensureCacheDir() {
-    if (!fs.existsSync(CACHE_DIR)) {
-      fs.mkdirSync(CACHE_DIR, { recursive: true });
-      console.log('[FileManager] Cache directory created');
-    }
   }
 
   /**
@@ -120,124 +85,6 @@ class FileManager {
     };
   }
 
-  static async downloadFile(event, { url, fileName }) {
-    // Check disk space before downloading (estimate 100MB if size unknown)
-    const estimatedSize = 100 * 1024 * 1024; // 100MB default estimate
-    const spaceCheck = await this.hasEnoughDiskSpace(estimatedSize, CACHE_DIR);
-
-    if (!spaceCheck.hasSpace) {
-      const error = new Error(spaceCheck.message);
-      error.code = 'ENOSPC';
-      console.error('[FileManager] Insufficient disk space:', spaceCheck.message);
-
-      // Show error dialog to user
-      dialog.showErrorBox(
-        'Insufficient Disk Space',
-        `Cannot download ${fileName}.\n\n${spaceCheck.message}\n\nPlease free up disk space and try again, or clear cached files in Settings.`
-      );
-
-      throw error;
-    }
-
-    // Warn user if low disk space
-    if (spaceCheck.message && spaceCheck.hasSpace) {
-      console.warn('[FileManager]', spaceCheck.message);
-    }
-
-    // Generate unique filename if file already exists
-    let filePath = path.join(CACHE_DIR, fileName);
-    let counter = 1;
-    const ext = path.extname(fileName);
-    const base = path.basename(fileName, ext);
-
-    while (fs.existsSync(filePath)) {
-      filePath = path.join(CACHE_DIR, `${base} (${counter})${ext}`);
-      counter++;
-    }
-
-    // If filename was changed, log it
-    if (counter > 1) {
-      console.log('[FileManager] File exists, using unique name:', path.basename(filePath));
-    }
-
-    // Download file
-    return new Promise((resolve, reject) => {
-      const file = fs.createWriteStream(filePath);
-      const protocol = url.startsWith('https') ? https : http;
-
-      console.log('[FileManager] Downloading:', fileName);
-
-      const request = protocol.get(url, (response) => {
-        // Handle redirects
-        if (response.statusCode === 301 || response.statusCode === 302) {
-          console.log('[FileManager] Redirect to:', response.headers.location);
-          file.close();
-          fs.unlinkSync(filePath);
-          return this.downloadFile(event, {
-            url: response.headers.location,
-            fileName
-          }).then(resolve).catch(reject);
-        }
-
-        if (response.statusCode !== 200) {
-          file.close();
-          if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-          return reject(new Error(`HTTP ${response.statusCode}`));
-        }
-
-        response.pipe(file);
-
-        file.on('finish', () => {
-          file.close();
-          console.log('[FileManager] Downloaded:', path.basename(filePath));
-          resolve({ success: true, filePath });
-        });
-      });
-
-      request.on('error', (err) => {
-        file.close();
-        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-
-        // Check if it's a disk space error
-        if (err.code === 'ENOSPC') {
-          dialog.showErrorBox(
-            'Disk Full',
-            `Your disk is full. Cannot download ${fileName}.\n\nPlease free up disk space and try again, or clear cached files in Settings.`
-          );
-        }
-
-        reject(err);
-      });
-
-      // Handle file write errors (including ENOSPC)
-      file.on('error', (err) => {
-        file.close();
-        if (fs.existsSync(filePath)) {
-          try {
-            fs.unlinkSync(filePath);
-          } catch (unlinkErr) {
-            console.warn('[FileManager] Could not delete partial file:', unlinkErr.message);
-          }
-        }
-
-        // Check if it's a disk space error
-        if (err.code === 'ENOSPC') {
-          dialog.showErrorBox(
-            'Disk Full',
-            `Your disk is full. Cannot download ${fileName}.\n\nPlease free up disk space and try again, or clear cached files in Settings.`
-          );
-        }
-
-        reject(err);
-      });
-
-      request.setTimeout(300000, () => {
-        request.destroy();
-        reject(new Error('Download timeout'));
-      });
-    });
-  }
-
   static async batchDownload(event, { items, targetFolder }) {
     console.log(`[FileManager] Batch downloading ${items.length} files to:`, targetFolder);
 
@@ -269,235 +116,92 @@ class FileManager {
       console.warn('[FileManager] Batch download:', spaceCheck.message);
     }
 
-    const results = [];
-
-    for (const item of items) {
-      try {
-        // Generate unique filename if file already exists
-        let filePath = path.join(targetFolder, item.fileName);
-        let counter = 1;
-        const ext = path.extname(item.fileName);
-        const base = path.basename(item.fileName, ext);
-
-        while (fs.existsSync(filePath)) {
-          filePath = path.join(targetFolder, `${base} (${counter})${ext}`);
-          counter++;
-        }
+    // Queue every file in the download manager (it runs a few at a time and can pause/cancel them)
+    let diskFullShown = false;
+    const downloads = items.map((item, index) => {
+      // Unique filename if the file already exists (or another download is writing it)
+      const filePath = this.downloadManager.getUniquePath(targetFolder, item.fileName);
+      if (path.basename(filePath) !== item.fileName) {
+        console.log('[FileManager] File exists, using unique name:', path.basename(filePath));
+      }
 
-        // If filename was changed, log it
-        if (counter > 1) {
-          console.log('[FileManager] File exists, using unique name:', path.basename(filePath));
+      console.log('[FileManager] Queueing:', item.fileName);
+      return this.downloadManager.enqueue({
+        url: item.url,
+        filePath,
+        source: 'library',
+        onProgress: DownloadEngine.sendProgressTo(event.sender, {
+          url: item.url,
+          fileName: path.basename(filePath),
+          index,
+          count: items.length
+        })
+      }).catch(error => {
+        if (error.code === 'ENOSPC' && !diskFullShown) {
+          diskFullShown = true;
+          dialog.showErrorBox(
+            'Disk Full',
+            `Your disk is full. Cannot download ${item.fileName}.\n\nPlease free up disk space, then retry the failed files from Downloads.`
+          );
         }
+        throw error;
+      });
+    });
 
-        // Download file
-        await new Promise((resolve, reject) => {
-          const file = fs.createWriteStream(filePath);
-          const protocol = item.url.startsWith('https') ? https : http;
-
-          console.log('[FileManager] Downloading:', item.fileName);
-
-          const request = protocol.get(item.url, (response) => {
-            // Handle redirects
-            if (response.statusCode === 301 || response.statusCode === 302) {
-              console.log('[FileManager] Redirect to:', response.headers.location);
-              file.close();
-              fs.unlinkSync(filePath);
-
-              // Update URL and retry
-              item.url = response.headers.location;
-              return this.batchDownload(event, {
-                items: [item],
-                targetFolder
-              }).then(resolve).catch(reject);
-            }
-
-            if (response.statusCode !== 200) {
-              file.close();
-              if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-              return reject(new Error(`HTTP ${response.statusCode}`));
-            }
-
-            response.pipe(file);
-
-            file.on('finish', () => {
-              file.close();
-              console.log('[FileManager] Downloaded:', path.basename(filePath));
-              resolve();
-            });
-          });
-
-          request.on('error', (err) => {
-            file.close();
-            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-
-            // Check if it's a disk space error
-            if (err.code === 'ENOSPC') {
-              dialog.showErrorBox(
-                'Disk Full',
-                `Your disk is full. Cannot download ${item.fileName}.\n\nBatch download stopped. Please free up disk space and try again.`
-              );
-            }
-
-            reject(err);
-          });
-
-          // Handle file write errors (including ENOSPC)
-          file.on('error', (err) => {
-            file.close();
-            if (fs.existsSync(filePath)) {
-              try {
-                fs.unlinkSync(filePath);
-              } catch (unlinkErr) {
-                console.warn('[FileManager] Could not delete partial file:', unlinkErr.message);
-              }
-            }
-
-            // Check if it's a disk space error
-            if (err.code === 'ENOSPC') {
-              dialog.showErrorBox(
-                'Disk Full',
-                `Your disk is full. Cannot download ${item.fileName}.\n\nBatch download stopped. Please free up disk space and try again.`
-              );
-            }
-
-            reject(err);
-          });
-
-          request.setTimeout(300000, () => {
-            request.destroy();
-            reject(new Error('Download timeout'));
-          });
-        });
-
-        results.push({
+    const settled = await Promise.allSettled(downloads);
+    const results = settled.map((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        console.log('[FileManager] Downloaded:', outcome.value.fileName);
+        return {
           success: true,
-          fileName: path.basename(filePath),
-          filePath
-        });
+          fileName: outcome.value.fileName,
+          filePath: outcome.value.filePath
+        };
+      }
 
-      } catch (error) {
-        console.error('[FileManager] Download failed:', item.fileName, error);
-        results.push({
+      // Paused from the Downloads panel - it finishes there once resumed
+      if (outcome.reason.code === 'PAUSED') {
+        console.log('[FileManager] Download paused:', items[index].fileName);
+        return {
           success: false,
-          fileName: item.fileName,
-          error: error.message
-        });
+          paused: true,
+          fileName: items[index].fileName,
+          error: outcome.reason.message
+        };
       }
-    }
+
+      console.error('[FileManager] Download failed:', items[index].fileName, outcome.reason);
+      return {
+        success: false,
+        fileName: items[index].fileName,
+        error: outcome.reason.message
+      };
+    });
 
     const successCount = results.filter(r => r.success).length;
-    console.log(`[FileManager] Batch download complete: ${successCount}/${items.length} successful`);
+    const pausedCount = results.filter(r => r.paused).length;
+    console.log(`[FileManager] Batch download complete: ${successCount}/${items.length} successful, ${pausedCount} paused`);
 
     return {
       success: true,
       results,
       successCount,
+      pausedCount,
       totalCount: items.length
     };
   }
 
-  static getCacheSizeSync() {
-    let totalSize = 0;
-    if (!fs.existsSync(CACHE_DIR)) return 0;
-
-    const files = fs.readdirSync(CACHE_DIR);
-    for (const file of files) {
-      const filePath = path.join(CACHE_DIR, file);
-      try {
-        const stats = fs.statSync(filePath);
-        if (stats.isFile()) {
-          totalSize += stats.size;
-        }
-      } catch (error) {
-        // Skip files that can't be read
-      }
-    }
-    return totalSize;
-  }
-
-  static getCacheSize() {
-    const bytes = this.getCacheSizeSync();
-    const gb = (bytes / (1024 ** 3)).toFixed(2);
-    const mb = (bytes / (1024 ** 2)).toFixed(2);
-    return {
-      bytes,
-      mb: parseFloat(mb),
-      gb: parseFloat(gb),
-      formatted: bytes > 1024 ** 3 ? `${gb} GB` : `${mb} MB`
-    };
-  }
-
-  // Note: This function is no longer called automatically
-  // It's kept for potential future "Clear Old Files" feature
-  static async evictOldestFiles(daysOld = 30) {
-    try {
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - daysOld);
-
-      // Get all files with access times
-      const files = fs.readdirSync(CACHE_DIR).map(file => {
-        const filePath = path.join(CACHE_DIR, file);
-        try {
-          const stats = fs.statSync(filePath);
-          return {
-            path: filePath,
-            atime: stats.atime,
-            size: stats.size
-          };
-        } catch (error) {
-          return null;
-        }
-      }).filter(f => f !== null);
-
-      // Delete files older than cutoff date
-      let deletedCount = 0;
-      let deletedSize = 0;
-
-      for (const file of files) {
-        if (file.atime < cutoffDate) {
-          try {
-            fs.unlinkSync(file.path);
-            deletedSize += file.size;
-            deletedCount++;
-          } catch (error) {
-            console.error('[FileManager] Failed to delete:', file.path, error);
-          }
-        }
-      }
-
-      console.log(`[FileManager] Evicted ${deletedCount} files older than ${daysOld} days, freed ${(deletedSize / (1024 ** 3)).toFixed(2)} GB`);
-      return { success: true, deletedCount, deletedSize };
-    } catch (error) {
-      console.error('[FileManager] Eviction error:', error);
-      return { success: false, error: error.message };
+  /**
+   * Media page from the local library when the API can't be reached
+   * Without anything stored there's nothing to show, so the original error is returned
+   */
+  static getOfflineMedia(params, error) {
+    if (!this.mediaLibraryStore.hasData()) {
+      return { success: false, error };
     }
-  }
-
-  static clearCache() {
-    try {
-      if (!fs.existsSync(CACHE_DIR)) {
-        return { success: true, deletedFiles: 0 };
-      }
 
-      const files = fs.readdirSync(CACHE_DIR);
-      let deletedCount = 0;
-
-      for (const file of files) {
-        try {
-          fs.unlinkSync(path.join(CACHE_DIR, file));
-          deletedCount++;
-        } catch (error) {
-          console.error('[FileManager] Failed to delete:', file, error);
-        }
-      }
-
-      console.log(`[FileManager] Cache cleared: ${deletedCount} files deleted`);
-      return { success: true, deletedFiles: deletedCount };
-
-    } catch (error) {
-      console.error('[FileManager] Clear cache error:', error);
-      return { success: false, error: error.message };
-    }
+    console.log('[FileManager] API unreachable, serving media from the local library:', error);
+    return { success: true, data: this.mediaLibraryStore.getMediaPage(params) };
   }
 
   // Media API proxies (call Kolbo API from main process)
@@ -537,6 +241,9 @@ class FileManager {
 
       if (!response.ok) {
         console.error('[FileManager] Media fetch failed:', response.status, response.statusText);
+        if (response.status >= 500) {
+          return this.getOfflineMedia(params, `HTTP ${response.status}`);
+        }
         return { success: false, error: `HTTP ${response.status}` };
       }
 
@@ -548,11 +255,12 @@ class FileManager {
         currentPage: data.pagination?.currentPage || params.page || 1
       });
 
+      this.mediaLibraryStore.saveMediaPage(params, data);
       return { success: true, data };
 
     } catch (error) {
       console.error('[FileManager] getMedia error:', error);
-      return { success: false, error: error.message };
+      return this.getOfflineMedia(params, error.message);
     }
   }
 
@@ -593,6 +301,9 @@ class FileManager {
 
       if (!response.ok) {
         console.error('[FileManager] Favorites fetch failed:', response.status, response.statusText);
+        if (response.status >= 500) {
+          return this.getOfflineMedia(params, `HTTP ${response.status}`);
+        }
         return { success: false, error: `HTTP ${response.status}` };
       }
 
@@ -646,11 +357,12 @@ class FileManager {
         }
       };
 
+      this.mediaLibraryStore.saveMediaPage(params, data);
       return { success: true, data };
 
     } catch (error) {
       console.error('[FileManager] getFavorites error:', error);
-      return { success: false, error: error.message };
+      return this.getOfflineMedia(params, error.message);
     }
   }
 
@@ -673,14 +385,22 @@ class FileManager {
       });
 
       if (!response.ok) {
+        if (response.status >= 500 && this.mediaLibraryStore.projects) {
+          return { success: true, data: this.mediaLibraryStore.getProjects() };
+        }
         return { success: false, error: `HTTP ${response.status}` };
       }
 
       const data = await response.json();
+      this.mediaLibraryStore.saveProjects(data);
       return { success: true, data };
 
     } catch (error) {
       console.error('[FileManager] getProjects error:', error);
+      if (this.mediaLibraryStore.projects) {
+        console.log('[FileManager] API unreachable, serving projects from the local library');
+        return { success: true, data: this.mediaLibraryStore.getProjects() };
+      }
       return { success: false, error: error.message };
     }
   }
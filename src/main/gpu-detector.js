@@ -2,13 +2,28 @@
 // Detects available GPU and determines optimal FFmpeg encoder
 
 const si = require('systeminformation');
-const { execSync } = require('child_process');
-const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const { execSync, execFile } = require('child_process');
+let ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+
+// Electron's asar archives can't execute binaries, so use the unpacked path (same as FFmpeg Handler)
+if (ffmpegPath.includes('app.asar')) {
+  ffmpegPath = ffmpegPath.replace('app.asar', 'app.asar.unpacked');
+}
+
+// Hardware encoder families in priority order: NVENC > AMF > QSV > VideoToolbox > VA-API
+const HARDWARE_FAMILIES = ['nvenc', 'amf', 'qsv', 'videotoolbox', 'vaapi'];
+
+// Default VA-API render node on Linux
+const VAAPI_DEVICE = '/dev/dri/renderD128';
+
+// Default constant-quality level (libx264 CRF scale)
+const DEFAULT_QUALITY = 23;
 
 class GPUDetector {
   constructor() {
     this.gpuInfo = null;
     this.availableEncoders = null;
+    this.verifiedEncoders = { h264: [], h265: [] }; // Hardware encoders that passed a test encode
     this.detectionComplete = false;
   }
 
@@ -28,9 +43,11 @@ class GPUDetector {
       this.gpuInfo = await si.graphics();
       console.log('[GPU Detector] GPU Info:', JSON.stringify(this.gpuInfo.controllers, null, 2));
 
-      // Get available FFmpeg encoders
+      // Get encoders compiled into FFmpeg, then make sure each one actually works on this machine
       this.availableEncoders = await this.detectFFmpegEncoders();
+      await this.verifyEncoders();
       console.log('[GPU Detector] Available encoders:', this.availableEncoders);
+      console.log('[GPU Detector] Verified encoders:', this.verifiedEncoders);
 
       this.detectionComplete = true;
       return this.getResult();
@@ -94,44 +111,172 @@ class GPUDetector {
   }
 
   /**
-   * Get the best available encoder for video encoding
-   * @param {string} codec - Desired codec ('h264' or 'h265')
-   * @returns {string} FFmpeg encoder name
+   * Probe-encode a tiny generated clip with each compiled-in hardware encoder
+   * Encoders are often listed by FFmpeg even when the GPU or driver is missing,
+   * so only encoders that succeed here are used. Failed families fall through to the next one.
    */
-  getBestEncoder(codec = 'h264') {
-    if (!this.detectionComplete) {
-      console.warn('[GPU Detector] Detection not complete, using CPU fallback');
-      return codec === 'h265' ? 'libx265' : 'libx264';
+  async verifyEncoders() {
+    this.verifiedEncoders = { h264: [], h265: [] };
+
+    for (const family of HARDWARE_FAMILIES) {
+      if (!this.availableEncoders[family]) continue;
+
+      const h264Encoder = `h264_${family}`;
+      if (await this.testEncoder(h264Encoder)) {
+        this.verifiedEncoders.h264.push(h264Encoder);
+        console.log(`[GPU Detector] ✓ ${h264Encoder} test encode passed`);
+
+        // Only try HEVC on hardware that handled H.264
+        const hevcEncoder = `hevc_${family}`;
+        if (await this.testEncoder(hevcEncoder)) {
+          this.verifiedEncoders.h265.push(hevcEncoder);
+          console.log(`[GPU Detector] ✓ ${hevcEncoder} test encode passed`);
+        }
+      } else {
+        console.log(`[GPU Detector] ✗ ${h264Encoder} listed but test encode failed, skipping ${family}`);
+        this.availableEncoders[family] = false;
+      }
     }
+  }
 
-    const prefix = codec === 'h265' ? 'hevc' : 'h264';
-
-    // Priority: NVENC > AMF > QSV > VideoToolbox > VA-API > CPU
-    if (this.availableEncoders.nvenc) {
-      return `${prefix}_nvenc`;
+  /**
+   * Encode a few frames of a generated test pattern with the given encoder
+   * @param {string} encoder - FFmpeg encoder name
+   * @returns {Promise<boolean>} True if the encode succeeded
+   */
+  testEncoder(encoder) {
+    const options = this.getEncoderOptions(encoder);
+    const args = [
+      '-hide_banner',
+      '-loglevel', 'error',
+      ...options.inputOptions,
+      '-f', 'lavfi',
+      '-i', 'color=c=black:s=256x256:r=25:d=1',
+      '-frames:v', '5'
+    ];
+
+    if (options.filters.length > 0) {
+      args.push('-vf', options.filters.join(','));
     }
 
-    if (this.availableEncoders.amf) {
-      return `${prefix}_amf`;
-    }
+    args.push('-c:v', encoder, ...options.outputOptions, '-f', 'null', '-');
+
+    return new Promise((resolve) => {
+      execFile(ffmpegPath, args, { timeout: 15000 }, (error, stdout, stderr) => {
+        if (error) {
+          console.log(`[GPU Detector] Test encode with ${encoder} failed:`, (stderr || error.message).trim().split('\n').pop());
+          resolve(false);
+        } else {
+          resolve(true);
+        }
+      });
+    });
+  }
 
-    if (this.availableEncoders.qsv) {
-      return `${prefix}_qsv`;
+  /**
+   * Map a quality level and optional bitrate cap to an encoder's own rate-control flags
+   * @param {string} encoder - FFmpeg encoder name (e.g. 'h264_nvenc', 'libx264')
+   * @param {Object} settings - { quality: CRF-scale value (lower = better), bitrate: e.g. '10M' }
+   * @returns {Object} { inputOptions, outputOptions, filters } - filters go at the end of the video chain
+   */
+  getEncoderOptions(encoder, settings = {}) {
+    const quality = settings.quality || DEFAULT_QUALITY;
+    const bitrate = settings.bitrate || null;
+    const bufsize = bitrate ? `${parseFloat(bitrate) * 2}${bitrate.replace(/[\d.]/g, '')}` : null;
+    const result = { inputOptions: [], outputOptions: [], filters: [] };
+
+    if (encoder.endsWith('_nvenc')) {
+      // Constant quality VBR; bitrate presets become a ceiling
+      result.outputOptions.push('-preset', 'medium', '-rc', 'vbr', '-cq', String(quality));
+      if (bitrate) {
+        result.outputOptions.push('-b:v', bitrate, '-maxrate', bitrate, '-bufsize', bufsize);
+      } else {
+        result.outputOptions.push('-b:v', '0');
+      }
+    } else if (encoder.endsWith('_amf')) {
+      if (bitrate) {
+        result.outputOptions.push('-rc', 'vbr_peak', '-b:v', bitrate, '-maxrate', bitrate);
+      } else {
+        result.outputOptions.push('-rc', 'cqp', '-qp_i', String(quality), '-qp_p', String(quality));
+        if (encoder.startsWith('h264')) {
+          result.outputOptions.push('-qp_b', String(quality));
+        }
+      }
+    } else if (encoder.endsWith('_qsv')) {
+      if (bitrate) {
+        result.outputOptions.push('-b:v', bitrate, '-maxrate', bitrate);
+      } else {
+        result.outputOptions.push('-global_quality', String(quality));
+      }
+    } else if (encoder.endsWith('_videotoolbox')) {
+      if (bitrate) {
+        result.outputOptions.push('-b:v', bitrate);
+      } else {
+        // VideoToolbox quality is 1-100 (higher = better); CRF 23 maps to ~65
+        const vtQuality = Math.round(Math.min(Math.max(100 - (quality - 10) * 2.7, 1), 100));
+        result.outputOptions.push('-q:v', String(vtQuality));
+      }
+    } else if (encoder.endsWith('_vaapi')) {
+      // Frames must be uploaded to the GPU after all software filters
+      result.inputOptions.push('-vaapi_device', VAAPI_DEVICE);
+      result.filters.push('format=nv12', 'hwupload');
+      if (bitrate) {
+        result.outputOptions.push('-b:v', bitrate, '-maxrate', bitrate);
+      } else {
+        result.outputOptions.push('-qp', String(quality));
+      }
+    } else {
+      // CPU encoders (libx264 / libx265): CRF with the bitrate as a VBV ceiling
+      // libx265's CRF scale runs about 5 higher for the same visual quality
+      const crf = encoder === 'libx265' ? quality + 5 : quality;
+      result.outputOptions.push('-preset', 'medium', '-crf', String(crf));
+      if (bitrate) {
+        result.outputOptions.push('-maxrate', bitrate, '-bufsize', bufsize);
+      }
     }
 
-    if (this.availableEncoders.videotoolbox) {
-      return `${prefix}_videotoolbox`;
+    return result;
+  }
+
+  /**
+   * Get the best available encoder for video encoding
+   * @param {string} codec - Desired codec ('h264' or 'h265')
+   * @returns {string} FFmpeg encoder name
+   */
+  getBestEncoder(codec = 'h264') {
+    if (!this.detectionComplete) {
+      console.warn('[GPU Detector] Detection not complete, using CPU fallback');
+      return this.getCPUEncoder(codec);
     }
 
-    if (this.availableEncoders.vaapi) {
-      return `${prefix}_vaapi`;
+    // Verified list is already in priority order: NVENC > AMF > QSV > VideoToolbox > VA-API
+    const verified = this.verifiedEncoders[codec === 'h265' ? 'h265' : 'h264'];
+    if (verified.length > 0) {
+      return verified[0];
     }
 
     // Fallback to CPU software encoding
-    console.log('[GPU Detector] No hardware encoder available, using CPU');
+    return this.getCPUEncoder(codec);
+  }
+
+  /**
+   * Get the software encoder for a codec
+   * @param {string} codec - 'h264' or 'h265'
+   * @returns {string} FFmpeg encoder name
+   */
+  getCPUEncoder(codec = 'h264') {
     return codec === 'h265' ? 'libx265' : 'libx264';
   }
 
+  /**
+   * Check if an encoder name is a hardware encoder
+   * @param {string} encoder - FFmpeg encoder name
+   * @returns {boolean}
+   */
+  isHardwareEncoder(encoder) {
+    return HARDWARE_FAMILIES.some(family => encoder.endsWith(`_${family}`));
+  }
+
   /**
    * Check if hardware acceleration is available
    * @returns {boolean}
@@ -139,11 +284,7 @@ class GPUDetector {
   hasHardwareAcceleration() {
     if (!this.detectionComplete) return false;
 
-    return this.availableEncoders.nvenc ||
-           this.availableEncoders.amf ||
-           this.availableEncoders.qsv ||
-           this.availableEncoders.videotoolbox ||
-           this.availableEncoders.vaapi;
+    return this.verifiedEncoders.h264.length > 0;
   }
 
   /**
@@ -187,6 +328,7 @@ class GPUDetector {
       model: this.getGPUModel(),
       hasHardwareAcceleration: this.hasHardwareAcceleration(),
       encoders: this.availableEncoders,
+      verifiedEncoders: this.verifiedEncoders,
       bestH264Encoder: this.getBestEncoder('h264'),
       bestH265Encoder: this.getBestEncoder('h265')
     };
@@ -208,6 +350,7 @@ class GPUDetector {
         videotoolbox: false,
         vaapi: false
       },
+      verifiedEncoders: { h264: [], h265: [] },
       bestH264Encoder: 'libx264',
       bestH265Encoder: 'libx265'
     };
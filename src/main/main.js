@@ -10,15 +10,24 @@ const checkDiskSpace = require('check-disk-space').default;
 // Import IPC handlers
 const AuthManager = require('./auth-manager');
 const FileManager = require('./file-manager');
+const CacheService = require('./cache-service');
+const MediaLibraryStore = require('./media-library-store');
+const DownloadEngine = require('./download-engine');
+const DownloadManager = require('./download-manager');
 const DragHandler = require('./drag-handler');
 const ContextMenuHandler = require('./context-menu-handler');
 const FFmpegHandler = require('./ffmpeg-handler');
+const ConversionQueueStore = require('./conversion-queue-store');
+const ConversionScheduler = require('./conversion-scheduler');
+const ConversionPresetStore = require('./conversion-preset-store');
+const WatchFolderManager = require('./watch-folder-manager');
 
 // Persistent settings store
 const store = new Store();
 
 let mainWindow = null;
 let tray = null;
+let downloadManager = null;
 
 // GPU acceleration needed for video rendering
 // Only disable if experiencing stability issues
@@ -297,6 +306,15 @@ function createTray() {
         }
       }
     },
+    {
+      label: 'Downloads',
+      click: () => {
+        if (mainWindow) {
+          mainWindow.show();
+          mainWindow.webContents.send('navigate-to-downloads');
+        }
+      }
+    },
     { type: 'separator' },
     {
       label: 'Quit',
@@ -320,6 +338,40 @@ function createTray() {
   console.log('[Main] System tray created');
 }
 
+/**
+ * Show active downloads on the tray icon, dock/taskbar badge and taskbar progress bar
+ * @param {Object} summary - DownloadManager.getSummary()
+ */
+function updateDownloadIndicators(summary) {
+  const pending = summary.active + summary.queued;
+
+  if (tray && !tray.isDestroyed()) {
+    let tooltip = 'Kolbo Studio';
+    if (pending > 0) {
+      tooltip += ` - ${pending} download${pending === 1 ? '' : 's'}`;
+      if (summary.percent !== null) tooltip += ` (${summary.percent}%)`;
+    }
+    tray.setToolTip(tooltip);
+
+    if (process.platform === 'darwin') {
+      tray.setTitle(pending > 0 ? `↓${pending}` : '');
+    }
+  }
+
+  // Dock badge on macOS, taskbar overlay count on Linux (no-op on Windows)
+  app.setBadgeCount(pending);
+
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    if (pending === 0) {
+      mainWindow.setProgressBar(-1);
+    } else if (summary.percent === null) {
+      mainWindow.setProgressBar(2); // Indeterminate
+    } else {
+      mainWindow.setProgressBar(summary.percent / 100);
+    }
+  }
+}
+
 // macOS Application Menu - enables Cmd+C/V/X, Cmd+Q, etc.
 function createApplicationMenu() {
   const isMac = process.platform === 'darwin';
@@ -436,33 +488,6 @@ function setupWindowHandlers() {
     return mainWindow ? mainWindow.isMaximized() : false;
   });
 
-  // Open cache folder in file explorer
-  ipcMain.handle('cache:open-folder', async () => {
-    try {
-      const cachePath = path.join(app.getPath('userData'), 'MediaCache');
-
-      // Ensure directory exists before opening
-      const fs = require('fs');
-      if (!fs.existsSync(cachePath)) {
-        fs.mkdirSync(cachePath, { recursive: true });
-      }
-
-      const result = await shell.openPath(cachePath);
-
-      if (result) {
-        // result is an error string if it failed
-        console.error('[Main] Failed to open cache folder:', result);
-        return { success: false, error: result };
-      }
-
-      console.log('[Main] Opened cache folder:', cachePath);
-      return { success: true, path: cachePath };
-    } catch (error) {
-      console.error('[Main] Error opening cache folder:', error);
-      return { success: false, error: error.message };
-    }
-  });
-
   // Open any folder in file explorer
   ipcMain.handle('file:open-folder', async (event, folderPath) => {
     try {
@@ -983,15 +1008,37 @@ function setupUpdaterHandlers() {
 // FFMPEG HANDLERS
 // ============================================================================
 
+let cacheService = null;
+let mediaLibraryStore = null;
 let ffmpegHandler = null;
+let conversionQueueStore = null;
+let conversionScheduler = null;
+let conversionPresetStore = null;
+let watchFolderManager = null;
 
 function setupFFmpegHandlers() {
   const { ipcMain } = require('electron');
 
+  // Restore the persisted queue, re-queueing jobs interrupted by the last quit/crash
+  conversionQueueStore = new ConversionQueueStore();
+  conversionQueueStore.recoverInterruptedJobs();
+
   // Initialize FFmpeg handler
-  ffmpegHandler = new FFmpegHandler(mainWindow);
+  ffmpegHandler = new FFmpegHandler(mainWindow, conversionQueueStore);
+  ffmpegHandler.setHardwareAccelMode(store.get('ff_hw_accel') || 'auto');
   console.log('[FFmpeg] Handler initialized');
 
+  // Parallel job scheduler (concurrency defaults to CPU core count)
+  conversionScheduler = new ConversionScheduler(ffmpegHandler, mainWindow, store);
+  console.log('[FFmpeg] Scheduler initialized with', conversionScheduler.concurrency, 'worker(s)');
+
+  // User-defined conversion presets
+  conversionPresetStore = new ConversionPresetStore();
+
+  // Watch folders auto-convert new files with a saved preset
+  watchFolderManager = new WatchFolderManager(conversionScheduler, conversionPresetStore, conversionQueueStore, mainWindow);
+  watchFolderManager.start();
+
   // Get GPU information
   ipcMain.handle('ff:get-gpu-info', async () => {
     try {
@@ -1003,6 +1050,16 @@ function setupFFmpegHandlers() {
     }
   });
 
+  // Get the video codecs and the containers that can hold them
+  ipcMain.handle('ff:get-codecs', async () => {
+    try {
+      return { success: true, ...ffmpegHandler.getCodecs() };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to get codecs:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Convert a single file
   ipcMain.handle('ff:convert-job', async (event, job) => {
     try {
@@ -1015,10 +1072,118 @@ function setupFFmpegHandlers() {
     }
   });
 
+  // Queue jobs for parallel conversion (results arrive via ff:complete / ff:error)
+  ipcMain.handle('ff:enqueue-jobs', async (event, jobs) => {
+    try {
+      const added = conversionScheduler.enqueue(jobs);
+      return { success: true, added };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to enqueue jobs:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Pause the queue
+  ipcMain.handle('ff:pause-queue', async () => {
+    try {
+      conversionScheduler.pause();
+      return { success: true, state: conversionScheduler.getState() };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to pause queue:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Resume the queue
+  ipcMain.handle('ff:resume-queue', async () => {
+    try {
+      conversionScheduler.resume();
+      return { success: true, state: conversionScheduler.getState() };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to resume queue:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get queue state (aggregate progress, paused, worker count)
+  ipcMain.handle('ff:get-queue-state', async () => {
+    try {
+      return { success: true, state: conversionScheduler.getState() };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to get queue state:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Change priority of a queued job
+  ipcMain.handle('ff:set-job-priority', async (event, jobId, priority) => {
+    try {
+      const updated = conversionScheduler.setPriority(jobId, priority);
+      return { success: true, updated };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to set job priority:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get hardware acceleration preference ('auto', 'on' or 'off')
+  ipcMain.handle('ff:get-hw-accel', async () => {
+    try {
+      const mode = store.get('ff_hw_accel') || 'auto';
+      return { success: true, mode, gpuInfo: ffmpegHandler.getGPUInfo() };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to get hardware acceleration mode:', error);
+      return { success: false, error: error.message, mode: 'auto' };
+    }
+  });
+
+  // Set hardware acceleration preference
+  ipcMain.handle('ff:set-hw-accel', async (event, mode) => {
+    try {
+      if (!['auto', 'on', 'off'].includes(mode)) {
+        throw new Error('Invalid mode. Must be "auto", "on" or "off"');
+      }
+      store.set('ff_hw_accel', mode);
+      ffmpegHandler.setHardwareAccelMode(mode);
+      console.log('[FFmpeg] Hardware acceleration saved:', mode);
+      return { success: true, mode };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to set hardware acceleration mode:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get parallel conversion limit
+  ipcMain.handle('ff:get-concurrency', async () => {
+    try {
+      return {
+        success: true,
+        concurrency: conversionScheduler.concurrency,
+        isDefault: !store.get('ff_concurrency'),
+        defaultConcurrency: ConversionScheduler.getDefaultConcurrency(),
+        cpuCount: require('os').cpus().length
+      };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to get concurrency:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Set parallel conversion limit (null = automatic)
+  ipcMain.handle('ff:set-concurrency', async (event, concurrency) => {
+    try {
+      const effective = conversionScheduler.setConcurrency(concurrency);
+      return { success: true, concurrency: effective };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to set concurrency:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Cancel a job
   ipcMain.handle('ff:cancel-job', async (event, jobId) => {
     try {
-      const result = ffmpegHandler.cancelJob(jobId);
+      const result = conversionScheduler.cancelJob(jobId);
       return { success: result };
     } catch (error) {
       console.error('[FFmpeg] Failed to cancel job:', error);
@@ -1029,7 +1194,7 @@ function setupFFmpegHandlers() {
   // Cancel all jobs
   ipcMain.handle('ff:cancel-all', async () => {
     try {
-      ffmpegHandler.cancelAll();
+      conversionScheduler.cancelAll();
       return { success: true };
     } catch (error) {
       console.error('[FFmpeg] Failed to cancel all jobs:', error);
@@ -1037,6 +1202,28 @@ function setupFFmpegHandlers() {
     }
   });
 
+  // Get persisted queue (restored on launch)
+  ipcMain.handle('ff:get-queue', async () => {
+    try {
+      const jobs = conversionQueueStore.getJobs();
+      return { success: true, jobs };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to get queue:', error);
+      return { success: false, error: error.message, jobs: [] };
+    }
+  });
+
+  // Persist queue
+  ipcMain.handle('ff:save-queue', async (event, jobs) => {
+    try {
+      conversionQueueStore.saveJobs(jobs);
+      return { success: true };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to save queue:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Select output folder
   ipcMain.handle('ff:select-output-folder', async () => {
     try {
@@ -1056,6 +1243,99 @@ function setupFFmpegHandlers() {
     }
   });
 
+  // Select a watermark logo
+  ipcMain.handle('ff:select-watermark-image', async () => {
+    try {
+      const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Select Watermark Logo',
+        properties: ['openFile'],
+        filters: [{ name: 'Images', extensions: ['png', 'webp', 'jpg', 'jpeg'] }]
+      });
+
+      if (result.canceled) {
+        return { success: false, canceled: true };
+      }
+
+      return { success: true, filePath: result.filePaths[0] };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to select watermark image:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Pick a subtitle file to burn in or mux
+  ipcMain.handle('ff:select-subtitle-file', async () => {
+    try {
+      const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Select Subtitles',
+        properties: ['openFile'],
+        filters: [{ name: 'Subtitles', extensions: ['srt', 'vtt', 'ass', 'ssa'] }]
+      });
+
+      if (result.canceled) {
+        return { success: false, canceled: true };
+      }
+
+      return { success: true, filePath: result.filePaths[0] };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to select subtitle file:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Pick a .cube LUT for color grading
+  ipcMain.handle('ff:select-lut-file', async () => {
+    try {
+      const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Select LUT',
+        properties: ['openFile'],
+        filters: [{ name: '3D LUT', extensions: ['cube'] }]
+      });
+
+      if (result.canceled) {
+        return { success: false, canceled: true };
+      }
+
+      return { success: true, filePath: result.filePaths[0] };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to select LUT file:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Render a frame before and after the color settings
+  ipcMain.handle('ff:preview-color', async (event, filePath, time, color) => {
+    try {
+      const frames = await ffmpegHandler.previewColor(filePath, time, color);
+      return { success: true, before: frames.before, after: frames.after };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to preview color:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Save one full-resolution frame as an image
+  ipcMain.handle('ff:grab-frame', async (event, filePath, time, format, outputFolder) => {
+    try {
+      const outputPath = await ffmpegHandler.grabFrame(filePath, time, format, outputFolder);
+      return { success: true, outputPath };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to grab frame:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Save a file's subtitle streams as SRT
+  ipcMain.handle('ff:extract-subtitles', async (event, filePath, outputFolder) => {
+    try {
+      const result = await ffmpegHandler.extractSubtitles(filePath, outputFolder);
+      return { success: true, files: result.files, skipped: result.skipped };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to extract subtitles:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Probe file for metadata
   ipcMain.handle('ff:probe-file', async (event, filePath) => {
     try {
@@ -1067,6 +1347,60 @@ function setupFFmpegHandlers() {
     }
   });
 
+  // Full technical report for the media inspector
+  ipcMain.handle('ff:inspect-media', async (event, filePath) => {
+    try {
+      const report = await ffmpegHandler.inspectMedia(filePath);
+      return { success: true, report };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to inspect media:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Duration, frame rate and stream summary (queue previews)
+  ipcMain.handle('ff:get-media-info', async (event, filePath) => {
+    try {
+      const info = await ffmpegHandler.getMediaInfo(filePath);
+      return { success: true, info };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to read media info:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Move trim points to the nearest keyframes ('keep original codec' stream copies)
+  ipcMain.handle('ff:snap-trim-points', async (event, filePath, start, end) => {
+    try {
+      const result = await ffmpegHandler.snapTrimPoints(filePath, start, end);
+      return { success: true, start: result.start, end: result.end, snapped: result.snapped };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to snap trim points:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Scan dropped folders for numbered image sequences
+  ipcMain.handle('ff:detect-sequences', async (event, paths) => {
+    const fs = require('fs');
+
+    try {
+      const folders = [];
+      const sequences = [];
+
+      (paths || []).forEach(folderPath => {
+        if (!fs.existsSync(folderPath) || !fs.statSync(folderPath).isDirectory()) return;
+        folders.push(folderPath);
+        sequences.push(...ffmpegHandler.detectImageSequences(folderPath));
+      });
+
+      return { success: true, folders, sequences };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to detect image sequences:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Get saved output folder preference
   ipcMain.handle('ff:get-output-folder', async () => {
     try {
@@ -1121,36 +1455,183 @@ function setupFFmpegHandlers() {
     }
   });
 
-  console.log('[FFmpeg] IPC handlers registered');
-}
+  // Get user-defined presets
+  ipcMain.handle('ff:get-presets', async () => {
+    try {
+      return { success: true, presets: conversionPresetStore.getPresets() };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to get presets:', error);
+      return { success: false, error: error.message, presets: [] };
+    }
+  });
 
-// ============================================================================
-// SCREENSHOT HANDLERS
-// ============================================================================
+  // Create or update a user-defined preset
+  ipcMain.handle('ff:save-preset', async (event, preset) => {
+    try {
+      const saved = conversionPresetStore.savePreset(preset);
+      return { success: true, preset: saved, presets: conversionPresetStore.getPresets() };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to save preset:', error);
+      return { success: false, error: error.message };
+    }
+  });
 
-function setupScreenshotHandlers() {
-  const { ipcMain, dialog, clipboard, nativeImage } = require('electron');
-  const fs = require('fs').promises;
-  const path = require('path');
+  // Delete a user-defined preset
+  ipcMain.handle('ff:delete-preset', async (event, presetId) => {
+    try {
+      const deleted = conversionPresetStore.deletePreset(presetId);
+      return { success: deleted, presets: conversionPresetStore.getPresets() };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to delete preset:', error);
+      return { success: false, error: error.message };
+    }
+  });
 
-  // Capture screenshot
-  ipcMain.handle('screenshot:capture', async (event, bounds) => {
+  // Export presets to a JSON file
+  ipcMain.handle('ff:export-presets', async (event, presetIds) => {
     try {
-      const win = mainWindow;
-      if (!win) {
-        throw new Error('No window available');
+      const result = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export Presets',
+        defaultPath: 'kolbo-presets.json',
+        filters: [{ name: 'Preset Files', extensions: ['json'] }]
+      });
+
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
       }
 
-      // Check window state
-      const isMinimized = win.isMinimized();
+      const exported = conversionPresetStore.exportPresets(result.filePath, presetIds);
+      return { success: true, exported, filePath: result.filePath };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to export presets:', error);
+      return { success: false, error: error.message };
+    }
+  });
 
-      // Don't capture if window is minimized
-      if (isMinimized) {
-        throw new Error('Cannot capture screenshot while window is minimized');
+  // Import presets from a JSON file
+  ipcMain.handle('ff:import-presets', async () => {
+    try {
+      const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Import Presets',
+        properties: ['openFile'],
+        filters: [{ name: 'Preset Files', extensions: ['json'] }]
+      });
+
+      if (result.canceled) {
+        return { success: false, canceled: true };
       }
 
-      // Capture the entire window content area (excluding window chrome)
-      const image = await win.webContents.capturePage();
+      const { imported, skipped, missingLogos } = conversionPresetStore.importPresets(result.filePaths[0]);
+      return { success: true, imported, skipped, missingLogos, presets: conversionPresetStore.getPresets() };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to import presets:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get watch folders and the processed-file log
+  ipcMain.handle('ff:get-watch-folders', async () => {
+    try {
+      return { success: true, folders: watchFolderManager.getFolders(), log: watchFolderManager.getLog() };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to get watch folders:', error);
+      return { success: false, error: error.message, folders: [], log: [] };
+    }
+  });
+
+  // Select a folder to watch
+  ipcMain.handle('ff:select-watch-folder', async () => {
+    try {
+      const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Select Folder to Watch',
+        properties: ['openDirectory', 'createDirectory']
+      });
+
+      if (result.canceled) {
+        return { success: false, canceled: true };
+      }
+
+      return { success: true, folderPath: result.filePaths[0] };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to select watch folder:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Add a watch folder ({ folderPath, presetId, outputMode, outputFolder })
+  ipcMain.handle('ff:add-watch-folder', async (event, config) => {
+    try {
+      const folder = watchFolderManager.addFolder(config || {});
+      return { success: true, folder, folders: watchFolderManager.getFolders() };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to add watch folder:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Remove a watch folder
+  ipcMain.handle('ff:remove-watch-folder', async (event, watchId) => {
+    try {
+      const removed = watchFolderManager.removeFolder(watchId);
+      return { success: removed, folders: watchFolderManager.getFolders() };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to remove watch folder:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Pause or resume a watch folder
+  ipcMain.handle('ff:set-watch-folder-enabled', async (event, watchId, enabled) => {
+    try {
+      const folder = watchFolderManager.setEnabled(watchId, enabled);
+      return { success: Boolean(folder), folder, folders: watchFolderManager.getFolders() };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to update watch folder:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Clear the processed-file log
+  ipcMain.handle('ff:clear-watch-log', async () => {
+    try {
+      watchFolderManager.clearLog();
+      return { success: true };
+    } catch (error) {
+      console.error('[FFmpeg] Failed to clear watch log:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  console.log('[FFmpeg] IPC handlers registered');
+}
+
+// ============================================================================
+// SCREENSHOT HANDLERS
+// ============================================================================
+
+function setupScreenshotHandlers() {
+  const { ipcMain, dialog, clipboard, nativeImage } = require('electron');
+  const fs = require('fs').promises;
+  const path = require('path');
+
+  // Capture screenshot
+  ipcMain.handle('screenshot:capture', async (event, bounds) => {
+    try {
+      const win = mainWindow;
+      if (!win) {
+        throw new Error('No window available');
+      }
+
+      // Check window state
+      const isMinimized = win.isMinimized();
+
+      // Don't capture if window is minimized
+      if (isMinimized) {
+        throw new Error('Cannot capture screenshot while window is minimized');
+      }
+
+      // Capture the entire window content area (excluding window chrome)
+      const image = await win.webContents.capturePage();
 
       // If bounds are provided, crop the image
       if (bounds && bounds.width > 0 && bounds.height > 0) {
@@ -1374,7 +1855,6 @@ function setupScreenshotHandlers() {
 function setupDownloadHandler() {
   const { shell, session, ipcMain } = require('electron');
   const path = require('path');
-  const fs = require('fs');
 
   // Track recent downloads to prevent duplicates
   const recentDownloads = new Map(); // filename -> timestamp
@@ -1474,16 +1954,8 @@ function setupDownloadHandler() {
       console.log('[Download] Default download folder set to:', downloadFolder);
     }
 
-    // Generate unique filename if file already exists
-    let savePath = path.join(downloadFolder, fileName);
-    let counter = 1;
-    const ext = path.extname(fileName);
-    const base = path.basename(fileName, ext);
-
-    while (fs.existsSync(savePath)) {
-      savePath = path.join(downloadFolder, `${base} (${counter})${ext}`);
-      counter++;
-    }
+    // Generate unique filename if file already exists (or another download is writing it)
+    const savePath = downloadManager.getUniquePath(downloadFolder, fileName);
 
     console.log('[Download] Saving to:', savePath);
 
@@ -1493,6 +1965,9 @@ function setupDownloadHandler() {
     // Set save path
     item.setSavePath(savePath);
 
+    // Show it in the download manager (pause/resume/cancel and history)
+    downloadManager.trackDownloadItem(item, savePath);
+
     // Track download progress
     item.on('updated', (event, state) => {
       if (state === 'interrupted') {
@@ -1755,476 +2230,6 @@ function detectAdobePlugin() {
   };
 }
 
-// ============================================================================
-// MEDIA CACHE SYSTEM (for drag-and-drop)
-// ============================================================================
-
-/**
- * MediaCache - Manages local cache of media files for drag-and-drop
- * Downloads files in background and provides local file paths
- */
-class MediaCache {
-  constructor() {
-    const path = require('path');
-    // Use unified cache location under app.getPath('userData') for consistency with FileManager
-    this.cachePath = path.join(app.getPath('userData'), 'MediaCache');
-    this.thumbnailCachePath = path.join(app.getPath('userData'), 'ThumbnailCache');
-    this.cacheIndex = new Map(); // id -> { filePath, lastAccessed, size, type }
-    this.thumbnailIndex = new Map(); // id -> { filePath, lastAccessed, size }
-    this.maxCacheSize = 5 * 1024 * 1024 * 1024; // 5GB
-    // PERFORMANCE FIX: Increased from 100 to 500 to prevent cache thrashing
-    // (100 was too small, causing constant download→evict→re-download cycles)
-    this.maxCacheItems = 500;
-    this.downloadQueue = new Map(); // id -> Promise
-    this.thumbnailQueue = new Map(); // id -> Promise
-
-    this.ensureCacheFolderExists();
-    this.loadCacheIndex();
-  }
-
-  ensureCacheFolderExists() {
-    const fs = require('fs');
-    if (!fs.existsSync(this.cachePath)) {
-      fs.mkdirSync(this.cachePath, { recursive: true });
-      console.log('[MediaCache] Created cache folder:', this.cachePath);
-    }
-    if (!fs.existsSync(this.thumbnailCachePath)) {
-      fs.mkdirSync(this.thumbnailCachePath, { recursive: true });
-      console.log('[MediaCache] Created thumbnail cache folder:', this.thumbnailCachePath);
-    }
-  }
-
-  loadCacheIndex() {
-    const fs = require('fs');
-    const path = require('path');
-
-    // Load media cache
-    if (fs.existsSync(this.cachePath)) {
-      const files = fs.readdirSync(this.cachePath);
-      console.log(`[MediaCache] Found ${files.length} cached files`);
-
-      for (const fileName of files) {
-        const filePath = path.join(this.cachePath, fileName);
-
-        try {
-          const stats = fs.statSync(filePath);
-
-          // Extract ID from filename (e.g., "kolbo-123.mp4" -> "123")
-          const id = fileName.replace(/^kolbo-/, '').replace(/\.[^.]+$/, '');
-
-          this.cacheIndex.set(id, {
-            filePath,
-            lastAccessed: stats.mtime.getTime(),
-            size: stats.size,
-            fileName
-          });
-        } catch (error) {
-          // Skip files that can't be accessed (locked, permission denied, etc.)
-          // This commonly happens on Windows when files are open in other apps
-          if (error.code === 'EPERM' || error.code === 'EBUSY' || error.code === 'EACCES') {
-            console.warn(`[MediaCache] Skipping inaccessible file: ${fileName} (${error.code})`);
-          } else {
-            console.error(`[MediaCache] Error getting file stats for ${fileName}:`, error);
-          }
-        }
-      }
-    }
-
-    // Load thumbnail cache
-    if (fs.existsSync(this.thumbnailCachePath)) {
-      const thumbFiles = fs.readdirSync(this.thumbnailCachePath);
-      console.log(`[MediaCache] Found ${thumbFiles.length} cached thumbnails`);
-
-      for (const fileName of thumbFiles) {
-        const filePath = path.join(this.thumbnailCachePath, fileName);
-
-        try {
-          const stats = fs.statSync(filePath);
-
-          // Extract ID from filename (e.g., "thumb-123.jpg" -> "123")
-          const id = fileName.replace(/^thumb-/, '').replace(/\.[^.]+$/, '');
-
-          this.thumbnailIndex.set(id, {
-            filePath,
-            lastAccessed: stats.mtime.getTime(),
-            size: stats.size,
-            fileName
-          });
-        } catch (error) {
-          // Skip files that can't be accessed (locked, permission denied, etc.)
-          if (error.code === 'EPERM' || error.code === 'EBUSY' || error.code === 'EACCES') {
-            console.warn(`[MediaCache] Skipping inaccessible thumbnail: ${fileName} (${error.code})`);
-          } else {
-            console.error(`[MediaCache] Error getting thumbnail stats for ${fileName}:`, error);
-          }
-        }
-      }
-    }
-  }
-
-  async getCachedFilePath(mediaId) {
-    const fs = require('fs');
-
-    // Check if already cached
-    if (this.cacheIndex.has(mediaId)) {
-      const cached = this.cacheIndex.get(mediaId);
-
-      // Validate file still exists and is accessible before returning
-      try {
-        // Check if file exists and is readable
-        fs.accessSync(cached.filePath, fs.constants.R_OK);
-
-        // Update last accessed time
-        cached.lastAccessed = Date.now();
-
-        console.log(`[MediaCache] Cache HIT for ${mediaId}`);
-        return cached.filePath;
-      } catch (error) {
-        // File no longer exists or is not accessible
-        if (error.code === 'ENOENT') {
-          console.warn(`[MediaCache] Cached file no longer exists: ${cached.filePath}`);
-          this.cacheIndex.delete(mediaId);
-        } else if (error.code === 'EPERM' || error.code === 'EACCES') {
-          // File is locked/inaccessible - try to wait and retry
-          console.warn(`[MediaCache] File temporarily locked: ${cached.filePath} (${error.code})`);
-
-          // Return the path anyway - might be unlocked by the time it's used
-          // The drag handler will have its own retry logic
-          return cached.filePath;
-        } else {
-          console.error(`[MediaCache] Error accessing cached file: ${cached.filePath}:`, error);
-          this.cacheIndex.delete(mediaId);
-        }
-      }
-    }
-
-    console.log(`[MediaCache] Cache MISS for ${mediaId}`);
-    return null;
-  }
-
-  async preloadMedia(items) {
-    console.log(`[MediaCache] Preloading ${items.length} items...`);
-
-    const downloadPromises = items.map(item => this.downloadToCache(item));
-    const results = await Promise.allSettled(downloadPromises);
-
-    const successful = results.filter(r => r.status === 'fulfilled').length;
-    console.log(`[MediaCache] Preloaded ${successful}/${items.length} items`);
-
-    return { successful, total: items.length };
-  }
-
-  async downloadToCache(item) {
-    const { id, fileName, url, type } = item;
-
-    // Check if already downloading
-    if (this.downloadQueue.has(id)) {
-      console.log(`[MediaCache] Already downloading ${id}`);
-      return this.downloadQueue.get(id);
-    }
-
-    // Check if already cached
-    if (this.cacheIndex.has(id)) {
-      console.log(`[MediaCache] Already cached ${id}`);
-      return this.cacheIndex.get(id).filePath;
-    }
-
-    const path = require('path');
-    const fs = require('fs');
-
-    // Generate unique filename if file already exists
-    let filePath = path.join(this.cachePath, fileName);
-    let counter = 1;
-    const ext = path.extname(fileName);
-    const base = path.basename(fileName, ext);
-
-    while (fs.existsSync(filePath)) {
-      filePath = path.join(this.cachePath, `${base} (${counter})${ext}`);
-      counter++;
-    }
-
-    // If filename was changed, log it
-    if (counter > 1) {
-      console.log(`[MediaCache] File exists, using unique name: ${path.basename(filePath)}`);
-    }
-
-    // Start download
-    const downloadPromise = this.downloadFile(url, filePath)
-      .then(() => {
-        const stats = fs.statSync(filePath);
-        const actualFileName = path.basename(filePath);
-
-        // Add to cache index
-        this.cacheIndex.set(id, {
-          filePath,
-          lastAccessed: Date.now(),
-          size: stats.size,
-          fileName: actualFileName,
-          type
-        });
-
-        console.log(`[MediaCache] Downloaded ${actualFileName} (${(stats.size / 1024 / 1024).toFixed(2)} MB)`);
-
-        // Check cache size and evict if needed
-        this.evictOldItemsIfNeeded();
-
-        this.downloadQueue.delete(id);
-        return filePath;
-      })
-      .catch(err => {
-        console.error(`[MediaCache] Failed to download ${path.basename(filePath)}:`, err);
-        this.downloadQueue.delete(id);
-        throw err;
-      });
-
-    this.downloadQueue.set(id, downloadPromise);
-    return downloadPromise;
-  }
-
-  downloadFile(url, outputPath) {
-    return new Promise((resolve, reject) => {
-      const fs = require('fs');
-      const https = require('https');
-      const http = require('http');
-
-      const file = fs.createWriteStream(outputPath);
-      const protocol = url.startsWith('https') ? https : http;
-
-      const request = protocol.get(url, (response) => {
-        // Handle redirects
-        if (response.statusCode === 301 || response.statusCode === 302) {
-          const redirectUrl = response.headers.location;
-          file.close();
-          try {
-            fs.unlinkSync(outputPath);
-          } catch (unlinkErr) {
-            console.warn('[Download] Could not delete redirect file (may be locked):', unlinkErr.message);
-          }
-          return this.downloadFile(redirectUrl, outputPath).then(resolve).catch(reject);
-        }
-
-        if (response.statusCode === 200) {
-          response.pipe(file);
-          file.on('finish', () => {
-            file.close();
-            resolve();
-          });
-        } else {
-          file.close();
-          try {
-            fs.unlinkSync(outputPath);
-          } catch (unlinkErr) {
-            console.warn('[Download] Could not delete failed file (may be locked):', unlinkErr.message);
-          }
-          reject(new Error(`HTTP ${response.statusCode}`));
-        }
-      });
-
-      request.on('error', (err) => {
-        file.close();
-        // Try to delete partial file, but don't fail if it's locked
-        try {
-          if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-        } catch (unlinkErr) {
-          console.warn('[Download] Could not delete partial file (may be locked):', unlinkErr.message);
-        }
-        reject(err);
-      });
-
-      file.on('error', (err) => {
-        file.close();
-        // Try to delete partial file, but don't fail if it's locked
-        try {
-          if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-        } catch (unlinkErr) {
-          console.warn('[Download] Could not delete partial file (may be locked):', unlinkErr.message);
-        }
-
-        // Check if it's a disk space error
-        if (err.code === 'ENOSPC') {
-          const fileName = require('path').basename(outputPath);
-          dialog.showErrorBox(
-            'Disk Full',
-            `Your disk is full. Cannot download ${fileName}.\n\nPlease free up disk space and try again, or clear cached files in Settings.`
-          );
-        }
-
-        reject(err);
-      });
-    });
-  }
-
-  evictOldItemsIfNeeded() {
-    const fs = require('fs');
-
-    // Check if we exceed max items
-    if (this.cacheIndex.size <= this.maxCacheItems) return;
-
-    console.log(`[MediaCache] Cache size ${this.cacheIndex.size} exceeds max ${this.maxCacheItems}, evicting...`);
-
-    // Sort by last accessed time (oldest first)
-    const sorted = Array.from(this.cacheIndex.entries())
-      .sort((a, b) => a[1].lastAccessed - b[1].lastAccessed);
-
-    // Evict oldest items
-    const toEvict = sorted.slice(0, sorted.length - this.maxCacheItems);
-
-    for (const [id, cached] of toEvict) {
-      try {
-        fs.unlinkSync(cached.filePath);
-        this.cacheIndex.delete(id);
-        console.log(`[MediaCache] Evicted ${cached.fileName}`);
-      } catch (err) {
-        console.error(`[MediaCache] Failed to evict ${cached.fileName}:`, err);
-      }
-    }
-  }
-
-  getCacheStats() {
-    let totalSize = 0;
-    for (const cached of this.cacheIndex.values()) {
-      totalSize += cached.size || 0;
-    }
-
-    let thumbnailSize = 0;
-    for (const thumb of this.thumbnailIndex.values()) {
-      thumbnailSize += thumb.size || 0;
-    }
-
-    return {
-      itemCount: this.cacheIndex.size,
-      totalSize,
-      totalSizeMB: (totalSize / 1024 / 1024).toFixed(2),
-      maxItems: this.maxCacheItems,
-      thumbnailCount: this.thumbnailIndex.size,
-      thumbnailSize,
-      thumbnailSizeMB: (thumbnailSize / 1024 / 1024).toFixed(2)
-    };
-  }
-
-  // ============================================================================
-  // THUMBNAIL CACHE METHODS
-  // ============================================================================
-
-  async getCachedThumbnailPath(mediaId) {
-    // Check if already cached
-    if (this.thumbnailIndex.has(mediaId)) {
-      const cached = this.thumbnailIndex.get(mediaId);
-      cached.lastAccessed = Date.now();
-      console.log(`[ThumbnailCache] Cache HIT for ${mediaId}`);
-      return cached.filePath;
-    }
-
-    console.log(`[ThumbnailCache] Cache MISS for ${mediaId}`);
-    return null;
-  }
-
-  async preloadThumbnails(items) {
-    console.log(`[ThumbnailCache] Preloading ${items.length} thumbnails...`);
-
-    const downloadPromises = items.map(item => this.downloadThumbnailToCache(item));
-    const results = await Promise.allSettled(downloadPromises);
-
-    const successful = results.filter(r => r.status === 'fulfilled').length;
-    console.log(`[ThumbnailCache] Preloaded ${successful}/${items.length} thumbnails`);
-
-    return { successful, total: items.length };
-  }
-
-  async downloadThumbnailToCache(item) {
-    const { id, thumbnailUrl } = item;
-
-    // Skip if no thumbnail URL
-    if (!thumbnailUrl) {
-      console.log(`[ThumbnailCache] No thumbnail URL for ${id}`);
-      return null;
-    }
-
-    // Check if already downloading
-    if (this.thumbnailQueue.has(id)) {
-      console.log(`[ThumbnailCache] Already downloading ${id}`);
-      return this.thumbnailQueue.get(id);
-    }
-
-    // Check if already cached
-    if (this.thumbnailIndex.has(id)) {
-      console.log(`[ThumbnailCache] Already cached ${id}`);
-      return this.thumbnailIndex.get(id).filePath;
-    }
-
-    const path = require('path');
-    const fs = require('fs');
-
-    // Determine file extension from URL or default to .jpg
-    const urlExt = thumbnailUrl.match(/\.(jpg|jpeg|png|webp|gif)(\?|$)/i);
-    const ext = urlExt ? urlExt[1] : 'jpg';
-    const fileName = `thumb-${id}.${ext}`;
-    const filePath = path.join(this.thumbnailCachePath, fileName);
-
-    // Start download
-    const downloadPromise = this.downloadFile(thumbnailUrl, filePath)
-      .then(() => {
-        const stats = fs.statSync(filePath);
-
-        // Add to thumbnail index
-        this.thumbnailIndex.set(id, {
-          filePath,
-          lastAccessed: Date.now(),
-          size: stats.size,
-          fileName
-        });
-
-        console.log(`[ThumbnailCache] Downloaded ${fileName} (${(stats.size / 1024).toFixed(1)} KB)`);
-
-        this.thumbnailQueue.delete(id);
-        return filePath;
-      })
-      .catch(err => {
-        console.error(`[ThumbnailCache] Failed to download ${fileName}:`, err.message);
-        this.thumbnailQueue.delete(id);
-        // Don't throw - just return null so we can continue with other thumbnails
-        return null;
-      });
-
-    this.thumbnailQueue.set(id, downloadPromise);
-    return downloadPromise;
-  }
-
-  clearThumbnailCache() {
-    const fs = require('fs');
-    const path = require('path');
-
-    if (!fs.existsSync(this.thumbnailCachePath)) {
-      return { success: true, deletedFiles: 0 };
-    }
-
-    let deletedCount = 0;
-    for (const [id, thumb] of this.thumbnailIndex.entries()) {
-      try {
-        fs.unlinkSync(thumb.filePath);
-        deletedCount++;
-      } catch (err) {
-        console.error(`[ThumbnailCache] Failed to delete ${thumb.fileName}:`, err);
-      }
-    }
-
-    this.thumbnailIndex.clear();
-    console.log(`[ThumbnailCache] Cleared ${deletedCount} thumbnails`);
-
-    return { success: true, deletedFiles: deletedCount };
-  }
-}
-
-// Global cache instance
-let mediaCache = null;
-
-function getMediaCache() {
-  if (!mediaCache) {
-    mediaCache = new MediaCache();
-  }
-  return mediaCache;
-}
-
 // ============================================================================
 // PREMIERE IMPORT HANDLER
 // ============================================================================
@@ -2234,8 +2239,6 @@ function setupPremiereImportHandler() {
   const { ipcMain } = require('electron');
   const path = require('path');
   const fs = require('fs');
-  const https = require('https');
-  const http = require('http');
 
   ipcMain.handle('premiere:import', async (event, items) => {
     try {
@@ -2267,34 +2270,28 @@ function setupPremiereImportHandler() {
         console.log('[Premiere Import] Created ImportQueue folder:', importQueuePath);
       }
 
-      // Create timestamped subfolder
+      // Files are imported straight from the media cache (downloaded into it when missing) and
+      // pinned as each one is ready - they're referenced by the Premiere project, and a later
+      // download's eviction mustn't delete an earlier one
       const timestamp = Date.now();
-      const batchFolder = path.join(importQueuePath, timestamp.toString());
-      fs.mkdirSync(batchFolder, { recursive: true });
-      console.log('[Premiere Import] Created batch folder:', batchFolder);
-
-      // Download all files
       const downloadedFiles = [];
       let successCount = 0;
 
       for (const item of items) {
         try {
-          const fileName = item.fileName || `media_${item.id}`;
-          const filePath = path.join(batchFolder, fileName);
-
-          console.log(`[Premiere Import] Downloading ${fileName}...`);
+          console.log(`[Premiere Import] Caching ${item.fileName}...`);
 
-          // Download file
-          await downloadFile(item.url, filePath);
+          const onProgress = DownloadEngine.sendProgressTo(event.sender, { url: item.url, fileName: item.fileName });
+          const { filePath } = await cacheService.ensureCached('media', item, onProgress, 'premiere');
 
           downloadedFiles.push({
             filePath: filePath,
-            fileName: fileName,
+            fileName: path.basename(filePath),
             mediaType: item.type // 'video', 'image', 'audio'
           });
 
           successCount++;
-          console.log(`[Premiere Import] Downloaded ${successCount}/${items.length}: ${fileName}`);
+          console.log(`[Premiere Import] Ready ${successCount}/${items.length}: ${filePath}`);
 
         } catch (downloadError) {
           console.error(`[Premiere Import] Failed to download ${item.fileName}:`, downloadError);
@@ -2337,59 +2334,11 @@ function setupPremiereImportHandler() {
     }
   });
 
-  // Helper function to download file
-  function downloadFile(url, outputPath) {
-    return new Promise((resolve, reject) => {
-      const file = fs.createWriteStream(outputPath);
-      const protocol = url.startsWith('https') ? https : http;
-
-      console.log(`[Download] ${url} -> ${outputPath}`);
-
-      const request = protocol.get(url, (response) => {
-        // Handle redirects
-        if (response.statusCode === 301 || response.statusCode === 302) {
-          const redirectUrl = response.headers.location;
-          console.log(`[Download] Redirecting to ${redirectUrl}`);
-          file.close();
-          fs.unlinkSync(outputPath);
-
-          // Retry with redirect URL
-          downloadFile(redirectUrl, outputPath).then(resolve).catch(reject);
-          return;
-        }
-
-        if (response.statusCode === 200) {
-          response.pipe(file);
-          file.on('finish', () => {
-            file.close();
-            resolve();
-          });
-        } else {
-          file.close();
-          fs.unlinkSync(outputPath);
-          reject(new Error(`HTTP ${response.statusCode}`));
-        }
-      });
-
-      request.on('error', (err) => {
-        file.close();
-        fs.unlinkSync(outputPath);
-        reject(err);
-      });
-
-      file.on('error', (err) => {
-        file.close();
-        fs.unlinkSync(outputPath);
-        reject(err);
-      });
-    });
-  }
-
   console.log('[Premiere Import] Handler registered');
 }
 
 // ============================================================================
-// MEDIA CACHE IPC HANDLERS
+// NATIVE DRAG IPC HANDLERS
 // ============================================================================
 
 // Helper: Retry file access with exponential backoff (for locked files)
@@ -2425,68 +2374,9 @@ async function retryFileAccess(filePath, maxRetries = 3, initialDelay = 100) {
   return { success: false, error: 'MAX_RETRIES', filePath };
 }
 
-function setupMediaCacheHandlers() {
+function setupNativeDragHandlers() {
   const { ipcMain } = require('electron');
 
-  // Get cached file path
-  ipcMain.handle('cache:get-file-path', async (event, mediaId) => {
-    try {
-      const cache = getMediaCache();
-      const filePath = await cache.getCachedFilePath(mediaId);
-
-      return {
-        success: true,
-        cached: filePath !== null,
-        filePath: filePath
-      };
-    } catch (error) {
-      console.error('[MediaCache] Error getting file path:', error);
-      return {
-        success: false,
-        cached: false,
-        error: error.message
-      };
-    }
-  });
-
-  // Preload media items to cache
-  ipcMain.handle('cache:preload', async (event, items) => {
-    try {
-      const cache = getMediaCache();
-      const result = await cache.preloadMedia(items);
-
-      return {
-        success: true,
-        ...result
-      };
-    } catch (error) {
-      console.error('[MediaCache] Error preloading:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
-  });
-
-  // Get cache stats
-  ipcMain.handle('cache:get-stats', async (event) => {
-    try {
-      const cache = getMediaCache();
-      const stats = cache.getCacheStats();
-
-      return {
-        success: true,
-        ...stats
-      };
-    } catch (error) {
-      console.error('[MediaCache] Error getting stats:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
-  });
-
   // Helper: Extract video thumbnail (first frame)
   async function extractVideoThumbnail(videoPath) {
     const { nativeImage } = require('electron');
@@ -2586,6 +2476,9 @@ function setupMediaCacheHandlers() {
     // Use validated paths for drag operation
     const dragPaths = validatedPaths;
 
+    // Dragged files become editor project references - keep them out of cache eviction
+    cacheService.pinPaths(dragPaths, 'drag');
+
     // Use the actual file as icon if it's an image, extract frame for video, or use audio icon
     let dragIcon;
     const firstFile = dragPaths[0]; // Use validated path
@@ -2639,61 +2532,7 @@ function setupMediaCacheHandlers() {
     }
   });
 
-  // Thumbnail cache handlers
-  ipcMain.handle('cache:get-thumbnail-path', async (event, mediaId) => {
-    try {
-      const cache = getMediaCache();
-      const filePath = await cache.getCachedThumbnailPath(mediaId);
-
-      return {
-        success: true,
-        cached: filePath !== null,
-        filePath: filePath
-      };
-    } catch (error) {
-      console.error('[ThumbnailCache] Error getting thumbnail path:', error);
-      return {
-        success: false,
-        cached: false,
-        error: error.message
-      };
-    }
-  });
-
-  ipcMain.handle('cache:preload-thumbnails', async (event, items) => {
-    try {
-      const cache = getMediaCache();
-      const result = await cache.preloadThumbnails(items);
-
-      return {
-        success: true,
-        ...result
-      };
-    } catch (error) {
-      console.error('[ThumbnailCache] Error preloading thumbnails:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
-  });
-
-  ipcMain.handle('cache:clear-thumbnails', async (event) => {
-    try {
-      const cache = getMediaCache();
-      const result = cache.clearThumbnailCache();
-
-      return result;
-    } catch (error) {
-      console.error('[ThumbnailCache] Error clearing thumbnails:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
-  });
-
-  console.log('[MediaCache] IPC handlers registered');
+  console.log('[Native Drag] IPC handlers registered');
 }
 
 // First-time setup: Enable auto-launch by default
@@ -2910,15 +2749,29 @@ app.whenReady().then(() => {
   createApplicationMenu();
 
   // Setup IPC handlers
-  AuthManager.setupHandlers();
-  FileManager.setupHandlers();
-  DragHandler.setupHandlers();
+  // Media cache (cache:*, file:download) shared by drag-and-drop and Premiere import
+  cacheService = new CacheService();
+  cacheService.setupHandlers(require('electron').ipcMain);
+
+  // Local copy of the Media Library metadata (the library keeps working when the API is unreachable)
+  mediaLibraryStore = new MediaLibraryStore(cacheService);
+
+  // Download queue and history (batch downloads, context menu saves and webapp downloads)
+  downloadManager = new DownloadManager(store, {
+    getWindow: () => mainWindow,
+    onSummaryChanged: updateDownloadIndicators
+  });
+  downloadManager.setupHandlers(require('electron').ipcMain);
+
+  AuthManager.setupHandlers(mediaLibraryStore);
+  FileManager.setupHandlers(downloadManager, mediaLibraryStore);
+  DragHandler.setupHandlers(cacheService);
   setupWindowHandlers();
   setupPremiereImportHandler();
-  setupMediaCacheHandlers();
+  setupNativeDragHandlers();
 
   // Setup context menu handler
-  const contextMenuHandler = new ContextMenuHandler(mainWindow, store);
+  const contextMenuHandler = new ContextMenuHandler(mainWindow, store, downloadManager);
   contextMenuHandler.setupHandlers(require('electron').ipcMain);
 
   console.log('[Main] IPC handlers registered');
@@ -2972,6 +2825,30 @@ app.on('activate', () => {
 // Quit handler
 app.on('before-quit', () => {
   app.isQuitting = true;
+
+  if (watchFolderManager) {
+    watchFolderManager.stop();
+  }
+
+  // Stop running conversions; they are re-queued from the persisted queue on next launch
+  if (conversionScheduler) {
+    conversionScheduler.shutdown();
+  }
+
+  // Write any pending cache index changes
+  if (cacheService) {
+    cacheService.saveIndexNow();
+  }
+
+  // Write pending offline Media Library changes
+  if (mediaLibraryStore) {
+    mediaLibraryStore.saveNow();
+  }
+
+  // Pause queued downloads; they resume from their partial files from the Downloads panel
+  if (downloadManager) {
+    downloadManager.shutdown();
+  }
 });
 
 console.log('[Main] Kolbo Studio starting...');
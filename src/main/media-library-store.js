@@ -0,0 +1,279 @@
+// Kolbo Studio - Media Library Store
+// Local copy of the Media Library metadata (media pages, favorites and projects) so the library
+// still renders when the API is unreachable, with each item marked by whether its file is in the cache
+
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// Store format version (bump when the layout changes)
+const STORE_VERSION = 1;
+
+// Delay before a changed store is written, so a burst of page loads writes once
+const STORE_SAVE_DELAY = 1000;
+
+// Least recently fetched filter combinations are dropped past this (with items only they referenced)
+const MAX_QUERIES = 50;
+
+class MediaLibraryStore {
+  /**
+   * @param {CacheService} cacheService - Decides which items are available offline
+   */
+  constructor(cacheService) {
+    this.cacheService = cacheService;
+    this.storePath = path.join(app.getPath('userData'), 'media-library.json');
+
+    this.items = new Map(); // id -> media item as the API returned it
+    this.queries = new Map(); // query key -> { pages: { [page]: [ids] }, pagination, fetchedAt }
+    this.projects = null; // Last projects response
+    this.syncedAt = null; // Last successful API response
+    this.saveTimer = null;
+
+    this.load();
+  }
+
+  // ============================================================================
+  // PERSISTENCE
+  // ============================================================================
+
+  load() {
+    try {
+      if (!fs.existsSync(this.storePath)) return;
+
+      const data = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      if (data.version !== STORE_VERSION) {
+        console.log('[MediaLibraryStore] Store format changed, starting fresh');
+        return;
+      }
+
+      this.items = new Map(Object.entries(data.items || {}));
+      this.queries = new Map(Object.entries(data.queries || {}));
+      this.projects = data.projects || null;
+      this.syncedAt = data.syncedAt || null;
+
+      console.log(`[MediaLibraryStore] Loaded ${this.items.size} item(s) in ${this.queries.size} view(s)`);
+    } catch (error) {
+      console.error('[MediaLibraryStore] Failed to load store, starting fresh:', error.message);
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveNow();
+    }, STORE_SAVE_DELAY);
+  }
+
+  saveNow() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    const data = {
+      version: STORE_VERSION,
+      items: Object.fromEntries(this.items),
+      queries: Object.fromEntries(this.queries),
+      projects: this.projects,
+      syncedAt: this.syncedAt
+    };
+
+    const tempPath = `${this.storePath}.tmp`;
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, this.storePath);
+    } catch (error) {
+      console.error('[MediaLibraryStore] Failed to save store:', error.message);
+    }
+  }
+
+  /**
+   * Forget everything (on logout - the metadata belongs to the signed-in account)
+   */
+  clear() {
+    this.items.clear();
+    this.queries.clear();
+    this.projects = null;
+    this.syncedAt = null;
+    this.saveNow();
+    console.log('[MediaLibraryStore] Cleared');
+  }
+
+  // ============================================================================
+  // SYNC (API responses)
+  // ============================================================================
+
+  /**
+   * Filter combination a page belongs to (page and page size aren't part of it)
+   */
+  getQueryKey(params) {
+    const favorites = params.isFavorited || params.category === 'favorites';
+    return JSON.stringify({
+      favorites: !!favorites,
+      type: params.type || 'all',
+      projectId: params.projectId || 'all',
+      category: favorites ? null : (params.category || null),
+      sort: params.sort || null
+    });
+  }
+
+  /**
+   * Store a media or favorites page
+   * Later pages are only loaded on scroll, so stored pages stay until they're loaded again;
+   * pages past the server's last page are dropped, so a shrinking view doesn't keep stale items
+   * @param {Object} params - media:get params
+   * @param {Object} data - Response in the media format ({ data: { items, pagination } })
+   */
+  saveMediaPage(params, data) {
+    const body = data.data || data;
+    const items = body.items || [];
+    const page = params.page || 1;
+    const key = this.getQueryKey(params);
+    const favorites = params.isFavorited || params.category === 'favorites';
+
+    const query = this.queries.get(key) || { pages: {}, pagination: null, fetchedAt: null };
+
+    // Favorites are rebuilt from the favorites endpoint's partial metadata, so a media page's copy wins
+    items.forEach(item => {
+      const id = String(item.id);
+      const stored = this.items.get(id);
+      this.items.set(id, favorites ? { ...item, ...stored, isFavorited: true } : { ...stored, ...item });
+    });
+    query.pages[page] = items.map(item => String(item.id));
+    query.pagination = body.pagination || null;
+    query.fetchedAt = Date.now();
+
+    const pagination = query.pagination || {};
+    const lastPage = pagination.hasNext === false || items.length === 0 ? page : pagination.totalPages;
+    if (lastPage) {
+      Object.keys(query.pages)
+        .filter(pageNumber => Number(pageNumber) > lastPage)
+        .forEach(pageNumber => delete query.pages[pageNumber]);
+    }
+
+    // Re-insert so the Map stays ordered by fetch time
+    this.queries.delete(key);
+    this.queries.set(key, query);
+    this.syncedAt = Date.now();
+
+    this.prune();
+    this.scheduleSave();
+  }
+
+  saveProjects(data) {
+    this.projects = data;
+    this.syncedAt = Date.now();
+    this.scheduleSave();
+  }
+
+  /**
+   * Drop the oldest views past MAX_QUERIES and items no view references
+   */
+  prune() {
+    while (this.queries.size > MAX_QUERIES) {
+      this.queries.delete(this.queries.keys().next().value);
+    }
+
+    const referenced = new Set();
+    this.queries.forEach(query => Object.values(query.pages).forEach(ids => ids.forEach(id => referenced.add(id))));
+    for (const id of this.items.keys()) {
+      if (!referenced.has(id)) this.items.delete(id);
+    }
+  }
+
+  // ============================================================================
+  // OFFLINE READS
+  // ============================================================================
+
+  hasData() {
+    return this.items.size > 0 || this.projects !== null;
+  }
+
+  /**
+   * A media page from the local store, in the same format as the API response
+   * Views loaded online replay in the server's order; other filter combinations are built from every stored item
+   * @param {Object} params - media:get params
+   * @returns {Object} { status, data: { items, pagination }, offline: true, syncedAt }
+   */
+  getMediaPage(params) {
+    const page = params.page || 1;
+    const pageSize = params.pageSize || 50;
+    const query = this.queries.get(this.getQueryKey(params));
+
+    let ids;
+    if (query) {
+      ids = Object.keys(query.pages)
+        .sort((a, b) => a - b)
+        .flatMap(pageNumber => query.pages[pageNumber]);
+    } else {
+      ids = this.filterItems(params).map(item => String(item.id));
+    }
+
+    const uniqueIds = Array.from(new Set(ids)).filter(id => this.items.has(id));
+    const start = (page - 1) * pageSize;
+    const items = uniqueIds.slice(start, start + pageSize).map(id => this.withLocalFiles(this.items.get(id)));
+
+    return {
+      status: true,
+      data: {
+        items,
+        pagination: {
+          totalItems: uniqueIds.length,
+          currentPage: page,
+          totalPages: Math.max(1, Math.ceil(uniqueIds.length / pageSize)),
+          hasNext: start + pageSize < uniqueIds.length,
+          pageSize
+        }
+      },
+      offline: true,
+      availableCount: uniqueIds.filter(id => this.cacheService.peekCachedPath('media', id)).length,
+      syncedAt: this.syncedAt
+    };
+  }
+
+  /**
+   * Stored items matching the filters, newest first
+   */
+  filterItems(params) {
+    const favorites = params.isFavorited || params.category === 'favorites';
+    const getCreated = (item) => new Date(item.created || item.created_at || item.createdAt || 0).getTime();
+
+    return Array.from(this.items.values())
+      .filter(item => !favorites || item.isFavorited)
+      .filter(item => !params.type || params.type === 'all' || item.type === params.type)
+      .filter(item => !params.projectId || params.projectId === 'all' || item.projectId === params.projectId || item.project_id === params.projectId)
+      .filter(item => favorites || !params.category || item.category === params.category)
+      .sort((a, b) => getCreated(b) - getCreated(a));
+  }
+
+  /**
+   * Projects from the local store (same format as the API response)
+   */
+  getProjects() {
+    return { ...this.projects, offline: true, syncedAt: this.syncedAt };
+  }
+
+  /**
+   * Point an item at its cached file and thumbnail, so it renders without the network
+   * availableOffline marks items whose file is in the media cache
+   */
+  withLocalFiles(item) {
+    const mediaPath = this.cacheService.peekCachedPath('media', item.id);
+    const thumbnailPath = this.cacheService.peekCachedPath('thumbnail', item.id);
+    const local = { ...item, availableOffline: !!mediaPath };
+
+    if (mediaPath) {
+      local.localUrl = pathToFileURL(mediaPath).href;
+    }
+    if (thumbnailPath) {
+      local.thumbnail_url = pathToFileURL(thumbnailPath).href;
+    } else if (mediaPath && item.type === 'image') {
+      local.thumbnail_url = local.localUrl;
+    }
+    return local;
+  }
+}
+
+module.exports = MediaLibraryStore;
@@ -123,6 +123,13 @@ contextBridge.exposeInMainWorld('kolboDesktop', {
   getCacheStats: () =>
     ipcRenderer.invoke('cache:get-stats'),
 
+  // Pinned files are never evicted or cleared (they're used by editing projects)
+  setCachePinned: (mediaIds, pinned) =>
+    ipcRenderer.invoke('cache:set-pinned', { mediaIds, pinned }),
+
+  getPinnedCacheItems: () =>
+    ipcRenderer.invoke('cache:get-pinned'),
+
   // Thumbnail Cache
   getCachedThumbnailPath: (mediaId) =>
     ipcRenderer.invoke('cache:get-thumbnail-path', mediaId),
@@ -224,6 +231,46 @@ contextBridge.exposeInMainWorld('kolboDesktop', {
   onDownloadFailed: (callback) =>
     ipcRenderer.on('download-failed', (event, data) => callback(data)),
 
+  // File download progress: { fileName, url, status, receivedBytes, totalBytes, percent, bytesPerSecond, etaSeconds }
+  onFileDownloadProgress: (callback) =>
+    ipcRenderer.on('download:progress', (event, data) => callback(data)),
+
+  // Download manager (queue, pause/resume/cancel/retry and history)
+  listDownloads: () =>
+    ipcRenderer.invoke('downloads:list'),
+
+  pauseDownload: (id) =>
+    ipcRenderer.invoke('downloads:pause', id),
+
+  resumeDownload: (id) =>
+    ipcRenderer.invoke('downloads:resume', id),
+
+  cancelDownload: (id) =>
+    ipcRenderer.invoke('downloads:cancel', id),
+
+  retryDownload: (id) =>
+    ipcRenderer.invoke('downloads:retry', id),
+
+  removeDownload: (id) =>
+    ipcRenderer.invoke('downloads:remove', id),
+
+  revealDownload: (id) =>
+    ipcRenderer.invoke('downloads:reveal', id),
+
+  clearDownloadHistory: () =>
+    ipcRenderer.invoke('downloads:clear-history'),
+
+  // { item, summary } whenever a download changes
+  onDownloadsUpdated: (callback) =>
+    ipcRenderer.on('downloads:updated', (event, data) => callback(data)),
+
+  onDownloadRemoved: (callback) =>
+    ipcRenderer.on('downloads:removed', (event, data) => callback(data)),
+
+  // Tray menu "Downloads"
+  onOpenDownloads: (callback) =>
+    ipcRenderer.on('navigate-to-downloads', () => callback()),
+
   // Drag-and-drop events
   onDragError: (callback) =>
     ipcRenderer.on('drag:error', (event, data) => callback(data)),
@@ -278,10 +325,47 @@ contextBridge.exposeInMainWorld('kolboDesktop', {
     getGPUInfo: () =>
       ipcRenderer.invoke('ff:get-gpu-info'),
 
+    // Get video codecs and valid container/codec combinations
+    getCodecs: () =>
+      ipcRenderer.invoke('ff:get-codecs'),
+
     // Convert a file
     convertJob: (job) =>
       ipcRenderer.invoke('ff:convert-job', job),
 
+    // Queue jobs for parallel conversion
+    enqueueJobs: (jobs) =>
+      ipcRenderer.invoke('ff:enqueue-jobs', jobs),
+
+    // Pause / resume the whole queue
+    pauseQueue: () =>
+      ipcRenderer.invoke('ff:pause-queue'),
+
+    resumeQueue: () =>
+      ipcRenderer.invoke('ff:resume-queue'),
+
+    // Get queue state (aggregate progress, paused, workers)
+    getQueueState: () =>
+      ipcRenderer.invoke('ff:get-queue-state'),
+
+    // Change priority of a queued job
+    setJobPriority: (jobId, priority) =>
+      ipcRenderer.invoke('ff:set-job-priority', jobId, priority),
+
+    // Get / set hardware acceleration mode ('auto', 'on', 'off')
+    getHardwareAccel: () =>
+      ipcRenderer.invoke('ff:get-hw-accel'),
+
+    setHardwareAccel: (mode) =>
+      ipcRenderer.invoke('ff:set-hw-accel', mode),
+
+    // Get / set number of parallel conversions
+    getConcurrency: () =>
+      ipcRenderer.invoke('ff:get-concurrency'),
+
+    setConcurrency: (concurrency) =>
+      ipcRenderer.invoke('ff:set-concurrency', concurrency),
+
     // Cancel a specific job
     cancelJob: (jobId) =>
       ipcRenderer.invoke('ff:cancel-job', jobId),
@@ -290,14 +374,62 @@ contextBridge.exposeInMainWorld('kolboDesktop', {
     cancelAll: () =>
       ipcRenderer.invoke('ff:cancel-all'),
 
+    // Get persisted queue
+    getQueue: () =>
+      ipcRenderer.invoke('ff:get-queue'),
+
+    // Persist queue
+    saveQueue: (jobs) =>
+      ipcRenderer.invoke('ff:save-queue', jobs),
+
     // Select output folder
     selectOutputFolder: () =>
       ipcRenderer.invoke('ff:select-output-folder'),
 
+    // Pick a logo image for watermarks
+    selectWatermarkImage: () =>
+      ipcRenderer.invoke('ff:select-watermark-image'),
+
+    // Pick a subtitle file (SRT, VTT, ASS)
+    selectSubtitleFile: () =>
+      ipcRenderer.invoke('ff:select-subtitle-file'),
+
+    // Pick a .cube LUT for color grading
+    selectLutFile: () =>
+      ipcRenderer.invoke('ff:select-lut-file'),
+
+    // Render one frame before and after the color settings (JPEG data URLs)
+    previewColor: (filePath, time, color) =>
+      ipcRenderer.invoke('ff:preview-color', filePath, time, color),
+
+    // Save the frame at a time as a full-resolution PNG, JPG or TIFF
+    grabFrame: (filePath, time, format, outputFolder) =>
+      ipcRenderer.invoke('ff:grab-frame', filePath, time, format, outputFolder),
+
+    // Save a file's subtitle streams as SRT files
+    extractSubtitles: (filePath, outputFolder) =>
+      ipcRenderer.invoke('ff:extract-subtitles', filePath, outputFolder),
+
     // Probe file metadata
     probeFile: (filePath) =>
       ipcRenderer.invoke('ff:probe-file', filePath),
 
+    // Duration, frame rate and streams (FFmpeg summary, no ffprobe needed)
+    getMediaInfo: (filePath) =>
+      ipcRenderer.invoke('ff:get-media-info', filePath),
+
+    // Container, streams, timecode and tags for the media inspector
+    inspectMedia: (filePath) =>
+      ipcRenderer.invoke('ff:inspect-media', filePath),
+
+    // Snap trim points to the nearest keyframes (stream copy)
+    snapTrimPoints: (filePath, start, end) =>
+      ipcRenderer.invoke('ff:snap-trim-points', filePath, start, end),
+
+    // Find numbered image sequences in dropped folders
+    detectSequences: (paths) =>
+      ipcRenderer.invoke('ff:detect-sequences', paths),
+
     // Get saved output folder preference
     getOutputFolder: () =>
       ipcRenderer.invoke('ff:get-output-folder'),
@@ -314,6 +446,43 @@ contextBridge.exposeInMainWorld('kolboDesktop', {
     setOutputMode: (mode) =>
       ipcRenderer.invoke('ff:set-output-mode', mode),
 
+    // User-defined presets
+    getPresets: () =>
+      ipcRenderer.invoke('ff:get-presets'),
+
+    savePreset: (preset) =>
+      ipcRenderer.invoke('ff:save-preset', preset),
+
+    deletePreset: (presetId) =>
+      ipcRenderer.invoke('ff:delete-preset', presetId),
+
+    // Export presets to a JSON file (all when presetIds is empty)
+    exportPresets: (presetIds) =>
+      ipcRenderer.invoke('ff:export-presets', presetIds),
+
+    // Import presets from a JSON file
+    importPresets: () =>
+      ipcRenderer.invoke('ff:import-presets'),
+
+    // Watch folders (auto-convert new files with a saved preset)
+    getWatchFolders: () =>
+      ipcRenderer.invoke('ff:get-watch-folders'),
+
+    selectWatchFolder: () =>
+      ipcRenderer.invoke('ff:select-watch-folder'),
+
+    addWatchFolder: (config) =>
+      ipcRenderer.invoke('ff:add-watch-folder', config),
+
+    removeWatchFolder: (watchId) =>
+      ipcRenderer.invoke('ff:remove-watch-folder', watchId),
+
+    setWatchFolderEnabled: (watchId, enabled) =>
+      ipcRenderer.invoke('ff:set-watch-folder-enabled', watchId, enabled),
+
+    clearWatchLog: () =>
+      ipcRenderer.invoke('ff:clear-watch-log'),
+
     // Listen for progress updates
     onProgress: (callback) => {
       ipcRenderer.on('ff:progress', (event, data) => callback(data));
@@ -329,6 +498,26 @@ contextBridge.exposeInMainWorld('kolboDesktop', {
       ipcRenderer.on('ff:error', (event, data) => callback(data));
     },
 
+    // Listen for aggregate queue progress
+    onQueueProgress: (callback) => {
+      ipcRenderer.on('ff:queue-progress', (event, data) => callback(data));
+    },
+
+    // Listen for trim ranges moved to keyframes by stream-copy jobs
+    onTrimSnapped: (callback) => {
+      ipcRenderer.on('ff:trim-snapped', (event, data) => callback(data));
+    },
+
+    // Listen for jobs queued by watch folders
+    onWatchJobAdded: (callback) => {
+      ipcRenderer.on('ff:watch-job-added', (event, data) => callback(data));
+    },
+
+    // Listen for watch folder log entries
+    onWatchLogUpdated: (callback) => {
+      ipcRenderer.on('ff:watch-log-updated', (event, data) => callback(data));
+    },
+
     // Listen for GPU info
     onGPUInfo: (callback) => {
       ipcRenderer.on('ff:gpu-info', (event, data) => callback(data));
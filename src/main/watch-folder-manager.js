@@ -0,0 +1,622 @@
+// Kolbo Studio - Watch Folder Manager
+// Watches folders for new media files and queues them for conversion with a saved preset
+
+const Store = require('electron-store');
+const fs = require('fs');
+const path = require('path');
+
+// A file counts as fully written once its size and modified time stop changing for this many checks
+const STABLE_CHECKS = 2;
+const CHECK_INTERVAL = 2000;
+
+// Processed-file log kept for the UI (newest first)
+const MAX_LOG_ENTRIES = 200;
+
+const MEDIA_EXTENSIONS = {
+  video: ['.mp4', '.mov', '.avi', '.mkv', '.webm', '.mxf', '.m4v', '.wmv', '.flv', '.mpg', '.mpeg', '.ts'],
+  audio: ['.mp3', '.wav', '.aac', '.flac', '.m4a', '.ogg', '.opus', '.wma', '.aiff', '.aif'],
+  image: ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.bmp', '.tif', '.tiff']
+};
+
+// Download managers write to temporary names first and rename when done
+const TEMP_FILE_PATTERN = /^\.|\.(part|crdownload|download|tmp|partial)$/i;
+
+// Input kinds each preset output type can be made from
+const COMPATIBLE_INPUTS = {
+  video: ['video'],
+  audio: ['video', 'audio'],
+  image: ['image'],
+  sequence: ['video'],
+  animation: ['video'],
+  contactsheet: ['video']
+};
+
+class WatchFolderManager {
+  constructor(scheduler, presetStore, queueStore, mainWindow) {
+    this.scheduler = scheduler;
+    this.presetStore = presetStore;
+    this.queueStore = queueStore;
+    this.mainWindow = mainWindow;
+    this.store = new Store({ name: 'format-factory-watch-folders' });
+    this.watchers = new Map(); // watchId -> fs.FSWatcher
+    this.pendingChecks = new Map(); // filePath -> { timer, size, mtimeMs, stableCount }
+    this.activeJobs = new Map(); // jobId -> log entry id
+
+    // Record results of the jobs this manager queued
+    this.scheduler.onJobFinished = (job, outputPath, error) => {
+      if (this.activeJobs.has(job.id)) {
+        this.finishJob(job, outputPath, error);
+      }
+    };
+  }
+
+  /**
+   * Start watching every enabled folder
+   * Jobs queued before the last quit are run again, and files that arrived while the app was closed are picked up too
+   */
+  start() {
+    this.restoreJobs();
+
+    this.getFolders().forEach(folder => {
+      if (folder.enabled) {
+        this.startWatching(folder, { scanExisting: true });
+      }
+    });
+  }
+
+  /**
+   * Re-queue watch folder jobs that hadn't finished when the app quit
+   * The queue store has already reset interrupted jobs to pending; jobs it no longer has are marked interrupted
+   */
+  restoreJobs() {
+    const persisted = new Map(this.queueStore.getJobs().map(job => [job.id, job]));
+    const log = this.getLog();
+    const restored = [];
+
+    log.filter(entry => entry.status === 'queued').forEach(entry => {
+      const job = entry.jobId && persisted.get(entry.jobId);
+      if (job && job.status === 'pending') {
+        this.activeJobs.set(job.id, entry.id);
+        restored.push(job);
+      } else {
+        entry.status = 'interrupted';
+      }
+    });
+    this.store.set('log', log);
+
+    if (restored.length > 0) {
+      console.log(`[Watch Folders] Restoring ${restored.length} unfinished job(s)`);
+      restored.forEach(job => this.queueStore.updateJob(job.id, { status: 'queued' }));
+      this.scheduler.enqueue(restored.map(job => ({ ...job, status: 'queued' })));
+    }
+  }
+
+  /**
+   * Stop all watchers (app quit)
+   */
+  stop() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+    this.pendingChecks.forEach(check => clearTimeout(check.timer));
+    this.pendingChecks.clear();
+  }
+
+  /**
+   * Get configured watch folders
+   * @returns {Array} Watch folders
+   */
+  getFolders() {
+    return this.store.get('folders', []);
+  }
+
+  /**
+   * Get the processed-file log, newest first
+   * @returns {Array} Log entries
+   */
+  getLog() {
+    return this.store.get('log', []);
+  }
+
+  /**
+   * Files a folder has already handled, as "size:mtimeMs" by path
+   * @param {string} watchId - Watch folder ID
+   * @returns {Object|null} Seen files (null for folders from before files were tracked)
+   */
+  getSeenFiles(watchId) {
+    return this.store.get('seen', {})[watchId] || null;
+  }
+
+  /**
+   * Replace a folder's seen files
+   * @param {string} watchId - Watch folder ID
+   * @param {Object|null} files - Seen files (null forgets the folder)
+   */
+  setSeenFiles(watchId, files) {
+    const seen = this.store.get('seen', {});
+    if (files) {
+      seen[watchId] = files;
+    } else {
+      delete seen[watchId];
+    }
+    this.store.set('seen', seen);
+  }
+
+  /**
+   * Record every file currently in a folder as seen, so only files added from now on are converted
+   * @param {Object} folder - Watch folder
+   */
+  markExistingSeen(folder) {
+    const files = {};
+    try {
+      fs.readdirSync(folder.folderPath).forEach(fileName => {
+        const filePath = path.join(folder.folderPath, fileName);
+        try {
+          const stats = fs.statSync(filePath);
+          if (stats.isFile()) {
+            files[filePath] = this.getFileSignature(stats);
+          }
+        } catch (error) {
+          // File vanished between readdir and stat
+        }
+      });
+    } catch (error) {
+      console.error('[Watch Folders] Failed to read folder:', folder.folderPath, error.message);
+    }
+    this.setSeenFiles(folder.id, files);
+  }
+
+  /**
+   * Identifies one version of a file - a file replaced under the same name is converted again
+   * @param {fs.Stats} stats - File stats
+   * @returns {string} Signature
+   */
+  getFileSignature(stats) {
+    return `${stats.size}:${stats.mtimeMs}`;
+  }
+
+  /**
+   * Add a watch folder and start watching it
+   * @param {Object} config - { folderPath, presetId, outputMode: 'sibling'|'custom', outputFolder }
+   * @returns {Object} The new watch folder
+   */
+  addFolder({ folderPath, presetId, outputMode = 'sibling', outputFolder = null }) {
+    if (!folderPath || !fs.existsSync(folderPath) || !fs.statSync(folderPath).isDirectory()) {
+      throw new Error('Watch folder does not exist');
+    }
+    const preset = this.getPreset(presetId);
+    if (!preset) {
+      throw new Error('Choose a saved preset for the watch folder');
+    }
+    if (!COMPATIBLE_INPUTS[preset.outputType]) {
+      throw new Error(`${preset.outputType} presets can't be used for watch folders`);
+    }
+    if (outputMode === 'custom' && !outputFolder) {
+      throw new Error('Choose an output folder');
+    }
+
+    const folders = this.getFolders();
+    if (folders.some(f => path.resolve(f.folderPath) === path.resolve(folderPath))) {
+      throw new Error('This folder is already being watched');
+    }
+
+    // Converted files must not land in the watched folder, or they would be converted again
+    const resolvedOutput = outputMode === 'custom' ? outputFolder : this.getSiblingFolder(folderPath);
+    if (path.resolve(resolvedOutput) === path.resolve(folderPath)) {
+      throw new Error('The output folder must be different from the watched folder');
+    }
+
+    const folder = {
+      id: `watch-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+      folderPath,
+      presetId,
+      outputMode: outputMode === 'custom' ? 'custom' : 'sibling',
+      outputFolder: outputMode === 'custom' ? outputFolder : null,
+      enabled: true
+    };
+
+    folders.push(folder);
+    this.store.set('folders', folders);
+    this.markExistingSeen(folder);
+    this.startWatching(folder);
+
+    console.log('[Watch Folders] Added:', folderPath, '→', resolvedOutput);
+    return folder;
+  }
+
+  /**
+   * Stop watching and forget a folder
+   * @param {string} watchId - Watch folder ID
+   * @returns {boolean} True if the folder existed
+   */
+  removeFolder(watchId) {
+    const folders = this.getFolders();
+    const remaining = folders.filter(f => f.id !== watchId);
+    if (remaining.length === folders.length) {
+      return false;
+    }
+
+    this.stopWatching(watchId);
+    this.store.set('folders', remaining);
+    this.setSeenFiles(watchId, null);
+    console.log('[Watch Folders] Removed:', watchId);
+    return true;
+  }
+
+  /**
+   * Pause or resume a watch folder
+   * @param {string} watchId - Watch folder ID
+   * @param {boolean} enabled - Watch state
+   * @returns {Object|null} Updated folder
+   */
+  setEnabled(watchId, enabled) {
+    const folders = this.getFolders();
+    const folder = folders.find(f => f.id === watchId);
+    if (!folder) {
+      return null;
+    }
+
+    folder.enabled = Boolean(enabled);
+    if (folder.enabled) {
+      // Only files added from now on - a paused folder shouldn't convert its backlog
+      this.markExistingSeen(folder);
+      this.startWatching(folder);
+    } else {
+      this.stopWatching(watchId);
+    }
+
+    this.store.set('folders', folders);
+    return folder;
+  }
+
+  /**
+   * Clear the processed-file log
+   */
+  clearLog() {
+    this.store.set('log', []);
+  }
+
+  /**
+   * Start an fs.watch watcher for a folder
+   * @param {Object} folder - Watch folder
+   * @param {Object} options - scanExisting: queue files the folder hasn't handled yet (new or replaced)
+   */
+  startWatching(folder, { scanExisting = false } = {}) {
+    this.stopWatching(folder.id);
+
+    if (!fs.existsSync(folder.folderPath)) {
+      console.warn('[Watch Folders] Folder is missing, not watching:', folder.folderPath);
+      return;
+    }
+
+    try {
+      const watcher = fs.watch(folder.folderPath, (eventType, fileName) => {
+        if (fileName) {
+          this.scheduleCheck(folder.id, path.join(folder.folderPath, fileName.toString()));
+        }
+      });
+      watcher.on('error', (error) => {
+        console.error('[Watch Folders] Watcher error:', folder.folderPath, error.message);
+        this.stopWatching(folder.id);
+      });
+      this.watchers.set(folder.id, watcher);
+      console.log('[Watch Folders] Watching:', folder.folderPath);
+    } catch (error) {
+      console.error('[Watch Folders] Failed to watch folder:', folder.folderPath, error.message);
+      return;
+    }
+
+    if (scanExisting) {
+      this.scanFolder(folder);
+    }
+  }
+
+  /**
+   * Queue checks for files that are new or changed since the folder last handled them
+   * Seen files that are gone from the folder are forgotten
+   * @param {Object} folder - Watch folder
+   */
+  scanFolder(folder) {
+    const seen = this.getSeenFiles(folder.id);
+    const present = {};
+
+    let fileNames;
+    try {
+      fileNames = fs.readdirSync(folder.folderPath);
+    } catch (error) {
+      console.error('[Watch Folders] Failed to scan folder:', folder.folderPath, error.message);
+      return;
+    }
+
+    fileNames.forEach(fileName => {
+      const filePath = path.join(folder.folderPath, fileName);
+      try {
+        const stats = fs.statSync(filePath);
+        if (!stats.isFile()) return;
+
+        // Folders added before files were tracked fall back to the time they were last active
+        const handled = seen
+          ? seen[filePath] === this.getFileSignature(stats)
+          : stats.mtimeMs <= (folder.lastSeenAt || 0);
+        if (handled) {
+          present[filePath] = this.getFileSignature(stats);
+        } else {
+          this.scheduleCheck(folder.id, filePath);
+        }
+      } catch (error) {
+        // File vanished between readdir and stat
+      }
+    });
+
+    this.setSeenFiles(folder.id, present);
+  }
+
+  /**
+   * Close a folder's watcher and drop its pending checks
+   * @param {string} watchId - Watch folder ID
+   */
+  stopWatching(watchId) {
+    const watcher = this.watchers.get(watchId);
+    if (watcher) {
+      watcher.close();
+      this.watchers.delete(watchId);
+    }
+
+    this.pendingChecks.forEach((check, filePath) => {
+      if (check.watchId === watchId) {
+        clearTimeout(check.timer);
+        this.pendingChecks.delete(filePath);
+      }
+    });
+  }
+
+  /**
+   * Start polling a new file until it has been fully written
+   * fs.watch fires several events per file, so repeated calls restart the same check
+   * @param {string} watchId - Watch folder ID
+   * @param {string} filePath - New or changed file
+   */
+  scheduleCheck(watchId, filePath) {
+    const fileName = path.basename(filePath);
+    if (TEMP_FILE_PATTERN.test(fileName) || !this.getMediaKind(filePath)) {
+      return;
+    }
+
+    const existing = this.pendingChecks.get(filePath);
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
+
+    const check = { watchId, size: -1, mtimeMs: -1, stableCount: 0, timer: null };
+    check.timer = setTimeout(() => this.checkFile(filePath), CHECK_INTERVAL);
+    this.pendingChecks.set(filePath, check);
+  }
+
+  /**
+   * Poll a file's size; queue it once it stops growing
+   * @param {string} filePath - File being checked
+   */
+  async checkFile(filePath) {
+    const check = this.pendingChecks.get(filePath);
+    if (!check) return;
+
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      // Deleted or renamed before it finished
+      this.pendingChecks.delete(filePath);
+      return;
+    }
+
+    if (!stats.isFile()) {
+      this.pendingChecks.delete(filePath);
+      return;
+    }
+
+    if (stats.size > 0 && stats.size === check.size && stats.mtimeMs === check.mtimeMs) {
+      check.stableCount++;
+    } else {
+      check.stableCount = 0;
+    }
+    check.size = stats.size;
+    check.mtimeMs = stats.mtimeMs;
+
+    // Windows keeps files locked while they are being written
+    if (check.stableCount >= STABLE_CHECKS && await this.isWritable(filePath)) {
+      this.pendingChecks.delete(filePath);
+      // fs.watch repeats events (and fires for reads on some systems), so only new versions are queued
+      const seen = this.getSeenFiles(check.watchId) || {};
+      if (seen[filePath] !== this.getFileSignature(stats)) {
+        this.enqueueFile(check.watchId, filePath, stats);
+      }
+      return;
+    }
+
+    check.timer = setTimeout(() => this.checkFile(filePath), CHECK_INTERVAL);
+  }
+
+  /**
+   * Check that no other process holds the file open for writing
+   * @param {string} filePath - File path
+   * @returns {Promise<boolean>} True if the file can be opened for writing
+   */
+  async isWritable(filePath) {
+    try {
+      const handle = await fs.promises.open(filePath, 'r+');
+      await handle.close();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Queue a fully written file for conversion with the folder's preset
+   * The job and its log entry are saved before the scheduler starts it, so a crash can't lose it
+   * @param {string} watchId - Watch folder ID
+   * @param {string} filePath - File to convert
+   * @param {fs.Stats} stats - File stats
+   */
+  enqueueFile(watchId, filePath, stats) {
+    const folder = this.getFolders().find(f => f.id === watchId);
+    if (!folder || !folder.enabled) return;
+
+    const preset = this.getPreset(folder.presetId);
+    const kind = this.getMediaKind(filePath);
+    const entry = {
+      id: `log-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+      watchId,
+      jobId: null,
+      filePath,
+      fileName: path.basename(filePath),
+      presetName: preset ? preset.name : null,
+      status: 'queued',
+      outputPath: null,
+      error: null,
+      time: new Date().toISOString()
+    };
+
+    // Skipped and failed files count as handled too, until they are replaced
+    this.markSeen(watchId, filePath, stats);
+
+    if (!preset) {
+      this.addLogEntry({ ...entry, status: 'skipped', error: 'The preset for this folder was deleted' });
+      return;
+    }
+    if (!COMPATIBLE_INPUTS[preset.outputType]) {
+      this.addLogEntry({ ...entry, status: 'skipped', error: `${preset.outputType} presets can't be used for watch folders` });
+      return;
+    }
+    if (!COMPATIBLE_INPUTS[preset.outputType].includes(kind)) {
+      this.addLogEntry({ ...entry, status: 'skipped', error: `${kind.charAt(0).toUpperCase() + kind.slice(1)} files can't be converted with a ${preset.outputType} preset` });
+      return;
+    }
+
+    const outputFolder = folder.outputMode === 'custom' ? folder.outputFolder : this.getSiblingFolder(folder.folderPath);
+    try {
+      fs.mkdirSync(outputFolder, { recursive: true });
+    } catch (error) {
+      this.addLogEntry({ ...entry, status: 'failed', error: `Cannot create output folder: ${error.message}` });
+      return;
+    }
+
+    const hasTrim = Boolean(preset.trim);
+    const job = {
+      id: `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      fileName: entry.fileName,
+      filePath,
+      fileSize: stats.size,
+      fileType: `${kind}/${path.extname(filePath).slice(1).toLowerCase()}`,
+      outputFormat: preset.outputFormat,
+      outputType: preset.outputType,
+      preset: preset.id,
+      status: 'queued',
+      progress: 0,
+      settings: JSON.parse(JSON.stringify(preset.settings)),
+      trimStart: hasTrim ? preset.trim.start : undefined,
+      trimEnd: hasTrim ? preset.trim.end : undefined,
+      hasTrim,
+      outputFolder,
+      watchId
+    };
+
+    console.log('[Watch Folders] Queueing:', filePath, '→', preset.name);
+    entry.jobId = job.id;
+    this.queueStore.addJob(job);
+    this.addLogEntry(entry);
+    this.activeJobs.set(job.id, entry.id);
+
+    // The renderer shows the job in its queue
+    this.send('ff:watch-job-added', job);
+    this.scheduler.enqueue([job]);
+  }
+
+  /**
+   * Record the result of a job queued by a watch folder
+   * @param {Object} job - Finished job
+   * @param {string} outputPath - Output path (on success)
+   * @param {Error} error - Failure (null on success)
+   */
+  finishJob(job, outputPath, error) {
+    const entryId = this.activeJobs.get(job.id);
+    this.activeJobs.delete(job.id);
+
+    const log = this.getLog();
+    const entry = log.find(e => e.id === entryId);
+    if (!entry) return;
+
+    entry.status = error ? (error.cancelled ? 'cancelled' : 'failed') : 'completed';
+    entry.outputPath = outputPath || null;
+    entry.error = error ? error.message : null;
+    entry.time = new Date().toISOString();
+
+    this.store.set('log', log);
+    this.send('ff:watch-log-updated', entry);
+  }
+
+  /**
+   * Add an entry to the processed-file log
+   * @param {Object} entry - Log entry
+   */
+  addLogEntry(entry) {
+    const log = [entry, ...this.getLog()].slice(0, MAX_LOG_ENTRIES);
+    this.store.set('log', log);
+    this.send('ff:watch-log-updated', entry);
+
+    if (entry.status === 'skipped' || entry.status === 'failed') {
+      console.warn('[Watch Folders]', entry.fileName, entry.status, '-', entry.error);
+    }
+  }
+
+  /**
+   * Record that a folder has handled this version of a file (used to catch up after restarts)
+   * @param {string} watchId - Watch folder ID
+   * @param {string} filePath - File path
+   * @param {fs.Stats} stats - File stats
+   */
+  markSeen(watchId, filePath, stats) {
+    const files = this.getSeenFiles(watchId) || {};
+    files[filePath] = this.getFileSignature(stats);
+    this.setSeenFiles(watchId, files);
+  }
+
+  /**
+   * Output folder next to the watched folder ("Incoming" -> "Incoming_converted")
+   * @param {string} folderPath - Watched folder
+   * @returns {string} Sibling folder path
+   */
+  getSiblingFolder(folderPath) {
+    const resolved = path.resolve(folderPath);
+    return path.join(path.dirname(resolved), `${path.basename(resolved)}_converted`);
+  }
+
+  /**
+   * Media kind from the file extension
+   * @param {string} filePath - File path
+   * @returns {string|null} 'video', 'audio', 'image' or null
+   */
+  getMediaKind(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    return Object.keys(MEDIA_EXTENSIONS).find(kind => MEDIA_EXTENSIONS[kind].includes(ext)) || null;
+  }
+
+  /**
+   * Look up a saved preset
+   * @param {string} presetId - Preset ID
+   * @returns {Object|undefined} Preset
+   */
+  getPreset(presetId) {
+    return this.presetStore.getPresets().find(p => p.id === presetId);
+  }
+
+  /**
+   * Send an event to the renderer
+   */
+  send(channel, data) {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send(channel, data);
+    }
+  }
+}
+
+module.exports = WatchFolderManager;
@@ -95,7 +95,8 @@ class ContextMenuManager {
         url: mediaItem.url,
         fileName: mediaItem.file_name || `media_${mediaItem.id}`,
         cached: cacheResult.cached,
-        cachePath: cacheResult.filePath
+        cachePath: cacheResult.filePath,
+        pinned: cacheResult.pinned
       };
     }
 
@@ -107,6 +108,8 @@ class ContextMenuManager {
       copyUrl: (item) => this.copyUrlToClipboard(item),
       openExternal: (item) => this.openInBrowser(item),
       revealCache: (p) => this.handleRevealCache(p),
+      togglePin: (item) => this.handleTogglePin(item),
+      inspect: (item) => this.handleInspect(item),
       clearSelection: () => this.handleClearSelection(),
       copyUrlsBatch: (p) => this.handleCopyUrlsBatch(p)
     };
@@ -239,6 +242,36 @@ class ContextMenuManager {
     await window.kolboDesktop.revealFileInFolder(mediaItem.cachePath);
   }
 
+  /**
+   * Pin or unpin the cached file (pinned files are never evicted or cleared)
+   */
+  async handleTogglePin(mediaItem) {
+    if (!mediaItem || !mediaItem.cached) return;
+
+    try {
+      const result = await window.kolboDesktop.setCachePinned([mediaItem.id], !mediaItem.pinned);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      console.log(`[Context Menu] ${mediaItem.pinned ? 'Unpinned' : 'Pinned'}:`, mediaItem.fileName);
+    } catch (error) {
+      console.error('[Context Menu] Failed to change pin:', error);
+      alert(`Failed to ${mediaItem.pinned ? 'unpin' : 'pin'} file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Show the media inspector - for the cached copy when there is one, otherwise read from the URL
+   */
+  handleInspect(mediaItem) {
+    if (!mediaItem || !window.MediaInspector) return;
+
+    if (!this.mediaInspector) {
+      this.mediaInspector = new window.MediaInspector();
+    }
+    this.mediaInspector.open(mediaItem.cached && mediaItem.cachePath ? mediaItem.cachePath : mediaItem.url, mediaItem.fileName);
+  }
+
   /**
    * Handle open in new tab (webapp)
    */
@@ -47,6 +47,10 @@ class CustomContextMenu {
       window: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor"><rect width="18" height="14" x="3" y="5" rx="2"/><path d="M3 9h18"/></svg>`,
 
       url: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor"><path d="M12 2a10 10 0 1 0 10 10 4 4 0 0 1-5-5 4 4 0 0 1-5-5"/><path d="M8.5 8.5v.01"/><path d="M16 15.5v.01"/><path d="M12 12v.01"/><path d="M11 17v.01"/><path d="M7 14v.01"/></svg>`,
+
+      pin: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor"><line x1="12" x2="12" y1="17" y2="22"/><path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24Z"/></svg>`,
+
+      info: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor"><circle cx="12" cy="12" r="10"/><path d="M12 16v-4"/><path d="M12 8h.01"/></svg>`,
     };
   }
 
@@ -277,6 +281,11 @@ class CustomContextMenu {
           label: 'Open in Browser',
           icon: 'externalLink',
           onClick: () => handlers.openExternal(mediaItem)
+        },
+        {
+          label: 'Inspect Media',
+          icon: 'info',
+          onClick: () => handlers.inspect(mediaItem)
         }
       );
 
@@ -288,6 +297,11 @@ class CustomContextMenu {
             label: 'Show in Folder',
             icon: 'folder',
             onClick: () => handlers.revealCache(params)
+          },
+          {
+            label: mediaItem.pinned ? 'Unpin from Cache' : 'Pin in Cache',
+            icon: 'pin',
+            onClick: () => handlers.togglePin(mediaItem)
           }
         );
       }
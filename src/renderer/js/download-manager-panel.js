@@ -0,0 +1,356 @@
+// Kolbo Studio - Download Manager Panel
+// Lists every download (Media Library, context menu and webapp) with per-item and total progress,
+// pause/resume/cancel/retry, a searchable history and the header badge for active downloads
+
+console.log('[DownloadManagerPanel] Loading...');
+
+class DownloadManagerPanel {
+  constructor() {
+    this.modalElement = null;
+    this.items = new Map(); // id -> download item from the main process
+    this.summary = null;
+    this.searchQuery = '';
+    this.renderScheduled = false;
+  }
+
+  /**
+   * Load the downloads and keep the header badge up to date (the panel itself opens on demand)
+   */
+  async init() {
+    if (!window.kolboDesktop || !window.kolboDesktop.listDownloads) return;
+
+    window.kolboDesktop.onDownloadsUpdated(({ item, summary }) => {
+      this.items.set(item.id, item);
+      this.summary = summary;
+      this.scheduleRender();
+    });
+
+    window.kolboDesktop.onDownloadRemoved(({ id }) => {
+      this.items.delete(id);
+      this.scheduleRender();
+    });
+
+    window.kolboDesktop.onOpenDownloads(() => this.open());
+
+    const result = await window.kolboDesktop.listDownloads();
+    if (result.success) {
+      result.items.forEach(item => this.items.set(item.id, item));
+      this.summary = result.summary;
+      this.updateBadge();
+    }
+  }
+
+  /**
+   * Open the panel
+   */
+  open() {
+    if (this.modalElement) return;
+
+    const modal = document.createElement('div');
+    modal.id = 'downloads-modal';
+    modal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background: rgba(0, 0, 0, 0.8);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
+      animation: fadeIn 0.2s ease;
+    `;
+
+    modal.innerHTML = `
+      <div style="background: #1a1a1a; border: 1px solid #474747; border-radius: 12px; padding: 24px; max-width: 760px; width: 90%; height: 80vh; animation: slideUp 0.3s ease; display: flex; flex-direction: column; gap: 16px;">
+        <div style="display: flex; justify-content: space-between; align-items: center; padding-bottom: 16px; border-bottom: 1px solid #474747;">
+          <div style="min-width: 0;">
+            <h3 style="margin: 0 0 8px 0; color: #ffffff; font-size: 18px; font-weight: 600;">Downloads</h3>
+            <p id="downloads-summary" style="margin: 0; color: rgba(255, 255, 255, 0.6); font-size: 13px;"></p>
+          </div>
+          <button id="downloads-close" style="background: transparent; border: none; color: rgba(255, 255, 255, 0.6); font-size: 24px; cursor: pointer; padding: 0; width: 32px; height: 32px; border-radius: 4px;">×</button>
+        </div>
+        <div id="downloads-total-bar" style="height: 4px; background: #262626; border-radius: 2px; overflow: hidden; display: none;">
+          <div id="downloads-total-fill" style="height: 100%; width: 0; background: #667eea; transition: width 0.3s ease;"></div>
+        </div>
+        <input id="downloads-search" type="text" placeholder="Search downloads..." value="${this.escapeHtml(this.searchQuery)}" style="padding: 8px 12px; background: #262626; border: 1px solid #474747; border-radius: 6px; color: #ffffff; font-size: 13px; outline: none;">
+        <div id="downloads-list" style="flex: 1; overflow-y: auto; display: flex; flex-direction: column; gap: 8px;"></div>
+        <div style="display: flex; justify-content: flex-end; gap: 8px; padding-top: 16px; border-top: 1px solid #474747;">
+          <button id="downloads-clear" style="${this.getButtonStyle()}">Clear History</button>
+          <button id="downloads-done" style="${this.getButtonStyle()}">Close</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    this.modalElement = modal;
+
+    modal.querySelector('#downloads-close').addEventListener('click', () => this.close());
+    modal.querySelector('#downloads-done').addEventListener('click', () => this.close());
+    modal.querySelector('#downloads-clear').addEventListener('click', () => this.clearHistory());
+    modal.querySelector('#downloads-search').addEventListener('input', (e) => {
+      this.searchQuery = e.target.value;
+      this.render();
+    });
+    modal.querySelector('#downloads-list').addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (button) this.handleAction(button.dataset.action, button.dataset.id);
+    });
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) this.close();
+    });
+
+    this.render();
+    modal.querySelector('#downloads-search').focus();
+  }
+
+  /**
+   * Redraw at most once per frame (progress events arrive for several downloads at once)
+   */
+  scheduleRender() {
+    if (this.renderScheduled) return;
+    this.renderScheduled = true;
+    requestAnimationFrame(() => {
+      this.renderScheduled = false;
+      this.render();
+    });
+  }
+
+  render() {
+    this.updateBadge();
+    if (!this.modalElement) return;
+
+    this.renderSummary();
+
+    const query = this.searchQuery.trim().toLowerCase();
+    const items = Array.from(this.items.values())
+      .filter(item => !query || item.fileName.toLowerCase().includes(query) || item.filePath.toLowerCase().includes(query))
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    const list = this.modalElement.querySelector('#downloads-list');
+    if (items.length === 0) {
+      list.innerHTML = `
+        <div style="color: rgba(255, 255, 255, 0.5); font-size: 13px; text-align: center; padding: 32px 0;">
+          ${query ? 'No downloads match your search' : 'No downloads yet'}
+        </div>
+      `;
+      return;
+    }
+
+    // Rows are updated in place while only the progress changes, so a button being clicked isn't replaced
+    const existingRows = new Map(Array.from(list.querySelectorAll('[data-row-id]')).map(row => [row.dataset.rowId, row]));
+    const rows = items.map(item => {
+      const row = existingRows.get(item.id);
+      if (row && row.dataset.status === item.status) {
+        this.updateItemProgress(row, item);
+        return row;
+      }
+
+      const template = document.createElement('template');
+      template.innerHTML = this.renderItem(item).trim();
+      return template.content.firstElementChild;
+    });
+
+    const unchanged = rows.length === list.children.length && rows.every((row, index) => list.children[index] === row);
+    if (!unchanged) {
+      list.replaceChildren(...rows);
+    }
+  }
+
+  renderSummary() {
+    const summary = this.summary || { active: 0, queued: 0, paused: 0, percent: null, bytesPerSecond: 0 };
+    const parts = [];
+    if (summary.active) parts.push(`${summary.active} downloading`);
+    if (summary.queued) parts.push(`${summary.queued} queued`);
+    if (summary.paused) parts.push(`${summary.paused} paused`);
+    if (summary.active && summary.bytesPerSecond) parts.push(`${this.formatSize(summary.bytesPerSecond)}/s`);
+
+    this.modalElement.querySelector('#downloads-summary').textContent = parts.length
+      ? parts.join(' · ')
+      : `${this.items.size} download${this.items.size === 1 ? '' : 's'} in history`;
+
+    const totalBar = this.modalElement.querySelector('#downloads-total-bar');
+    const showTotal = summary.percent !== null && (summary.active + summary.queued + summary.paused) > 0;
+    totalBar.style.display = showTotal ? 'block' : 'none';
+    if (showTotal) {
+      this.modalElement.querySelector('#downloads-total-fill').style.width = `${summary.percent}%`;
+    }
+  }
+
+  renderItem(item) {
+    const statusColors = {
+      downloading: '#667eea',
+      queued: 'rgba(255, 255, 255, 0.5)',
+      paused: '#fbbf24',
+      completed: '#4ade80',
+      failed: '#f87171',
+      canceled: 'rgba(255, 255, 255, 0.5)'
+    };
+    const sources = { library: 'Media Library', 'context-menu': 'Context menu', webapp: 'Webapp' };
+    const percent = item.totalBytes ? Math.min(100, Math.round((item.receivedBytes / item.totalBytes) * 100)) : null;
+    const showProgress = ['downloading', 'queued', 'paused'].includes(item.status);
+
+    const actions = [];
+    if (item.status === 'downloading' || item.status === 'queued') actions.push(['pause', 'Pause']);
+    if (item.status === 'paused') actions.push(['resume', 'Resume']);
+    if (showProgress) actions.push(['cancel', 'Cancel']);
+    if (item.status === 'failed' || item.status === 'canceled') actions.push(['retry', 'Retry']);
+    if (item.status === 'completed') actions.push(['reveal', 'Show in Folder']);
+    if (!showProgress) actions.push(['remove', 'Remove']);
+
+    const id = this.escapeHtml(item.id);
+    const fileName = this.escapeHtml(item.fileName);
+
+    return `
+      <div data-row-id="${id}" data-status="${item.status}" style="background: #262626; border: 1px solid #333; border-radius: 8px; padding: 12px; display: flex; flex-direction: column; gap: 8px;">
+        <div style="display: flex; justify-content: space-between; align-items: center; gap: 12px;">
+          <div style="min-width: 0; flex: 1;">
+            <div style="color: #ffffff; font-size: 13px; font-weight: 500; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${fileName.replace(/"/g, '&quot;')}">${fileName}</div>
+            <div style="color: rgba(255, 255, 255, 0.5); font-size: 12px; margin-top: 2px;">
+              <span class="download-status" style="color: ${statusColors[item.status]};">${this.describeStatus(item, percent)}</span>
+              · ${sources[item.source] || item.source} · ${this.formatDate(item.finishedAt || item.createdAt)}
+            </div>
+          </div>
+          <div style="display: flex; gap: 6px; flex-shrink: 0;">
+            ${actions.map(([action, label]) => `<button data-action="${action}" data-id="${id}" style="${this.getButtonStyle(true)}">${label}</button>`).join('')}
+          </div>
+        </div>
+        ${showProgress ? `
+          <div style="height: 4px; background: #1a1a1a; border-radius: 2px; overflow: hidden;">
+            <div class="download-fill" style="height: 100%; width: ${percent || 0}%; background: ${statusColors[item.status]};"></div>
+          </div>
+        ` : ''}
+        ${item.error ? `<div style="color: #f87171; font-size: 12px;">${this.escapeHtml(item.error)}</div>` : ''}
+      </div>
+    `;
+  }
+
+  updateItemProgress(row, item) {
+    const percent = item.totalBytes ? Math.min(100, Math.round((item.receivedBytes / item.totalBytes) * 100)) : null;
+    row.querySelector('.download-status').textContent = this.describeStatus(item, percent);
+
+    const fill = row.querySelector('.download-fill');
+    if (fill) fill.style.width = `${percent || 0}%`;
+  }
+
+  describeStatus(item, percent) {
+    const size = item.totalBytes
+      ? `${this.formatSize(item.receivedBytes)} of ${this.formatSize(item.totalBytes)}`
+      : this.formatSize(item.receivedBytes);
+
+    switch (item.status) {
+      case 'downloading': {
+        let text = percent !== null ? `${percent}% · ${size}` : size;
+        if (item.bytesPerSecond) text += ` · ${this.formatSize(item.bytesPerSecond)}/s`;
+        if (item.etaSeconds !== null && item.etaSeconds !== undefined) text += ` · ${this.formatDuration(item.etaSeconds)} left`;
+        return text;
+      }
+      case 'queued': return 'Queued';
+      case 'paused': return `Paused · ${size}`;
+      case 'completed': return `Completed · ${this.formatSize(item.receivedBytes)}`;
+      case 'failed': return 'Failed';
+      case 'canceled': return 'Canceled';
+      default: return item.status;
+    }
+  }
+
+  async handleAction(action, id) {
+    const calls = {
+      pause: window.kolboDesktop.pauseDownload,
+      resume: window.kolboDesktop.resumeDownload,
+      cancel: window.kolboDesktop.cancelDownload,
+      retry: window.kolboDesktop.retryDownload,
+      remove: window.kolboDesktop.removeDownload,
+      reveal: window.kolboDesktop.revealDownload
+    };
+
+    try {
+      const result = await calls[action](id);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error(`[DownloadManagerPanel] ${action} failed:`, error);
+      alert(`Couldn't ${action === 'reveal' ? 'show the file' : `${action} the download`}: ${error.message}`);
+    }
+  }
+
+  async clearHistory() {
+    const finished = Array.from(this.items.values()).filter(item => ['completed', 'failed', 'canceled'].includes(item.status));
+    if (finished.length === 0) return;
+    if (!confirm(`Remove ${finished.length} finished download${finished.length === 1 ? '' : 's'} from the history?\n\nDownloaded files are kept.`)) return;
+
+    const result = await window.kolboDesktop.clearDownloadHistory();
+    if (!result.success) {
+      alert(`Failed to clear download history: ${result.error}`);
+      return;
+    }
+
+    finished.forEach(item => this.items.delete(item.id));
+    this.render();
+  }
+
+  /**
+   * Header badge: downloads running or waiting to run
+   */
+  updateBadge() {
+    const badge = document.getElementById('downloads-badge');
+    if (!badge) return;
+
+    const pending = this.summary ? this.summary.active + this.summary.queued : 0;
+    badge.textContent = pending;
+    badge.classList.toggle('hidden', pending === 0);
+  }
+
+  getButtonStyle(small = false) {
+    return `
+      padding: ${small ? '5px 10px' : '8px 14px'};
+      background: #262626;
+      border: 1px solid #474747;
+      border-radius: 6px;
+      color: rgba(255, 255, 255, 0.8);
+      font-size: ${small ? '12px' : '13px'};
+      cursor: pointer;
+      white-space: nowrap;
+    `;
+  }
+
+  formatSize(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes || 0} B`;
+  }
+
+  formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+  }
+
+  formatDate(timestamp) {
+    const date = new Date(timestamp);
+    const isToday = date.toDateString() === new Date().toDateString();
+    return isToday
+      ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : date.toLocaleDateString();
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  close() {
+    if (this.modalElement) {
+      this.modalElement.remove();
+      this.modalElement = null;
+    }
+  }
+}
+
+// Export class to global scope
+window.DownloadManagerPanel = DownloadManagerPanel;
+
+console.log('[DownloadManagerPanel] Loaded successfully');
@@ -6,29 +6,62 @@ console.log('[Format Factory] Initializing...');
 class FormatFactoryManager {
   constructor() {
     this.queue = [];
+    this.queueRestored = false; // Saving waits for the restore, or it would overwrite the saved queue
     this.selectedFormat = null;
     this.selectedType = null;
     this.selectedPreset = 'source'; // Default preset
+    this.selectedCodec = null; // Video codec (null = container default)
+    this.frameAccurateTrim = false; // 'Keep original codec': re-encode the partial GOPs at the cuts
+    this.targetSize = null; // Fit video outputs to this size in MB with a two-pass encode (null = preset quality)
+    this.videoQuality = null; // { crf, bitrate } overriding the preset's quality level and bitrate cap (null = preset values)
+    this.sequencePattern = '{name}_%05d'; // Filename pattern for exported frames
+    this.sequenceFramerate = 25; // Frame rate for image sequence inputs
+    this.animationOptions = { fps: 15, width: 480, loop: 0 }; // GIF/WebP: width null = source, loop 0 = forever
+    this.contactSheetOptions = { width: 320, timecodes: true }; // Contact sheets: tile width in pixels, source time on each tile
+    this.audioProcessing = null; // Loudness/fade/silence options for the files being added (null = preset defaults)
+    this.watermark = this.getRememberedWatermark(); // Logo/text overlay for the files being added (null = none)
+    this.retime = null; // Speed / reverse / frame rate for video outputs (null = unchanged)
+    this.subtitles = null; // Subtitle file burned in or muxed as a track for video outputs (null = none)
+    this.color = null; // LUT, color adjustments and HDR tone mapping for video and image outputs (null = unchanged)
+    this.customPresets = []; // User-defined presets (stored by the main process)
+    this.selectedCustomPreset = null; // Custom preset applied to newly added files
+    this.tempCustomPreset = null; // Custom preset picked in the open modal
+    this.watchFolders = []; // Watch folder configs (main process)
+    this.watchLog = null; // Watch folder log while its modal is open
     this.outputFolder = null; // null = same as source
     this.outputMode = 'source'; // 'source' or 'custom'
     this.currentCategory = 'video'; // default active category
     this.thumbnailGenerating = new Set(); // Track thumbnails being generated
+    this.sourceInfoLoading = new Set(); // Track source durations being read for the retime preview
+    this.selectedJobIds = new Set(); // Rows selected for merging / batch removal
     this.updateTableDebounceTimer = null; // Debounce UI updates
+    this.saveQueueDebounceTimer = null; // Debounce queue persistence
+    this.queuePaused = false; // Scheduler pause state (main process)
 
     // Quality/Resolution Presets
     this.presets = {
       video: [
         { id: 'source', label: 'Source Quality', desc: 'Maintain original resolution and quality' },
-        { id: '4k', label: '4K (3840×2160, 20Mbps)', desc: 'Ultra HD quality', maxWidth: 3840, maxHeight: 2160, bitrate: '20M' },
-        { id: '1080p', label: '1080p (1920×1080, 10Mbps)', desc: 'Full HD quality', maxWidth: 1920, maxHeight: 1080, bitrate: '10M' },
-        { id: '720p', label: '720p (1280×720, 6Mbps)', desc: 'HD quality', maxWidth: 1280, maxHeight: 720, bitrate: '6M' },
-        { id: '480p', label: '480p (854×480, 3Mbps)', desc: 'SD quality', maxWidth: 854, maxHeight: 480, bitrate: '3M' }
+        { id: '4k', label: '4K (3840×2160, 20Mbps)', desc: 'Ultra HD quality', maxWidth: 3840, maxHeight: 2160, bitrate: '20M',
+          codecBitrates: { h265: '12M', vp9: '12M', av1: '10M' } },
+        { id: '1080p', label: '1080p (1920×1080, 10Mbps)', desc: 'Full HD quality', maxWidth: 1920, maxHeight: 1080, bitrate: '10M',
+          codecBitrates: { h265: '6M', vp9: '6M', av1: '5M' } },
+        { id: '720p', label: '720p (1280×720, 6Mbps)', desc: 'HD quality', maxWidth: 1280, maxHeight: 720, bitrate: '6M',
+          codecBitrates: { h265: '3500k', vp9: '3500k', av1: '3M' } },
+        { id: '480p', label: '480p (854×480, 3Mbps)', desc: 'SD quality', maxWidth: 854, maxHeight: 480, bitrate: '3M',
+          codecBitrates: { h265: '1800k', vp9: '1800k', av1: '1500k' } }
       ],
       audio: [
         { id: 'source', label: 'Source Quality', desc: 'Maintain original quality' },
         { id: 'high', label: 'High (320kbps)', desc: 'Maximum quality', bitrate: '320k' },
         { id: 'standard', label: 'Standard (192kbps)', desc: 'Good quality', bitrate: '192k' },
-        { id: 'low', label: 'Low (128kbps)', desc: 'Smaller file size', bitrate: '128k' }
+        { id: 'low', label: 'Low (128kbps)', desc: 'Smaller file size', bitrate: '128k' },
+        { id: 'streaming', label: 'Streaming (-14 LUFS, 320kbps)', desc: 'Spotify, YouTube, Apple Music', bitrate: '320k',
+          processing: { loudness: 'streaming', limiter: true, trimSilence: false, fadeIn: 0, fadeOut: 0, channelMode: 'stereo' } },
+        { id: 'podcast', label: 'Podcast (-16 LUFS, mono, 128kbps)', desc: 'Voiceovers and spoken word', bitrate: '128k',
+          processing: { loudness: 'podcast', limiter: true, trimSilence: true, fadeIn: 0, fadeOut: 0, channelMode: 'mono' } },
+        { id: 'broadcast', label: 'Broadcast (-23 LUFS, 48kHz)', desc: 'EBU R128 delivery', bitrate: '256k', sampleRate: 48000,
+          processing: { loudness: 'broadcast', limiter: true, trimSilence: false, fadeIn: 0, fadeOut: 0, channelMode: 'stereo' } }
       ],
       image: [
         { id: 'source', label: 'Source Quality', desc: 'Maintain original size and quality' },
@@ -36,18 +69,55 @@ class FormatFactoryManager {
         { id: '2k', label: 'Up to 2K (2048px)', desc: 'High quality', maxDimension: 2048, quality: 90 },
         { id: '1k', label: 'Up to 1K (1080px)', desc: 'Standard quality', maxDimension: 1080, quality: 85 },
         { id: 'web', label: 'Web Optimized (800px)', desc: 'Small file size', maxDimension: 800, quality: 80 }
+      ],
+      sequence: [
+        { id: 'all', label: 'Every frame', desc: 'Export every frame at source size', everyNth: 1 },
+        { id: 'every2', label: 'Every 2nd frame', desc: 'Half the frames', everyNth: 2 },
+        { id: 'every5', label: 'Every 5th frame', desc: 'Quick review frames', everyNth: 5 },
+        { id: 'every10', label: 'Every 10th frame', desc: 'Sparse review frames', everyNth: 10 },
+        { id: 'every25', label: 'Every 25th frame', desc: 'About one frame per second', everyNth: 25 }
+      ],
+      animation: [
+        { id: 'high', label: 'High Quality', desc: '256 colors, smooth dithering', colors: 256, dither: 'sierra2_4a', quality: 90 },
+        { id: 'balanced', label: 'Balanced', desc: '128 colors, pattern dithering', colors: 128, dither: 'bayer:bayer_scale=3', quality: 75 },
+        { id: 'small', label: 'Small File', desc: '64 colors, for chat apps with size limits', colors: 64, dither: 'bayer:bayer_scale=2', quality: 60 }
+      ],
+      contactsheet: [
+        { id: '4x4', label: '4 × 4 (16 frames)', desc: 'Quick overview', columns: 4, rows: 4 },
+        { id: '3x3', label: '3 × 3 (9 frames)', desc: 'Short clips', columns: 3, rows: 3 },
+        { id: '5x6', label: '5 × 6 (30 frames)', desc: 'Detailed overview', columns: 5, rows: 6 },
+        { id: '6x10', label: '6 × 10 (60 frames)', desc: 'Long videos', columns: 6, rows: 10 }
       ]
     };
 
+    // Video codecs, valid codecs per container (first entry is the default) and the source
+    // extensions each container can stream-copy - loaded from ffmpeg-handler.js in init()
+    this.videoCodecs = {};
+    this.containerCodecs = {};
+    this.copySources = {};
+
     this.init();
   }
 
   async init() {
     console.log('[Format Factory] Setting up event listeners...');
 
+    // Codec tables come from the main process, which encodes with them
+    await this.loadCodecs();
+
     // Load saved settings
     await this.loadSettings();
 
+    // Load user-defined presets
+    await this.loadCustomPresets();
+
+    // Listen for watch folder jobs before reading the saved queue, so a job queued meanwhile
+    // isn't missing from the copy the next save writes back
+    this.setupWatchJobListener();
+
+    // Restore queue saved by the main process (survives app restarts)
+    await this.restoreQueue();
+
     // Category accordion buttons
     this.setupCategoryAccordion();
 
@@ -72,6 +142,20 @@ class FormatFactoryManager {
     console.log('[Format Factory] Initialized successfully');
   }
 
+  async loadCodecs() {
+    try {
+      const result = await window.kolboDesktop.ffmpeg.getCodecs();
+      if (result.success) {
+        this.videoCodecs = result.videoCodecs;
+        this.containerCodecs = result.containerCodecs;
+        this.copySources = result.copySources;
+        console.log('[Format Factory] Codecs loaded:', Object.keys(this.videoCodecs).length);
+      }
+    } catch (error) {
+      console.error('[Format Factory] Failed to load codecs:', error);
+    }
+  }
+
   async loadSettings() {
     try {
       // Load output mode
@@ -95,6 +179,80 @@ class FormatFactoryManager {
     }
   }
 
+  async loadCustomPresets() {
+    try {
+      const result = await window.kolboDesktop.ffmpeg.getPresets();
+      if (result.success) {
+        this.customPresets = result.presets || [];
+        console.log('[Format Factory] Custom presets loaded:', this.customPresets.length);
+      }
+    } catch (error) {
+      console.error('[Format Factory] Failed to load custom presets:', error);
+    }
+  }
+
+  setupWatchJobListener() {
+    // Files picked up by watch folders are already queued in the main process
+    window.kolboDesktop.ffmpeg.onWatchJobAdded((job) => {
+      if (this.queue.some(j => j.id === job.id)) return;
+
+      this.queue.push({ ...job, file: null });
+      this.updateTableUI();
+      console.log('[Format Factory] Watch folder queued:', job.fileName);
+    });
+  }
+
+  async restoreQueue() {
+    try {
+      const result = await window.kolboDesktop.ffmpeg.getQueue();
+      if (!result.success || !result.jobs || result.jobs.length === 0) {
+        return;
+      }
+
+      // Restored jobs have no File object - conversion only needs the path
+      // The main process resets jobs interrupted by a quit to pending, so queued/processing jobs here
+      // are really running (watch folder jobs resumed at startup)
+      const restored = result.jobs.map(job => ({
+        ...job,
+        file: null,
+        fileType: job.fileType || '',
+        progress: job.status === 'completed' ? 100 : 0
+      }));
+      // Keep watch folder jobs that arrived while the queue was being read
+      this.queue = [...restored, ...this.queue.filter(job => !restored.some(r => r.id === job.id))];
+
+      console.log('[Format Factory] Restored queue:', this.queue.length, 'job(s)');
+    } catch (error) {
+      console.error('[Format Factory] Failed to restore queue:', error);
+    } finally {
+      this.queueRestored = true;
+      this.updateTableUI();
+    }
+  }
+
+  scheduleQueueSave() {
+    if (!this.queueRestored) return;
+
+    // Debounce saves - updateTableUI runs on every progress tick
+    if (this.saveQueueDebounceTimer) {
+      clearTimeout(this.saveQueueDebounceTimer);
+    }
+    this.saveQueueDebounceTimer = setTimeout(() => {
+      this.saveQueueDebounceTimer = null;
+      this.saveQueue();
+    }, 500);
+  }
+
+  async saveQueue() {
+    try {
+      // Strip non-serializable fields (File object, blob URLs)
+      const jobs = this.queue.map(({ file, thumbnailUrl, ...job }) => job);
+      await window.kolboDesktop.ffmpeg.saveQueue(jobs);
+    } catch (error) {
+      console.error('[Format Factory] Failed to save queue:', error);
+    }
+  }
+
   updateOutputFolderUI() {
     const customFolderCheckbox = document.getElementById('ff-use-custom-folder');
     const outputFolderBtn = document.querySelector('[data-action="output-folder"]');
@@ -297,6 +455,14 @@ class FormatFactoryManager {
       });
     }
 
+    // Watch Folders button
+    const watchFoldersBtn = document.querySelector('[data-action="watch-folders"]');
+    if (watchFoldersBtn) {
+      watchFoldersBtn.addEventListener('click', () => {
+        this.openWatchFoldersModal();
+      });
+    }
+
     // Add Files button (toolbar)
     const addFilesToolbarBtn = document.querySelector('[data-action="add-files"]');
     if (addFilesToolbarBtn) {
@@ -313,6 +479,23 @@ class FormatFactoryManager {
       });
     }
 
+    // Merge Selected button
+    const mergeBtn = document.querySelector('[data-action="merge"]');
+    if (mergeBtn) {
+      mergeBtn.addEventListener('click', () => {
+        this.mergeSelected();
+      });
+    }
+
+    // Select all rows
+    const selectAll = document.getElementById('ff-select-all');
+    if (selectAll) {
+      selectAll.addEventListener('change', () => {
+        this.selectedJobIds = new Set(selectAll.checked ? this.queue.map(j => j.id) : []);
+        this.updateTableUI();
+      });
+    }
+
     // Clear List button
     const clearBtn = document.querySelector('[data-action="clear"]');
     if (clearBtn) {
@@ -321,6 +504,14 @@ class FormatFactoryManager {
       });
     }
 
+    // Pause / Resume button
+    const pauseBtn = document.querySelector('[data-action="pause"]');
+    if (pauseBtn) {
+      pauseBtn.addEventListener('click', () => {
+        this.togglePause();
+      });
+    }
+
     // Stop button
     const stopBtn = document.querySelector('[data-action="stop"]');
     if (stopBtn) {
@@ -373,11 +564,15 @@ class FormatFactoryManager {
     input.click();
   }
 
-  handleFiles(files) {
+  async handleFiles(files) {
     if (!files || files.length === 0) return;
 
     console.log('[Format Factory] Files received:', files.length);
 
+    // Dropped folders are scanned for numbered image sequences
+    files = await this.expandImageSequences(files);
+    if (files.length === 0) return;
+
     // Store files temporarily
     this.pendingFiles = files;
 
@@ -386,6 +581,9 @@ class FormatFactoryManager {
       console.log('[Format Factory] Using pre-selected format:', this.preSelectedFormat);
       this.selectedFormat = this.preSelectedFormat;
       this.selectedType = this.preSelectedType;
+      this.selectedCodec = null; // Use the container's default codec
+      this.selectedCustomPreset = null;
+      this.resetJobOptions();
 
       // Add files to queue immediately
       Array.from(files).forEach(file => {
@@ -405,6 +603,47 @@ class FormatFactoryManager {
     }
   }
 
+  async expandImageSequences(files) {
+    const fileList = Array.from(files);
+    // Folders arrive as entries without a MIME type
+    const candidates = fileList.filter(file => !file.type && file.path);
+    if (candidates.length === 0) return fileList;
+
+    try {
+      const result = await window.kolboDesktop.ffmpeg.detectSequences(candidates.map(file => file.path));
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      if (result.folders.length === 0) return fileList;
+
+      const folders = new Set(result.folders);
+      const sequenceFiles = result.sequences.map(sequence => {
+        if (sequence.missingFrames > 0) {
+          console.warn(`[Format Factory] ${sequence.name}: ${sequence.missingFrames} missing frame(s), only frames ${sequence.startNumber}-${sequence.endNumber} will be used`);
+        }
+
+        // Stand-in for a File so sequences flow through the normal queue
+        return {
+          name: `${sequence.name} [${sequence.startNumber}-${sequence.endNumber}] (${sequence.frameCount} frames)`,
+          path: sequence.firstFrame,
+          size: sequence.totalSize,
+          type: 'video/x-image-sequence',
+          sequence
+        };
+      });
+
+      if (sequenceFiles.length === 0) {
+        alert('No numbered image sequences were found in the dropped folder.\n\nFrames must be named like shot_0001.png, shot_0002.png, ...');
+      }
+
+      console.log('[Format Factory] Image sequences found:', sequenceFiles.length);
+      return fileList.filter(file => !folders.has(file.path)).concat(sequenceFiles);
+    } catch (error) {
+      console.error('[Format Factory] Failed to scan for image sequences:', error);
+      return fileList;
+    }
+  }
+
   showFormatSelectionModal(files) {
     // Detect file types
     const fileTypes = new Set();
@@ -413,6 +652,7 @@ class FormatFactoryManager {
     let hasImage = false;
 
     Array.from(files).forEach(file => {
+      // Image sequences (from dropped folders) convert like videos
       if (file.type.startsWith('video/')) {
         fileTypes.add('video');
         hasVideo = true;
@@ -508,16 +748,20 @@ class FormatFactoryManager {
     if (hasVideo || (!hasVideo && !hasAudio && !hasImage)) {
       const videoSection = this.createFormatSection('Video', 'video', [
         { format: 'mp4', label: 'MP4', icon: '🎬', desc: 'Universal format, best compatibility' },
-        { format: 'mov', label: 'MOV', icon: '🎬', desc: 'Apple QuickTime format' },
+        { format: 'mov', label: 'MOV', icon: '🎬', desc: 'QuickTime, ProRes and DNxHR' },
         { format: 'avi', label: 'AVI', icon: '🎬', desc: 'Windows video format' },
         { format: 'mkv', label: 'MKV', icon: '🎬', desc: 'High quality, supports subtitles' },
-        { format: 'webm', label: 'WEBM', icon: '🎬', desc: 'Web optimized format' }
+        { format: 'webm', label: 'WEBM', icon: '🎬', desc: 'Web optimized format (VP9/AV1)' },
+        { format: 'mxf', label: 'MXF', icon: '🎬', desc: 'Broadcast / Avid (DNxHR)' }
       ]);
       formatsContainer.appendChild(videoSection);
     }
 
+    // Image sequences have no audio to extract
+    const onlySequences = files.length > 0 && Array.from(files).every(file => file.sequence);
+
     // Audio formats - show if uploading audio OR video (extract audio) OR no files yet
-    if (hasAudio || hasVideo || (!hasVideo && !hasAudio && !hasImage)) {
+    if (hasAudio || (hasVideo && !onlySequences) || (!hasVideo && !hasAudio && !hasImage)) {
       const audioTitle = hasVideo && !hasAudio ? 'Audio (Extract from Video)' : 'Audio';
       const audioSection = this.createFormatSection(audioTitle, 'audio', [
         { format: 'mp3', label: 'MP3', icon: '🎵', desc: 'Universal audio format' },
@@ -534,11 +778,70 @@ class FormatFactoryManager {
         { format: 'jpg', label: 'JPG', icon: '🖼️', desc: 'Standard photo format' },
         { format: 'png', label: 'PNG', icon: '🖼️', desc: 'Lossless, supports transparency' },
         { format: 'webp', label: 'WEBP', icon: '🖼️', desc: 'Modern web format' },
-        { format: 'gif', label: 'GIF', icon: '🖼️', desc: 'Animated images' }
+        { format: 'gif', label: 'GIF', icon: '🖼️', desc: 'Single frame (use Animated for clips)' }
       ]);
       formatsContainer.appendChild(imageSection);
     }
 
+    // Image sequence export - one numbered file per frame
+    if (hasVideo || (!hasVideo && !hasAudio && !hasImage)) {
+      const sequenceSection = this.createFormatSection('Image Sequence', 'sequence', [
+        { format: 'png', label: 'PNG', icon: '🎞️', desc: 'Lossless frames' },
+        { format: 'jpg', label: 'JPG', icon: '🎞️', desc: 'Small frames for review' },
+        { format: 'tiff', label: 'TIFF', icon: '🎞️', desc: 'Frames for compositing' }
+      ]);
+      formatsContainer.appendChild(sequenceSection);
+    }
+
+    // Animated GIF / WebP from a clip (uses the trim range)
+    if (hasVideo || (!hasVideo && !hasAudio && !hasImage)) {
+      const animationSection = this.createFormatSection('Animated', 'animation', [
+        { format: 'gif', label: 'GIF', icon: '✨', desc: 'Plays everywhere, optimized palette' },
+        { format: 'webp', label: 'WEBP', icon: '✨', desc: 'Smaller, full color' }
+      ]);
+      formatsContainer.appendChild(animationSection);
+    }
+
+    // Contact sheet - frames sampled across the clip, tiled into one image
+    if ((hasVideo && !onlySequences) || (!hasVideo && !hasAudio && !hasImage)) {
+      const contactSheetSection = this.createFormatSection('Contact Sheet', 'contactsheet', [
+        { format: 'jpg', label: 'JPG', icon: '🗂️', desc: 'Small, easy to share' },
+        { format: 'png', label: 'PNG', icon: '🗂️', desc: 'Lossless' }
+      ]);
+      formatsContainer.appendChild(contactSheetSection);
+    }
+
+    // Saved custom presets that fit the dropped files
+    const availableTypes = this.getAvailableOutputTypes({ hasVideo, hasAudio, hasImage, onlySequences });
+    const customPresetSection = this.createCustomPresetSection(availableTypes);
+
+    // Codec Selector (shown once a video format is picked)
+    const codecSection = this.createCodecSelector();
+
+    // Frame pattern / sequence frame rate (shown when relevant)
+    const sequenceSection = this.createSequenceOptions(Array.from(files).some(file => file.sequence));
+
+    // Frame rate / width / loop count for animations
+    const animationOptions = this.createAnimationOptions();
+
+    // Tile width and timecodes for contact sheets
+    const contactSheetOptions = this.createContactSheetOptions();
+
+    // Loudness, silence, fades and channels for audio outputs
+    const audioProcessingSection = this.createAudioProcessingOptions();
+
+    // Logo or text watermark for video and image outputs
+    const watermarkSection = this.createWatermarkOptions();
+
+    // Speed, reverse and frame rate for video outputs
+    const retimeSection = this.createRetimeOptions();
+
+    // Subtitle file to burn in or add as a track
+    const subtitleSection = this.createSubtitleOptions();
+
+    // LUT, exposure/contrast/saturation/gamma and HDR tone mapping
+    const colorSection = this.createColorOptions();
+
     // Preset Selector
     const presetSection = this.createPresetSelector(hasVideo, hasAudio, hasImage);
 
@@ -609,12 +912,15 @@ class FormatFactoryManager {
       this.tempSelectedType = null;
       this.tempTrimStart = null;
       this.tempTrimEnd = null;
+      this.tempSegments = null;
+      this.tempCrossfade = 0;
+      this.tempReframe = null;
     });
 
     // Trim button (only for single video/audio file)
     const isSingleFile = files.length === 1;
     const firstFile = isSingleFile ? files[0] : null;
-    const canTrim = isSingleFile && firstFile && (firstFile.type.startsWith('video/') || firstFile.type.startsWith('audio/'));
+    const canTrim = isSingleFile && firstFile && !firstFile.sequence && (firstFile.type.startsWith('video/') || firstFile.type.startsWith('audio/'));
 
     let trimBtn = null;
     if (canTrim) {
@@ -705,8 +1011,18 @@ class FormatFactoryManager {
 
     // Assemble modal
     modalContent.appendChild(header);
+    modalContent.appendChild(customPresetSection);
     modalContent.appendChild(formatsContainer);
+    modalContent.appendChild(codecSection);
+    modalContent.appendChild(sequenceSection);
+    modalContent.appendChild(animationOptions);
+    modalContent.appendChild(contactSheetOptions);
     modalContent.appendChild(presetSection);
+    modalContent.appendChild(audioProcessingSection);
+    modalContent.appendChild(watermarkSection);
+    modalContent.appendChild(retimeSection);
+    modalContent.appendChild(subtitleSection);
+    modalContent.appendChild(colorSection);
     modalContent.appendChild(statusDisplay);
     modalContent.appendChild(footer);
     modal.appendChild(modalContent);
@@ -719,6 +1035,9 @@ class FormatFactoryManager {
       this.pendingFiles = null;
       this.tempTrimStart = null;
       this.tempTrimEnd = null;
+      this.tempSegments = null;
+      this.tempCrossfade = 0;
+      this.tempReframe = null;
     });
 
     closeBtn.addEventListener('mouseenter', (e) => {
@@ -755,6 +1074,314 @@ class FormatFactoryManager {
     }
   }
 
+  getAvailableOutputTypes({ hasVideo, hasAudio, hasImage, onlySequences = false }) {
+    const noFiles = !hasVideo && !hasAudio && !hasImage;
+    const types = [];
+
+    if (hasVideo || noFiles) types.push('video');
+    if (hasAudio || (hasVideo && !onlySequences) || noFiles) types.push('audio');
+    if (hasImage || noFiles) types.push('image');
+    if (hasVideo || noFiles) types.push('sequence', 'animation');
+    if ((hasVideo && !onlySequences) || noFiles) types.push('contactsheet');
+
+    return types;
+  }
+
+  createCustomPresetSection(availableTypes, job = null) {
+    this.tempCustomPreset = null;
+
+    const section = document.createElement('div');
+    section.id = 'ff-custom-preset-section';
+    section.dataset.types = availableTypes.join(',');
+    section.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      margin-bottom: 16px;
+      padding-bottom: 16px;
+      border-bottom: 1px solid #474747;
+    `;
+
+    const buttonStyle = `
+      padding: 6px 12px;
+      background: #262626;
+      border: 1px solid #474747;
+      border-radius: 6px;
+      color: rgba(255, 255, 255, 0.8);
+      font-size: 12px;
+      cursor: pointer;
+    `;
+
+    section.innerHTML = `
+      <div style="display: flex; align-items: center; gap: 8px;">
+        <h4 style="margin: 0; flex: 1; color: rgba(255, 255, 255, 0.8); font-size: 14px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px;">My Presets</h4>
+        <button id="ff-custom-preset-import" style="${buttonStyle}">Import</button>
+        <button id="ff-custom-preset-export" style="${buttonStyle}">Export</button>
+      </div>
+      <div id="ff-custom-preset-grid" style="display: grid; grid-template-columns: repeat(auto-fill, minmax(170px, 1fr)); gap: 8px;"></div>
+      <div style="display: flex; gap: 8px;">
+        <input id="ff-custom-preset-name" type="text" maxlength="80" placeholder="Save the selected format and options as..." style="flex: 1; padding: 8px 12px; background: #262626; border: 1px solid #474747; border-radius: 6px; color: #ffffff; font-size: 13px; outline: none;">
+        <button id="ff-custom-preset-save" style="${buttonStyle}">Save Preset</button>
+      </div>
+      <div id="ff-custom-preset-status" style="display: none; font-size: 12px; color: rgba(255, 255, 255, 0.5);"></div>
+    `;
+
+    section.querySelector('#ff-custom-preset-save').addEventListener('click', () => this.saveCurrentAsCustomPreset());
+    section.querySelector('#ff-custom-preset-name').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.saveCurrentAsCustomPreset();
+    });
+    section.querySelector('#ff-custom-preset-export').addEventListener('click', () => this.exportCustomPresets());
+    section.querySelector('#ff-custom-preset-import').addEventListener('click', () => this.importCustomPresets());
+
+    this.renderCustomPresetTiles(section);
+    return section;
+  }
+
+  renderCustomPresetTiles(section = document.getElementById('ff-custom-preset-section')) {
+    if (!section) return;
+
+    const grid = section.querySelector('#ff-custom-preset-grid');
+    const types = section.dataset.types.split(',');
+    const presets = this.customPresets.filter(preset => types.includes(preset.outputType));
+    grid.innerHTML = '';
+
+    if (presets.length === 0) {
+      grid.innerHTML = `<div style="grid-column: 1 / -1; font-size: 12px; color: rgba(255, 255, 255, 0.5);">No saved presets yet. Pick a format and options below, then save them here.</div>`;
+    }
+
+    presets.forEach(preset => {
+      const tile = document.createElement('button');
+      tile.dataset.customPreset = preset.id;
+      tile.title = this.describeCustomPreset(preset);
+      tile.style.cssText = `
+        position: relative;
+        display: flex;
+        flex-direction: column;
+        align-items: flex-start;
+        gap: 4px;
+        padding: 10px 28px 10px 12px;
+        background: #262626;
+        border: 1px solid #474747;
+        border-radius: 8px;
+        color: #ffffff;
+        cursor: pointer;
+        text-align: left;
+      `;
+      tile.innerHTML = `
+        <span style="font-size: 13px; font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; max-width: 100%;"></span>
+        <span style="font-size: 11px; color: rgba(255, 255, 255, 0.5); line-height: 1.3;"></span>
+        <span class="ff-custom-preset-delete" title="Delete preset" style="position: absolute; top: 6px; right: 8px; color: rgba(255, 255, 255, 0.4); font-size: 14px;">×</span>
+      `;
+      // Names come from users and imported files, so never inject them as HTML
+      tile.children[0].textContent = preset.name;
+      tile.children[1].textContent = this.describeCustomPreset(preset);
+
+      tile.addEventListener('click', async (e) => {
+        if (e.target.classList.contains('ff-custom-preset-delete')) {
+          e.stopPropagation();
+          await this.deleteCustomPreset(preset);
+          return;
+        }
+        this.selectCustomPreset(preset);
+      });
+
+      if (this.tempCustomPreset && this.tempCustomPreset.id === preset.id) {
+        tile.style.background = 'linear-gradient(135deg, rgba(59, 130, 246, 0.25), rgba(96, 165, 250, 0.15))';
+        tile.style.borderColor = '#3b82f6';
+      }
+
+      grid.appendChild(tile);
+    });
+  }
+
+  selectCustomPreset(preset) {
+    // Deselect format tiles - the preset decides format and options
+    document.querySelectorAll('#ff-format-modal [data-format]').forEach(btn => {
+      btn.classList.remove('ff-format-selected');
+      btn.style.background = '#262626';
+      btn.style.borderColor = '#474747';
+      btn.style.borderWidth = '1px';
+      btn.style.boxShadow = 'none';
+    });
+    document.querySelectorAll('#ff-format-modal [data-custom-preset]').forEach(tile => {
+      const selected = tile.dataset.customPreset === preset.id;
+      tile.style.background = selected ? 'linear-gradient(135deg, rgba(59, 130, 246, 0.25), rgba(96, 165, 250, 0.15))' : '#262626';
+      tile.style.borderColor = selected ? '#3b82f6' : '#474747';
+    });
+
+    this.tempSelectedFormat = preset.outputFormat;
+    this.tempSelectedType = preset.outputType;
+    this.tempCustomPreset = preset;
+
+    // Hide per-format options, they come from the preset
+    ['ff-codec-section', 'ff-sequence-section', 'ff-animation-section', 'ff-contactsheet-section', 'ff-preset-section', 'ff-audio-processing-section', 'ff-watermark-section', 'ff-retime-section', 'ff-subtitle-section', 'ff-color-section'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.style.display = 'none';
+    });
+
+    const confirmBtn = document.getElementById('ff-modal-confirm');
+    if (confirmBtn) {
+      confirmBtn.disabled = false;
+      confirmBtn.style.opacity = '1';
+      confirmBtn.style.cursor = 'pointer';
+    }
+
+    const statusDisplay = document.getElementById('ff-selection-status');
+    const statusFormat = document.getElementById('ff-status-format');
+    const statusPreset = document.getElementById('ff-status-preset');
+    if (statusDisplay && statusFormat && statusPreset) {
+      statusDisplay.style.display = 'flex';
+      statusFormat.textContent = `${preset.outputFormat.toUpperCase()} (${preset.outputType})`;
+      statusPreset.textContent = preset.name;
+    }
+  }
+
+  clearCustomPresetSelection() {
+    if (!this.tempCustomPreset) return;
+    this.tempCustomPreset = null;
+
+    document.querySelectorAll('#ff-format-modal [data-custom-preset]').forEach(tile => {
+      tile.style.background = '#262626';
+      tile.style.borderColor = '#474747';
+    });
+
+    const presetSection = document.getElementById('ff-preset-section');
+    if (presetSection) presetSection.style.display = 'flex';
+  }
+
+  describeCustomPreset(preset) {
+    const settings = preset.settings || {};
+    const parts = [preset.outputFormat.toUpperCase()];
+
+    if (preset.outputType === 'video') {
+      const codec = this.videoCodecs[settings.codec];
+      if (codec) parts.push(codec.label);
+      parts.push(settings.resolution === 'preset' && settings.maxHeight ? `${settings.maxHeight}p` : 'source size');
+      if (settings.targetSize) parts.push(`fit to ${settings.targetSize} MB`);
+      if (!settings.targetSize && settings.videoQuality) {
+        if (settings.videoQuality.crf) parts.push(`CRF ${settings.videoQuality.crf}`);
+        if (settings.videoQuality.bitrate) parts.push(`max ${settings.videoQuality.bitrate}bps`);
+      }
+      if (settings.retime) parts.push(this.describeRetime(settings.retime));
+      if (settings.subtitles) parts.push(settings.subtitles.mode === 'burn' ? 'burned-in subtitles' : 'subtitle track');
+    } else if (preset.outputType === 'audio') {
+      parts.push(settings.audioBitrate || 'source bitrate');
+      if (settings.processing && settings.processing.loudness) parts.push(settings.processing.loudness);
+    } else if (preset.outputType === 'animation') {
+      parts.push(`${settings.fps} fps`);
+    } else if (preset.outputType === 'sequence') {
+      parts.push('sequence');
+    } else if (preset.outputType === 'contactsheet') {
+      parts.push(`${settings.columns} × ${settings.rows} contact sheet`);
+    }
+
+    if (settings.color) parts.push(this.describeColor(settings.color));
+    if (settings.watermark) parts.push('watermark');
+    if (preset.trim) parts.push(`trim ${preset.trim.start.toFixed(1)}s - ${preset.trim.end.toFixed(1)}s`);
+
+    return parts.join(' · ');
+  }
+
+  setCustomPresetStatus(message, isError = false) {
+    const status = document.getElementById('ff-custom-preset-status');
+    if (!status) return;
+
+    status.textContent = message;
+    status.style.color = isError ? '#f87171' : 'rgba(255, 255, 255, 0.5)';
+    status.style.display = message ? 'block' : 'none';
+  }
+
+  async saveCurrentAsCustomPreset() {
+    const nameInput = document.getElementById('ff-custom-preset-name');
+    const name = nameInput ? nameInput.value.trim() : '';
+    const format = this.tempSelectedFormat;
+    const type = this.tempSelectedType;
+
+    if (!format || !type || this.tempCustomPreset) {
+      this.setCustomPresetStatus('Pick an output format below first.', true);
+      return;
+    }
+    if (!name) {
+      this.setCustomPresetStatus('Enter a name for the preset.', true);
+      return;
+    }
+
+    const { selectedPreset, selectedCodec } = this.readModalOptions(type);
+    const settings = this.getDefaultSettings(type, format, selectedPreset, selectedCodec);
+
+    // Trim range chosen for the file being added (or the job being edited)
+    const job = this.editingJobId ? this.queue.find(j => j.id === this.editingJobId) : null;
+    const trimStart = job ? job.trimStart : this.tempTrimStart;
+    const trimEnd = job ? job.trimEnd : this.tempTrimEnd;
+    const trim = trimStart !== null && trimStart !== undefined && trimEnd !== null && trimEnd !== undefined
+      ? { start: trimStart, end: trimEnd }
+      : null;
+
+    try {
+      const result = await window.kolboDesktop.ffmpeg.savePreset({ name, outputType: type, outputFormat: format, basePreset: selectedPreset, settings, trim });
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to save preset');
+      }
+
+      this.customPresets = result.presets;
+      this.renderCustomPresetTiles();
+      if (nameInput) nameInput.value = '';
+      this.setCustomPresetStatus(`Saved "${result.preset.name}"`);
+    } catch (error) {
+      console.error('[Format Factory] Failed to save custom preset:', error);
+      this.setCustomPresetStatus(error.message, true);
+    }
+  }
+
+  async deleteCustomPreset(preset) {
+    if (!confirm(`Delete preset "${preset.name}"?`)) return;
+
+    const result = await window.kolboDesktop.ffmpeg.deletePreset(preset.id);
+    if (result.presets) {
+      this.customPresets = result.presets;
+    }
+    if (this.tempCustomPreset && this.tempCustomPreset.id === preset.id) {
+      this.clearCustomPresetSelection();
+      this.tempSelectedFormat = null;
+      this.tempSelectedType = null;
+    }
+    this.renderCustomPresetTiles();
+  }
+
+  async exportCustomPresets() {
+    if (this.customPresets.length === 0) {
+      this.setCustomPresetStatus('There are no presets to export yet.', true);
+      return;
+    }
+
+    const result = await window.kolboDesktop.ffmpeg.exportPresets([]);
+    if (result.success) {
+      this.setCustomPresetStatus(`Exported ${result.exported} preset(s)`);
+    } else if (!result.canceled) {
+      this.setCustomPresetStatus(result.error || 'Export failed', true);
+    }
+  }
+
+  async importCustomPresets() {
+    const result = await window.kolboDesktop.ffmpeg.importPresets();
+    if (result.success) {
+      this.customPresets = result.presets;
+      this.renderCustomPresetTiles();
+      const skipped = result.skipped > 0 ? `, skipped ${result.skipped} invalid` : '';
+      const missingLogos = result.missingLogos > 0
+        ? `. ${result.missingLogos} watermark logo(s) weren't found on this computer and were removed`
+        : '';
+      this.setCustomPresetStatus(`Imported ${result.imported} preset(s)${skipped}${missingLogos}`);
+    } else if (!result.canceled) {
+      this.setCustomPresetStatus(result.error || 'Import failed', true);
+    }
+  }
+
+  getCustomPresetSettings(preset) {
+    // Deep copy so editing one job never changes the preset or other jobs
+    return JSON.parse(JSON.stringify(preset.settings));
+  }
+
   createFormatSection(title, type, formats) {
     const section = document.createElement('div');
     section.style.cssText = `
@@ -853,9 +1480,21 @@ class FormatFactoryManager {
         // Store temporary selection
         this.tempSelectedFormat = fmt.format;
         this.tempSelectedType = type;
+        this.clearCustomPresetSelection();
 
         // Update preset dropdown for the selected type
         this.updatePresetDropdownForType(type);
+
+        // Only offer codecs the container can hold
+        this.updateCodecDropdownForFormat(fmt.format, type);
+        this.updateSequenceOptionsForType(type);
+        this.updateAnimationOptionsForType(type);
+        this.updateContactSheetOptionsForType(type);
+        this.updateAudioProcessingForType(type);
+        this.updateWatermarkForType(type);
+        this.updateRetimeForType(type);
+        this.updateSubtitlesForType(type);
+        this.updateColorForType(type);
       });
 
       grid.appendChild(btn);
@@ -892,6 +1531,7 @@ class FormatFactoryManager {
     // Create dropdown
     const select = document.createElement('select');
     select.id = 'ff-preset-select';
+    select.className = 'ff-modal-select';
     select.style.cssText = `
       width: 100%;
       padding: 10px 12px;
@@ -979,26 +1619,26 @@ class FormatFactoryManager {
       style.id = 'ff-preset-dropdown-styles';
       style.textContent = `
         /* Force dark theme on dropdown menus */
-        select#ff-preset-select {
+        select.ff-modal-select {
           color-scheme: dark;
         }
 
-        select#ff-preset-select option {
+        select.ff-modal-select option {
           background-color: #262626 !important;
           color: #ffffff !important;
         }
 
-        select#ff-preset-select option:hover {
+        select.ff-modal-select option:hover {
           background-color: rgba(59, 130, 246, 0.2) !important;
         }
 
-        select#ff-preset-select option:checked,
-        select#ff-preset-select option:focus {
+        select.ff-modal-select option:checked,
+        select.ff-modal-select option:focus {
           background-color: rgba(59, 130, 246, 0.3) !important;
           color: #60a5fa !important;
         }
 
-        select#ff-preset-select option:disabled {
+        select.ff-modal-select option:disabled {
           background-color: #1a1a1a !important;
           color: rgba(255, 255, 255, 0.3) !important;
         }
@@ -1099,33 +1739,1442 @@ class FormatFactoryManager {
     }
   }
 
-  getRememberedPreset(type) {
-    try {
-      return localStorage.getItem(`ff-preset-${type}`) || 'source';
-    } catch (error) {
-      console.error('[Format Factory] Failed to get remembered preset:', error);
-      return 'source';
-    }
-  }
+  createCodecSelector() {
+    const section = document.createElement('div');
+    section.id = 'ff-codec-section';
+    section.style.cssText = `
+      display: none;
+      flex-direction: column;
+      gap: 8px;
+      margin-top: 16px;
+      padding-top: 16px;
+      border-top: 1px solid #474747;
+    `;
 
-  saveRememberedPreset(type, presetId) {
-    try {
-      localStorage.setItem(`ff-preset-${type}`, presetId);
-      console.log('[Format Factory] Saved preset for', type, ':', presetId);
-    } catch (error) {
-      console.error('[Format Factory] Failed to save preset:', error);
-    }
-  }
+    const titleEl = document.createElement('h4');
+    titleEl.textContent = 'Video Codec';
+    titleEl.style.cssText = `
+      margin: 0 0 8px 0;
+      color: rgba(255, 255, 255, 0.8);
+      font-size: 14px;
+      font-weight: 600;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+    `;
+    section.appendChild(titleEl);
 
-  onFormatSelected(format, type) {
-    console.log('[Format Factory] Format selected from modal:', format, type);
+    const select = document.createElement('select');
+    select.id = 'ff-codec-select';
+    select.className = 'ff-modal-select';
+    select.style.cssText = `
+      width: 100%;
+      padding: 10px 12px;
+      background: #262626;
+      border: 1px solid #474747;
+      border-radius: 6px;
+      color: #ffffff;
+      font-size: 13px;
+      cursor: pointer;
+      outline: none;
+      transition: all 0.2s ease;
+      -webkit-appearance: none;
+      -moz-appearance: none;
+      appearance: none;
+      background-image: url("data:image/svg+xml;charset=UTF-8,%3csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 24 24' fill='none' stroke='rgba(255,255,255,0.6)' stroke-width='2' stroke-linecap='round' stroke-linejoin='round'%3e%3cpolyline points='6 9 12 15 18 9'%3e%3c/polyline%3e%3c/svg%3e");
+      background-repeat: no-repeat;
+      background-position: right 8px center;
+      background-size: 16px;
+      padding-right: 32px;
+    `;
+
+    select.addEventListener('mouseenter', () => {
+      select.style.borderColor = '#3b82f6';
+      select.style.background = 'rgba(59, 130, 246, 0.05)';
+    });
+
+    select.addEventListener('mouseleave', () => {
+      select.style.borderColor = '#474747';
+      select.style.background = '#262626';
+    });
+
+    select.addEventListener('change', () => {
+      this.updateCodecStatus(select.value);
+    });
+
+    const hint = document.createElement('div');
+    hint.id = 'ff-codec-hint';
+    hint.style.cssText = `
+      font-size: 12px;
+      color: rgba(255, 255, 255, 0.5);
+    `;
+
+    const frameAccurate = document.createElement('label');
+    frameAccurate.id = 'ff-codec-frame-accurate-row';
+    frameAccurate.style.cssText = `
+      display: none;
+      align-items: center;
+      gap: 8px;
+      font-size: 13px;
+      color: rgba(255, 255, 255, 0.8);
+      cursor: pointer;
+    `;
+    frameAccurate.innerHTML = `<input type="checkbox" id="ff-codec-frame-accurate"> Frame-accurate cuts (re-encodes only the frames around each cut)`;
+    frameAccurate.querySelector('input').checked = this.frameAccurateTrim;
+
+    // Fit to size: the bitrate is worked out from the clip length so the file lands under upload limits
+    const targetSizes = [[10, '10 MB'], [25, '25 MB (Discord)'], [50, '50 MB'], [100, '100 MB (Email / WhatsApp)'], [500, '500 MB']];
+    const fieldStyle = 'padding: 8px 10px; background: #262626; border: 1px solid #474747; border-radius: 6px; color: #ffffff; font-size: 13px; outline: none;';
+    const targetSize = document.createElement('div');
+    targetSize.id = 'ff-codec-target-size-row';
+    targetSize.style.cssText = `
+      display: none;
+      align-items: center;
+      gap: 8px;
+      font-size: 13px;
+      color: rgba(255, 255, 255, 0.8);
+    `;
+    targetSize.innerHTML = `
+      <span style="white-space: nowrap;">Fit to size</span>
+      <select id="ff-codec-target-size" class="ff-modal-select" style="flex: 1; ${fieldStyle}">
+        <option value="">Off - use the preset's quality</option>
+        ${targetSizes.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        <option value="custom">Custom...</option>
+      </select>
+      <input id="ff-codec-target-size-custom" type="number" min="1" step="1" placeholder="MB" style="display: none; width: 80px; ${fieldStyle}">
+    `;
+    targetSize.querySelector('select').addEventListener('change', (e) => {
+      const customInput = targetSize.querySelector('input');
+      customInput.style.display = e.target.value === 'custom' ? 'block' : 'none';
+      if (e.target.value === 'custom') customInput.focus();
+    });
+
+    // Quality level and bitrate cap in place of the preset's (a fit-to-size encode overrides both)
+    const qualityLevels = [[16, 'Near lossless (CRF 16)'], [18, 'Very high (CRF 18)'], [20, 'High (CRF 20)'], [26, 'Smaller (CRF 26)'], [28, 'Small files (CRF 28)']];
+    const quality = document.createElement('div');
+    quality.id = 'ff-codec-quality-row';
+    quality.style.cssText = `
+      display: none;
+      grid-template-columns: repeat(2, 1fr);
+      gap: 8px;
+      font-size: 13px;
+      color: rgba(255, 255, 255, 0.8);
+    `;
+    quality.innerHTML = `
+      <label style="display: flex; flex-direction: column; gap: 4px;">
+        <span>Quality</span>
+        <select id="ff-codec-crf" class="ff-modal-select" style="${fieldStyle}">
+          <option value="">Preset (CRF 23)</option>
+          ${qualityLevels.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>
+      </label>
+      <label style="display: flex; flex-direction: column; gap: 4px;">
+        <span>Max bitrate</span>
+        <input id="ff-codec-bitrate" type="text" placeholder="Preset (e.g. 8M, 2500k)" style="${fieldStyle}">
+      </label>
+    `;
+
+    section.appendChild(select);
+    section.appendChild(hint);
+    section.appendChild(frameAccurate);
+    section.appendChild(quality);
+    section.appendChild(targetSize);
+    this.setTargetSizeControl(this.targetSize, section);
+    this.setVideoQualityControls(this.videoQuality, section);
+    return section;
+  }
+
+  setVideoQualityControls(videoQuality, root = document) {
+    const crfSelect = root.querySelector('#ff-codec-crf');
+    const bitrateInput = root.querySelector('#ff-codec-bitrate');
+    if (!crfSelect || !bitrateInput) return;
+
+    const values = videoQuality || {};
+    crfSelect.value = values.crf ? String(values.crf) : '';
+    bitrateInput.value = values.bitrate || '';
+  }
+
+  readVideoQualityControls() {
+    const crfSelect = document.getElementById('ff-codec-crf');
+    const bitrateInput = document.getElementById('ff-codec-bitrate');
+    if (!crfSelect || !bitrateInput) return null;
+
+    const crf = parseInt(crfSelect.value, 10) || null;
+
+    // Plain numbers are Mbps; anything that isn't a bitrate falls back to the preset's
+    const match = bitrateInput.value.trim().match(/^(\d+(?:\.\d+)?)\s*([kKmM]?)$/);
+    const bitrate = match && parseFloat(match[1]) > 0 ? `${match[1]}${match[2].toLowerCase() === 'k' ? 'k' : 'M'}` : null;
+
+    return crf || bitrate ? { crf, bitrate } : null;
+  }
+
+  setTargetSizeControl(size, root = document) {
+    const select = root.querySelector('#ff-codec-target-size');
+    const customInput = root.querySelector('#ff-codec-target-size-custom');
+    if (!select || !customInput) return;
+
+    const isListed = size && Array.from(select.options).some(option => option.value === String(size));
+    select.value = !size ? '' : isListed ? String(size) : 'custom';
+    customInput.value = size && !isListed ? size : '';
+    customInput.style.display = select.value === 'custom' ? 'block' : 'none';
+  }
+
+  readTargetSizeControl() {
+    const select = document.getElementById('ff-codec-target-size');
+    const customInput = document.getElementById('ff-codec-target-size-custom');
+    if (!select || !select.value) return null;
+
+    const size = parseFloat(select.value === 'custom' ? customInput.value : select.value);
+    return size > 0 ? size : null;
+  }
+
+  canKeepOriginalCodec(format) {
+    const job = this.editingJobId ? this.queue.find(j => j.id === this.editingJobId) : null;
+    const sources = job
+      ? job.merge || [job]
+      : Array.from(this.pendingFiles || []).map(file => ({ filePath: file.path || file.name, sequence: file.sequence }));
+    const allowed = this.copySources[format] || [];
+
+    return sources.length > 0 && sources.every(source =>
+      !source.sequence && allowed.includes(source.filePath.split('.').pop().toLowerCase()));
+  }
+
+  updateCodecDropdownForFormat(format, type, selectedCodec = null) {
+    const section = document.getElementById('ff-codec-section');
+    const select = document.getElementById('ff-codec-select');
+    if (!section || !select) return;
+
+    const codecs = type === 'video' ? [...(this.containerCodecs[format] || [])] : [];
+
+    // Stream copy only when every source's container matches the output
+    if (codecs.length > 0 && this.canKeepOriginalCodec(format)) {
+      codecs.push('copy');
+    }
+
+    // Audio/image outputs and single-codec containers have nothing to choose
+    if (codecs.length === 0) {
+      section.style.display = 'none';
+      select.innerHTML = '';
+      return;
+    }
+
+    select.innerHTML = '';
+    const current = codecs.includes(selectedCodec) ? selectedCodec : this.getDefaultCodec(format);
+
+    codecs.forEach(codecId => {
+      const codec = this.videoCodecs[codecId];
+      const option = document.createElement('option');
+      option.value = codecId;
+      option.textContent = codec.label;
+      option.title = codec.desc;
+      option.style.cssText = `
+        background: #262626;
+        color: #ffffff;
+        padding: 8px 12px;
+      `;
+      if (codecId === current) {
+        option.selected = true;
+      }
+      select.appendChild(option);
+    });
+
+    select.disabled = codecs.length === 1;
+    select.style.cursor = codecs.length === 1 ? 'default' : 'pointer';
+    section.style.display = 'flex';
+    this.updateCodecStatus(current);
+  }
+
+  updateCodecStatus(codecId) {
+    const codec = this.videoCodecs[codecId];
+    const hint = document.getElementById('ff-codec-hint');
+    const statusFormat = document.getElementById('ff-status-format');
+    const frameAccurateRow = document.getElementById('ff-codec-frame-accurate-row');
+
+    if (frameAccurateRow) {
+      frameAccurateRow.style.display = codec && codec.copy ? 'flex' : 'none';
+    }
+
+    // Stream copies and fixed-bitrate editing codecs can't be fitted to a size
+    const targetSizeRow = document.getElementById('ff-codec-target-size-row');
+    if (targetSizeRow) {
+      targetSizeRow.style.display = codec && !codec.copy && !codec.intra ? 'flex' : 'none';
+    }
+    const qualityRow = document.getElementById('ff-codec-quality-row');
+    if (qualityRow) {
+      qualityRow.style.display = codec && !codec.copy && !codec.intra ? 'grid' : 'none';
+    }
+
+    if (hint && codec) {
+      hint.textContent = codec.intra
+        ? `${codec.desc} - large files, preset bitrate is ignored`
+        : codec.desc;
+    }
+
+    if (statusFormat && codec && this.tempSelectedFormat) {
+      statusFormat.textContent = `${this.tempSelectedFormat.toUpperCase()} · ${codec.label} (video)`;
+    }
+  }
+
+  createSequenceOptions(hasSequenceInput, job = null) {
+    const section = document.createElement('div');
+    section.id = 'ff-sequence-section';
+    section.style.cssText = `
+      display: none;
+      flex-direction: column;
+      gap: 12px;
+      margin-top: 16px;
+      padding-top: 16px;
+      border-top: 1px solid #474747;
+    `;
+
+    const fieldStyle = `
+      width: 100%;
+      box-sizing: border-box;
+      padding: 10px 12px;
+      background: #262626;
+      border: 1px solid #474747;
+      border-radius: 6px;
+      color: #ffffff;
+      font-size: 13px;
+      outline: none;
+    `;
+    const labelStyle = `
+      margin: 0 0 8px 0;
+      color: rgba(255, 255, 255, 0.8);
+      font-size: 14px;
+      font-weight: 600;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+    `;
+
+    // Filename pattern for video -> image sequence
+    const patternRow = document.createElement('div');
+    patternRow.id = 'ff-sequence-pattern-row';
+    patternRow.style.cssText = 'display: none; flex-direction: column;';
+    patternRow.innerHTML = `
+      <h4 style="${labelStyle}">Frame File Names</h4>
+      <input type="text" id="ff-sequence-pattern" spellcheck="false" style="${fieldStyle}">
+      <div style="margin-top: 6px; font-size: 12px; color: rgba(255, 255, 255, 0.5);">
+        %05d is the frame number (5 digits), {name} is the source file name. Frames are saved to a new folder.
+      </div>
+    `;
+    patternRow.querySelector('#ff-sequence-pattern').value =
+      (job && job.settings && job.settings.pattern) || this.sequencePattern;
+    section.appendChild(patternRow);
+
+    // Frame rate for image sequence -> video
+    if (hasSequenceInput) {
+      const framerateRow = document.createElement('div');
+      framerateRow.id = 'ff-sequence-framerate-row';
+      framerateRow.style.cssText = 'display: none; flex-direction: column;';
+      framerateRow.innerHTML = `
+        <h4 style="${labelStyle}">Sequence Frame Rate</h4>
+        <select id="ff-sequence-framerate" class="ff-modal-select" style="${fieldStyle} cursor: pointer;">
+          ${[23.976, 24, 25, 29.97, 30, 50, 60].map(rate => `<option value="${rate}">${rate} fps</option>`).join('')}
+        </select>
+      `;
+      framerateRow.querySelector('#ff-sequence-framerate').value =
+        String((job && job.sequence && job.sequence.framerate) || this.sequenceFramerate);
+      section.appendChild(framerateRow);
+    }
+
+    return section;
+  }
+
+  updateSequenceOptionsForType(type) {
+    const section = document.getElementById('ff-sequence-section');
+    if (!section) return;
+
+    const patternRow = document.getElementById('ff-sequence-pattern-row');
+    const framerateRow = document.getElementById('ff-sequence-framerate-row');
+    const showPattern = type === 'sequence';
+    const showFramerate = type === 'video' && Boolean(framerateRow);
+
+    if (patternRow) patternRow.style.display = showPattern ? 'flex' : 'none';
+    if (framerateRow) framerateRow.style.display = showFramerate ? 'flex' : 'none';
+    section.style.display = showPattern || showFramerate ? 'flex' : 'none';
+  }
+
+  createAnimationOptions(job = null) {
+    const section = document.createElement('div');
+    section.id = 'ff-animation-section';
+    section.style.cssText = `
+      display: none;
+      flex-direction: column;
+      gap: 8px;
+      margin-top: 16px;
+      padding-top: 16px;
+      border-top: 1px solid #474747;
+    `;
+
+    const current = job && job.outputType === 'animation' ? job.settings : this.animationOptions;
+    const selectStyle = `
+      width: 100%;
+      padding: 10px 12px;
+      background: #262626;
+      border: 1px solid #474747;
+      border-radius: 6px;
+      color: #ffffff;
+      font-size: 13px;
+      cursor: pointer;
+      outline: none;
+    `;
+    const fieldLabel = (text) => `<div style="margin-bottom: 6px; font-size: 11px; color: rgba(255, 255, 255, 0.5); text-transform: uppercase; letter-spacing: 0.5px;">${text}</div>`;
+
+    section.innerHTML = `
+      <h4 style="margin: 0 0 8px 0; color: rgba(255, 255, 255, 0.8); font-size: 14px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px;">Animation</h4>
+      <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px;">
+        <div>
+          ${fieldLabel('Frame Rate')}
+          <select id="ff-animation-fps" class="ff-modal-select" style="${selectStyle}">
+            ${[8, 10, 12, 15, 20, 24, 30].map(fps => `<option value="${fps}">${fps} fps</option>`).join('')}
+          </select>
+        </div>
+        <div>
+          ${fieldLabel('Width')}
+          <select id="ff-animation-width" class="ff-modal-select" style="${selectStyle}">
+            ${[320, 480, 640, 720, 1080].map(width => `<option value="${width}">${width}px</option>`).join('')}
+            <option value="">Source</option>
+          </select>
+        </div>
+        <div>
+          ${fieldLabel('Loop')}
+          <select id="ff-animation-loop" class="ff-modal-select" style="${selectStyle}">
+            <option value="0">Forever</option>
+            <option value="1">Play once</option>
+            <option value="2">Play 2 times</option>
+            <option value="3">Play 3 times</option>
+            <option value="5">Play 5 times</option>
+          </select>
+        </div>
+      </div>
+      <div style="font-size: 12px; color: rgba(255, 255, 255, 0.5);">
+        Use Trim to pick the part of the clip to animate. Never upscaled beyond the source width.
+      </div>
+    `;
+
+    section.querySelector('#ff-animation-fps').value = String(current.fps || 15);
+    section.querySelector('#ff-animation-width').value = current.width ? String(current.width) : '';
+    section.querySelector('#ff-animation-loop').value = String(current.loop || 0);
+
+    return section;
+  }
+
+  updateAnimationOptionsForType(type) {
+    const section = document.getElementById('ff-animation-section');
+    if (section) {
+      section.style.display = type === 'animation' ? 'flex' : 'none';
+    }
+  }
+
+  createContactSheetOptions(job = null) {
+    const section = document.createElement('div');
+    section.id = 'ff-contactsheet-section';
+    section.style.cssText = `
+      display: none;
+      flex-direction: column;
+      gap: 8px;
+      margin-top: 16px;
+      padding-top: 16px;
+      border-top: 1px solid #474747;
+    `;
+
+    const current = job && job.outputType === 'contactsheet' ? job.settings : this.contactSheetOptions;
+    const selectStyle = `
+      width: 100%;
+      padding: 10px 12px;
+      background: #262626;
+      border: 1px solid #474747;
+      border-radius: 6px;
+      color: #ffffff;
+      font-size: 13px;
+      cursor: pointer;
+      outline: none;
+    `;
+    const fieldLabel = (text) => `<div style="margin-bottom: 6px; font-size: 11px; color: rgba(255, 255, 255, 0.5); text-transform: uppercase; letter-spacing: 0.5px;">${text}</div>`;
+
+    section.innerHTML = `
+      <h4 style="margin: 0 0 8px 0; color: rgba(255, 255, 255, 0.8); font-size: 14px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px;">Contact Sheet</h4>
+      <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 8px; align-items: end;">
+        <div>
+          ${fieldLabel('Frame Width')}
+          <select id="ff-contactsheet-width" class="ff-modal-select" style="${selectStyle}">
+            ${[160, 240, 320, 480, 640].map(width => `<option value="${width}">${width}px</option>`).join('')}
+          </select>
+        </div>
+        <label style="display: flex; align-items: center; gap: 8px; padding: 10px 0; color: rgba(255, 255, 255, 0.8); font-size: 13px; cursor: pointer;">
+          <input type="checkbox" id="ff-contactsheet-timecodes" style="accent-color: #3b82f6;">
+          Show timecodes
+        </label>
+      </div>
+      <div style="font-size: 12px; color: rgba(255, 255, 255, 0.5);">
+        Frames are spread evenly across the video, or across the trim range if one is set. Pick the grid size below.
+      </div>
+    `;
+
+    section.querySelector('#ff-contactsheet-width').value = String(current.width || 320);
+    section.querySelector('#ff-contactsheet-timecodes').checked = current.timecodes !== false;
+
+    return section;
+  }
+
+  updateContactSheetOptionsForType(type) {
+    const section = document.getElementById('ff-contactsheet-section');
+    if (section) {
+      section.style.display = type === 'contactsheet' ? 'flex' : 'none';
+    }
+  }
+
+  createAudioProcessingOptions(job = null) {
+    const section = document.createElement('div');
+    section.id = 'ff-audio-processing-section';
+    section.style.cssText = `
+      display: none;
+      flex-direction: column;
+      gap: 8px;
+      margin-top: 16px;
+      padding-top: 16px;
+      border-top: 1px solid #474747;
+    `;
+
+    const selectStyle = `
+      width: 100%;
+      padding: 10px 12px;
+      background: #262626;
+      border: 1px solid #474747;
+      border-radius: 6px;
+      color: #ffffff;
+      font-size: 13px;
+      cursor: pointer;
+      outline: none;
+    `;
+    const fieldLabel = (text) => `<div style="margin-bottom: 6px; font-size: 11px; color: rgba(255, 255, 255, 0.5); text-transform: uppercase; letter-spacing: 0.5px;">${text}</div>`;
+    const fadeOptions = [0, 0.5, 1, 2, 3, 5].map(sec => `<option value="${sec}">${sec === 0 ? 'None' : `${sec}s`}</option>`).join('');
+
+    section.innerHTML = `
+      <h4 style="margin: 0 0 8px 0; color: rgba(255, 255, 255, 0.8); font-size: 14px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px;">Audio Processing</h4>
+      <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 8px;">
+        <div>
+          ${fieldLabel('Loudness')}
+          <select id="ff-audio-loudness" class="ff-modal-select" style="${selectStyle}">
+            <option value="">Off</option>
+            <option value="streaming">Streaming (-14 LUFS)</option>
+            <option value="podcast">Podcast (-16 LUFS)</option>
+            <option value="broadcast">Broadcast (-23 LUFS, EBU R128)</option>
+          </select>
+        </div>
+        <div>
+          ${fieldLabel('Channels')}
+          <select id="ff-audio-channels" class="ff-modal-select" style="${selectStyle}">
+            <option value="stereo">Keep</option>
+            <option value="mono">Mono (mix)</option>
+            <option value="left">Mono (left only)</option>
+            <option value="right">Mono (right only)</option>
+          </select>
+        </div>
+        <div>
+          ${fieldLabel('Fade In')}
+          <select id="ff-audio-fade-in" class="ff-modal-select" style="${selectStyle}">${fadeOptions}</select>
+        </div>
+        <div>
+          ${fieldLabel('Fade Out')}
+          <select id="ff-audio-fade-out" class="ff-modal-select" style="${selectStyle}">${fadeOptions}</select>
+        </div>
+      </div>
+      <label style="display: flex; align-items: center; gap: 8px; font-size: 13px; color: rgba(255, 255, 255, 0.8); cursor: pointer;">
+        <input type="checkbox" id="ff-audio-limiter"> Peak limiter (no clipping)
+      </label>
+      <label style="display: flex; align-items: center; gap: 8px; font-size: 13px; color: rgba(255, 255, 255, 0.8); cursor: pointer;">
+        <input type="checkbox" id="ff-audio-trim-silence"> Trim silence at start and end
+      </label>
+    `;
+
+    const current = job && job.outputType === 'audio' && job.settings
+      ? job.settings.processing
+      : this.getPresetProcessing(this.getRememberedPreset('audio'));
+    this.setAudioProcessingControls(section, current);
+
+    return section;
+  }
+
+  setAudioProcessingControls(container, processing) {
+    const values = processing || {};
+    const loudness = container.querySelector('#ff-audio-loudness');
+    if (!loudness) return;
+
+    loudness.value = values.loudness || '';
+    container.querySelector('#ff-audio-channels').value = values.channelMode || 'stereo';
+    container.querySelector('#ff-audio-fade-in').value = String(values.fadeIn || 0);
+    container.querySelector('#ff-audio-fade-out').value = String(values.fadeOut || 0);
+    container.querySelector('#ff-audio-limiter').checked = Boolean(values.limiter);
+    container.querySelector('#ff-audio-trim-silence').checked = Boolean(values.trimSilence);
+  }
+
+  readAudioProcessingControls() {
+    const loudness = document.getElementById('ff-audio-loudness');
+    if (!loudness) return null;
+
+    return {
+      loudness: loudness.value || null,
+      channelMode: document.getElementById('ff-audio-channels').value,
+      fadeIn: parseFloat(document.getElementById('ff-audio-fade-in').value) || 0,
+      fadeOut: parseFloat(document.getElementById('ff-audio-fade-out').value) || 0,
+      limiter: document.getElementById('ff-audio-limiter').checked,
+      trimSilence: document.getElementById('ff-audio-trim-silence').checked
+    };
+  }
+
+  getPresetProcessing(presetId) {
+    const preset = this.presets.audio.find(p => p.id === presetId);
+    return preset && preset.processing ? { ...preset.processing } : null;
+  }
+
+  updateAudioProcessingForType(type) {
+    const section = document.getElementById('ff-audio-processing-section');
+    if (!section) return;
+
+    section.style.display = type === 'audio' ? 'flex' : 'none';
+
+    // Loudness presets (Streaming/Podcast/Broadcast) fill in their processing defaults
+    const presetSelect = document.getElementById('ff-preset-select');
+    if (presetSelect && !presetSelect.dataset.audioProcessingListener) {
+      presetSelect.dataset.audioProcessingListener = 'true';
+      presetSelect.addEventListener('change', () => {
+        const processing = presetSelect.dataset.presetType === 'audio' ? this.getPresetProcessing(presetSelect.value) : null;
+        if (processing) {
+          this.setAudioProcessingControls(section, processing);
+        }
+      });
+    }
+  }
+
+  createWatermarkOptions(job = null) {
+    const section = document.createElement('div');
+    section.id = 'ff-watermark-section';
+    section.style.cssText = `
+      display: none;
+      flex-direction: column;
+      gap: 8px;
+      margin-top: 16px;
+      padding-top: 16px;
+      border-top: 1px solid #474747;
+    `;
+
+    const selectStyle = `
+      width: 100%;
+      padding: 10px 12px;
+      background: #262626;
+      border: 1px solid #474747;
+      border-radius: 6px;
+      color: #ffffff;
+      font-size: 13px;
+      cursor: pointer;
+      outline: none;
+    `;
+    const fieldLabel = (text) => `<div style="margin-bottom: 6px; font-size: 11px; color: rgba(255, 255, 255, 0.5); text-transform: uppercase; letter-spacing: 0.5px;">${text}</div>`;
+
+    section.innerHTML = `
+      <h4 style="margin: 0 0 8px 0; color: rgba(255, 255, 255, 0.8); font-size: 14px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px;">Watermark</h4>
+      <select id="ff-watermark-type" class="ff-modal-select" style="${selectStyle}">
+        <option value="none">None</option>
+        <option value="image">Logo (PNG)</option>
+        <option value="text">Text</option>
+      </select>
+      <div id="ff-watermark-logo-row" style="display: none; align-items: center; gap: 8px;">
+        <button id="ff-watermark-logo-btn" style="padding: 8px 14px; background: #262626; border: 1px solid #474747; border-radius: 6px; color: #ffffff; font-size: 13px; cursor: pointer; white-space: nowrap;">Choose Logo...</button>
+        <span id="ff-watermark-logo-name" style="font-size: 12px; color: rgba(255, 255, 255, 0.6); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">No logo selected</span>
+      </div>
+      <input id="ff-watermark-text" type="text" placeholder="Watermark text" style="display: none; padding: 10px 12px; background: #262626; border: 1px solid #474747; border-radius: 6px; color: #ffffff; font-size: 13px; outline: none;">
+      <div id="ff-watermark-layout" style="display: none; grid-template-columns: repeat(3, 1fr); gap: 8px;">
+        <div>
+          ${fieldLabel('Position')}
+          <select id="ff-watermark-position" class="ff-modal-select" style="${selectStyle}">
+            <option value="bottom-right">Bottom right</option>
+            <option value="bottom-left">Bottom left</option>
+            <option value="top-right">Top right</option>
+            <option value="top-left">Top left</option>
+            <option value="center">Center</option>
+          </select>
+        </div>
+        <div>
+          ${fieldLabel('Size')}
+          <select id="ff-watermark-scale" class="ff-modal-select" style="${selectStyle}">
+            ${[0.05, 0.1, 0.15, 0.2, 0.25, 0.33].map(scale => `<option value="${scale}">${Math.round(scale * 100)}%</option>`).join('')}
+          </select>
+        </div>
+        <div>
+          ${fieldLabel('Opacity')}
+          <select id="ff-watermark-opacity" class="ff-modal-select" style="${selectStyle}">
+            ${[1, 0.8, 0.6, 0.4, 0.2].map(opacity => `<option value="${opacity}">${Math.round(opacity * 100)}%</option>`).join('')}
+          </select>
+        </div>
+      </div>
+      <div id="ff-watermark-hint" style="display: none; font-size: 12px; color: rgba(255, 255, 255, 0.5);">
+        Size is relative to the output width, so the watermark looks the same on every resolution.
+      </div>
+      <label id="ff-watermark-remember-row" style="display: none; align-items: center; gap: 8px; font-size: 13px; color: rgba(255, 255, 255, 0.8); cursor: pointer;">
+        <input type="checkbox" id="ff-watermark-remember"> Use this watermark for future conversions
+      </label>
+    `;
+
+    const current = job && job.settings && ['video', 'image', 'sequence'].includes(job.outputType)
+      ? job.settings.watermark
+      : this.getRememberedWatermark();
+    const values = current || {};
+
+    const typeSelect = section.querySelector('#ff-watermark-type');
+    const logoName = section.querySelector('#ff-watermark-logo-name');
+    typeSelect.value = values.type || 'none';
+    section.dataset.imagePath = values.imagePath || '';
+    if (values.imagePath) {
+      logoName.textContent = values.imagePath.split(/[/\\]/).pop();
+      logoName.title = values.imagePath;
+    }
+    section.querySelector('#ff-watermark-text').value = values.text || '';
+    section.querySelector('#ff-watermark-position').value = values.position || 'bottom-right';
+    section.querySelector('#ff-watermark-scale').value = String(values.scale || 0.15);
+    section.querySelector('#ff-watermark-opacity').value = String(values.opacity || 0.8);
+    section.querySelector('#ff-watermark-remember').checked = !!this.getRememberedWatermark();
+
+    const updateVisibility = () => {
+      const type = typeSelect.value;
+      section.querySelector('#ff-watermark-logo-row').style.display = type === 'image' ? 'flex' : 'none';
+      section.querySelector('#ff-watermark-text').style.display = type === 'text' ? 'block' : 'none';
+      section.querySelector('#ff-watermark-layout').style.display = type === 'none' ? 'none' : 'grid';
+      section.querySelector('#ff-watermark-hint').style.display = type === 'none' ? 'none' : 'block';
+      section.querySelector('#ff-watermark-remember-row').style.display = type === 'none' ? 'none' : 'flex';
+    };
+    typeSelect.addEventListener('change', updateVisibility);
+    updateVisibility();
+
+    section.querySelector('#ff-watermark-logo-btn').addEventListener('click', async () => {
+      if (!window.kolboDesktop || !window.kolboDesktop.ffmpeg) return;
+
+      const result = await window.kolboDesktop.ffmpeg.selectWatermarkImage();
+      if (result.success && result.filePath) {
+        section.dataset.imagePath = result.filePath;
+        logoName.textContent = result.filePath.split(/[/\\]/).pop();
+        logoName.title = result.filePath;
+      }
+    });
+
+    return section;
+  }
+
+  createRetimeOptions(job = null) {
+    const section = document.createElement('div');
+    section.id = 'ff-retime-section';
+    section.style.cssText = `
+      display: none;
+      flex-direction: column;
+      gap: 8px;
+      margin-top: 16px;
+      padding-top: 16px;
+      border-top: 1px solid #474747;
+    `;
+
+    const selectStyle = `
+      width: 100%;
+      padding: 10px 12px;
+      background: #262626;
+      border: 1px solid #474747;
+      border-radius: 6px;
+      color: #ffffff;
+      font-size: 13px;
+      cursor: pointer;
+      outline: none;
+    `;
+    const fieldLabel = (text) => `<div style="margin-bottom: 6px; font-size: 11px; color: rgba(255, 255, 255, 0.5); text-transform: uppercase; letter-spacing: 0.5px;">${text}</div>`;
+
+    section.innerHTML = `
+      <h4 style="margin: 0 0 8px 0; color: rgba(255, 255, 255, 0.8); font-size: 14px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px;">Speed & Frame Rate</h4>
+      <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px;">
+        <div>
+          ${fieldLabel('Speed')}
+          <select id="ff-retime-speed" class="ff-modal-select" style="${selectStyle}">
+            ${[0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4].map(speed => `<option value="${speed}">${speed}x${speed === 1 ? ' (normal)' : ''}</option>`).join('')}
+          </select>
+        </div>
+        <div>
+          ${fieldLabel('Frame Rate')}
+          <select id="ff-retime-framerate" class="ff-modal-select" style="${selectStyle}">
+            <option value="">Source</option>
+            ${[23.976, 24, 25, 29.97, 30, 50, 59.94, 60].map(fps => `<option value="${fps}">${fps} fps</option>`).join('')}
+          </select>
+        </div>
+        <div>
+          ${fieldLabel('Method')}
+          <select id="ff-retime-mode" class="ff-modal-select" style="${selectStyle}">
+            <option value="conform">Conform (every frame)</option>
+            <option value="interpolate">Interpolate (smooth)</option>
+            <option value="resample">Drop / repeat frames</option>
+          </select>
+        </div>
+      </div>
+      <label style="display: flex; align-items: center; gap: 8px; font-size: 13px; color: rgba(255, 255, 255, 0.8); cursor: pointer;">
+        <input id="ff-retime-reverse" type="checkbox" style="cursor: pointer;">
+        Play in reverse
+      </label>
+      <div id="ff-retime-hint" style="font-size: 12px; color: rgba(255, 255, 255, 0.5);"></div>
+    `;
+
+    const current = job && job.settings && job.outputType === 'video' ? job.settings.retime : this.retime;
+    const values = current || {};
+
+    const speedSelect = section.querySelector('#ff-retime-speed');
+    const framerateSelect = section.querySelector('#ff-retime-framerate');
+    const modeSelect = section.querySelector('#ff-retime-mode');
+    speedSelect.value = String(values.speed || 1);
+    framerateSelect.value = values.frameRate ? String(values.frameRate) : '';
+    modeSelect.value = values.frameRateMode || 'conform';
+    section.querySelector('#ff-retime-reverse').checked = Boolean(values.reverse);
+
+    const updateHint = () => {
+      const hints = {
+        conform: 'Conform plays every source frame at the new rate, so the speed changes with it (24 to 25 fps runs 4% faster). Audio keeps its pitch.',
+        interpolate: 'Interpolate builds in-between frames from motion - smooth slow motion, but slow to render.',
+        resample: 'Frames are dropped or repeated to reach the new rate. The length only changes with the speed.'
+      };
+      section.querySelector('#ff-retime-hint').textContent = `${hints[modeSelect.value]} Not available with "Keep original codec".`;
+    };
+    modeSelect.addEventListener('change', updateHint);
+    updateHint();
+
+    return section;
+  }
+
+  createSubtitleOptions(job = null) {
+    const section = document.createElement('div');
+    section.id = 'ff-subtitle-section';
+    section.style.cssText = `
+      display: none;
+      flex-direction: column;
+      gap: 8px;
+      margin-top: 16px;
+      padding-top: 16px;
+      border-top: 1px solid #474747;
+    `;
+
+    const selectStyle = `
+      width: 100%;
+      padding: 10px 12px;
+      background: #262626;
+      border: 1px solid #474747;
+      border-radius: 6px;
+      color: #ffffff;
+      font-size: 13px;
+      cursor: pointer;
+      outline: none;
+    `;
+    const fieldLabel = (text) => `<div style="margin-bottom: 6px; font-size: 11px; color: rgba(255, 255, 255, 0.5); text-transform: uppercase; letter-spacing: 0.5px;">${text}</div>`;
+
+    section.innerHTML = `
+      <h4 style="margin: 0 0 8px 0; color: rgba(255, 255, 255, 0.8); font-size: 14px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px;">Subtitles</h4>
+      <select id="ff-subtitle-mode" class="ff-modal-select" style="${selectStyle}">
+        <option value="none">None</option>
+        <option value="burn">Burn into video</option>
+        <option value="soft">Subtitle track (MP4, MKV, MOV)</option>
+      </select>
+      <div id="ff-subtitle-file-row" style="display: none; align-items: center; gap: 8px;">
+        <button id="ff-subtitle-file-btn" style="padding: 8px 14px; background: #262626; border: 1px solid #474747; border-radius: 6px; color: #ffffff; font-size: 13px; cursor: pointer; white-space: nowrap;">Choose Subtitles...</button>
+        <span id="ff-subtitle-file-name" style="font-size: 12px; color: rgba(255, 255, 255, 0.6); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">No file selected</span>
+      </div>
+      <div id="ff-subtitle-style" style="display: none; grid-template-columns: repeat(4, 1fr); gap: 8px;">
+        <div>
+          ${fieldLabel('Font')}
+          <select id="ff-subtitle-font" class="ff-modal-select" style="${selectStyle}">
+            ${['Arial', 'Helvetica', 'Verdana', 'Roboto', 'Impact'].map(font => `<option value="${font}">${font}</option>`).join('')}
+          </select>
+        </div>
+        <div>
+          ${fieldLabel('Size')}
+          <select id="ff-subtitle-size" class="ff-modal-select" style="${selectStyle}">
+            <option value="14">Small</option>
+            <option value="18">Medium</option>
+            <option value="24">Large</option>
+            <option value="32">Extra large</option>
+          </select>
+        </div>
+        <div>
+          ${fieldLabel('Outline')}
+          <select id="ff-subtitle-outline" class="ff-modal-select" style="${selectStyle}">
+            <option value="0">None</option>
+            <option value="1">Thin</option>
+            <option value="2">Medium</option>
+            <option value="3">Thick</option>
+          </select>
+        </div>
+        <div>
+          ${fieldLabel('Position')}
+          <select id="ff-subtitle-position" class="ff-modal-select" style="${selectStyle}">
+            <option value="bottom">Bottom</option>
+            <option value="middle">Middle</option>
+            <option value="top">Top</option>
+          </select>
+        </div>
+      </div>
+      <input id="ff-subtitle-language" type="text" maxlength="3" placeholder="Language code, e.g. eng (optional)" style="display: none; padding: 10px 12px; background: #262626; border: 1px solid #474747; border-radius: 6px; color: #ffffff; font-size: 13px; outline: none;">
+      <div id="ff-subtitle-hint" style="display: none; font-size: 12px; color: rgba(255, 255, 255, 0.5);"></div>
+    `;
+
+    // A new batch keeps the last mode and style, but not the previous video's subtitle file
+    const current = job && job.settings && job.outputType === 'video'
+      ? job.settings.subtitles
+      : (this.subtitles && { ...this.subtitles, filePath: null });
+    const values = current || {};
+    const style = values.style || {};
+
+    const modeSelect = section.querySelector('#ff-subtitle-mode');
+    const fileName = section.querySelector('#ff-subtitle-file-name');
+    modeSelect.value = values.mode || 'none';
+    section.dataset.filePath = values.filePath || '';
+    if (values.filePath) {
+      fileName.textContent = values.filePath.split(/[/\\]/).pop();
+      fileName.title = values.filePath;
+    }
+    section.querySelector('#ff-subtitle-font').value = style.font || 'Arial';
+    section.querySelector('#ff-subtitle-size').value = String(style.size || 18);
+    section.querySelector('#ff-subtitle-outline').value = String(style.outline !== undefined ? style.outline : 2);
+    section.querySelector('#ff-subtitle-position').value = style.position || 'bottom';
+    section.querySelector('#ff-subtitle-language').value = values.language || '';
+
+    const updateVisibility = () => {
+      const mode = modeSelect.value;
+      const hint = section.querySelector('#ff-subtitle-hint');
+      section.querySelector('#ff-subtitle-file-row').style.display = mode === 'none' ? 'none' : 'flex';
+      section.querySelector('#ff-subtitle-style').style.display = mode === 'burn' ? 'grid' : 'none';
+      section.querySelector('#ff-subtitle-language').style.display = mode === 'soft' ? 'block' : 'none';
+      hint.style.display = mode === 'none' ? 'none' : 'block';
+      hint.textContent = mode === 'burn'
+        ? 'Captions are drawn into the picture, so they show everywhere. Needs a codec that re-encodes; the style replaces the file\'s own.'
+        : 'Viewers can turn the track on and off. Works with "Keep original codec"; MP4 and MOV keep the text but not its styling.';
+    };
+    modeSelect.addEventListener('change', updateVisibility);
+    updateVisibility();
+
+    section.querySelector('#ff-subtitle-file-btn').addEventListener('click', async () => {
+      if (!window.kolboDesktop || !window.kolboDesktop.ffmpeg) return;
+
+      const result = await window.kolboDesktop.ffmpeg.selectSubtitleFile();
+      if (result.success && result.filePath) {
+        section.dataset.filePath = result.filePath;
+        fileName.textContent = result.filePath.split(/[/\\]/).pop();
+        fileName.title = result.filePath;
+      }
+    });
+
+    return section;
+  }
+
+  updateSubtitlesForType(type) {
+    const section = document.getElementById('ff-subtitle-section');
+    if (section) {
+      section.style.display = type === 'video' ? 'flex' : 'none';
+    }
+  }
+
+  readSubtitleControls() {
+    const section = document.getElementById('ff-subtitle-section');
+    const modeSelect = document.getElementById('ff-subtitle-mode');
+    if (!section || !modeSelect) return this.subtitles;
+
+    // No mode or no file means no subtitles
+    const filePath = section.dataset.filePath || null;
+    if (modeSelect.value === 'none' || !filePath) {
+      return null;
+    }
+
+    return {
+      filePath,
+      mode: modeSelect.value,
+      language: document.getElementById('ff-subtitle-language').value.trim().toLowerCase() || null,
+      style: {
+        font: document.getElementById('ff-subtitle-font').value,
+        size: parseInt(document.getElementById('ff-subtitle-size').value, 10),
+        outline: parseFloat(document.getElementById('ff-subtitle-outline').value),
+        position: document.getElementById('ff-subtitle-position').value
+      }
+    };
+  }
+
+  inspectJob(jobId) {
+    const job = this.queue.find(j => j.id === jobId);
+    if (!job || !job.filePath) return;
+
+    if (!window.MediaInspector) {
+      console.error('[Format Factory] MediaInspector not loaded');
+      alert('Media inspector not loaded. Please restart the application.');
+      return;
+    }
+    if (!this.mediaInspector) {
+      this.mediaInspector = new window.MediaInspector();
+    }
+    this.mediaInspector.open(job.filePath, job.fileName);
+  }
+
+  async extractSubtitles(jobId) {
+    const job = this.queue.find(j => j.id === jobId);
+    if (!job || !job.filePath) return;
+
+    // Saved with the conversions: the custom output folder, or next to the source
+    const outputFolder = this.outputMode === 'custom' && this.outputFolder ? this.outputFolder : null;
+
+    try {
+      const result = await window.kolboDesktop.ffmpeg.extractSubtitles(job.filePath, outputFolder);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const skipped = result.skipped.length > 0
+        ? `\n\n${result.skipped.length} picture-based track(s) (${result.skipped.join(', ')}) can't be saved as SRT and were skipped.`
+        : '';
+      const saved = result.files.map(file => file.split(/[/\\]/).pop()).join('\n');
+      alert(result.files.length > 0 ? `Saved ${result.files.length} subtitle track(s) as SRT:\n${saved}${skipped}` : `No text subtitle tracks to save.${skipped}`);
+    } catch (error) {
+      console.error('[Format Factory] Failed to extract subtitles:', error);
+      alert(`Couldn't extract subtitles: ${error.message}`);
+    }
+  }
+
+  createColorOptions(job = null) {
+    const section = document.createElement('div');
+    section.id = 'ff-color-section';
+    section.style.cssText = `
+      display: none;
+      flex-direction: column;
+      gap: 8px;
+      margin-top: 16px;
+      padding-top: 16px;
+      border-top: 1px solid #474747;
+    `;
+
+    const selectStyle = `
+      width: 100%;
+      padding: 10px 12px;
+      background: #262626;
+      border: 1px solid #474747;
+      border-radius: 6px;
+      color: #ffffff;
+      font-size: 13px;
+      cursor: pointer;
+      outline: none;
+    `;
+    const buttonStyle = 'padding: 8px 14px; background: #262626; border: 1px solid #474747; border-radius: 6px; color: #ffffff; font-size: 13px; cursor: pointer; white-space: nowrap;';
+    const fieldLabel = (text) => `<div style="margin-bottom: 6px; font-size: 11px; color: rgba(255, 255, 255, 0.5); text-transform: uppercase; letter-spacing: 0.5px;">${text}</div>`;
+    const factorOptions = (values, labels = {}) => values
+      .map(value => `<option value="${value}">${labels[value] || (value === 1 ? 'Normal' : `${value}x`)}</option>`)
+      .join('');
+
+    section.innerHTML = `
+      <h4 style="margin: 0 0 8px 0; color: rgba(255, 255, 255, 0.8); font-size: 14px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px;">Color</h4>
+      <div style="display: flex; align-items: center; gap: 8px;">
+        <button id="ff-color-lut-btn" style="${buttonStyle}">Choose LUT...</button>
+        <span id="ff-color-lut-name" style="flex: 1; font-size: 12px; color: rgba(255, 255, 255, 0.6); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">No LUT (.cube)</span>
+        <button id="ff-color-lut-clear" style="${buttonStyle} display: none;">Remove</button>
+      </div>
+      <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px;">
+        <div>
+          ${fieldLabel('Exposure')}
+          <select id="ff-color-exposure" class="ff-modal-select" style="${selectStyle}">
+            ${[-2, -1.5, -1, -0.5, 0, 0.5, 1, 1.5, 2].map(stops => `<option value="${stops}">${stops === 0 ? 'Normal' : `${stops > 0 ? '+' : ''}${stops} stop${Math.abs(stops) > 1 ? 's' : ''}`}</option>`).join('')}
+          </select>
+        </div>
+        <div>
+          ${fieldLabel('Contrast')}
+          <select id="ff-color-contrast" class="ff-modal-select" style="${selectStyle}">
+            ${factorOptions([0.8, 0.9, 1, 1.1, 1.2, 1.3, 1.5])}
+          </select>
+        </div>
+        <div>
+          ${fieldLabel('Saturation')}
+          <select id="ff-color-saturation" class="ff-modal-select" style="${selectStyle}">
+            ${factorOptions([0, 0.5, 0.8, 1, 1.2, 1.5, 2], { 0: 'Black & white' })}
+          </select>
+        </div>
+        <div>
+          ${fieldLabel('Gamma')}
+          <select id="ff-color-gamma" class="ff-modal-select" style="${selectStyle}">
+            ${factorOptions([0.8, 0.9, 1, 1.1, 1.2])}
+          </select>
+        </div>
+      </div>
+      <label style="display: flex; align-items: center; gap: 8px; font-size: 13px; color: rgba(255, 255, 255, 0.8); cursor: pointer;">
+        <input id="ff-color-tonemap" type="checkbox" style="cursor: pointer;">
+        Tone-map HDR (PQ / HLG) to SDR Rec.709
+      </label>
+      <div style="font-size: 12px; color: rgba(255, 255, 255, 0.5);">Exposure is applied before the LUT; contrast, saturation and gamma after it. Only HDR sources are tone-mapped. Open the trimmer to compare a frame before and after. Not available with "Keep original codec".</div>
+    `;
+
+    const current = job && job.settings && ['video', 'image', 'sequence'].includes(job.outputType) ? job.settings.color : this.color;
+    const values = current || {};
+
+    const lutName = section.querySelector('#ff-color-lut-name');
+    const clearButton = section.querySelector('#ff-color-lut-clear');
+    const showLut = (lutPath) => {
+      section.dataset.lutPath = lutPath || '';
+      lutName.textContent = lutPath ? lutPath.split(/[/\\]/).pop() : 'No LUT (.cube)';
+      lutName.title = lutPath || '';
+      clearButton.style.display = lutPath ? 'block' : 'none';
+    };
+    showLut(values.lutPath);
+    section.querySelector('#ff-color-exposure').value = String(values.exposure || 0);
+    section.querySelector('#ff-color-contrast').value = String(values.contrast || 1);
+    section.querySelector('#ff-color-saturation').value = String(values.saturation !== undefined ? values.saturation : 1);
+    section.querySelector('#ff-color-gamma').value = String(values.gamma || 1);
+    section.querySelector('#ff-color-tonemap').checked = Boolean(values.tonemap);
+
+    section.querySelector('#ff-color-lut-btn').addEventListener('click', async () => {
+      if (!window.kolboDesktop || !window.kolboDesktop.ffmpeg) return;
+
+      const result = await window.kolboDesktop.ffmpeg.selectLutFile();
+      if (result.success && result.filePath) {
+        showLut(result.filePath);
+      }
+    });
+    clearButton.addEventListener('click', () => showLut(null));
+
+    return section;
+  }
+
+  updateColorForType(type) {
+    const section = document.getElementById('ff-color-section');
+    if (section) {
+      section.style.display = ['video', 'image', 'sequence'].includes(type) ? 'flex' : 'none';
+    }
+  }
+
+  readColorControls() {
+    const section = document.getElementById('ff-color-section');
+    if (!section) return this.color;
+
+    const color = {
+      lutPath: section.dataset.lutPath || null,
+      exposure: parseFloat(document.getElementById('ff-color-exposure').value) || 0,
+      contrast: parseFloat(document.getElementById('ff-color-contrast').value) || 1,
+      saturation: parseFloat(document.getElementById('ff-color-saturation').value),
+      gamma: parseFloat(document.getElementById('ff-color-gamma').value) || 1,
+      tonemap: document.getElementById('ff-color-tonemap').checked
+    };
+
+    // No LUT, every adjustment at normal and no tone mapping leaves the picture alone
+    if (!color.lutPath && !color.exposure && color.contrast === 1 && color.saturation === 1 && color.gamma === 1 && !color.tonemap) {
+      return null;
+    }
+    return color;
+  }
+
+  describeColor(color) {
+    const parts = [];
+    if (color.lutPath) parts.push(color.lutPath.split(/[/\\]/).pop().replace(/\.cube$/i, ''));
+    if (color.exposure || color.contrast !== 1 || color.saturation !== 1 || color.gamma !== 1) parts.push('color adjusted');
+    if (color.tonemap) parts.push('HDR to SDR');
+    return parts.join(', ');
+  }
+
+  /**
+   * Render a before/after frame for the trimmer
+   * @returns {Promise<Object>} { before, after } image URLs
+   */
+  async previewColor(filePath, time, color) {
+    const result = await window.kolboDesktop.ffmpeg.previewColor(filePath, time, color);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return { before: result.before, after: result.after };
+  }
+
+  updateRetimeForType(type) {
+    const section = document.getElementById('ff-retime-section');
+    if (section) {
+      section.style.display = type === 'video' ? 'flex' : 'none';
+    }
+  }
+
+  readRetimeControls() {
+    const speedSelect = document.getElementById('ff-retime-speed');
+    if (!speedSelect) return this.retime;
+
+    const speed = parseFloat(speedSelect.value) || 1;
+    const frameRate = parseFloat(document.getElementById('ff-retime-framerate').value) || null;
+    const reverse = document.getElementById('ff-retime-reverse').checked;
+
+    // Normal speed at the source rate, played forwards, leaves the video alone
+    if (speed === 1 && !frameRate && !reverse) {
+      return null;
+    }
+
+    return {
+      speed,
+      reverse,
+      frameRate,
+      frameRateMode: document.getElementById('ff-retime-mode').value
+    };
+  }
+
+  describeRetime(retime) {
+    const parts = [];
+    if (retime.speed && retime.speed !== 1) parts.push(`${retime.speed}x`);
+    if (retime.reverse) parts.push('reversed');
+    if (retime.frameRate) parts.push(`${retime.frameRate} fps${retime.frameRateMode === 'conform' ? ' conform' : ''}`);
+    return parts.join(', ');
+  }
+
+  /**
+   * " (0:30 → 0:15)" once the source length is known; starts reading it otherwise
+   */
+  getRetimePreview(job) {
+    if (job.sourceDuration === undefined) {
+      if (!this.sourceInfoLoading.has(job.id)) {
+        this.loadSourceInfo(job);
+      }
+      return '';
+    }
+    if (!job.sourceDuration) return '';
+
+    let length = job.sourceDuration;
+    if (job.hasTrim && job.segments) {
+      length = job.segments.reduce((total, segment) => total + segment.end - segment.start, 0) -
+        (job.crossfade || 0) * (job.segments.length - 1);
+    } else if (job.hasTrim && job.trimEnd !== undefined) {
+      length = job.trimEnd - job.trimStart;
+    }
+
+    // Same factor as the main process: speed, times the conform ratio
+    const retime = job.settings.retime;
+    const conform = retime.frameRate && retime.frameRateMode === 'conform' && job.sourceFps ? retime.frameRate / job.sourceFps : 1;
+    const output = length / ((retime.speed || 1) * conform);
+    return ` (${this.formatDuration(length)} → ${this.formatDuration(output)})`;
+  }
+
+  async loadSourceInfo(job) {
+    this.sourceInfoLoading.add(job.id);
+
+    try {
+      // A merged job's length is the sum of its (trimmed) inputs
+      const inputs = job.merge || [{ filePath: job.filePath }];
+      let total = 0;
+      let fps = null;
+      for (const input of inputs) {
+        const result = await window.kolboDesktop.ffmpeg.getMediaInfo(input.filePath);
+        if (!result.success) throw new Error(result.error);
+
+        total += input.trimEnd !== undefined ? input.trimEnd - input.trimStart : result.info.duration;
+        fps = fps || result.info.fps;
+      }
+      job.sourceDuration = total;
+      job.sourceFps = fps;
+      this.scheduleTableUpdate();
+    } catch (error) {
+      console.error('[Format Factory] Failed to read source duration:', error);
+      job.sourceDuration = 0; // Don't retry, just leave the preview out
+    } finally {
+      this.sourceInfoLoading.delete(job.id);
+    }
+  }
+
+  formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const minutes = Math.floor(total / 60);
+    return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  updateWatermarkForType(type) {
+    const section = document.getElementById('ff-watermark-section');
+    if (section) {
+      section.style.display = ['video', 'image', 'sequence'].includes(type) ? 'flex' : 'none';
+    }
+  }
+
+  readWatermarkControls() {
+    const section = document.getElementById('ff-watermark-section');
+    const typeSelect = document.getElementById('ff-watermark-type');
+    if (!section || !typeSelect) return this.watermark;
+
+    const type = typeSelect.value;
+    const imagePath = section.dataset.imagePath || null;
+    const text = document.getElementById('ff-watermark-text').value.trim();
+
+    // A logo watermark without a logo (or empty text) means no watermark
+    if (type === 'none' || (type === 'image' && !imagePath) || (type === 'text' && !text)) {
+      return null;
+    }
+
+    return {
+      type,
+      imagePath: type === 'image' ? imagePath : null,
+      text: type === 'text' ? text : null,
+      position: document.getElementById('ff-watermark-position').value,
+      scale: parseFloat(document.getElementById('ff-watermark-scale').value) || 0.15,
+      opacity: parseFloat(document.getElementById('ff-watermark-opacity').value) || 0.8,
+      margin: 0.03
+    };
+  }
+
+  getRememberedWatermark() {
+    try {
+      const saved = localStorage.getItem('ff-watermark');
+      return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+      console.error('[Format Factory] Failed to get remembered watermark:', error);
+      return null;
+    }
+  }
+
+  saveRememberedWatermark(watermark) {
+    try {
+      if (watermark) {
+        localStorage.setItem('ff-watermark', JSON.stringify(watermark));
+      } else {
+        localStorage.removeItem('ff-watermark');
+      }
+    } catch (error) {
+      console.error('[Format Factory] Failed to save watermark:', error);
+    }
+  }
+
+  getDefaultCodec(format) {
+    const codecs = this.containerCodecs[format] || [];
+    const remembered = this.getRememberedCodec(format);
+    return codecs.includes(remembered) ? remembered : (codecs[0] || 'auto');
+  }
+
+  getRememberedCodec(format) {
+    try {
+      return localStorage.getItem(`ff-codec-${format}`);
+    } catch (error) {
+      console.error('[Format Factory] Failed to get remembered codec:', error);
+      return null;
+    }
+  }
+
+  saveRememberedCodec(format, codecId) {
+    try {
+      localStorage.setItem(`ff-codec-${format}`, codecId);
+    } catch (error) {
+      console.error('[Format Factory] Failed to save codec:', error);
+    }
+  }
+
+  getRememberedPreset(type) {
+    try {
+      return localStorage.getItem(`ff-preset-${type}`) || 'source';
+    } catch (error) {
+      console.error('[Format Factory] Failed to get remembered preset:', error);
+      return 'source';
+    }
+  }
+
+  saveRememberedPreset(type, presetId) {
+    try {
+      localStorage.setItem(`ff-preset-${type}`, presetId);
+      console.log('[Format Factory] Saved preset for', type, ':', presetId);
+    } catch (error) {
+      console.error('[Format Factory] Failed to save preset:', error);
+    }
+  }
 
+  readModalOptions(type) {
     // Get selected preset from dropdown
     const presetSelect = document.getElementById('ff-preset-select');
     const selectedPreset = presetSelect ? presetSelect.value : 'source';
 
-    // Save preset preference for this type
-    this.saveRememberedPreset(type, selectedPreset);
+    // Get selected codec (video only)
+    const codecSelect = document.getElementById('ff-codec-select');
+    const selectedCodec = type === 'video' && codecSelect && codecSelect.value ? codecSelect.value : null;
+    const frameAccurateInput = document.getElementById('ff-codec-frame-accurate');
+    if (selectedCodec === 'copy' && frameAccurateInput) {
+      this.frameAccurateTrim = frameAccurateInput.checked;
+    }
+    const codec = this.videoCodecs[selectedCodec];
+    if (codec && !codec.copy && !codec.intra) {
+      this.targetSize = this.readTargetSizeControl();
+      this.videoQuality = this.readVideoQualityControls();
+    }
+
+    // Image sequence options
+    const patternInput = document.getElementById('ff-sequence-pattern');
+    const framerateSelect = document.getElementById('ff-sequence-framerate');
+    if (type === 'sequence' && patternInput && patternInput.value.trim()) {
+      this.sequencePattern = patternInput.value.trim();
+    }
+    if (framerateSelect) {
+      this.sequenceFramerate = parseFloat(framerateSelect.value) || 25;
+    }
+
+    // Audio processing options
+    if (type === 'audio') {
+      this.audioProcessing = this.readAudioProcessingControls();
+    }
+
+    // Watermark (video, image and sequence outputs)
+    if (['video', 'image', 'sequence'].includes(type)) {
+      this.watermark = this.readWatermarkControls();
+
+      // Only a watermark the user chose to remember is applied to later files by default
+      // ("None" skips the watermark this time without forgetting the remembered one)
+      const rememberInput = document.getElementById('ff-watermark-remember');
+      if (rememberInput && this.watermark) {
+        this.saveRememberedWatermark(rememberInput.checked ? this.watermark : null);
+      }
+    }
+
+    // Speed / reverse / frame rate (re-encoded video only)
+    if (type === 'video' && !(codec && codec.copy)) {
+      this.retime = this.readRetimeControls();
+    }
+
+    // Subtitles (video only)
+    if (type === 'video') {
+      this.subtitles = this.readSubtitleControls();
+    }
+
+    // Color (video, image and sequence outputs, re-encoded)
+    if (['video', 'image', 'sequence'].includes(type) && !(codec && codec.copy)) {
+      this.color = this.readColorControls();
+    }
+
+    // Animation options
+    if (type === 'animation') {
+      const fpsSelect = document.getElementById('ff-animation-fps');
+      const widthSelect = document.getElementById('ff-animation-width');
+      const loopSelect = document.getElementById('ff-animation-loop');
+      this.animationOptions = {
+        fps: fpsSelect ? parseFloat(fpsSelect.value) : 15,
+        width: widthSelect && widthSelect.value ? parseInt(widthSelect.value, 10) : null,
+        loop: loopSelect ? parseInt(loopSelect.value, 10) : 0
+      };
+    }
+
+    // Contact sheet options
+    if (type === 'contactsheet') {
+      const widthSelect = document.getElementById('ff-contactsheet-width');
+      const timecodesInput = document.getElementById('ff-contactsheet-timecodes');
+      this.contactSheetOptions = {
+        width: widthSelect ? parseInt(widthSelect.value, 10) : 320,
+        timecodes: timecodesInput ? timecodesInput.checked : true
+      };
+    }
+
+    return { selectedPreset, selectedCodec };
+  }
+
+  onFormatSelected(format, type) {
+    console.log('[Format Factory] Format selected from modal:', format, type);
+
+    // A saved custom preset carries its own settings; otherwise read them from the modal
+    const customPreset = this.tempCustomPreset;
+    this.tempCustomPreset = null;
+
+    let selectedPreset = customPreset ? customPreset.id : 'source';
+    let selectedCodec = null;
+    if (!customPreset) {
+      ({ selectedPreset, selectedCodec } = this.readModalOptions(type));
+
+      // Save preset preference for this type
+      this.saveRememberedPreset(type, selectedPreset);
+      if (selectedCodec) {
+        this.saveRememberedCodec(format, selectedCodec);
+      }
+    }
 
     // Check if we're editing an existing job
     if (this.editingJobId) {
@@ -1135,7 +3184,17 @@ class FormatFactoryManager {
         job.outputFormat = format;
         job.outputType = type;
         job.preset = selectedPreset;
-        job.settings = this.getDefaultSettings(type, format, selectedPreset);
+        job.settings = customPreset
+          ? this.getCustomPresetSettings(customPreset)
+          : this.getDefaultSettings(type, format, selectedPreset, selectedCodec);
+        if (customPreset && customPreset.trim && !job.hasTrim && !job.sequence) {
+          job.trimStart = customPreset.trim.start;
+          job.trimEnd = customPreset.trim.end;
+          job.hasTrim = true;
+        }
+        if (job.sequence) {
+          job.sequence = { ...job.sequence, framerate: this.sequenceFramerate };
+        }
         // Reset progress if job was partially processed
         if (job.status === 'processing' || job.status === 'completed') {
           job.status = 'pending';
@@ -1148,6 +3207,8 @@ class FormatFactoryManager {
       this.selectedFormat = format;
       this.selectedType = type;
       this.selectedPreset = selectedPreset;
+      this.selectedCodec = selectedCodec;
+      this.selectedCustomPreset = customPreset;
 
       // Add pending files to queue
       if (this.pendingFiles) {
@@ -1160,8 +3221,14 @@ class FormatFactoryManager {
       // Clear temp trim settings after adding to queue
       this.tempTrimStart = null;
       this.tempTrimEnd = null;
+      this.tempSegments = null;
+      this.tempCrossfade = 0;
+      this.tempReframe = null;
     }
 
+    // Options read from the modal belong to these jobs only
+    this.resetJobOptions();
+
     // Close modal
     const modal = document.getElementById('ff-format-modal');
     if (modal) modal.remove();
@@ -1170,15 +3237,29 @@ class FormatFactoryManager {
     this.updateTableUI();
   }
 
+  /**
+   * Clear the per-job options picked in the format modal, so they don't carry over to the next files
+   */
+  resetJobOptions() {
+    this.audioProcessing = null;
+    this.watermark = this.getRememberedWatermark();
+    this.videoQuality = null;
+  }
+
   addToQueue(file) {
     // Get the actual file path (Electron provides this)
     const filePath = file.path || file.webkitRelativePath || file.name;
 
+    // Trim chosen in the trimmer wins over a custom preset's trim range (sequences can't be trimmed)
+    const customPreset = this.selectedCustomPreset;
+    const hasTempTrim = this.tempTrimStart !== null && this.tempTrimStart !== undefined && this.tempTrimEnd !== null && this.tempTrimEnd !== undefined;
+    const presetTrim = !hasTempTrim && customPreset && customPreset.trim && !file.sequence ? customPreset.trim : null;
+
     console.log('[Format Factory] File path:', filePath);
 
     const job = {
       id: `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      file: file, // Keep reference for potential future use, but won't send via IPC
+      file: file.sequence ? null : file, // Keep reference for potential future use, but won't send via IPC
       fileName: file.name,
       filePath: filePath,
       fileSize: file.size,
@@ -1188,18 +3269,27 @@ class FormatFactoryManager {
       preset: this.selectedPreset || 'source',
       status: 'pending', // pending, processing, completed, failed
       progress: 0,
-      settings: this.getDefaultSettings(this.selectedType, this.selectedFormat, this.selectedPreset || 'source'),
-      // Trimmer properties - use temp trim settings if set
-      trimStart: this.tempTrimStart !== null && this.tempTrimStart !== undefined ? this.tempTrimStart : null,
-      trimEnd: this.tempTrimEnd !== null && this.tempTrimEnd !== undefined ? this.tempTrimEnd : null,
-      hasTrim: this.tempTrimStart !== null && this.tempTrimStart !== undefined && this.tempTrimEnd !== null && this.tempTrimEnd !== undefined
+      settings: customPreset
+        ? this.getCustomPresetSettings(customPreset)
+        : this.getDefaultSettings(this.selectedType, this.selectedFormat, this.selectedPreset || 'source', this.selectedCodec),
+      // Image sequence input (folder of numbered frames)
+      sequence: file.sequence ? { ...file.sequence, framerate: this.sequenceFramerate } : null,
+      // Trimmer properties - use temp trim settings if set, then the custom preset's range
+      trimStart: hasTempTrim ? this.tempTrimStart : (presetTrim ? presetTrim.start : null),
+      trimEnd: hasTempTrim ? this.tempTrimEnd : (presetTrim ? presetTrim.end : null),
+      hasTrim: hasTempTrim || Boolean(presetTrim),
+      // Several keep-ranges joined in order (trimStart/trimEnd then only span them)
+      segments: hasTempTrim ? this.tempSegments || null : null,
+      crossfade: hasTempTrim ? this.tempCrossfade || 0 : 0,
+      // New aspect ratio: { aspect, mode, keyframes } chosen in the trimmer (null = unchanged)
+      reframe: hasTempTrim ? this.tempReframe || null : null
     };
 
     this.queue.push(job);
     console.log('[Format Factory] Added to queue:', job.fileName, '→', job.outputFormat, 'from:', filePath);
   }
 
-  getDefaultSettings(type, format, presetId = 'source') {
+  getDefaultSettings(type, format, presetId = 'source', codec = null) {
     const settings = {};
 
     // Find the preset configuration
@@ -1207,7 +3297,18 @@ class FormatFactoryManager {
     const preset = presetList.find(p => p.id === presetId) || presetList[0];
 
     if (type === 'video') {
-      settings.codec = format === 'mp4' ? 'h264' : 'auto';
+      const codecs = this.containerCodecs[format] || [];
+      settings.codec = codecs.includes(codec) || codec === 'copy' ? codec : this.getDefaultCodec(format);
+      if (settings.codec === 'copy') {
+        settings.frameAccurate = this.frameAccurateTrim;
+      } else if (this.targetSize && this.videoCodecs[settings.codec] && !this.videoCodecs[settings.codec].intra) {
+        settings.targetSize = this.targetSize; // Two-pass encode to this size, overrides crf/bitrate
+      }
+      if (settings.codec !== 'copy' && this.retime) {
+        settings.retime = { ...this.retime };
+      }
+      settings.subtitles = this.subtitles ? { ...this.subtitles, style: { ...this.subtitles.style } } : null;
+      settings.crf = 23; // Constant quality level, mapped to each encoder's rate control
       settings.framerate = null; // Original framerate
 
       if (presetId === 'source') {
@@ -1215,15 +3316,23 @@ class FormatFactoryManager {
         settings.resolution = 'original';
         settings.bitrate = null; // Auto bitrate
       } else {
-        // Apply preset resolution and bitrate
+        // Apply preset resolution and bitrate (H.265, VP9 and AV1 reach the same quality at a lower cap)
         settings.maxWidth = preset.maxWidth;
         settings.maxHeight = preset.maxHeight;
-        settings.bitrate = preset.bitrate;
+        settings.bitrate = (preset.codecBitrates && preset.codecBitrates[settings.codec]) || preset.bitrate;
         settings.resolution = 'preset'; // Flag to indicate preset mode
       }
+
+      // Quality level and bitrate cap picked in the modal replace the preset's
+      if (this.videoQuality && settings.codec !== 'copy') {
+        settings.videoQuality = { ...this.videoQuality }; // Kept so the job modal shows what was picked
+        settings.crf = this.videoQuality.crf || settings.crf;
+        settings.bitrate = this.videoQuality.bitrate || settings.bitrate;
+      }
     } else if (type === 'audio') {
-      settings.sampleRate = 44100;
+      settings.sampleRate = preset.sampleRate || 44100;
       settings.channels = 2;
+      settings.processing = this.audioProcessing || this.getPresetProcessing(preset.id);
 
       if (presetId === 'source') {
         settings.audioBitrate = null; // Use source bitrate
@@ -1240,12 +3349,40 @@ class FormatFactoryManager {
         settings.quality = preset.quality;
         settings.maxDimension = preset.maxDimension;
       }
+    } else if (type === 'animation') {
+      settings.fps = this.animationOptions.fps;
+      settings.width = this.animationOptions.width;
+      settings.loop = this.animationOptions.loop;
+      settings.colors = preset.colors;
+      settings.dither = preset.dither;
+      settings.quality = preset.quality;
+    } else if (type === 'sequence') {
+      settings.everyNth = preset.everyNth || 1;
+      settings.pattern = this.sequencePattern;
+      settings.quality = 95;
+      settings.maxDimension = null; // Frames keep the source size
+    } else if (type === 'contactsheet') {
+      settings.columns = preset.columns;
+      settings.rows = preset.rows;
+      settings.width = this.contactSheetOptions.width;
+      settings.timecodes = this.contactSheetOptions.timecodes;
+      settings.quality = 90;
+    }
+
+    if (['video', 'image', 'sequence'].includes(type)) {
+      settings.watermark = this.watermark ? { ...this.watermark } : null;
+      if (settings.codec !== 'copy' && this.color) {
+        settings.color = { ...this.color };
+      }
     }
 
     return settings;
   }
 
   updateTableUI() {
+    // Every queue change ends up here, so persist from one place
+    this.scheduleQueueSave();
+
     const tableBody = document.getElementById('ff-table-body');
     if (!tableBody) return;
 
@@ -1282,12 +3419,19 @@ class FormatFactoryManager {
       return;
     }
 
+    // Forget selections of jobs that left the queue
+    this.selectedJobIds.forEach(id => {
+      if (!this.queue.some(j => j.id === id)) this.selectedJobIds.delete(id);
+    });
+
     // Render each job as a table row
     this.queue.forEach((job, index) => {
       const row = document.createElement('tr');
       row.dataset.jobId = job.id;
       row.dataset.index = index;
       row.classList.add('ff-job-row', job.status);
+      if (this.selectedJobIds.has(job.id)) row.classList.add('selected');
+      this.setupRowSelection(row, job);
 
       // Preview cell
       const previewCell = document.createElement('td');
@@ -1311,9 +3455,9 @@ class FormatFactoryManager {
       // Source cell
       const sourceCell = document.createElement('td');
       sourceCell.innerHTML = `
-        <div class="ff-source-info">
+        <div class="ff-source-info"${job.merge ? ` title="${this.escapeHtml(job.merge.map(input => input.fileName).join('\n'))}"` : ''}>
           <div class="ff-source-name">${this.truncateFileName(job.fileName, 40)}</div>
-          <div class="ff-source-path">${this.formatFileSize(job.fileSize)}</div>
+          <div class="ff-source-path">${job.merge ? `${job.merge.length} files merged · ` : ''}${this.formatFileSize(job.fileSize)}</div>
         </div>
       `;
       row.appendChild(sourceCell);
@@ -1322,7 +3466,7 @@ class FormatFactoryManager {
       const outputCell = document.createElement('td');
       outputCell.innerHTML = `
         <div class="ff-output-info">
-          <div class="ff-output-format">→ ${job.outputFormat.toUpperCase()}</div>
+          <div class="ff-output-format"></div>
           <div class="ff-progress-container">
             <div class="ff-progress-bar">
               <div class="ff-progress-fill" style="width: ${job.progress}%"></div>
@@ -1331,6 +3475,8 @@ class FormatFactoryManager {
           </div>
         </div>
       `;
+      // Custom preset names are user input (or from imported files), so they're set as text
+      outputCell.querySelector('.ff-output-format').textContent = `→ ${this.getOutputLabel(job)}`;
       row.appendChild(outputCell);
 
       // Actions cell
@@ -1354,8 +3500,11 @@ class FormatFactoryManager {
         `;
       } else {
         // Check if file is video or audio (trimmer supported)
-        const canTrim = job.fileType.startsWith('video/') || job.fileType.startsWith('audio/');
+        // Jobs restored after a restart have no File object to load into the trimmer
+        const canTrim = job.file && (job.fileType.startsWith('video/') || job.fileType.startsWith('audio/'));
         const trimIndicator = job.hasTrim ? ' style="color: #3b82f6;"' : '';
+        const canExtractSubtitles = job.filePath && !job.merge && !job.sequence && job.fileType.startsWith('video/');
+        const canInspect = job.filePath && !job.merge && !job.sequence;
 
         actionsCell.innerHTML = `
           <div style="display: flex; gap: 8px; justify-content: flex-end;">
@@ -1370,7 +3519,30 @@ class FormatFactoryManager {
               </svg>
             </button>
             ` : ''}
-            <button class="ff-btn" data-action="settings" title="Change Format" ${job.status === 'processing' ? 'disabled' : ''}>
+            ${canInspect ? `
+            <button class="ff-btn" data-action="inspect" title="Inspect Media">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <circle cx="12" cy="12" r="10"/>
+                <path d="M12 16v-4M12 8h.01"/>
+              </svg>
+            </button>
+            ` : ''}
+            ${canExtractSubtitles ? `
+            <button class="ff-btn" data-action="extract-subtitles" title="Save Subtitle Tracks as SRT">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <rect x="2" y="5" width="20" height="14" rx="2"/>
+                <path d="M10 10.5a2 2 0 1 0 0 3M17 10.5a2 2 0 1 0 0 3"/>
+              </svg>
+            </button>
+            ` : ''}
+            ${job.status === 'pending' || job.status === 'queued' ? `
+            <button class="ff-btn" data-action="priority" title="${job.priority ? 'Remove Priority' : 'Convert First'}"${job.priority ? ' style="color: #f59e0b;"' : ''}>
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <path d="M12 19V5M5 12l7-7 7 7"/>
+              </svg>
+            </button>
+            ` : ''}
+            <button class="ff-btn" data-action="settings" title="Change Format" ${job.status === 'processing' || job.status === 'queued' ? 'disabled' : ''}>
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                 <path d="M12.22 2h-.44a2 2 0 0 0-2 2v.18a2 2 0 0 1-1 1.73l-.43.25a2 2 0 0 1-2 0l-.15-.08a2 2 0 0 0-2.73.73l-.22.38a2 2 0 0 0 .73 2.73l.15.1a2 2 0 0 1 1 1.72v.51a2 2 0 0 1-1 1.74l-.15.09a2 2 0 0 0-.73 2.73l.22.38a2 2 0 0 0 2.73.73l.15-.08a2 2 0 0 1 2 0l.43.25a2 2 0 0 1 1 1.73V20a2 2 0 0 0 2 2h.44a2 2 0 0 0 2-2v-.18a2 2 0 0 1 1-1.73l.43-.25a2 2 0 0 1 2 0l.15.08a2 2 0 0 0 2.73-.73l.22-.39a2 2 0 0 0-.73-2.73l-.15-.08a2 2 0 0 1-1-1.74v-.5a2 2 0 0 1 1-1.74l.15-.09a2 2 0 0 0 .73-2.73l-.22-.38a2 2 0 0 0-2.73-.73l-.15.08a2 2 0 0 1-2 0l-.43-.25a2 2 0 0 1-1-1.73V4a2 2 0 0 0-2-2z"/>
                 <circle cx="12" cy="12" r="3"/>
@@ -1397,6 +3569,21 @@ class FormatFactoryManager {
         trimBtn.addEventListener('click', () => this.openTrimmer(job.id));
       }
 
+      const inspectBtn = actionsCell.querySelector('[data-action="inspect"]');
+      if (inspectBtn) {
+        inspectBtn.addEventListener('click', () => this.inspectJob(job.id));
+      }
+
+      const extractSubtitlesBtn = actionsCell.querySelector('[data-action="extract-subtitles"]');
+      if (extractSubtitlesBtn) {
+        extractSubtitlesBtn.addEventListener('click', () => this.extractSubtitles(job.id));
+      }
+
+      const priorityBtn = actionsCell.querySelector('[data-action="priority"]');
+      if (priorityBtn) {
+        priorityBtn.addEventListener('click', () => this.toggleJobPriority(job.id));
+      }
+
       const settingsBtn = actionsCell.querySelector('[data-action="settings"]');
       if (settingsBtn) {
         settingsBtn.addEventListener('click', () => this.changeJobFormat(job.id));
@@ -1417,19 +3604,147 @@ class FormatFactoryManager {
   updateToolbarButtons() {
     const startBtn = document.querySelector('[data-action="start"]');
     const stopBtn = document.querySelector('[data-action="stop"]');
+    const pauseBtn = document.querySelector('[data-action="pause"]');
     const clearBtn = document.querySelector('[data-action="clear"]');
     const removeBtn = document.querySelector('[data-action="remove"]');
     const resetBtn = document.querySelector('[data-action="reset"]');
+    const mergeBtn = document.querySelector('[data-action="merge"]');
+    const selectAll = document.getElementById('ff-select-all');
+
+    const hasJobs = this.queue.length > 0;
+    const hasPending = this.queue.some(j => j.status === 'pending');
+    const isProcessing = this.queue.some(j => j.status === 'processing' || j.status === 'queued');
+    const hasCompletedOrFailed = this.queue.some(j => j.status === 'completed' || j.status === 'failed');
+
+    // New pending jobs can be added to a running queue
+    if (startBtn) startBtn.disabled = !hasPending;
+    if (stopBtn) stopBtn.disabled = !isProcessing;
+    if (pauseBtn) pauseBtn.disabled = !isProcessing;
+    if (clearBtn) clearBtn.disabled = !hasJobs;
+    if (removeBtn) removeBtn.disabled = !hasJobs;
+    if (resetBtn) resetBtn.disabled = !hasCompletedOrFailed;
+    if (mergeBtn) mergeBtn.disabled = this.selectedJobIds.size < 2;
+    if (selectAll) selectAll.checked = hasJobs && this.selectedJobIds.size === this.queue.length;
+  }
+
+  setupRowSelection(row, job) {
+    // Click a row to select it, drag it to change its place in the queue (and in merges)
+    row.draggable = true;
+
+    row.addEventListener('click', (e) => {
+      if (e.target.closest('button')) return;
+      if (this.selectedJobIds.has(job.id)) {
+        this.selectedJobIds.delete(job.id);
+      } else {
+        this.selectedJobIds.add(job.id);
+      }
+      this.updateTableUI();
+    });
+
+    row.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData('application/x-kolbo-job', job.id);
+      e.dataTransfer.effectAllowed = 'move';
+    });
+
+    // Row drags are handled here so the main area doesn't treat them as dropped files
+    row.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer.types.includes('application/x-kolbo-job')) return;
+      e.preventDefault();
+      e.stopPropagation();
+      row.style.boxShadow = 'inset 0 2px 0 #3b82f6';
+    });
+
+    row.addEventListener('dragleave', () => {
+      row.style.boxShadow = '';
+    });
+
+    row.addEventListener('drop', (e) => {
+      const draggedId = e.dataTransfer.getData('application/x-kolbo-job');
+      if (!draggedId) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.moveJob(draggedId, job.id);
+    });
+  }
+
+  moveJob(jobId, beforeJobId) {
+    const from = this.queue.findIndex(j => j.id === jobId);
+    if (from === -1 || jobId === beforeJobId) return;
+
+    const [job] = this.queue.splice(from, 1);
+    const to = this.queue.findIndex(j => j.id === beforeJobId);
+    this.queue.splice(to === -1 ? this.queue.length : to, 0, job);
+
+    console.log('[Format Factory] Moved in queue:', job.fileName, '→ position', this.queue.indexOf(job) + 1);
+    this.updateTableUI();
+  }
+
+  mergeSelected() {
+    // Files are joined in table order
+    const jobs = this.queue.filter(j => this.selectedJobIds.has(j.id));
+    if (jobs.length < 2) {
+      alert('Select at least two files to merge.\n\nClick rows to select them, drag rows to change the order.');
+      return;
+    }
+
+    const first = jobs[0];
+    const isVideoOutput = first.outputType === 'video' || first.outputType === 'animation';
+    const busy = jobs.find(j => j.status === 'processing' || j.status === 'queued');
+    const wrongType = jobs.find(j => j.sequence || !(j.fileType.startsWith('video/') || (!isVideoOutput && j.fileType.startsWith('audio/'))));
+    const multiSegment = jobs.find(j => j.hasTrim && j.segments && j.segments.length > 1);
+
+    let problem = null;
+    if (busy) {
+      problem = `${busy.fileName} is being converted. Stop it before merging.`;
+    } else if (!isVideoOutput && first.outputType !== 'audio') {
+      problem = `Merged files can't be converted to ${this.getOutputLabel(first)}. Pick a video or audio format for ${first.fileName} first.`;
+    } else if (wrongType) {
+      problem = `${wrongType.fileName} can't be merged into a ${isVideoOutput ? 'video' : 'audio file'}.`;
+    } else if (multiSegment) {
+      problem = `${multiSegment.fileName} is trimmed to several segments. Trim it to one range before merging.`;
+    }
+    if (problem) {
+      alert(problem);
+      return;
+    }
+
+    // Already merged jobs contribute their own files, so merges can be extended
+    const inputs = jobs.flatMap(j => j.merge || [{
+      filePath: j.filePath,
+      fileName: j.fileName,
+      trimStart: j.hasTrim ? j.trimStart : undefined,
+      trimEnd: j.hasTrim ? j.trimEnd : undefined
+    }]);
+
+    // The merged job converts with the first file's format and settings
+    const mergedJob = {
+      id: `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      file: null,
+      fileName: `${inputs[0].fileName} + ${inputs.length - 1} more`,
+      filePath: inputs[0].filePath,
+      fileSize: jobs.reduce((sum, j) => sum + (j.fileSize || 0), 0),
+      fileType: first.fileType,
+      outputFormat: first.outputFormat,
+      outputType: first.outputType,
+      preset: first.preset,
+      status: 'pending',
+      progress: 0,
+      settings: first.settings,
+      sequence: null,
+      trimStart: null,
+      trimEnd: null,
+      hasTrim: false,
+      merge: inputs
+    };
 
-    const hasJobs = this.queue.length > 0;
-    const isProcessing = this.queue.some(j => j.status === 'processing');
-    const hasCompletedOrFailed = this.queue.some(j => j.status === 'completed' || j.status === 'failed');
+    const index = this.queue.indexOf(first);
+    jobs.forEach(j => this.cleanupJobResources(j));
+    this.queue = this.queue.filter(j => !this.selectedJobIds.has(j.id));
+    this.queue.splice(index, 0, mergedJob);
+    this.selectedJobIds.clear();
 
-    if (startBtn) startBtn.disabled = !hasJobs || isProcessing;
-    if (stopBtn) stopBtn.disabled = !isProcessing;
-    if (clearBtn) clearBtn.disabled = !hasJobs;
-    if (removeBtn) removeBtn.disabled = !hasJobs;
-    if (resetBtn) resetBtn.disabled = !hasCompletedOrFailed;
+    console.log('[Format Factory] Merged', inputs.length, 'files into one job:', inputs.map(input => input.fileName).join(', '));
+    this.updateTableUI();
   }
 
   getThumbnailUrl(job) {
@@ -1560,6 +3875,13 @@ class FormatFactoryManager {
     return truncated + '.' + ext;
   }
 
+  // Also escapes quotes, so the result is safe inside attribute values
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
   formatFileSize(bytes) {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -1568,12 +3890,51 @@ class FormatFactoryManager {
     return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
   }
 
+  getOutputLabel(job) {
+    const format = job.outputFormat.toUpperCase();
+    const customPreset = this.customPresets.find(p => p.id === job.preset);
+    if (customPreset) {
+      return `${format} · ${customPreset.name}`;
+    }
+    if (job.outputType === 'sequence') {
+      return `${format} sequence`;
+    }
+    if (job.outputType === 'contactsheet' && job.settings) {
+      return `${format} · ${job.settings.columns} × ${job.settings.rows} contact sheet`;
+    }
+    if (job.outputType === 'audio' && job.settings && job.settings.processing && job.settings.processing.loudness) {
+      const targets = { streaming: '-14', podcast: '-16', broadcast: '-23' };
+      return `${format} · ${targets[job.settings.processing.loudness]} LUFS`;
+    }
+    const reframe = job.reframe ? ` · ${job.reframe.aspect}` : '';
+    if (job.outputType === 'animation' && job.settings) {
+      return `${format} · ${job.settings.fps} fps, ${job.settings.width ? `${job.settings.width}px` : 'source size'}${reframe}`;
+    }
+    const codec = job.outputType === 'video' && job.settings ? this.videoCodecs[job.settings.codec] : null;
+    let label = codec ? `${format} · ${codec.label}${reframe}` : format;
+    if (codec && job.settings.targetSize) {
+      label += ` · ${job.settings.targetSize} MB`;
+    }
+    if (codec && job.settings.retime) {
+      label += ` · ${this.describeRetime(job.settings.retime)}${this.getRetimePreview(job)}`;
+    }
+    if (codec && job.settings.subtitles) {
+      label += job.settings.subtitles.mode === 'burn' ? ' · burned-in subtitles' : ' · subtitle track';
+    }
+    if (job.settings && job.settings.color) {
+      label += ` · ${this.describeColor(job.settings.color)}`;
+    }
+    return job.settings && job.settings.watermark ? `${label} · watermark` : label;
+  }
+
   getStatusText(job) {
     switch (job.status) {
       case 'pending':
         return 'Pending';
+      case 'queued':
+        return this.queuePaused ? 'Paused' : 'Queued';
       case 'processing':
-        return `${Math.round(job.progress)}%`;
+        return this.queuePaused ? `Paused (${Math.round(job.progress)}%)` : `${Math.round(job.progress)}%`;
       case 'completed':
         return 'Completed';
       case 'failed':
@@ -1682,16 +4043,17 @@ class FormatFactoryManager {
     if (hasVideo) {
       const videoSection = this.createFormatSection('Video', 'video', [
         { format: 'mp4', label: 'MP4', icon: '🎬', desc: 'Universal format, best compatibility' },
-        { format: 'mov', label: 'MOV', icon: '🎬', desc: 'Apple QuickTime format' },
+        { format: 'mov', label: 'MOV', icon: '🎬', desc: 'QuickTime, ProRes and DNxHR' },
         { format: 'avi', label: 'AVI', icon: '🎬', desc: 'Windows video format' },
         { format: 'mkv', label: 'MKV', icon: '🎬', desc: 'High quality, supports subtitles' },
-        { format: 'webm', label: 'WEBM', icon: '🎬', desc: 'Web optimized format' }
+        { format: 'webm', label: 'WEBM', icon: '🎬', desc: 'Web optimized format (VP9/AV1)' },
+        { format: 'mxf', label: 'MXF', icon: '🎬', desc: 'Broadcast / Avid (DNxHR)' }
       ]);
       formatsContainer.appendChild(videoSection);
     }
 
-    // Audio formats
-    if (hasAudio || hasVideo) {
+    // Audio formats (image sequences have no audio to extract)
+    if (hasAudio || (hasVideo && !job.sequence)) {
       const audioTitle = hasVideo && !hasAudio ? 'Audio (Extract from Video)' : 'Audio';
       const audioSection = this.createFormatSection(audioTitle, 'audio', [
         { format: 'mp3', label: 'MP3', icon: '🎵', desc: 'Universal audio format' },
@@ -1708,11 +4070,70 @@ class FormatFactoryManager {
         { format: 'jpg', label: 'JPG', icon: '🖼️', desc: 'Standard photo format' },
         { format: 'png', label: 'PNG', icon: '🖼️', desc: 'Lossless, supports transparency' },
         { format: 'webp', label: 'WEBP', icon: '🖼️', desc: 'Modern web format' },
-        { format: 'gif', label: 'GIF', icon: '🖼️', desc: 'Animated images' }
+        { format: 'gif', label: 'GIF', icon: '🖼️', desc: 'Single frame (use Animated for clips)' }
       ]);
       formatsContainer.appendChild(imageSection);
     }
 
+    // Image sequence export - one numbered file per frame
+    if (hasVideo) {
+      const sequenceSection = this.createFormatSection('Image Sequence', 'sequence', [
+        { format: 'png', label: 'PNG', icon: '🎞️', desc: 'Lossless frames' },
+        { format: 'jpg', label: 'JPG', icon: '🎞️', desc: 'Small frames for review' },
+        { format: 'tiff', label: 'TIFF', icon: '🎞️', desc: 'Frames for compositing' }
+      ]);
+      formatsContainer.appendChild(sequenceSection);
+    }
+
+    // Animated GIF / WebP from a clip (uses the trim range)
+    if (hasVideo) {
+      const animationSection = this.createFormatSection('Animated', 'animation', [
+        { format: 'gif', label: 'GIF', icon: '✨', desc: 'Plays everywhere, optimized palette' },
+        { format: 'webp', label: 'WEBP', icon: '✨', desc: 'Smaller, full color' }
+      ]);
+      formatsContainer.appendChild(animationSection);
+    }
+
+    // Contact sheet - frames sampled across the clip, tiled into one image
+    if (hasVideo && !job.sequence) {
+      const contactSheetSection = this.createFormatSection('Contact Sheet', 'contactsheet', [
+        { format: 'jpg', label: 'JPG', icon: '🗂️', desc: 'Small, easy to share' },
+        { format: 'png', label: 'PNG', icon: '🗂️', desc: 'Lossless' }
+      ]);
+      formatsContainer.appendChild(contactSheetSection);
+    }
+
+    // Saved custom presets that fit this job
+    const availableTypes = this.getAvailableOutputTypes({ hasVideo, hasAudio, hasImage, onlySequences: Boolean(job.sequence) });
+    const customPresetSection = this.createCustomPresetSection(availableTypes, job);
+
+    // Codec Selector (shown once a video format is picked)
+    const codecSection = this.createCodecSelector();
+
+    // Frame pattern / sequence frame rate (shown when relevant)
+    const sequenceSection = this.createSequenceOptions(Boolean(job.sequence), job);
+
+    // Frame rate / width / loop count for animations
+    const animationOptions = this.createAnimationOptions(job);
+
+    // Tile width and timecodes for contact sheets
+    const contactSheetOptions = this.createContactSheetOptions(job);
+
+    // Loudness, silence, fades and channels for audio outputs
+    const audioProcessingSection = this.createAudioProcessingOptions(job);
+
+    // Logo or text watermark for video and image outputs
+    const watermarkSection = this.createWatermarkOptions(job);
+
+    // Speed, reverse and frame rate for video outputs
+    const retimeSection = this.createRetimeOptions(job);
+
+    // Subtitle file to burn in or add as a track
+    const subtitleSection = this.createSubtitleOptions(job);
+
+    // LUT, exposure/contrast/saturation/gamma and HDR tone mapping
+    const colorSection = this.createColorOptions(job);
+
     // Preset Selector - set initial value to job's current preset
     const presetSection = this.createPresetSelector(hasVideo, hasAudio, hasImage);
 
@@ -1832,8 +4253,18 @@ class FormatFactoryManager {
 
     // Assemble modal
     modalContent.appendChild(header);
+    modalContent.appendChild(customPresetSection);
     modalContent.appendChild(formatsContainer);
+    modalContent.appendChild(codecSection);
+    modalContent.appendChild(sequenceSection);
+    modalContent.appendChild(animationOptions);
+    modalContent.appendChild(contactSheetOptions);
     modalContent.appendChild(presetSection);
+    modalContent.appendChild(audioProcessingSection);
+    modalContent.appendChild(watermarkSection);
+    modalContent.appendChild(retimeSection);
+    modalContent.appendChild(subtitleSection);
+    modalContent.appendChild(colorSection);
     modalContent.appendChild(statusDisplay);
     modalContent.appendChild(footer);
     modal.appendChild(modalContent);
@@ -1869,8 +4300,30 @@ class FormatFactoryManager {
             const selectedPreset = presetList.find(p => p.id === (job.preset || 'source'));
             statusPreset.textContent = selectedPreset ? selectedPreset.label : 'Source Quality';
           }
+
+          this.updateCodecDropdownForFormat(job.outputFormat, job.outputType, job.settings && job.settings.codec);
+          const frameAccurateInput = document.getElementById('ff-codec-frame-accurate');
+          if (frameAccurateInput) {
+            frameAccurateInput.checked = Boolean(job.settings && job.settings.frameAccurate);
+          }
+          this.setTargetSizeControl(job.settings && job.settings.targetSize);
+          this.setVideoQualityControls(job.settings && job.settings.videoQuality);
+          this.updateSequenceOptionsForType(job.outputType);
+          this.updateAnimationOptionsForType(job.outputType);
+          this.updateContactSheetOptionsForType(job.outputType);
+          this.updateAudioProcessingForType(job.outputType);
+          this.updateWatermarkForType(job.outputType);
+          this.updateRetimeForType(job.outputType);
+          this.updateSubtitlesForType(job.outputType);
+          this.updateColorForType(job.outputType);
         }
       });
+
+      // Jobs created from a custom preset start with that preset selected
+      const jobCustomPreset = this.customPresets.find(p => p.id === job.preset);
+      if (jobCustomPreset) {
+        this.selectCustomPreset(jobCustomPreset);
+      }
     }, 0);
 
     // Close button handler
@@ -1899,6 +4352,282 @@ class FormatFactoryManager {
     });
   }
 
+  async openWatchFoldersModal() {
+    const existingModal = document.getElementById('ff-watch-modal');
+    if (existingModal) existingModal.remove();
+
+    const result = await window.kolboDesktop.ffmpeg.getWatchFolders();
+    this.watchFolders = result.folders || [];
+    this.watchLog = result.log || [];
+
+    const modal = document.createElement('div');
+    modal.id = 'ff-watch-modal';
+    modal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background: rgba(0, 0, 0, 0.8);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
+      animation: fadeIn 0.2s ease;
+    `;
+
+    const selectStyle = `
+      width: 100%;
+      padding: 10px 12px;
+      background: #262626;
+      border: 1px solid #474747;
+      border-radius: 6px;
+      color: #ffffff;
+      font-size: 13px;
+      cursor: pointer;
+      outline: none;
+    `;
+    const buttonStyle = `
+      padding: 8px 14px;
+      background: #262626;
+      border: 1px solid #474747;
+      border-radius: 6px;
+      color: rgba(255, 255, 255, 0.8);
+      font-size: 13px;
+      cursor: pointer;
+      white-space: nowrap;
+    `;
+    const sectionTitle = (text) => `<h4 style="margin: 0 0 8px 0; color: rgba(255, 255, 255, 0.8); font-size: 14px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px;">${text}</h4>`;
+
+    const modalContent = document.createElement('div');
+    modalContent.style.cssText = `
+      background: #1a1a1a;
+      border: 1px solid #474747;
+      border-radius: 12px;
+      padding: 24px;
+      max-width: 640px;
+      width: 90%;
+      max-height: 80vh;
+      overflow-y: auto;
+      animation: slideUp 0.3s ease;
+      display: flex;
+      flex-direction: column;
+      gap: 16px;
+    `;
+
+    modalContent.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; padding-bottom: 16px; border-bottom: 1px solid #474747;">
+        <div>
+          <h3 style="margin: 0 0 8px 0; color: #ffffff; font-size: 18px; font-weight: 600;">Watch Folders</h3>
+          <p style="margin: 0; color: rgba(255, 255, 255, 0.6); font-size: 13px;">New files in these folders are converted automatically once they finish copying.</p>
+        </div>
+        <button id="ff-watch-close" style="background: transparent; border: none; color: rgba(255, 255, 255, 0.6); font-size: 24px; cursor: pointer; padding: 0; width: 32px; height: 32px; border-radius: 4px;">×</button>
+      </div>
+      <div>
+        ${sectionTitle('Folders')}
+        <div id="ff-watch-list" style="display: flex; flex-direction: column; gap: 8px;"></div>
+      </div>
+      <div style="padding-top: 16px; border-top: 1px solid #474747;">
+        ${sectionTitle('Add Folder')}
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px;">
+          <select id="ff-watch-preset" class="ff-modal-select" style="${selectStyle}"></select>
+          <select id="ff-watch-output-mode" class="ff-modal-select" style="${selectStyle}">
+            <option value="sibling">Save next to the folder (_converted)</option>
+            <option value="custom">Save to a custom folder...</option>
+          </select>
+        </div>
+        <div style="display: flex; align-items: center; gap: 8px; margin-top: 8px;">
+          <span id="ff-watch-output-path" style="flex: 1; font-size: 12px; color: rgba(255, 255, 255, 0.5); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"></span>
+          <button id="ff-watch-add" style="${buttonStyle}">Choose Folder to Watch...</button>
+        </div>
+        <div id="ff-watch-status" style="display: none; margin-top: 8px; font-size: 12px;"></div>
+      </div>
+      <div style="padding-top: 16px; border-top: 1px solid #474747;">
+        <div style="display: flex; align-items: center;">
+          <div style="flex: 1;">${sectionTitle('Processed Files')}</div>
+          <button id="ff-watch-clear-log" style="${buttonStyle}">Clear Log</button>
+        </div>
+        <div id="ff-watch-log" style="display: flex; flex-direction: column; gap: 4px; margin-top: 8px;"></div>
+      </div>
+    `;
+
+    modal.appendChild(modalContent);
+    document.body.appendChild(modal);
+
+    // Watch folders convert with saved presets (they define format and settings)
+    const presetSelect = modalContent.querySelector('#ff-watch-preset');
+    if (this.customPresets.length === 0) {
+      presetSelect.innerHTML = '<option value="">No saved presets - save one in the format picker first</option>';
+      presetSelect.disabled = true;
+    } else {
+      this.customPresets.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.textContent = `${preset.name} (${this.describeCustomPreset(preset)})`;
+        presetSelect.appendChild(option);
+      });
+    }
+
+    let customOutputFolder = null;
+    const outputModeSelect = modalContent.querySelector('#ff-watch-output-mode');
+    const outputPathLabel = modalContent.querySelector('#ff-watch-output-path');
+    outputModeSelect.addEventListener('change', async () => {
+      if (outputModeSelect.value === 'custom') {
+        const folderResult = await window.kolboDesktop.ffmpeg.selectOutputFolder();
+        if (folderResult.success) {
+          customOutputFolder = folderResult.folderPath;
+        } else if (!customOutputFolder) {
+          outputModeSelect.value = 'sibling';
+        }
+      }
+      outputPathLabel.textContent = outputModeSelect.value === 'custom' && customOutputFolder ? `Output: ${customOutputFolder}` : '';
+      outputPathLabel.title = outputPathLabel.textContent;
+    });
+
+    modalContent.querySelector('#ff-watch-add').addEventListener('click', async () => {
+      if (!presetSelect.value) {
+        this.setWatchStatus('Save a custom preset first, then pick it here.', true);
+        return;
+      }
+
+      const folderResult = await window.kolboDesktop.ffmpeg.selectWatchFolder();
+      if (!folderResult.success) return;
+
+      const addResult = await window.kolboDesktop.ffmpeg.addWatchFolder({
+        folderPath: folderResult.folderPath,
+        presetId: presetSelect.value,
+        outputMode: outputModeSelect.value,
+        outputFolder: outputModeSelect.value === 'custom' ? customOutputFolder : null
+      });
+
+      if (addResult.success) {
+        this.watchFolders = addResult.folders;
+        this.renderWatchFolders();
+        this.setWatchStatus(`Watching ${folderResult.folderPath}`);
+      } else {
+        this.setWatchStatus(addResult.error || 'Failed to add watch folder', true);
+      }
+    });
+
+    modalContent.querySelector('#ff-watch-clear-log').addEventListener('click', async () => {
+      await window.kolboDesktop.ffmpeg.clearWatchLog();
+      this.watchLog = [];
+      this.renderWatchLog();
+    });
+
+    const closeModal = () => {
+      modal.remove();
+      this.watchLog = null;
+    };
+    modalContent.querySelector('#ff-watch-close').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) closeModal();
+    });
+
+    this.renderWatchFolders();
+    this.renderWatchLog();
+  }
+
+  renderWatchFolders() {
+    const list = document.getElementById('ff-watch-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    if (this.watchFolders.length === 0) {
+      list.innerHTML = '<div style="font-size: 12px; color: rgba(255, 255, 255, 0.5);">No watch folders yet.</div>';
+      return;
+    }
+
+    this.watchFolders.forEach(folder => {
+      const preset = this.customPresets.find(p => p.id === folder.presetId);
+      const output = folder.outputMode === 'custom' ? folder.outputFolder : `${folder.folderPath}_converted`;
+
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        padding: 10px 12px;
+        background: #262626;
+        border: 1px solid #474747;
+        border-radius: 8px;
+      `;
+      row.innerHTML = `
+        <input type="checkbox" title="Watching" style="cursor: pointer; width: 16px; height: 16px;">
+        <div style="flex: 1; min-width: 0;">
+          <div class="ff-watch-path" style="font-size: 13px; color: #ffffff; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"></div>
+          <div class="ff-watch-details" style="font-size: 11px; color: rgba(255, 255, 255, 0.5); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"></div>
+        </div>
+        <button title="Stop watching this folder" style="background: transparent; border: none; color: rgba(255, 255, 255, 0.5); font-size: 18px; cursor: pointer;">×</button>
+      `;
+      row.querySelector('.ff-watch-path').textContent = folder.folderPath;
+      row.querySelector('.ff-watch-path').title = folder.folderPath;
+      row.querySelector('.ff-watch-details').textContent = `${preset ? preset.name : 'Deleted preset'} → ${output}`;
+      row.style.opacity = folder.enabled ? '1' : '0.6';
+
+      const checkbox = row.querySelector('input');
+      checkbox.checked = folder.enabled;
+      checkbox.addEventListener('change', async () => {
+        const result = await window.kolboDesktop.ffmpeg.setWatchFolderEnabled(folder.id, checkbox.checked);
+        if (result.folders) this.watchFolders = result.folders;
+        this.renderWatchFolders();
+      });
+
+      row.querySelector('button').addEventListener('click', async () => {
+        const result = await window.kolboDesktop.ffmpeg.removeWatchFolder(folder.id);
+        if (result.folders) this.watchFolders = result.folders;
+        this.renderWatchFolders();
+      });
+
+      list.appendChild(row);
+    });
+  }
+
+  renderWatchLog() {
+    const logEl = document.getElementById('ff-watch-log');
+    if (!logEl || !this.watchLog) return;
+
+    const statusColors = {
+      queued: '#60a5fa',
+      completed: '#4ade80',
+      failed: '#f87171',
+      skipped: 'rgba(255, 255, 255, 0.5)',
+      cancelled: 'rgba(255, 255, 255, 0.5)',
+      interrupted: '#fbbf24'
+    };
+
+    logEl.innerHTML = '';
+    if (this.watchLog.length === 0) {
+      logEl.innerHTML = '<div style="font-size: 12px; color: rgba(255, 255, 255, 0.5);">No files processed yet.</div>';
+      return;
+    }
+
+    this.watchLog.slice(0, 50).forEach(entry => {
+      const row = document.createElement('div');
+      row.style.cssText = 'display: flex; gap: 8px; font-size: 12px; color: rgba(255, 255, 255, 0.8);';
+      row.innerHTML = `
+        <span style="color: rgba(255, 255, 255, 0.4); white-space: nowrap;"></span>
+        <span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"></span>
+        <span style="white-space: nowrap; text-transform: capitalize;"></span>
+      `;
+      row.children[0].textContent = new Date(entry.time).toLocaleString();
+      row.children[1].textContent = entry.fileName;
+      row.children[1].title = entry.error || entry.outputPath || entry.filePath;
+      row.children[2].textContent = entry.status;
+      row.children[2].style.color = statusColors[entry.status] || '#ffffff';
+      logEl.appendChild(row);
+    });
+  }
+
+  setWatchStatus(message, isError = false) {
+    const status = document.getElementById('ff-watch-status');
+    if (!status) return;
+
+    status.textContent = message;
+    status.style.color = isError ? '#f87171' : 'rgba(255, 255, 255, 0.6)';
+    status.style.display = message ? 'block' : 'none';
+  }
+
   async openTrimmerForPendingFile(file) {
     console.log('[Format Factory] Opening trimmer for pending file:', file.name);
 
@@ -1921,18 +4650,45 @@ class FormatFactoryManager {
       // Open trimmer with current trim settings (if any)
       const options = {
         initialStart: this.tempTrimStart,
-        initialEnd: this.tempTrimEnd
+        initialEnd: this.tempTrimEnd,
+        segments: this.tempSegments,
+        crossfade: this.tempCrossfade,
+        reframe: this.tempReframe
       };
 
+      // Stream copies cut on keyframes - show where the cuts will really land
+      const codecSelect = document.getElementById('ff-codec-select');
+      const frameAccurateInput = document.getElementById('ff-codec-frame-accurate');
+      if (fileType === 'video' && codecSelect && codecSelect.value === 'copy' && !(frameAccurateInput && frameAccurateInput.checked)) {
+        options.snapTrimPoints = (start, end) => this.snapTrimPoints(file.path || file.name, start, end);
+      }
+      // Joined segments and reframes are always re-encoded
+      options.allowSegments = !(codecSelect && codecSelect.value === 'copy');
+      options.allowReframe = options.allowSegments;
+
+      // Show the color settings picked in the modal on a before/after frame
+      const color = fileType === 'video' && options.allowSegments && file.path ? this.readColorControls() : null;
+      if (color) {
+        options.colorPreview = (time) => this.previewColor(file.path, time, color);
+      }
+      // Save full-resolution frames from the source file
+      if (fileType === 'video' && file.path) {
+        options.grabFrame = (time, format) => this.grabFrame(file.path, time, format);
+      }
+
       const trimPoints = await this.trimmerModal.open(file, fileType, options);
 
       if (trimPoints && trimPoints.start !== undefined && trimPoints.end !== undefined) {
         // Store trim settings temporarily
         this.tempTrimStart = trimPoints.start;
         this.tempTrimEnd = trimPoints.end;
+        this.tempSegments = trimPoints.segments || null;
+        this.tempCrossfade = trimPoints.crossfade || 0;
+        this.tempReframe = trimPoints.reframe || null;
 
         console.log('[Format Factory] Trim applied to pending file:',
-          `${trimPoints.start.toFixed(2)}s - ${trimPoints.end.toFixed(2)}s`);
+          `${trimPoints.start.toFixed(2)}s - ${trimPoints.end.toFixed(2)}s`,
+          trimPoints.segments ? `(${trimPoints.segments.length} segments)` : '');
 
         // Update trim button to show it's active
         const trimBtn = document.getElementById('ff-modal-trim');
@@ -1947,7 +4703,7 @@ class FormatFactoryManager {
               <line x1="14.47" y1="14.48" x2="20" y2="20"/>
               <line x1="8.12" y1="8.12" x2="12" y2="12"/>
             </svg>
-            Trim (${trimPoints.start.toFixed(1)}s - ${trimPoints.end.toFixed(1)}s)
+            Trim (${trimPoints.segments ? `${trimPoints.segments.length} segments` : `${trimPoints.start.toFixed(1)}s - ${trimPoints.end.toFixed(1)}s`}${trimPoints.reframe ? ` · ${trimPoints.reframe.aspect}` : ''})
           `;
         }
       } else {
@@ -1960,6 +4716,25 @@ class FormatFactoryManager {
     }
   }
 
+  async snapTrimPoints(filePath, start, end) {
+    const result = await window.kolboDesktop.ffmpeg.snapTrimPoints(filePath, start, end);
+    if (!result.success) {
+      console.warn('[Format Factory] Could not snap trim points:', result.error);
+      return null;
+    }
+    return result.snapped ? { start: result.start, end: result.end } : null;
+  }
+
+  async grabFrame(filePath, time, format) {
+    // Saved with the conversions: the custom output folder, or next to the source
+    const outputFolder = this.outputMode === 'custom' && this.outputFolder ? this.outputFolder : null;
+    const result = await window.kolboDesktop.ffmpeg.grabFrame(filePath, time, format, outputFolder);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.outputPath;
+  }
+
   async openTrimmer(jobId) {
     const job = this.queue.find(j => j.id === jobId);
     if (!job) return;
@@ -1985,19 +4760,42 @@ class FormatFactoryManager {
       // Open trimmer with current trim settings (if any)
       const options = {
         initialStart: job.trimStart,
-        initialEnd: job.trimEnd
+        initialEnd: job.trimEnd,
+        segments: job.segments,
+        crossfade: job.crossfade,
+        reframe: job.reframe,
+        // Joined segments and reframes are always re-encoded
+        allowSegments: !(job.settings && job.settings.codec === 'copy'),
+        allowReframe: !(job.settings && job.settings.codec === 'copy')
       };
 
+      // Stream copies cut on keyframes - show where the cuts will really land
+      if (fileType === 'video' && job.settings && job.settings.codec === 'copy' && !job.settings.frameAccurate) {
+        options.snapTrimPoints = (start, end) => this.snapTrimPoints(job.filePath, start, end);
+      }
+      // Show the job's color settings on a before/after frame
+      if (fileType === 'video' && job.settings && job.settings.color && job.filePath) {
+        options.colorPreview = (time) => this.previewColor(job.filePath, time, job.settings.color);
+      }
+      // Save full-resolution frames from the source file
+      if (fileType === 'video' && job.filePath) {
+        options.grabFrame = (time, format) => this.grabFrame(job.filePath, time, format);
+      }
+
       const trimPoints = await this.trimmerModal.open(job.file, fileType, options);
 
       if (trimPoints && trimPoints.start !== undefined && trimPoints.end !== undefined) {
         // Update job with trim settings
         job.trimStart = trimPoints.start;
         job.trimEnd = trimPoints.end;
+        job.segments = trimPoints.segments || null;
+        job.crossfade = trimPoints.crossfade || 0;
+        job.reframe = trimPoints.reframe || null;
         job.hasTrim = true;
 
         console.log('[Format Factory] Trim applied:', job.fileName,
-          `${trimPoints.start.toFixed(2)}s - ${trimPoints.end.toFixed(2)}s`);
+          `${trimPoints.start.toFixed(2)}s - ${trimPoints.end.toFixed(2)}s`,
+          trimPoints.segments ? `(${trimPoints.segments.length} segments)` : '');
 
         // Update UI to show trim is applied
         this.updateTableUI();
@@ -2018,6 +4816,11 @@ class FormatFactoryManager {
     const job = this.queue[index];
     console.log('[Format Factory] Removing from queue:', job.fileName);
 
+    // Drop it from the main-process scheduler if it is waiting for a worker
+    if (job.status === 'queued') {
+      window.kolboDesktop.ffmpeg.cancelJob(job.id);
+    }
+
     // Cleanup resources
     this.cleanupJobResources(job);
 
@@ -2055,9 +4858,14 @@ class FormatFactoryManager {
   }
 
   removeSelected() {
-    // TODO: Implement row selection and batch remove
-    console.log('[Format Factory] Remove selected items');
-    alert('Multi-select will be implemented in the next phase.\n\nFor now, use the remove button on each row.');
+    const jobs = this.queue.filter(j => this.selectedJobIds.has(j.id) && j.status !== 'processing');
+    if (jobs.length === 0) {
+      alert('Select the files to remove by clicking their rows.\n\nFiles that are being converted can\'t be removed.');
+      return;
+    }
+
+    console.log('[Format Factory] Removing selected items:', jobs.length);
+    jobs.forEach(job => this.removeFromQueue(job.id));
   }
 
   clearQueue() {
@@ -2098,79 +4906,135 @@ class FormatFactoryManager {
   }
 
   async startQueue() {
-    if (this.queue.length === 0) {
-      console.log('[Format Factory] Queue is empty, nothing to start');
+    const pendingJobs = this.queue.filter(j => j.status === 'pending');
+    if (pendingJobs.length === 0) {
+      console.log('[Format Factory] No pending jobs, nothing to start');
       return;
     }
 
-    console.log('[Format Factory] Starting queue:', this.queue.length, 'files');
+    console.log('[Format Factory] Starting queue:', pendingJobs.length, 'files');
     console.log('[Format Factory] Queue status:', this.queue.map(j => `${j.fileName}: ${j.status}`).join(', '));
 
-    // Process jobs one at a time
-    for (const job of this.queue) {
-      if (job.status === 'pending') {
-        await this.convertJob(job);
-      } else {
-        console.log('[Format Factory] Skipping job (not pending):', job.fileName, 'status:', job.status);
+    // Hand all pending jobs to the main-process scheduler, which runs them in parallel
+    // Results arrive through the ff:progress / ff:complete / ff:error listeners
+    const serializableJobs = pendingJobs.map(job => {
+      job.status = 'queued';
+      job.progress = 0;
+      job.error = null;
+      return this.getSerializableJob(job);
+    });
+    this.updateTableUI();
+
+    try {
+      const result = await window.kolboDesktop.ffmpeg.enqueueJobs(serializableJobs);
+      if (!result.success) {
+        throw new Error(result.error);
       }
+      console.log('[Format Factory] Queued', result.added, 'job(s) for conversion');
+    } catch (error) {
+      console.error('[Format Factory] Failed to queue jobs:', error);
+      pendingJobs.forEach(job => {
+        job.status = 'failed';
+        job.error = error.message;
+      });
+      this.updateTableUI();
     }
+  }
 
-    console.log('[Format Factory] Queue finished');
+  getSerializableJob(job) {
+    // Determine output folder based on mode (watch folder jobs keep the folder's own output)
+    let outputFolder = null;
+    if (job.watchId && job.outputFolder) {
+      outputFolder = job.outputFolder;
+    } else if (this.outputMode === 'custom' && this.outputFolder) {
+      outputFolder = this.outputFolder;
+    }
+    job.outputFolder = outputFolder;
+
+    // Create serializable job object (remove File object, keep only path)
+    return {
+      id: job.id,
+      filePath: job.filePath,
+      fileName: job.fileName,
+      fileSize: job.fileSize,
+      fileType: job.fileType,
+      outputFormat: job.outputFormat,
+      outputType: job.outputType,
+      settings: job.settings,
+      sequence: job.sequence || undefined,
+      priority: job.priority || 0,
+      outputFolder: outputFolder, // Pass output folder to backend
+      // Include trim settings if applied
+      trimStart: job.hasTrim ? job.trimStart : undefined,
+      trimEnd: job.hasTrim ? job.trimEnd : undefined,
+      segments: job.hasTrim && job.segments ? job.segments : undefined,
+      crossfade: job.hasTrim && job.segments ? job.crossfade : undefined,
+      reframe: job.hasTrim && job.reframe ? job.reframe : undefined,
+      // Files joined into this job's output, in order
+      merge: job.merge || undefined
+    };
   }
 
-  async convertJob(job) {
-    try {
-      job.status = 'processing';
-      job.progress = 0;
-      this.updateTableUI();
+  async toggleJobPriority(jobId) {
+    const job = this.queue.find(j => j.id === jobId);
+    if (!job) return;
 
-      console.log('[Format Factory] Converting:', job.fileName);
+    job.priority = job.priority ? 0 : 1;
+    console.log('[Format Factory] Priority', job.priority ? 'raised' : 'cleared', 'for:', job.fileName);
 
-      // Determine output folder based on mode
-      let outputFolder = null;
-      if (this.outputMode === 'custom' && this.outputFolder) {
-        outputFolder = this.outputFolder;
-        console.log('[Format Factory] Using custom output folder:', outputFolder);
-      } else {
-        console.log('[Format Factory] Using source file folder');
-      }
-
-      // Create serializable job object (remove File object, keep only path)
-      const serializableJob = {
-        id: job.id,
-        filePath: job.filePath,
-        fileName: job.fileName,
-        fileSize: job.fileSize,
-        fileType: job.fileType,
-        outputFormat: job.outputFormat,
-        outputType: job.outputType,
-        settings: job.settings,
-        outputFolder: outputFolder, // Pass output folder to backend
-        // Include trim settings if applied
-        trimStart: job.hasTrim ? job.trimStart : undefined,
-        trimEnd: job.hasTrim ? job.trimEnd : undefined
-      };
+    // Already handed to the scheduler - update it there too
+    if (job.status === 'queued') {
+      try {
+        await window.kolboDesktop.ffmpeg.setJobPriority(job.id, job.priority);
+      } catch (error) {
+        console.error('[Format Factory] Failed to update job priority:', error);
+      }
+    }
+
+    this.updateTableUI();
+  }
 
-      // Call FFmpeg via IPC
-      const result = await window.kolboDesktop.ffmpeg.convertJob(serializableJob);
+  async togglePause() {
+    try {
+      const result = this.queuePaused
+        ? await window.kolboDesktop.ffmpeg.resumeQueue()
+        : await window.kolboDesktop.ffmpeg.pauseQueue();
 
       if (result.success) {
-        console.log('[Format Factory] Conversion successful:', result.outputPath);
-        job.status = 'completed';
-        job.progress = 100;
-        job.outputPath = result.outputPath;
-      } else {
-        console.error('[Format Factory] Conversion failed:', result.error);
-        job.status = 'failed';
-        job.error = result.error;
+        this.updateQueueState(result.state);
       }
+    } catch (error) {
+      console.error('[Format Factory] Failed to pause/resume queue:', error);
+    }
+  }
 
-      this.updateTableUI();
+  updateQueueState(state) {
+    if (!state) return;
 
-    } catch (error) {
-      console.error('[Format Factory] Conversion error:', error);
-      job.status = 'failed';
-      job.error = error.message;
+    const wasPaused = this.queuePaused;
+    this.queuePaused = state.paused;
+
+    const pauseBtn = document.querySelector('[data-action="pause"]');
+    if (pauseBtn) {
+      const label = pauseBtn.querySelector('.ff-pause-label');
+      if (label) label.textContent = state.paused ? 'Resume' : 'Pause';
+      pauseBtn.title = state.paused ? 'Resume' : 'Pause';
+    }
+
+    const statusEl = document.getElementById('ff-queue-status');
+    if (statusEl) {
+      if (state.total > 0) {
+        const parts = [`${state.completed + state.failed}/${state.total} done`];
+        if (state.running > 0) parts.push(`${state.running} running`);
+        if (state.pending > 0) parts.push(`${state.pending} queued`);
+        parts.push(`${Math.round(state.progress)}%`);
+        statusEl.textContent = (state.paused ? 'Paused · ' : '') + parts.join(' · ');
+      } else {
+        statusEl.textContent = '';
+      }
+    }
+
+    if (wasPaused !== this.queuePaused) {
       this.updateTableUI();
     }
   }
@@ -2181,9 +5045,9 @@ class FormatFactoryManager {
     try {
       await window.kolboDesktop.ffmpeg.cancelAll();
 
-      // Reset all processing jobs to pending
+      // Reset all processing and queued jobs to pending
       this.queue.forEach(job => {
-        if (job.status === 'processing') {
+        if (job.status === 'processing' || job.status === 'queued') {
           job.status = 'pending';
           job.progress = 0;
         }
@@ -2230,6 +5094,10 @@ class FormatFactoryManager {
       const job = this.queue.find(j => j.id === jobId);
 
       if (job) {
+        // First progress event means the scheduler picked the job up
+        if (job.status === 'queued') {
+          job.status = 'processing';
+        }
         job.progress = Math.min(Math.max(progress, 0), 100);
         this.updateTableUI();
       }
@@ -2251,9 +5119,25 @@ class FormatFactoryManager {
 
     // Errors
     window.kolboDesktop.ffmpeg.onError((data) => {
-      const { jobId, error } = data;
+      const { jobId, error, cancelled, requeued } = data;
       const job = this.queue.find(j => j.id === jobId);
 
+      // Stopped by pausing the queue (Windows) - still queued, starts over on resume
+      if (job && requeued) {
+        job.status = 'queued';
+        job.progress = 0;
+        this.updateTableUI();
+        return;
+      }
+
+      // Stopped by the user - back to pending rather than failed
+      if (job && cancelled) {
+        job.status = 'pending';
+        job.progress = 0;
+        this.updateTableUI();
+        return;
+      }
+
       if (job) {
         job.status = 'failed';
         job.error = error;
@@ -2262,6 +5146,35 @@ class FormatFactoryManager {
       }
     });
 
+    // Aggregate queue progress
+    window.kolboDesktop.ffmpeg.onQueueProgress((state) => {
+      this.updateQueueState(state);
+    });
+
+    // Stream-copy jobs report the keyframes their cuts actually landed on
+    window.kolboDesktop.ffmpeg.onTrimSnapped((data) => {
+      const job = this.queue.find(j => j.id === data.jobId);
+      if (!job) return;
+
+      job.trimStart = data.trimStart;
+      job.trimEnd = data.trimEnd;
+      this.updateTableUI();
+      console.log('[Format Factory] Trim snapped to keyframes:', job.fileName, `${data.trimStart}s - ${data.trimEnd}s`);
+    });
+
+    // Keep the watch folder log current while its modal is open
+    window.kolboDesktop.ffmpeg.onWatchLogUpdated((entry) => {
+      if (!this.watchLog) return;
+
+      const index = this.watchLog.findIndex(e => e.id === entry.id);
+      if (index !== -1) {
+        this.watchLog[index] = entry;
+      } else {
+        this.watchLog.unshift(entry);
+      }
+      this.renderWatchLog();
+    });
+
     // GPU info
     window.kolboDesktop.ffmpeg.onGPUInfo((gpuInfo) => {
       this.gpuInfo = gpuInfo;
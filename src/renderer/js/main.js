@@ -48,6 +48,7 @@ class KolboApp {
     CACHE_PRELOAD_COUNT: 20,              // Number of items to cache for drag-and-drop
     MAX_EMPTY_RESPONSES: 3,               // Max consecutive empty responses before stopping
     MAX_PAGES_LIMIT: 100,                 // Absolute safety limit on pages
+    OFFLINE_SYNC_INTERVAL: 30 * 1000,     // ms between reconnect checks while the library is offline
 
     // Memory Management
     TAB_CLEANUP_INTERVAL: 2 * 60 * 1000,  // 2 minutes (reduced from 5)
@@ -118,6 +119,8 @@ class KolboApp {
     this.filterDebounceTimer = null;
     this.filterDebounceDelay = KolboApp.CONSTANTS.FILTER_DEBOUNCE_DELAY;
     this.preloadAbortController = null; // Controls cancellation of preload operations
+    this.isOffline = false;                // Media Library is showing the local copy (API unreachable)
+    this.offlineSyncInterval = null;
 
     // Memory leak prevention
     this.activeTimeouts = new Set();
@@ -232,6 +235,8 @@ class KolboApp {
       this.scrollDebounceTimer = null;
     }
 
+    this.setOfflineMode(false);
+
     if (this.abortController) {
       this.abortController.abort();
       this.abortController = null;
@@ -407,6 +412,17 @@ class KolboApp {
       settingsBtn.addEventListener('click', () => this.switchView('settings'));
     }
 
+    // Downloads Button - panel with every download (also opened from the tray menu)
+    if (window.DownloadManagerPanel) {
+      this.downloadManagerPanel = new window.DownloadManagerPanel();
+      this.downloadManagerPanel.init();
+
+      const downloadsBtn = document.getElementById('downloads-btn');
+      if (downloadsBtn) {
+        downloadsBtn.addEventListener('click', () => this.downloadManagerPanel.open());
+      }
+    }
+
     // Window Controls
     this.setupWindowControls();
 
@@ -422,6 +438,19 @@ class KolboApp {
       retryBtn.addEventListener('click', () => this.loadMedia(true));
     }
 
+    // Offline banner - check for the API now instead of waiting for the next automatic check
+    const offlineRetryBtn = document.getElementById('offline-retry-btn');
+    if (offlineRetryBtn) {
+      offlineRetryBtn.addEventListener('click', async () => {
+        offlineRetryBtn.disabled = true;
+        const synced = await this.syncWhenOnline();
+        offlineRetryBtn.disabled = false;
+        if (!synced) {
+          alert('Still offline - Kolbo.AI can\'t be reached. The library will sync automatically when the connection returns.');
+        }
+      });
+    }
+
     // Project selector
     const projectSelect = document.getElementById('project-select');
     if (projectSelect) {
@@ -469,6 +498,10 @@ class KolboApp {
     if (revealCacheBtn) {
       revealCacheBtn.addEventListener('click', () => this.handleRevealCache());
     }
+    const unpinAllCacheBtn = document.getElementById('unpin-all-cache-btn');
+    if (unpinAllCacheBtn) {
+      unpinAllCacheBtn.addEventListener('click', () => this.handleUnpinAllCache());
+    }
 
     // Setup Billing button
     const billingBtn = document.getElementById('billing-btn');
@@ -1362,6 +1395,11 @@ class KolboApp {
         });
       }
 
+      // Local copy served by the main process when the API can't be reached
+      if (!appendToExisting) {
+        this.setOfflineMode(!!response.offline, response);
+      }
+
       // Extract items array from response.data.items (API returns {status, data: {items, pagination}})
       const newItems = (response.data && response.data.items) || [];
       const pagination = (response.data && response.data.pagination) || {};
@@ -1520,11 +1558,19 @@ class KolboApp {
       this.setupMediaItemListeners();
       this.updateBatchMenu();
 
-      // Preload thumbnails for visible items only (first 30)
-      this.preloadAllThumbnails(this.media.slice(0, 30));
+      if (this.isOffline) {
+        // Nothing can be downloaded - dim what isn't on this computer and mark what is
+        this.media.filter(item => !item.availableOffline).forEach(item => {
+          gridEl.querySelector(`.media-item[data-id="${item.id}"]`)?.classList.add('offline-unavailable');
+        });
+        this.updateCacheStatusIndicators(this.media.filter(item => item.availableOffline));
+      } else {
+        // Preload thumbnails for visible items only (first 30)
+        this.preloadAllThumbnails(this.media.slice(0, 30));
 
-      // Preload first 20 items to cache for drag-and-drop
-      this.preloadVisibleMediaToCache(this.media.slice(0, 20));
+        // Preload first 20 items to cache for drag-and-drop
+        this.preloadVisibleMediaToCache(this.media.slice(0, 20));
+      }
     }
 
     // Apply CSS filter - instant, no DOM changes!
@@ -1556,6 +1602,67 @@ class KolboApp {
     }
   }
 
+  /**
+   * Show or hide the offline banner; while offline, check for the API every OFFLINE_SYNC_INTERVAL
+   * and when the browser reports the network is back, then reload projects and media from it
+   * @param {boolean} offline
+   * @param {Object} response - Offline media response ({ data: { pagination }, availableCount, syncedAt })
+   */
+  setOfflineMode(offline, response = null) {
+    this.isOffline = offline;
+
+    const banner = document.getElementById('offline-banner');
+    if (banner) {
+      banner.classList.toggle('hidden', !offline);
+    }
+
+    if (!offline) {
+      if (this.offlineSyncInterval) {
+        this.safeClearInterval(this.offlineSyncInterval);
+        this.offlineSyncInterval = null;
+        window.removeEventListener('online', this.handleBackOnline);
+      }
+      return;
+    }
+
+    const messageEl = document.getElementById('offline-banner-message');
+    if (messageEl && response) {
+      const total = response.data?.pagination?.totalItems || 0;
+      const syncedAt = response.syncedAt ? new Date(response.syncedAt).toLocaleString() : 'an earlier session';
+      messageEl.textContent = `You're offline - showing your library as of ${syncedAt}. ` +
+        `${response.availableCount || 0} of ${total} files are saved on this computer and can be used; the rest need a connection.`;
+    }
+
+    if (!this.offlineSyncInterval) {
+      this.handleBackOnline = this.handleBackOnline || (() => this.syncWhenOnline());
+      this.offlineSyncInterval = this.safeSetInterval(() => this.syncWhenOnline(), KolboApp.CONSTANTS.OFFLINE_SYNC_INTERVAL);
+      window.addEventListener('online', this.handleBackOnline);
+    }
+  }
+
+  /**
+   * Reload the library from the API if it can be reached again
+   * @returns {Promise<boolean>} Whether the library is online
+   */
+  async syncWhenOnline() {
+    if (!this.isOffline) return true;
+    if (this.isLoading) return false;
+
+    try {
+      const result = await window.kolboDesktop.getProjects();
+      if (!result.success || result.data?.offline) return false;
+
+      console.log('[Offline] API reachable again, syncing Media Library');
+      this.setOfflineMode(false);
+      await this.loadProjects();
+      await this.loadMedia(true);
+      return !this.isOffline;
+    } catch (error) {
+      console.error('[Offline] Reconnect check failed:', error);
+      return false;
+    }
+  }
+
   async preloadVisibleMediaToCache(items) {
     if (!items || items.length === 0) return;
 
@@ -1768,7 +1875,7 @@ class KolboApp {
         <div class="media-preview">
           <video
             id="video-${item.id}"
-            src="${item.url || item.video_url}"
+            src="${item.localUrl || item.url || item.video_url}"
             poster="${thumbnailUrl}"
             preload="metadata"
             ${isPlaying ? '' : 'muted'}
@@ -1794,7 +1901,7 @@ class KolboApp {
   }
 
   renderAudioItem(item, fileName, title, category) {
-    const audioUrl = item.url || item.audio_url || '';
+    const audioUrl = item.localUrl || item.url || item.audio_url || '';
     const isSelected = this.selectedItems.has(item.id);
 
     return `
@@ -2387,6 +2494,12 @@ class KolboApp {
       console.log('[Batch Download] Downloading', items.length, 'files...');
       }
 
+      // Show file count, speed and time left on the button while the batch runs
+      if (!this.batchProgressListenerAttached && window.kolboDesktop.onFileDownloadProgress) {
+        this.batchProgressListenerAttached = true;
+        window.kolboDesktop.onFileDownloadProgress((progress) => this.updateBatchDownloadProgress(progress));
+      }
+
       // Start download
       const result = await window.kolboDesktop.batchDownload(items, targetFolder);
 
@@ -2560,6 +2673,24 @@ class KolboApp {
     this.updateBatchMenu();
   }
 
+  updateBatchDownloadProgress(progress) {
+    const downloadBtn = document.getElementById('floating-batch-download-btn');
+    const label = downloadBtn && downloadBtn.disabled ? downloadBtn.querySelector('span') : null;
+    if (!label || progress.count === undefined) return;
+
+    const parts = [`${progress.index + 1}/${progress.count}`];
+    if (progress.status === 'retrying') {
+      parts.push('Reconnecting...');
+    } else {
+      if (progress.percent !== null) parts.push(`${progress.percent}%`);
+      if (progress.bytesPerSecond > 0) parts.push(`${(progress.bytesPerSecond / 1024 / 1024).toFixed(1)} MB/s`);
+      if (progress.etaSeconds !== null) {
+        parts.push(`${Math.floor(progress.etaSeconds / 60)}:${String(progress.etaSeconds % 60).padStart(2, '0')} left`);
+      }
+    }
+    label.textContent = `Downloading ${parts.join(' · ')}`;
+  }
+
   showToast(message, type = 'info') {
     if (this.DEBUG_MODE) {
     console.log(`[Toast ${type}] ${message}`);
@@ -2585,6 +2716,9 @@ class KolboApp {
           cacheSizeDisplay.textContent = cacheInfo.formatted;
         }
 
+        // Pinned vs. evictable breakdown and the pinned file list
+        await this.loadPinnedCacheItems();
+
         // Show cache location
         const cacheLocationPath = document.getElementById('cache-location-path');
         if (cacheLocationPath) {
@@ -2757,6 +2891,72 @@ class KolboApp {
             });
           }
 
+          // Load hardware acceleration mode
+          const ffHwAccelSelect = document.getElementById('ff-hw-accel-select');
+          const ffHwAccelInfo = document.getElementById('ff-hw-accel-info');
+          if (ffHwAccelSelect) {
+            try {
+              const result = await window.kolboDesktop.ffmpeg.getHardwareAccel();
+              if (result.success) {
+                ffHwAccelSelect.value = result.mode;
+                if (ffHwAccelInfo && result.gpuInfo) {
+                  ffHwAccelInfo.textContent = result.gpuInfo.hasHardwareAcceleration
+                    ? `GPU encoder: ${result.gpuInfo.bestH264Encoder} (${result.gpuInfo.model})`
+                    : 'No working GPU encoder found - conversions use the CPU';
+                }
+              }
+            } catch (error) {
+              console.error('[Settings] Failed to load hardware acceleration mode:', error);
+            }
+
+            if (!ffHwAccelSelect.hasAttribute('data-listener-attached')) {
+              ffHwAccelSelect.setAttribute('data-listener-attached', 'true');
+              ffHwAccelSelect.addEventListener('change', async () => {
+                try {
+                  await window.kolboDesktop.ffmpeg.setHardwareAccel(ffHwAccelSelect.value);
+                  console.log('[Settings] Format Factory hardware acceleration set to:', ffHwAccelSelect.value);
+                } catch (error) {
+                  console.error('[Settings] Failed to set hardware acceleration mode:', error);
+                }
+              });
+            }
+          }
+
+          // Load parallel conversion limit
+          const ffConcurrencySelect = document.getElementById('ff-concurrency-select');
+          const ffConcurrencyInfo = document.getElementById('ff-concurrency-info');
+          if (ffConcurrencySelect) {
+            try {
+              const result = await window.kolboDesktop.ffmpeg.getConcurrency();
+              if (result.success) {
+                const maxWorkers = Math.min(result.cpuCount, 16);
+                ffConcurrencySelect.innerHTML = `<option value="auto">Automatic (${result.defaultConcurrency})</option>`;
+                for (let i = 1; i <= maxWorkers; i++) {
+                  ffConcurrencySelect.innerHTML += `<option value="${i}">${i}</option>`;
+                }
+                ffConcurrencySelect.value = result.isDefault ? 'auto' : String(result.concurrency);
+                if (ffConcurrencyInfo) {
+                  ffConcurrencyInfo.textContent = `How many files are converted at the same time (${result.cpuCount} CPU cores detected)`;
+                }
+              }
+            } catch (error) {
+              console.error('[Settings] Failed to load conversion concurrency:', error);
+            }
+
+            if (!ffConcurrencySelect.hasAttribute('data-listener-attached')) {
+              ffConcurrencySelect.setAttribute('data-listener-attached', 'true');
+              ffConcurrencySelect.addEventListener('change', async () => {
+                try {
+                  const value = ffConcurrencySelect.value === 'auto' ? null : parseInt(ffConcurrencySelect.value, 10);
+                  const result = await window.kolboDesktop.ffmpeg.setConcurrency(value);
+                  console.log('[Settings] Format Factory parallel conversions set to:', result.concurrency);
+                } catch (error) {
+                  console.error('[Settings] Failed to set conversion concurrency:', error);
+                }
+              });
+            }
+          }
+
           // Handle change folder button
           if (ffChangeOutputFolderBtn && !ffChangeOutputFolderBtn.hasAttribute('data-listener-attached')) {
             ffChangeOutputFolderBtn.setAttribute('data-listener-attached', 'true');
@@ -3257,9 +3457,9 @@ class KolboApp {
     // Show confirmation dialog
     const confirmed = confirm(
       '⚠️ Clear All Cache?\n\n' +
-      'This will delete all downloaded media files from your computer.\n\n' +
+      'This will delete all downloaded media files from your computer except pinned files.\n\n' +
       'Warning: Video editing projects (Premiere Pro, After Effects, DaVinci Resolve) ' +
-      'that are using these files will show "Media Offline" errors.\n\n' +
+      'that are using unpinned files will show "Media Offline" errors.\n\n' +
       'Are you sure you want to continue?'
     );
 
@@ -3283,7 +3483,8 @@ class KolboApp {
         if (result.success) {
           alert(
             `✅ Cache Cleared Successfully!\n\n` +
-            `Deleted ${result.deletedFiles} file(s).\n\n` +
+            `Deleted ${result.deletedFiles} file(s).\n` +
+            (result.keptPinned ? `Kept ${result.keptPinned} pinned file(s).\n` : '') + '\n' +
             `New files will be downloaded when you drag them to video editors.`
           );
 
@@ -3311,6 +3512,95 @@ class KolboApp {
     }
   }
 
+  /**
+   * Show pinned vs. evictable cache usage and list the pinned files with an Unpin button each
+   */
+  async loadPinnedCacheItems() {
+    const breakdownEl = document.getElementById('cache-size-breakdown');
+    const listEl = document.getElementById('pinned-cache-list');
+    const unpinAllBtn = document.getElementById('unpin-all-cache-btn');
+
+    try {
+      const [stats, pinned] = await Promise.all([
+        window.kolboDesktop.getCacheStats(),
+        window.kolboDesktop.getPinnedCacheItems()
+      ]);
+
+      if (breakdownEl && stats.success) {
+        breakdownEl.textContent = `${this.formatCacheBytes(stats.pinnedSize)} pinned (${stats.pinnedCount} file${stats.pinnedCount === 1 ? '' : 's'}) · ` +
+          `${this.formatCacheBytes(stats.evictableSize)} can be freed automatically`;
+      }
+
+      if (!listEl || !pinned.success) return;
+
+      const reasons = {
+        drag: 'Dragged to an editor',
+        premiere: 'Imported to Premiere',
+        download: 'Downloaded',
+        user: 'Pinned manually'
+      };
+
+      listEl.innerHTML = '';
+      if (unpinAllBtn) unpinAllBtn.disabled = pinned.items.length === 0;
+
+      if (pinned.items.length === 0) {
+        listEl.innerHTML = '<div class="pinned-cache-empty">No pinned files</div>';
+        return;
+      }
+
+      pinned.items.forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'pinned-cache-row';
+        row.innerHTML = `
+          <div class="pinned-cache-info">
+            <div class="pinned-cache-name"></div>
+            <div class="pinned-cache-meta"></div>
+          </div>
+          <button class="secondary-btn pinned-cache-unpin">Unpin</button>
+        `;
+        row.querySelector('.pinned-cache-name').textContent = item.fileName;
+        row.querySelector('.pinned-cache-name').title = item.filePath;
+        row.querySelector('.pinned-cache-meta').textContent = `${this.formatCacheBytes(item.size)} · ${reasons[item.pinReason] || reasons.user}`;
+        row.querySelector('.pinned-cache-unpin').addEventListener('click', () => this.handleUnpinCache([item.id]));
+        listEl.appendChild(row);
+      });
+    } catch (error) {
+      console.error('[Settings] Failed to load pinned cache items:', error);
+    }
+  }
+
+  formatCacheBytes(bytes) {
+    return bytes >= 1024 ** 3 ? `${(bytes / 1024 ** 3).toFixed(2)} GB` : `${(bytes / 1024 ** 2).toFixed(2)} MB`;
+  }
+
+  async handleUnpinCache(mediaIds) {
+    try {
+      const result = await window.kolboDesktop.setCachePinned(mediaIds, false);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      await this.loadPinnedCacheItems();
+    } catch (error) {
+      console.error('[Settings] Unpin error:', error);
+      alert(`❌ Failed to unpin: ${error.message}`);
+    }
+  }
+
+  async handleUnpinAllCache() {
+    const confirmed = confirm(
+      'Unpin All Files?\n\n' +
+      'Unpinned files can be deleted when the cache is full or cleared. ' +
+      'Video editing projects still using them will show "Media Offline" errors.\n\n' +
+      'Are you sure you want to continue?'
+    );
+    if (!confirmed) return;
+
+    const pinned = await window.kolboDesktop.getPinnedCacheItems();
+    if (pinned.success && pinned.items.length > 0) {
+      await this.handleUnpinCache(pinned.items.map(item => item.id));
+    }
+  }
+
   async handleRevealCache() {
     if (this.DEBUG_MODE) {
       console.log('[Settings] Reveal cache clicked');
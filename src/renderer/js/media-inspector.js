@@ -0,0 +1,276 @@
+// Kolbo Studio - Media Inspector
+// Shows a file's container, streams (codec, pixel format, color, HDR, frame timing, audio layout),
+// timecode and tags, and copies the full report as JSON for bug reports
+
+console.log('[MediaInspector] Loading...');
+
+class MediaInspector {
+  constructor() {
+    this.modalElement = null;
+    this.report = null; // Last report shown (copied as JSON)
+    this.requestId = 0; // Ignores a report that arrives after the modal was closed or reopened
+  }
+
+  /**
+   * Open the inspector and read the file
+   * @param {string} filePath - Local file or URL
+   * @param {string} title - Name shown in the header (defaults to the file name)
+   */
+  async open(filePath, title = null) {
+    this.close();
+
+    const requestId = ++this.requestId;
+    this.report = null;
+    this.render(title || filePath.split(/[/\\]/).pop());
+
+    try {
+      const result = await window.kolboDesktop.ffmpeg.inspectMedia(filePath);
+      if (requestId !== this.requestId) return;
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.report = result.report;
+      this.showReport(result.report);
+    } catch (error) {
+      if (requestId !== this.requestId) return;
+
+      console.error('[MediaInspector] Failed to inspect file:', error);
+      this.modalElement.querySelector('#ff-inspector-body').innerHTML = `
+        <div style="color: #f87171; font-size: 13px;">Couldn't read this file: ${this.escapeHtml(error.message)}</div>
+      `;
+    }
+  }
+
+  /**
+   * Create the modal with a loading state
+   */
+  render(title) {
+    const modal = document.createElement('div');
+    modal.id = 'ff-inspector-modal';
+    modal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background: rgba(0, 0, 0, 0.8);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
+      animation: fadeIn 0.2s ease;
+    `;
+
+    const buttonStyle = `
+      padding: 8px 14px;
+      background: #262626;
+      border: 1px solid #474747;
+      border-radius: 6px;
+      color: rgba(255, 255, 255, 0.8);
+      font-size: 13px;
+      cursor: pointer;
+      white-space: nowrap;
+    `;
+
+    modal.innerHTML = `
+      <div style="background: #1a1a1a; border: 1px solid #474747; border-radius: 12px; padding: 24px; max-width: 720px; width: 90%; max-height: 80vh; overflow-y: auto; animation: slideUp 0.3s ease; display: flex; flex-direction: column; gap: 16px;">
+        <div style="display: flex; justify-content: space-between; align-items: center; padding-bottom: 16px; border-bottom: 1px solid #474747;">
+          <div style="min-width: 0;">
+            <h3 style="margin: 0 0 8px 0; color: #ffffff; font-size: 18px; font-weight: 600;">Media Inspector</h3>
+            <p style="margin: 0; color: rgba(255, 255, 255, 0.6); font-size: 13px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${this.escapeHtml(title).replace(/"/g, '&quot;')}">${this.escapeHtml(title)}</p>
+          </div>
+          <button id="ff-inspector-close" style="background: transparent; border: none; color: rgba(255, 255, 255, 0.6); font-size: 24px; cursor: pointer; padding: 0; width: 32px; height: 32px; border-radius: 4px;">×</button>
+        </div>
+        <div id="ff-inspector-body" style="display: flex; flex-direction: column; gap: 16px;">
+          <div style="color: rgba(255, 255, 255, 0.6); font-size: 13px;">Reading file...</div>
+        </div>
+        <div style="display: flex; justify-content: flex-end; gap: 8px; padding-top: 16px; border-top: 1px solid #474747;">
+          <button id="ff-inspector-copy" style="${buttonStyle}" disabled>Copy as JSON</button>
+          <button id="ff-inspector-done" style="${buttonStyle}">Close</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    this.modalElement = modal;
+
+    modal.querySelector('#ff-inspector-close').addEventListener('click', () => this.close());
+    modal.querySelector('#ff-inspector-done').addEventListener('click', () => this.close());
+    modal.querySelector('#ff-inspector-copy').addEventListener('click', () => this.copyReport());
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) this.close();
+    });
+  }
+
+  /**
+   * Fill the modal with the container and stream details
+   */
+  showReport(report) {
+    const body = this.modalElement.querySelector('#ff-inspector-body');
+    const container = report.container;
+
+    const containerRows = [
+      ['Format', container.longName ? `${container.longName} (${container.format})` : container.format],
+      ['Duration', container.duration ? this.formatDuration(container.duration) : null],
+      ['Size', report.file.size ? this.formatSize(report.file.size) : null],
+      ['Overall bitrate', container.bitrate ? this.formatBitrate(container.bitrate) : null],
+      ['Start time', container.startTime ? `${container.startTime.toFixed(3)}s` : null],
+      ['Timecode', report.timecode],
+      ['Chapters', container.chapters || null],
+      ['Read with', report.source === 'ffprobe' ? 'ffprobe' : 'FFmpeg (ffprobe not installed)']
+    ];
+
+    body.innerHTML = `
+      ${this.renderSection('Container', containerRows, container.tags)}
+      ${report.streams.map(stream => this.renderSection(this.describeStream(stream), this.getStreamRows(stream), stream.tags)).join('')}
+    `;
+
+    const copyButton = this.modalElement.querySelector('#ff-inspector-copy');
+    copyButton.disabled = false;
+  }
+
+  /**
+   * Heading for a stream: "#0 Video · h264 (High) · eng · default"
+   */
+  describeStream(stream) {
+    const type = stream.type ? stream.type.charAt(0).toUpperCase() + stream.type.slice(1) : 'Stream';
+    const parts = [`#${stream.index} ${type}`, stream.profile ? `${stream.codec} (${stream.profile})` : stream.codec];
+    if (stream.language) parts.push(stream.language);
+    if (stream.default) parts.push('default');
+    if (stream.forced) parts.push('forced');
+    if (stream.attachedPicture) parts.push('cover art');
+    return parts.filter(Boolean).join(' · ');
+  }
+
+  /**
+   * Label/value rows for a stream (rows without a value are skipped when rendered)
+   */
+  getStreamRows(stream) {
+    const rows = [['Codec', stream.codecLongName]];
+
+    if (stream.type === 'video') {
+      const aspect = stream.dar && stream.sar !== '1:1' ? ` (SAR ${stream.sar}, DAR ${stream.dar})` : (stream.dar ? ` (${stream.dar})` : '');
+      const color = [stream.colorSpace, stream.colorPrimaries, stream.colorTransfer];
+      rows.push(
+        ['Resolution', stream.width ? `${stream.width} × ${stream.height}${aspect}` : null],
+        ['Pixel format', stream.pixFmt],
+        ['Bit depth', stream.bitDepth ? `${stream.bitDepth}-bit` : null],
+        ['Color range', stream.colorRange],
+        ['Color space / primaries / transfer', color.some(Boolean) ? color.map(value => value || 'unknown').join(' / ') : null],
+        ['HDR', stream.hdr],
+        ['Mastering display', stream.masteringDisplay],
+        ['Content light level', stream.contentLight],
+        ['Dolby Vision', stream.dolbyVision],
+        ['Frame rate', this.describeFrameRate(stream)],
+        ['Field order', stream.fieldOrder]
+      );
+    } else if (stream.type === 'audio') {
+      rows.push(
+        ['Sample rate', stream.sampleRate ? `${stream.sampleRate} Hz` : null],
+        ['Channels', stream.channels ? `${stream.channels}${stream.channelLayout ? ` (${stream.channelLayout})` : ''}` : stream.channelLayout],
+        ['Sample format', stream.sampleFormat]
+      );
+    }
+
+    rows.push(['Bitrate', stream.bitrate ? this.formatBitrate(stream.bitrate) : null]);
+    return rows;
+  }
+
+  /**
+   * "25 fps (constant)" or "variable, 8.33 - 25 fps (average 14.39)" once the timing was measured
+   */
+  describeFrameRate(stream) {
+    const timing = stream.frameTiming;
+    if (timing && timing.variable) {
+      return `Variable, ${timing.minFrameRate} - ${timing.maxFrameRate} fps (average ${timing.averageFrameRate}, ${timing.sampledFrames} frames sampled)`;
+    }
+    if (!stream.frameRate) return null;
+    return timing ? `${stream.frameRate} fps (constant)` : `${stream.frameRate} fps`;
+  }
+
+  /**
+   * One titled block of label/value rows, with its embedded tags below
+   */
+  renderSection(title, rows, tags = {}) {
+    const rowHtml = (label, value) => `
+      <div style="display: grid; grid-template-columns: 200px 1fr; gap: 12px; font-size: 13px; padding: 4px 0;">
+        <div style="color: rgba(255, 255, 255, 0.5);">${this.escapeHtml(label)}</div>
+        <div style="color: #ffffff; word-break: break-word; user-select: text;">${this.escapeHtml(String(value))}</div>
+      </div>
+    `;
+    const tagEntries = Object.entries(tags || {});
+
+    return `
+      <div style="padding: 12px 16px; background: #262626; border: 1px solid #474747; border-radius: 8px;">
+        <h4 style="margin: 0 0 8px 0; color: rgba(255, 255, 255, 0.8); font-size: 14px; font-weight: 600;">${this.escapeHtml(title)}</h4>
+        ${rows.filter(([, value]) => value !== null && value !== undefined && value !== '').map(([label, value]) => rowHtml(label, value)).join('')}
+        ${tagEntries.length > 0 ? `
+          <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid #474747; font-size: 11px; color: rgba(255, 255, 255, 0.5); text-transform: uppercase; letter-spacing: 0.5px;">Tags</div>
+          ${tagEntries.map(([key, value]) => rowHtml(key, value)).join('')}
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Copy the full report (including the raw probe output) for bug reports
+   */
+  async copyReport() {
+    if (!this.report) return;
+
+    const copyButton = this.modalElement.querySelector('#ff-inspector-copy');
+    try {
+      await window.kolboDesktop.writeClipboardText(JSON.stringify(this.report, null, 2));
+      copyButton.textContent = 'Copied';
+    } catch (error) {
+      console.error('[MediaInspector] Failed to copy report:', error);
+      copyButton.textContent = 'Copy failed';
+    }
+    setTimeout(() => {
+      if (copyButton.isConnected) copyButton.textContent = 'Copy as JSON';
+    }, 2000);
+  }
+
+  /**
+   * Format seconds as H:MM:SS.mmm
+   */
+  formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = (seconds % 60).toFixed(3).padStart(6, '0');
+    return `${hours}:${String(minutes).padStart(2, '0')}:${rest}`;
+  }
+
+  formatSize(bytes) {
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  }
+
+  formatBitrate(bitsPerSecond) {
+    return bitsPerSecond >= 1000000 ? `${(bitsPerSecond / 1000000).toFixed(2)} Mb/s` : `${Math.round(bitsPerSecond / 1000)} kb/s`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Close the modal (a report still being read is dropped)
+   */
+  close() {
+    this.requestId++;
+    if (this.modalElement) {
+      this.modalElement.remove();
+      this.modalElement = null;
+    }
+  }
+}
+
+// Export class to global scope
+window.MediaInspector = MediaInspector;
+
+console.log('[MediaInspector] Loaded successfully');
@@ -436,6 +436,36 @@ class AudioTrimmer {
     this.onTrimChange(this.trimPoints);
   }
 
+  /**
+   * Set the selection programmatically (e.g. to edit a saved segment)
+   * @param {Array} trimPoints - [start, end] in seconds
+   */
+  setTrimPoints([start, end]) {
+    const clampedStart = Math.max(0, Math.min(start, this.duration));
+    this.trimPoints = [clampedStart, Math.max(clampedStart, Math.min(end, this.duration))];
+    this.updateTimelineSelection();
+    this.updateTimeDisplays();
+    this.onTrimChange(this.trimPoints);
+  }
+
+  /**
+   * Mark the segments that will be joined on the waveform
+   * @param {Array} segments - [{ start, end }] in join order (numbered on the markers)
+   */
+  setSegmentMarkers(segments) {
+    this.waveformContainer.querySelectorAll('.ff-trimmer-segment-marker').forEach(marker => marker.remove());
+    if (!this.duration || segments.length < 2) return;
+
+    segments.forEach((segment, index) => {
+      const marker = document.createElement('div');
+      marker.className = 'ff-trimmer-segment-marker';
+      marker.style.left = `${(segment.start / this.duration) * 100}%`;
+      marker.style.width = `${((segment.end - segment.start) / this.duration) * 100}%`;
+      marker.textContent = index + 1;
+      this.waveformContainer.appendChild(marker);
+    });
+  }
+
   /**
    * Format time in seconds to MM:SS
    */
@@ -0,0 +1,119 @@
+// Kolbo Studio - Color Preview
+// Shows the frame at the playhead before and after the job's LUT, color adjustments and
+// HDR tone mapping, rendered by FFmpeg so it matches the converted output
+
+console.log('[ColorPreview] Loading...');
+
+class ColorPreview {
+  constructor(trimmer, options = {}) {
+    this.trimmer = trimmer; // VideoTrimmer - frames are taken at its playhead
+    this.renderFrames = options.colorPreview; // async (time) => { before, after } image URLs
+
+    // Ignores frames that arrive after a newer request (or after the modal closed)
+    this.requestId = 0;
+
+    // DOM refs (will be set when rendered)
+    this.element = null;
+    this.framesElement = null;
+    this.beforeImage = null;
+    this.afterImage = null;
+    this.statusElement = null;
+    this.compareButton = null;
+  }
+
+  /**
+   * Create the compare button and the before/after frames
+   * @returns {HTMLElement} Container element
+   */
+  render() {
+    const container = document.createElement('div');
+    container.className = 'ff-color-preview';
+    container.innerHTML = `
+      <div class="ff-segment-toolbar">
+        <button class="ff-trimmer-modal-btn ff-trimmer-modal-btn-skip ff-color-preview-compare" title="Render the frame at the playhead with and without the color settings">Compare at playhead</button>
+        <span class="ff-color-preview-status"></span>
+      </div>
+      <div class="ff-color-preview-frames">
+        <figure class="ff-color-preview-frame">
+          <img class="ff-color-preview-before" alt="Before">
+          <figcaption>Before</figcaption>
+        </figure>
+        <figure class="ff-color-preview-frame">
+          <img class="ff-color-preview-after" alt="After">
+          <figcaption>After</figcaption>
+        </figure>
+      </div>
+    `;
+
+    this.element = container;
+    this.framesElement = container.querySelector('.ff-color-preview-frames');
+    this.beforeImage = container.querySelector('.ff-color-preview-before');
+    this.afterImage = container.querySelector('.ff-color-preview-after');
+    this.statusElement = container.querySelector('.ff-color-preview-status');
+    this.compareButton = container.querySelector('.ff-color-preview-compare');
+
+    this.framesElement.style.display = 'none';
+    this.compareButton.addEventListener('click', () => this.update());
+
+    this.update();
+    return container;
+  }
+
+  /**
+   * Render the frame at the playhead and show both versions
+   */
+  async update() {
+    if (!this.renderFrames) return;
+
+    const requestId = ++this.requestId;
+    const time = this.trimmer.videoElement ? this.trimmer.videoElement.currentTime : 0;
+    this.compareButton.disabled = true;
+    this.statusElement.textContent = `Rendering frame at ${this.formatTime(time)}...`;
+
+    try {
+      const frames = await this.renderFrames(time);
+      if (requestId !== this.requestId) return;
+
+      this.beforeImage.src = frames.before;
+      this.afterImage.src = frames.after;
+      this.framesElement.style.display = 'grid';
+      this.statusElement.textContent = `Frame at ${this.formatTime(time)}`;
+    } catch (error) {
+      if (requestId !== this.requestId) return;
+
+      console.error('[ColorPreview] Failed to render preview:', error);
+      this.statusElement.textContent = `Couldn't render the preview: ${error.message}`;
+    } finally {
+      if (requestId === this.requestId) {
+        this.compareButton.disabled = false;
+      }
+    }
+  }
+
+  /**
+   * Format time in seconds to M:SS.s
+   */
+  formatTime(seconds) {
+    const tenths = Math.round(seconds * 10);
+    const mins = Math.floor(tenths / 600);
+    const secs = ((tenths % 600) / 10).toFixed(1);
+    return `${mins}:${secs.padStart(4, '0')}`;
+  }
+
+  /**
+   * Drop any frame still being rendered
+   */
+  destroy() {
+    this.requestId++;
+  }
+}
+
+// Export class to global scope
+window.ColorPreview = ColorPreview;
+
+console.log('[ColorPreview] Loaded successfully');
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ColorPreview;
+}
@@ -0,0 +1,352 @@
+// Kolbo Studio - Reframe Tool
+// Converts a video to another aspect ratio: a crop window dragged over the preview (fixed or
+// moving between keyframes), or the whole frame letterboxed on black bars or a blurred fill
+
+console.log('[ReframeTool] Loading...');
+
+// Target aspect ratios, width / height (must match REFRAME_ASPECTS in ffmpeg-handler.js)
+const REFRAME_ASPECTS = {
+  '9:16': { ratio: 9 / 16, label: '9:16 - Reels, TikTok, Shorts' },
+  '1:1': { ratio: 1, label: '1:1 - Square' },
+  '4:5': { ratio: 4 / 5, label: '4:5 - Instagram feed' },
+  '16:9': { ratio: 16 / 9, label: '16:9 - Landscape' }
+};
+
+const REFRAME_MODES = {
+  crop: 'Crop',
+  pad: 'Black bars',
+  blur: 'Blurred fill'
+};
+
+// Dragging within this many seconds of a keyframe moves it instead of adding a new one
+const KEYFRAME_SNAP_DISTANCE = 0.1;
+
+class ReframeTool {
+  constructor(trimmer, options = {}) {
+    this.trimmer = trimmer; // VideoTrimmer - the crop window is drawn over its preview
+
+    // State
+    const reframe = options.reframe && REFRAME_ASPECTS[options.reframe.aspect] ? options.reframe : null;
+    this.aspect = reframe ? reframe.aspect : null; // null = keep the source aspect ratio
+    this.mode = reframe && REFRAME_MODES[reframe.mode] ? reframe.mode : 'crop';
+    // Crop window positions: x/y run from 0 (left/top) to 1 (right/bottom) of the room it can move in
+    // A single keyframe is a fixed position, whatever its time
+    this.keyframes = reframe && reframe.keyframes && reframe.keyframes.length > 0
+      ? reframe.keyframes.map(keyframe => ({ ...keyframe }))
+      : [{ time: 0, x: 0.5, y: 0.5 }];
+    this.dragPosition = null; // Window position while it is being dragged
+
+    // DOM refs (will be set when rendered)
+    this.element = null;
+    this.overlayElement = null;
+    this.windowElement = null;
+    this.summaryElement = null;
+
+    this.handleResize = () => this.layout();
+    this.handleTimeUpdate = () => {
+      if (this.keyframes.length > 1 && !this.dragPosition) this.layout();
+    };
+  }
+
+  /**
+   * Create the reframe controls and the crop window over the trimmer's preview
+   * @returns {HTMLElement} Container element
+   */
+  render() {
+    const container = document.createElement('div');
+    container.className = 'ff-reframe-tool';
+    container.innerHTML = `
+      <div class="ff-segment-toolbar">
+        <label class="ff-reframe-aspect">
+          Aspect ratio
+          <select class="ff-reframe-aspect-select">
+            <option value="">Original</option>
+            ${Object.entries(REFRAME_ASPECTS).map(([id, aspect]) => `<option value="${id}">${aspect.label}</option>`).join('')}
+          </select>
+        </label>
+        <div class="ff-segment-mode">
+          ${Object.entries(REFRAME_MODES).map(([id, label]) => `<button class="ff-segment-mode-btn" data-mode="${id}">${label}</button>`).join('')}
+        </div>
+        <button class="ff-trimmer-modal-btn ff-trimmer-modal-btn-skip ff-reframe-keyframe" title="Remember the crop position at the playhead - the window moves between keyframes">+ Keyframe</button>
+        <button class="ff-trimmer-modal-btn ff-trimmer-modal-btn-skip ff-reframe-clear">Clear keyframes</button>
+      </div>
+      <div class="ff-reframe-summary"></div>
+    `;
+
+    this.element = container;
+    this.summaryElement = container.querySelector('.ff-reframe-summary');
+    this.aspectSelect = container.querySelector('.ff-reframe-aspect-select');
+    this.keyframeButton = container.querySelector('.ff-reframe-keyframe');
+    this.clearButton = container.querySelector('.ff-reframe-clear');
+    this.aspectSelect.value = this.aspect || '';
+
+    this.aspectSelect.addEventListener('change', () => {
+      this.aspect = this.aspectSelect.value || null;
+      this.update();
+    });
+    container.querySelectorAll('.ff-segment-mode-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        this.mode = button.dataset.mode;
+        this.update();
+      });
+    });
+    this.keyframeButton.addEventListener('click', () => this.addKeyframe());
+    this.clearButton.addEventListener('click', () => this.clearKeyframes());
+
+    this.createOverlay();
+    window.addEventListener('resize', this.handleResize);
+    this.trimmer.videoElement.addEventListener('timeupdate', this.handleTimeUpdate);
+    this.trimmer.videoElement.addEventListener('seeked', this.handleTimeUpdate);
+
+    this.update();
+    return container;
+  }
+
+  /**
+   * Add the draggable crop window on top of the video preview
+   */
+  createOverlay() {
+    this.overlayElement = document.createElement('div');
+    this.overlayElement.className = 'ff-reframe-overlay';
+    this.windowElement = document.createElement('div');
+    this.windowElement.className = 'ff-reframe-window';
+    this.overlayElement.appendChild(this.windowElement);
+    this.trimmer.videoElement.parentElement.appendChild(this.overlayElement);
+
+    let startX = 0;
+    let startY = 0;
+    let startPosition = null;
+
+    const onMouseMove = (e) => {
+      const room = this.getWindowRoom();
+      this.dragPosition = {
+        x: room.width > 0 ? Math.min(Math.max(startPosition.x + (e.clientX - startX) / room.width, 0), 1) : 0.5,
+        y: room.height > 0 ? Math.min(Math.max(startPosition.y + (e.clientY - startY) / room.height, 0), 1) : 0.5
+      };
+      this.layout();
+    };
+
+    const onMouseUp = () => {
+      document.removeEventListener('mousemove', onMouseMove);
+      document.removeEventListener('mouseup', onMouseUp);
+      if (this.dragPosition) {
+        this.setPosition(this.getCurrentTime(), this.dragPosition);
+        this.dragPosition = null;
+        this.update();
+      }
+    };
+
+    this.windowElement.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      startX = e.clientX;
+      startY = e.clientY;
+      startPosition = this.getPositionAt(this.getCurrentTime());
+      document.addEventListener('mousemove', onMouseMove);
+      document.addEventListener('mouseup', onMouseUp);
+    });
+  }
+
+  /**
+   * Store the crop position at a time - moves the fixed position, or the keyframe near the time
+   * @param {number} time - Source time in seconds
+   * @param {Object} position - { x, y }
+   */
+  setPosition(time, { x, y }) {
+    if (this.keyframes.length === 1) {
+      this.keyframes = [{ time: 0, x, y }];
+      return;
+    }
+
+    const nearby = this.keyframes.find(keyframe => Math.abs(keyframe.time - time) <= KEYFRAME_SNAP_DISTANCE);
+    if (nearby) {
+      nearby.x = x;
+      nearby.y = y;
+    } else {
+      this.keyframes.push({ time, x, y });
+      this.keyframes.sort((a, b) => a.time - b.time);
+    }
+  }
+
+  /**
+   * Add a keyframe at the playhead with the window's current position
+   */
+  addKeyframe() {
+    const time = this.getCurrentTime();
+    const position = this.getPositionAt(time);
+
+    // The fixed position becomes the first keyframe, at the start of the selection
+    if (this.keyframes.length === 1) {
+      this.keyframes[0].time = Math.min(this.trimmer.getTrimPoints()[0], time);
+    }
+    if (!this.keyframes.some(keyframe => Math.abs(keyframe.time - time) <= KEYFRAME_SNAP_DISTANCE)) {
+      this.keyframes.push({ time, ...position });
+      this.keyframes.sort((a, b) => a.time - b.time);
+    }
+    this.update();
+  }
+
+  /**
+   * Drop the keyframes, keeping the window where it is now
+   */
+  clearKeyframes() {
+    this.keyframes = [{ time: 0, ...this.getPositionAt(this.getCurrentTime()) }];
+    this.update();
+  }
+
+  /**
+   * Interpolate the crop position between keyframes
+   * @param {number} time - Source time in seconds
+   * @returns {Object} { x, y }
+   */
+  getPositionAt(time) {
+    const keyframes = this.keyframes;
+    const next = keyframes.findIndex(keyframe => keyframe.time > time);
+    if (keyframes.length === 1 || next === 0) {
+      return { x: keyframes[0].x, y: keyframes[0].y };
+    }
+    if (next === -1) {
+      const last = keyframes[keyframes.length - 1];
+      return { x: last.x, y: last.y };
+    }
+
+    const from = keyframes[next - 1];
+    const to = keyframes[next];
+    const progress = (time - from.time) / (to.time - from.time);
+    return {
+      x: from.x + (to.x - from.x) * progress,
+      y: from.y + (to.y - from.y) * progress
+    };
+  }
+
+  getCurrentTime() {
+    return this.trimmer.videoElement ? this.trimmer.videoElement.currentTime : 0;
+  }
+
+  /**
+   * Size of the crop window relative to the frame ({ width, height } as 0-1 fractions)
+   */
+  getWindowSize() {
+    const video = this.trimmer.videoElement;
+    const sourceRatio = video.videoWidth / video.videoHeight;
+    const targetRatio = REFRAME_ASPECTS[this.aspect].ratio;
+
+    return targetRatio < sourceRatio
+      ? { width: targetRatio / sourceRatio, height: 1 }
+      : { width: 1, height: sourceRatio / targetRatio };
+  }
+
+  /**
+   * Pixels the crop window can move on screen
+   */
+  getWindowRoom() {
+    const size = this.getWindowSize();
+    return {
+      width: this.overlayElement.offsetWidth * (1 - size.width),
+      height: this.overlayElement.offsetHeight * (1 - size.height)
+    };
+  }
+
+  /**
+   * Fit the overlay to the displayed picture and place the crop window
+   */
+  layout() {
+    const video = this.trimmer.videoElement;
+    const visible = this.aspect && this.mode === 'crop' && video && video.videoWidth > 0;
+    this.overlayElement.style.display = visible ? 'block' : 'none';
+    if (!visible) return;
+
+    // The preview letterboxes the video (object-fit: contain)
+    const container = video.parentElement;
+    const scale = Math.min(container.clientWidth / video.videoWidth, container.clientHeight / video.videoHeight);
+    const width = video.videoWidth * scale;
+    const height = video.videoHeight * scale;
+    this.overlayElement.style.left = `${(container.clientWidth - width) / 2}px`;
+    this.overlayElement.style.top = `${(container.clientHeight - height) / 2}px`;
+    this.overlayElement.style.width = `${width}px`;
+    this.overlayElement.style.height = `${height}px`;
+
+    const size = this.getWindowSize();
+    const position = this.dragPosition || this.getPositionAt(this.getCurrentTime());
+    this.windowElement.style.width = `${size.width * 100}%`;
+    this.windowElement.style.height = `${size.height * 100}%`;
+    this.windowElement.style.left = `${(1 - size.width) * position.x * 100}%`;
+    this.windowElement.style.top = `${(1 - size.height) * position.y * 100}%`;
+  }
+
+  /**
+   * Redraw the controls, the summary and the crop window
+   */
+  update() {
+    if (!this.element) return;
+
+    this.element.querySelectorAll('.ff-segment-mode-btn').forEach(button => {
+      button.classList.toggle('ff-segment-mode-active', button.dataset.mode === this.mode);
+      button.disabled = !this.aspect;
+    });
+    this.keyframeButton.disabled = !this.aspect || this.mode !== 'crop';
+    this.clearButton.disabled = this.keyframeButton.disabled || this.keyframes.length < 2;
+
+    if (!this.aspect) {
+      this.summaryElement.textContent = 'Pick an aspect ratio to crop or letterbox the video (e.g. 16:9 to 9:16 for Reels and TikTok).';
+    } else if (this.mode === 'pad') {
+      this.summaryElement.textContent = `The whole frame is kept, with black bars filling it out to ${this.aspect}.`;
+    } else if (this.mode === 'blur') {
+      this.summaryElement.textContent = `The whole frame is kept, over a blurred, zoomed copy of itself filling it out to ${this.aspect}.`;
+    } else if (this.keyframes.length > 1) {
+      const times = this.keyframes.map(keyframe => this.formatTime(keyframe.time)).join(', ');
+      this.summaryElement.textContent = `${this.keyframes.length} keyframes (${times}) - the crop window moves between them. Drag it at a keyframe to change it, or elsewhere to add one.`;
+    } else {
+      this.summaryElement.textContent = 'Drag the crop window to frame the shot. Add keyframes to follow the action.';
+    }
+
+    this.layout();
+  }
+
+  /**
+   * Get the reframe to apply
+   * @returns {Object|null} { aspect, mode, keyframes: [{ time, x, y }] in source time }, null = unchanged
+   */
+  getReframe() {
+    if (!this.aspect) return null;
+
+    return {
+      aspect: this.aspect,
+      mode: this.mode,
+      keyframes: this.mode === 'crop' ? this.keyframes.map(keyframe => ({ ...keyframe })) : undefined
+    };
+  }
+
+  /**
+   * Format time in seconds to M:SS.s
+   */
+  formatTime(seconds) {
+    const tenths = Math.round(seconds * 10);
+    const mins = Math.floor(tenths / 600);
+    const secs = ((tenths % 600) / 10).toFixed(1);
+    return `${mins}:${secs.padStart(4, '0')}`;
+  }
+
+  /**
+   * Cleanup listeners and the overlay
+   */
+  destroy() {
+    window.removeEventListener('resize', this.handleResize);
+    if (this.trimmer.videoElement) {
+      this.trimmer.videoElement.removeEventListener('timeupdate', this.handleTimeUpdate);
+      this.trimmer.videoElement.removeEventListener('seeked', this.handleTimeUpdate);
+    }
+    if (this.overlayElement) {
+      this.overlayElement.remove();
+    }
+  }
+}
+
+// Export class to global scope
+window.ReframeTool = ReframeTool;
+
+console.log('[ReframeTool] Loaded successfully');
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReframeTool;
+}
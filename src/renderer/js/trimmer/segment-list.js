@@ -0,0 +1,277 @@
+// Kolbo Studio - Trim Segment List
+// Marks several ranges of a clip to keep (or cut out) and orders them for joining
+
+console.log('[SegmentList] Loading...');
+
+// Crossfade lengths offered between joined segments (seconds)
+const SEGMENT_CROSSFADES = [0, 0.25, 0.5, 1];
+
+// Gaps shorter than this between cut-out ranges are dropped instead of kept as a segment
+const MIN_SEGMENT_LENGTH = 0.05;
+
+class SegmentList {
+  constructor(trimmer, options = {}) {
+    this.trimmer = trimmer; // VideoTrimmer or AudioTrimmer - its selection is what gets added
+
+    // State
+    this.mode = 'keep'; // 'keep' the listed ranges or 'cut' them out
+    this.ranges = (options.segments || []).map(segment => [segment.start, segment.end]);
+    this.crossfade = SEGMENT_CROSSFADES.includes(options.crossfade) ? options.crossfade : 0;
+    this.selectedIndex = -1;
+
+    // DOM refs (will be set when rendered)
+    this.element = null;
+    this.rowsElement = null;
+    this.summaryElement = null;
+  }
+
+  /**
+   * Create the segment list UI
+   * @returns {HTMLElement} Container element
+   */
+  render() {
+    const container = document.createElement('div');
+    container.className = 'ff-segment-list';
+    container.innerHTML = `
+      <div class="ff-segment-toolbar">
+        <div class="ff-segment-mode">
+          <button class="ff-segment-mode-btn" data-mode="keep" title="Join the listed ranges">Keep ranges</button>
+          <button class="ff-segment-mode-btn" data-mode="cut" title="Remove the listed ranges from the clip">Cut out ranges</button>
+        </div>
+        <button class="ff-trimmer-modal-btn ff-trimmer-modal-btn-skip ff-segment-add">+ Add selection</button>
+        <button class="ff-trimmer-modal-btn ff-trimmer-modal-btn-skip ff-segment-update" disabled>Update selected</button>
+        <label class="ff-segment-crossfade">
+          Crossfade
+          <select class="ff-segment-crossfade-select">
+            ${SEGMENT_CROSSFADES.map(value => `<option value="${value}">${value ? `${value}s` : 'None'}</option>`).join('')}
+          </select>
+        </label>
+      </div>
+      <div class="ff-segment-rows"></div>
+      <div class="ff-segment-summary"></div>
+    `;
+
+    this.element = container;
+    this.rowsElement = container.querySelector('.ff-segment-rows');
+    this.summaryElement = container.querySelector('.ff-segment-summary');
+    this.updateButton = container.querySelector('.ff-segment-update');
+    this.crossfadeSelect = container.querySelector('.ff-segment-crossfade-select');
+    this.crossfadeSelect.value = String(this.crossfade);
+
+    container.querySelectorAll('.ff-segment-mode-btn').forEach(button => {
+      button.addEventListener('click', () => this.setMode(button.dataset.mode));
+    });
+    container.querySelector('.ff-segment-add').addEventListener('click', () => this.addSelection());
+    this.updateButton.addEventListener('click', () => this.updateSelected());
+    this.crossfadeSelect.addEventListener('change', () => {
+      this.crossfade = parseFloat(this.crossfadeSelect.value);
+      this.update();
+    });
+
+    this.update();
+    return container;
+  }
+
+  /**
+   * Switch between keeping and cutting out the listed ranges
+   * @param {string} mode - 'keep' or 'cut'
+   */
+  setMode(mode) {
+    this.mode = mode === 'cut' ? 'cut' : 'keep';
+
+    // Cut-out ranges are always removed in timeline order
+    if (this.mode === 'cut') {
+      this.ranges.sort((a, b) => a[0] - b[0]);
+      this.selectedIndex = -1;
+    }
+    this.update();
+  }
+
+  /**
+   * Add the trimmer's current selection as a new range
+   */
+  addSelection() {
+    const [start, end] = this.trimmer.getTrimPoints();
+    this.ranges.push([start, end]);
+    if (this.mode === 'cut') {
+      this.ranges.sort((a, b) => a[0] - b[0]);
+    }
+    this.selectedIndex = -1;
+    this.update();
+  }
+
+  /**
+   * Replace the selected range with the trimmer's current selection
+   */
+  updateSelected() {
+    if (this.selectedIndex === -1) return;
+
+    this.ranges[this.selectedIndex] = [...this.trimmer.getTrimPoints()];
+    if (this.mode === 'cut') {
+      this.ranges.sort((a, b) => a[0] - b[0]);
+      this.selectedIndex = -1;
+    }
+    this.update();
+  }
+
+  /**
+   * Select a range and load it into the trimmer for editing
+   * @param {number} index - Range index
+   */
+  selectRange(index) {
+    this.selectedIndex = index === this.selectedIndex ? -1 : index;
+    if (this.selectedIndex !== -1) {
+      this.trimmer.setTrimPoints(this.ranges[index]);
+    }
+    this.update();
+  }
+
+  /**
+   * Move a range up or down in the join order
+   * @param {number} index - Range index
+   * @param {number} direction - -1 (earlier) or 1 (later)
+   */
+  moveRange(index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= this.ranges.length) return;
+
+    [this.ranges[index], this.ranges[target]] = [this.ranges[target], this.ranges[index]];
+    if (this.selectedIndex === index) {
+      this.selectedIndex = target;
+    } else if (this.selectedIndex === target) {
+      this.selectedIndex = index;
+    }
+    this.update();
+  }
+
+  /**
+   * Remove a range
+   * @param {number} index - Range index
+   */
+  removeRange(index) {
+    this.ranges.splice(index, 1);
+    if (this.selectedIndex === index) {
+      this.selectedIndex = -1;
+    } else if (this.selectedIndex > index) {
+      this.selectedIndex--;
+    }
+    this.update();
+  }
+
+  /**
+   * Get the ranges to keep, in the order they will be joined
+   * In cut mode these are the gaps between the cut-out ranges
+   * @returns {Array} [{ start, end }]
+   */
+  getSegments() {
+    if (this.mode === 'keep') {
+      return this.ranges.map(([start, end]) => ({ start, end }));
+    }
+    if (this.ranges.length === 0) {
+      return [];
+    }
+
+    const segments = [];
+    let position = 0;
+    [...this.ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+      if (start - position >= MIN_SEGMENT_LENGTH) {
+        segments.push({ start: position, end: start });
+      }
+      position = Math.max(position, end);
+    });
+    if (this.trimmer.duration - position >= MIN_SEGMENT_LENGTH) {
+      segments.push({ start: position, end: this.trimmer.duration });
+    }
+    return segments;
+  }
+
+  /**
+   * Get the crossfade between joined segments
+   * @returns {number} Seconds (0 = hard cuts)
+   */
+  getCrossfade() {
+    return this.crossfade;
+  }
+
+  /**
+   * Redraw the list, the summary and the trimmer's timeline markers
+   */
+  update() {
+    if (!this.element) return;
+
+    this.element.querySelectorAll('.ff-segment-mode-btn').forEach(button => {
+      button.classList.toggle('ff-segment-mode-active', button.dataset.mode === this.mode);
+    });
+    this.updateButton.disabled = this.selectedIndex === -1;
+
+    this.rowsElement.innerHTML = '';
+    if (this.ranges.length === 0) {
+      this.rowsElement.innerHTML = `
+        <div class="ff-segment-empty">
+          ${this.mode === 'keep' ? 'Select a range and add it to keep several parts of the clip.' : 'Select a range and add it to remove it from the clip.'}
+        </div>
+      `;
+    }
+
+    this.ranges.forEach(([start, end], index) => {
+      const row = document.createElement('div');
+      row.className = `ff-segment-row${index === this.selectedIndex ? ' ff-segment-row-selected' : ''}`;
+      row.innerHTML = `
+        <span class="ff-segment-index">${index + 1}</span>
+        <span class="ff-segment-range">${this.formatTime(start)} - ${this.formatTime(end)}</span>
+        <span class="ff-segment-length">(${(end - start).toFixed(1)}s)</span>
+        ${this.mode === 'keep' ? `
+        <button class="ff-trimmer-btn ff-segment-move" data-direction="-1" title="Move earlier" ${index === 0 ? 'disabled' : ''}>&#8593;</button>
+        <button class="ff-trimmer-btn ff-segment-move" data-direction="1" title="Move later" ${index === this.ranges.length - 1 ? 'disabled' : ''}>&#8595;</button>
+        ` : ''}
+        <button class="ff-trimmer-btn ff-segment-remove" title="Remove">&#215;</button>
+      `;
+
+      row.addEventListener('click', () => this.selectRange(index));
+      row.querySelectorAll('.ff-segment-move').forEach(button => {
+        button.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.moveRange(index, parseInt(button.dataset.direction, 10));
+        });
+      });
+      row.querySelector('.ff-segment-remove').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.removeRange(index);
+      });
+
+      this.rowsElement.appendChild(row);
+    });
+
+    // Summary of what will be rendered
+    const segments = this.getSegments();
+    const total = segments.reduce((sum, segment) => sum + segment.end - segment.start, 0) -
+      (segments.length > 1 ? this.crossfade * (segments.length - 1) : 0);
+    this.summaryElement.textContent = segments.length > 1
+      ? `${segments.length} segments will be joined into one ${this.formatTime(Math.max(total, 0))} clip`
+      : segments.length === 1
+        ? `Only ${this.formatTime(segments[0].start)} - ${this.formatTime(segments[0].end)} will be kept`
+        : '';
+
+    this.trimmer.setSegmentMarkers(segments);
+  }
+
+  /**
+   * Format time in seconds to M:SS.s
+   */
+  formatTime(seconds) {
+    const tenths = Math.round(seconds * 10);
+    const mins = Math.floor(tenths / 600);
+    const secs = ((tenths % 600) / 10).toFixed(1);
+    return `${mins}:${secs.padStart(4, '0')}`;
+  }
+}
+
+// Export class to global scope
+window.SegmentList = SegmentList;
+
+console.log('[SegmentList] Loaded successfully');
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SegmentList;
+}
@@ -12,6 +12,9 @@ class TrimmerModal {
     this.onApply = null;
     this.modalElement = null;
     this.trimmerContainer = null;
+    this.segmentList = null; // Keep/cut-out ranges joined into one output
+    this.reframeTool = null; // Aspect ratio crop/letterbox (video only)
+    this.colorPreview = null; // Before/after frame for the job's color settings (video only)
   }
 
   /**
@@ -174,6 +177,9 @@ class TrimmerModal {
       // Clear loading state and show trimmer
       this.trimmerContainer.innerHTML = '';
       this.trimmerContainer.appendChild(trimmerElement);
+      this.createReframeTool(options);
+      this.createColorPreview(options);
+      this.createSegmentList(options);
     } catch (error) {
       console.error('[TrimmerModal] Failed to load video:', error);
       this.showError('Failed to load video. Please try again.');
@@ -216,12 +222,49 @@ class TrimmerModal {
       // Clear loading state and show trimmer
       this.trimmerContainer.innerHTML = '';
       this.trimmerContainer.appendChild(trimmerElement);
+      this.createSegmentList(options);
     } catch (error) {
       console.error('[TrimmerModal] Failed to load audio:', error);
       this.showError('Failed to load audio. Please try again.');
     }
   }
 
+  /**
+   * Add the segment list below the trimmer (unless options.allowSegments is false)
+   * options.segments/options.crossfade restore a previously applied multi-segment trim
+   */
+  createSegmentList(options) {
+    if (options.allowSegments === false || !window.SegmentList || !this.trimmerContainer) return;
+
+    this.segmentList = new SegmentList(this.currentTrimmer, {
+      segments: options.segments,
+      crossfade: options.crossfade
+    });
+    this.trimmerContainer.appendChild(this.segmentList.render());
+  }
+
+  /**
+   * Add the reframe controls below the video trimmer (unless options.allowReframe is false)
+   * options.reframe restores a previously applied reframe
+   */
+  createReframeTool(options) {
+    if (options.allowReframe === false || !window.ReframeTool || !this.trimmerContainer) return;
+
+    this.reframeTool = new ReframeTool(this.currentTrimmer, { reframe: options.reframe });
+    this.trimmerContainer.appendChild(this.reframeTool.render());
+  }
+
+  /**
+   * Add the before/after color comparison below the video trimmer
+   * options.colorPreview renders a frame with and without the job's color settings (none = no comparison)
+   */
+  createColorPreview(options) {
+    if (!options.colorPreview || !window.ColorPreview || !this.trimmerContainer) return;
+
+    this.colorPreview = new ColorPreview(this.currentTrimmer, { colorPreview: options.colorPreview });
+    this.trimmerContainer.appendChild(this.colorPreview.render());
+  }
+
   /**
    * Show error message in modal
    */
@@ -246,10 +289,15 @@ class TrimmerModal {
     const secs = maxDuration % 60;
     const maxTime = `${mins}:${String(secs).padStart(2, '0')}`;
 
-    if (this.fileType === 'video') {
-      return `Select the portion of the video you want to keep (max ${maxTime}). The trimmed video will then be converted to your selected format.`;
+    const segmentHint = options.allowSegments === false ? '' : ' Add several ranges below to keep or cut out more than one part.';
+    const reframeHint = options.allowReframe === false ? '' : ' You can also change its aspect ratio.';
+
+    if (this.fileType === 'video' && options.snapTrimPoints) {
+      return `Select the portion of the video you want to keep (max ${maxTime}). The original codec is kept, so cuts snap to the nearest keyframes.`;
+    } else if (this.fileType === 'video') {
+      return `Select the portion of the video you want to keep (max ${maxTime}). The trimmed video will then be converted to your selected format.${reframeHint}${segmentHint}`;
     } else {
-      return `Select the portion of the audio you want to keep (max ${maxTime}). The trimmed audio will then be converted to your selected format.`;
+      return `Select the portion of the audio you want to keep (max ${maxTime}). The trimmed audio will then be converted to your selected format.${segmentHint}`;
     }
   }
 
@@ -273,12 +321,31 @@ class TrimmerModal {
     }
 
     const trimPoints = this.currentTrimmer.getTrimPoints();
-    console.log('[TrimmerModal] Applying trim:', trimPoints);
+    const segments = this.segmentList ? this.segmentList.getSegments() : [];
+    console.log('[TrimmerModal] Applying trim:', segments.length > 0 ? segments : trimPoints);
 
     // Convert array format [start, end] to object format {start, end}
-    const trimData = Array.isArray(trimPoints)
-      ? { start: trimPoints[0], end: trimPoints[1] }
-      : trimPoints;
+    // Several segments also carry the join order and crossfade; start/end span all of them
+    let trimData;
+    if (segments.length > 1) {
+      trimData = {
+        start: Math.min(...segments.map(segment => segment.start)),
+        end: Math.max(...segments.map(segment => segment.end)),
+        segments,
+        crossfade: this.segmentList.getCrossfade()
+      };
+    } else if (segments.length === 1) {
+      trimData = { start: segments[0].start, end: segments[0].end };
+    } else {
+      trimData = Array.isArray(trimPoints)
+        ? { start: trimPoints[0], end: trimPoints[1] }
+        : trimPoints;
+    }
+
+    // The reframe travels with the trim (null = keep the aspect ratio)
+    if (this.reframeTool) {
+      trimData = { ...trimData, reframe: this.reframeTool.getReframe() };
+    }
 
     if (this.onApply) {
       this.onApply(trimData);
@@ -291,6 +358,15 @@ class TrimmerModal {
   close() {
     if (!this.isOpen) return;
 
+    if (this.reframeTool) {
+      this.reframeTool.destroy();
+      this.reframeTool = null;
+    }
+    if (this.colorPreview) {
+      this.colorPreview.destroy();
+      this.colorPreview = null;
+    }
+
     // Cleanup trimmer
     if (this.currentTrimmer) {
       // Cleanup trimmer resources
@@ -308,6 +384,7 @@ class TrimmerModal {
 
       this.currentTrimmer = null;
     }
+    this.segmentList = null;
 
     // Animate out
     if (this.modalElement) {
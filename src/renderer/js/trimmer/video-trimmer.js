@@ -12,6 +12,8 @@ class VideoTrimmer {
     this.maxDuration = options.maxDuration || 300; // 5 minutes default
     this.minDuration = options.minDuration || 1; // 1 second minimum
     this.thumbnailCount = options.thumbnailCount || 10;
+    this.snapTrimPoints = options.snapTrimPoints || null; // async (start, end) => { start, end } for keyframe-only cuts
+    this.grabFrame = options.grabFrame || null; // async (time, format) => saved image path (full source resolution)
 
     // State
     this.duration = 0;
@@ -68,6 +70,21 @@ class VideoTrimmer {
           <span class="ff-trimmer-time-separator"> - </span>
           <span class="ff-trimmer-time-end">0:00</span>
           <span class="ff-trimmer-time-duration"> (0:00)</span>
+          <span class="ff-trimmer-snap-status"></span>
+        </div>
+
+        <div class="ff-trimmer-grab">
+          <select class="ff-trimmer-grab-format" title="Format for grabbed frames">
+            <option value="png">PNG</option>
+            <option value="jpg">JPG</option>
+            <option value="tiff">TIFF</option>
+          </select>
+          <button class="ff-trimmer-btn ff-trimmer-btn-grab" title="Save the current frame at full resolution">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M23 19a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h4l2-3h6l2 3h4a2 2 0 0 1 2 2z"/>
+              <circle cx="12" cy="13" r="4"/>
+            </svg>
+          </button>
         </div>
 
         <button class="ff-trimmer-btn ff-trimmer-btn-reset" title="Reset to original">
@@ -77,6 +94,7 @@ class VideoTrimmer {
           </svg>
         </button>
       </div>
+      <div class="ff-trimmer-grab-status"></div>
     `;
 
     // Store references
@@ -89,12 +107,22 @@ class VideoTrimmer {
     this.playheadElement = container.querySelector('.ff-trimmer-playhead');
     this.playButton = container.querySelector('.ff-trimmer-btn-play');
     this.resetButton = container.querySelector('.ff-trimmer-btn-reset');
+    this.grabButton = container.querySelector('.ff-trimmer-btn-grab');
+    this.grabFormatSelect = container.querySelector('.ff-trimmer-grab-format');
+    this.grabStatusElement = container.querySelector('.ff-trimmer-grab-status');
     this.timeDisplays = {
       start: container.querySelector('.ff-trimmer-time-start'),
       end: container.querySelector('.ff-trimmer-time-end'),
-      duration: container.querySelector('.ff-trimmer-time-duration')
+      duration: container.querySelector('.ff-trimmer-time-duration'),
+      snap: container.querySelector('.ff-trimmer-snap-status')
     };
 
+    // Frame grabs are rendered by FFmpeg from the source file, so they need its path
+    if (!this.grabFrame) {
+      container.querySelector('.ff-trimmer-grab').style.display = 'none';
+    }
+    this.grabFormatSelect.value = localStorage.getItem('ff-trimmer-grab-format') || 'png';
+
     // Setup event listeners
     this.setupEventListeners();
 
@@ -239,6 +267,15 @@ class VideoTrimmer {
       this.resetTrimPoints();
     });
 
+    // Grab frame button
+    this.grabButton.addEventListener('click', () => {
+      this.grabCurrentFrame();
+    });
+
+    this.grabFormatSelect.addEventListener('change', () => {
+      localStorage.setItem('ff-trimmer-grab-format', this.grabFormatSelect.value);
+    });
+
     // Timeline interaction
     this.setupTimelineInteraction();
 
@@ -326,15 +363,78 @@ class VideoTrimmer {
     };
 
     const onMouseUp = () => {
+      const wasDragging = draggedHandle !== null;
       draggedHandle = null;
       document.removeEventListener('mousemove', onMouseMove);
       document.removeEventListener('mouseup', onMouseUp);
+
+      if (wasDragging) {
+        this.snapToKeyframes();
+      }
     };
 
     this.startHandleElement.addEventListener('mousedown', (e) => onMouseDown(e, 'start'));
     this.endHandleElement.addEventListener('mousedown', (e) => onMouseDown(e, 'end'));
   }
 
+  /**
+   * Move the trim points to the keyframes the conversion will actually cut on
+   * Only used when the job keeps the original codec (stream copy)
+   */
+  async snapToKeyframes() {
+    if (!this.snapTrimPoints) return;
+
+    const requested = [...this.trimPoints];
+    this.timeDisplays.snap.textContent = 'Finding keyframes...';
+
+    try {
+      const snapped = await this.snapTrimPoints(requested[0], requested[1]);
+
+      // Ignore the result if the handles moved again while it was loading
+      if (this.trimPoints[0] !== requested[0] || this.trimPoints[1] !== requested[1]) return;
+
+      if (!snapped) {
+        this.timeDisplays.snap.textContent = '';
+        return;
+      }
+
+      this.trimPoints = [snapped.start, Math.min(snapped.end, this.duration)];
+      this.updateTimelineSelection();
+      this.updateTimeDisplays();
+      this.timeDisplays.snap.textContent = `Snapped to keyframes: ${snapped.start.toFixed(2)}s - ${snapped.end.toFixed(2)}s`;
+      this.onTrimChange(this.trimPoints);
+    } catch (error) {
+      console.warn('[VideoTrimmer] Failed to snap to keyframes:', error);
+      this.timeDisplays.snap.textContent = '';
+    }
+  }
+
+  /**
+   * Save the frame under the playhead as an image file
+   * FFmpeg decodes it from the source, so it keeps the full resolution and bit depth
+   * that drawing the <video> element to a canvas would lose
+   */
+  async grabCurrentFrame() {
+    if (!this.grabFrame) return;
+
+    const time = this.videoElement.currentTime;
+    const format = this.grabFormatSelect.value;
+    this.grabButton.disabled = true;
+    this.grabStatusElement.textContent = `Saving frame at ${time.toFixed(2)}s...`;
+
+    try {
+      const outputPath = await this.grabFrame(time, format);
+      this.grabStatusElement.textContent = `Saved ${outputPath.split(/[/\\]/).pop()}`;
+      this.grabStatusElement.title = outputPath;
+    } catch (error) {
+      console.error('[VideoTrimmer] Failed to grab frame:', error);
+      this.grabStatusElement.textContent = `Couldn't save the frame: ${error.message}`;
+      this.grabStatusElement.title = '';
+    } finally {
+      this.grabButton.disabled = false;
+    }
+  }
+
   /**
    * Update timeline selection visual
    */
@@ -393,11 +493,43 @@ class VideoTrimmer {
    */
   resetTrimPoints() {
     this.trimPoints = [...this.originalTrimPoints];
+    this.timeDisplays.snap.textContent = '';
     this.updateTimelineSelection();
     this.updateTimeDisplays();
     this.onTrimChange(this.trimPoints);
   }
 
+  /**
+   * Set the selection programmatically (e.g. to edit a saved segment)
+   * @param {Array} trimPoints - [start, end] in seconds
+   */
+  setTrimPoints([start, end]) {
+    const clampedStart = Math.max(0, Math.min(start, this.duration));
+    this.trimPoints = [clampedStart, Math.max(clampedStart, Math.min(end, this.duration))];
+    this.timeDisplays.snap.textContent = '';
+    this.updateTimelineSelection();
+    this.updateTimeDisplays();
+    this.onTrimChange(this.trimPoints);
+  }
+
+  /**
+   * Mark the segments that will be joined on the timeline
+   * @param {Array} segments - [{ start, end }] in join order (numbered on the markers)
+   */
+  setSegmentMarkers(segments) {
+    this.timelineElement.querySelectorAll('.ff-trimmer-segment-marker').forEach(marker => marker.remove());
+    if (!this.duration || segments.length < 2) return;
+
+    segments.forEach((segment, index) => {
+      const marker = document.createElement('div');
+      marker.className = 'ff-trimmer-segment-marker';
+      marker.style.left = `${(segment.start / this.duration) * 100}%`;
+      marker.style.width = `${((segment.end - segment.start) / this.duration) * 100}%`;
+      marker.textContent = index + 1;
+      this.timelineElement.appendChild(marker);
+    });
+  }
+
   /**
    * Format time in seconds to MM:SS
    */